@@ -5,7 +5,7 @@
  * - AI_API_RESPONSE: Cloudflare API Token
  * - CLOUDFLARE_ACCOUNT_ID: Cloudflare Account ID
  * 
- * Used for:
+ * Default first choice for the low and mid tiers in llmGateway:
  * - Realtime arena responses
  * - Light tasks (hints, reminders, acknowledgments)
  * - Quick considerations during arena
@@ -47,15 +47,13 @@ const getConfig = () => {
 };
 
 /**
- * Invoke Cloudflare Workers AI model
+ * Complete a prompt with a Cloudflare Workers AI model
+ * Returns { content, usage }; throws on failure so the gateway can fall back
  */
-const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN') => {
+const complete = async ({ model: modelId, prompt, response_json_schema: jsonSchema = null, tier = 'UNKNOWN', temperature = null }) => {
     const config = getConfig();
-
-    // Fallback to Groq if Cloudflare not configured
     if (!config) {
-        console.warn('[Cloudflare AI] Not configured, falling back to simple response');
-        return null;
+        throw new Error('Cloudflare AI not configured. Check AI_API_RESPONSE and CLOUDFLARE_ACCOUNT_ID environment variables.');
     }
 
     const { apiToken, accountId } = config;
@@ -74,6 +72,7 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
         ],
         max_tokens: 500 // Keep responses short for realtime
     };
+    if (temperature !== null) requestBody.temperature = temperature;
 
     const startTime = Date.now();
 
@@ -106,53 +105,34 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
             content = data.result;
         }
 
-        // Parse JSON if schema was provided
-        if (jsonSchema && content) {
-            try {
-                const jsonMatch = content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    return JSON.parse(jsonMatch[0]);
-                }
-                return JSON.parse(content);
-            } catch (parseError) {
-                console.warn(`[Cloudflare AI - ${tier}] Failed to parse JSON, returning raw`);
-                return content;
-            }
-        }
-
-        return content;
+        // Usage is only reported by some models
+        return { content, usage: data.result?.usage || null };
 
     } catch (error) {
         const elapsed = Date.now() - startTime;
         console.error(`[Cloudflare AI - ${tier}] Error after ${elapsed}ms:`, error.message);
-
-        // Return null instead of throwing - caller should handle fallback
-        return null;
+        throw error;
     }
 };
 
 // ==========================================
-// TIER-SPECIFIC INVOKE FUNCTIONS (Light/Realtime Tasks)
+// PROVIDER (used by llmGateway)
 // ==========================================
 
 /**
- * Low-level AI (Llama 3.1 8B) - Ultra fast realtime responses
- * Used for: Quick reminders, micro-steps, simple acknowledgments
- */
-export const invokeLowLevelAI = async ({ prompt, response_json_schema = null }) => {
-    return invokeModel(MODEL_IDS.LOW, prompt, response_json_schema, 'Low');
-};
-
-/**
- * Mid-level AI (Mistral 7B) - Quick considerations
- * Used for: Hints, light analysis, quick follow-ups
+ * Light/realtime models only; no agent tier
  */
-export const invokeMidLevelAI = async ({ prompt, response_json_schema = null }) => {
-    return invokeModel(MODEL_IDS.MID, prompt, response_json_schema, 'Mid');
+export const provider = {
+    name: 'cloudflare',
+    models: {
+        low: MODEL_IDS.LOW,
+        mid: MODEL_IDS.MID
+    },
+    isConfigured: () => !!(process.env.AI_API_RESPONSE && process.env.CLOUDFLARE_ACCOUNT_ID),
+    complete
 };
 
 export default {
-    invokeLowLevelAI,
-    invokeMidLevelAI,
+    provider,
     MODEL_IDS
 };
@@ -3,8 +3,9 @@
  * 
  * Uses Google AI / Gemini API
  * 
- * Environment Variable: AI_API
+ * Environment Variable: GOOGLE_AI_API_KEY
  * Format: Your Google AI API Key from Google AI Studio
+ * (AI_API is the Groq key, so Google uses its own variable)
  * 
  * Model Tiers:
  * - Low (Gemini 1.5 Flash): Fast realtime responses, reminders, small steps
@@ -26,10 +27,10 @@ const MODEL_IDS = {
 
 // Get configuration
 const getConfig = () => {
-    const apiKey = process.env.AI_API;
+    const apiKey = process.env.GOOGLE_AI_API_KEY;
 
     if (!apiKey) {
-        console.warn('[Google AI] AI_API not set. AI features will not work.');
+        console.warn('[Google AI] GOOGLE_AI_API_KEY not set. AI features will not work.');
         return null;
     }
 
@@ -39,12 +40,13 @@ const getConfig = () => {
 };
 
 /**
- * Invoke a Google AI model
+ * Complete a prompt with a Google AI model
+ * Returns { content, usage }; throws on failure
  */
-const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN') => {
+const complete = async ({ model: modelId, prompt, response_json_schema: jsonSchema = null, tier = 'UNKNOWN', temperature = 0.7 }) => {
     const config = getConfig();
     if (!config) {
-        throw new Error('Google AI not configured. Check AI_API environment variable.');
+        throw new Error('Google AI not configured. Check GOOGLE_AI_API_KEY environment variable.');
     }
 
     const { apiKey } = config;
@@ -70,7 +72,7 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
         ],
         generationConfig: {
             maxOutputTokens: 2000,
-            temperature: 0.7
+            temperature
         }
     };
 
@@ -108,22 +110,14 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
                 .join('');
         }
 
-        // Parse JSON if schema was provided
-        if (jsonSchema && content) {
-            try {
-                // Try to extract JSON from the response
-                const jsonMatch = content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    return JSON.parse(jsonMatch[0]);
-                }
-                return JSON.parse(content);
-            } catch (parseError) {
-                console.warn(`[Google AI - ${tier}] Failed to parse JSON response, returning raw content`);
-                return content;
+        const usage = data.usageMetadata
+            ? {
+                prompt_tokens: data.usageMetadata.promptTokenCount,
+                completion_tokens: data.usageMetadata.candidatesTokenCount
             }
-        }
+            : null;
 
-        return content;
+        return { content, usage };
 
     } catch (error) {
         const elapsed = Date.now() - startTime;
@@ -133,43 +127,21 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
 };
 
 // ==========================================
-// TIER-SPECIFIC INVOKE FUNCTIONS
+// PROVIDER (used by llmGateway)
 // ==========================================
 
-/**
- * Low-level AI (Gemini Flash) - Fast realtime operations
- * Use for: reminders, next micro-steps, simple responses during arena
- */
-export const invokeLowLevelAI = async ({ prompt, response_json_schema = null }) => {
-    return invokeModel(MODEL_IDS.LOW, prompt, response_json_schema, 'Low');
-};
-
-/**
- * Mid-level AI (Gemini Flash) - Balanced speed and accuracy
- * Use for: planning next steps, analysis, considerations during arena
- */
-export const invokeMidLevelAI = async ({ prompt, response_json_schema = null }) => {
-    return invokeModel(MODEL_IDS.MID, prompt, response_json_schema, 'Mid');
-};
-
-/**
- * Agent-level AI (Gemini Pro) - High accuracy for complex tasks
- * Use for: problem generation, XP calculation, full evaluation
- */
-export const invokeAgentAI = async ({ prompt, response_json_schema = null }) => {
-    return invokeModel(MODEL_IDS.AGENT, prompt, response_json_schema, 'Agent');
-};
-
-// Legacy compatibility - uses Agent level by default
-export const invokeLLM = async ({ prompt, response_json_schema = null, model = null }) => {
-    console.warn('[Google AI] Using legacy invokeLLM - consider using tier-specific functions');
-    return invokeAgentAI({ prompt, response_json_schema });
+export const provider = {
+    name: 'google',
+    models: {
+        low: MODEL_IDS.LOW,
+        mid: MODEL_IDS.MID,
+        agent: MODEL_IDS.AGENT
+    },
+    isConfigured: () => !!process.env.GOOGLE_AI_API_KEY,
+    complete
 };
 
 export default {
-    invokeLowLevelAI,
-    invokeMidLevelAI,
-    invokeAgentAI,
-    invokeLLM,
+    provider,
     MODEL_IDS
 };
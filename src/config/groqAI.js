@@ -5,7 +5,7 @@
  * - AI_API: Primary Groq API Key
  * - AI_API2: Secondary Groq API Key (for load balancing/fallback)
  * 
- * Used for:
+ * Default first choice for the agent tier in llmGateway:
  * - Problem generation
  * - Solution evaluation
  * - Heavy planning during arena
@@ -83,9 +83,10 @@ const markKeyRateLimited = (key) => {
 };
 
 /**
- * Invoke Groq model with automatic key rotation and fallback
+ * Complete a prompt with automatic key rotation
+ * Returns { content, usage }; throws when every key fails
  */
-const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN') => {
+const complete = async ({ model: modelId, prompt, response_json_schema: jsonSchema = null, tier = 'UNKNOWN', temperature = 0.7 }) => {
     const keys = getApiKeys();
     if (!keys) {
         throw new Error('Groq AI not configured. Check AI_API and AI_API2 environment variables.');
@@ -116,7 +117,7 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
                 { role: 'user', content: prompt }
             ],
             max_tokens: 2000,
-            temperature: 0.7
+            temperature
         };
 
         if (jsonSchema) {
@@ -153,22 +154,10 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
             const elapsed = Date.now() - startTime;
             console.log(`[Groq AI - ${tier}] Model: ${modelId}, Time: ${elapsed}ms, Key: ${attempt + 1}`);
 
-            let content = data.choices?.[0]?.message?.content || '';
-
-            if (jsonSchema && content) {
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        return JSON.parse(jsonMatch[0]);
-                    }
-                    return JSON.parse(content);
-                } catch (parseError) {
-                    console.warn(`[Groq AI - ${tier}] Failed to parse JSON, returning raw`);
-                    return content;
-                }
-            }
-
-            return content;
+            return {
+                content: data.choices?.[0]?.message?.content || '',
+                usage: data.usage || null
+            };
 
         } catch (error) {
             const elapsed = Date.now() - startTime;
@@ -182,33 +171,24 @@ const invokeModel = async (modelId, prompt, jsonSchema = null, tier = 'UNKNOWN')
 };
 
 // ==========================================
-// TIER-SPECIFIC INVOKE FUNCTIONS (Heavy Tasks)
+// PROVIDER (used by llmGateway)
 // ==========================================
 
 /**
- * Mid-level AI (Mixtral 8x7B) - for planning and considerations
- * Used when task needs more reasoning but not full agent level
+ * Groq has no dedicated low tier; the gateway maps low to the mid model
  */
-export const invokeMidLevelAI = async ({ prompt, response_json_schema = null }) => {
-    return invokeModel(MODEL_IDS.MID, prompt, response_json_schema, 'Mid');
-};
-
-/**
- * Agent-level AI (Llama 3.3 70B) - Heavy tasks
- * Used for: Problem generation, XP calculation, full evaluation
- */
-export const invokeAgentAI = async ({ prompt, response_json_schema = null }) => {
-    return invokeModel(MODEL_IDS.AGENT, prompt, response_json_schema, 'Agent');
-};
-
-// Legacy compatibility
-export const invokeLLM = async ({ prompt, response_json_schema = null }) => {
-    return invokeAgentAI({ prompt, response_json_schema });
+export const provider = {
+    name: 'groq',
+    models: {
+        low: MODEL_IDS.MID,
+        mid: MODEL_IDS.MID,
+        agent: MODEL_IDS.AGENT
+    },
+    isConfigured: () => !!(process.env.AI_API || process.env.AI_API2),
+    complete
 };
 
 export default {
-    invokeMidLevelAI,
-    invokeAgentAI,
-    invokeLLM,
+    provider,
     MODEL_IDS
 };
@@ -0,0 +1,525 @@
+/**
+ * LLM Gateway - Single entry point for every LLM call
+ *
+ * Services ask for a tier, not a provider:
+ * - low:   realtime nudges, reminders, acknowledgments
+ * - mid:   hints, comprehension checks, light analysis
+ * - agent: problem generation, evaluation, XP calculation
+ *
+ * Each tier has a fallback chain of providers. The first configured provider
+ * that answers (and returns valid JSON when a schema was requested) wins.
+ *
+ * Environment Variables:
+ * - LLM_ROUTE_LOW / LLM_ROUTE_MID / LLM_ROUTE_AGENT: comma separated chain,
+ *   each entry "<provider>" (provider's model for the tier) or "<provider>:<model id>"
+ *   e.g. LLM_ROUTE_AGENT=groq,google:gemini-2.5-pro,openai
+ * - LLM_MOCK: "true" sends every tier to the deterministic mock provider (mockAI.js)
+ *
+ * - LLM_SCHEMA_REPAIR_ATTEMPTS: repair prompts per provider when an answer does
+ *   not match response_json_schema (default: 1)
+ *
+ * Contract: invokeLLM({ prompt, response_json_schema, tier })
+ * → JSON object valid against response_json_schema when given, text otherwise.
+ * Structured answers are repaired (llmSchema.js), re-prompted with the
+ * validation errors, then handed to the next provider. When the chain is
+ * exhausted it throws LLMSchemaError (answers never matched the schema) or
+ * LLMUnavailableError (no provider answered).
+ *
+ * Every provider call (including failures and repair prompts) is reported to
+ * listeners registered with onLLMCall, tagged with the caller's user/session/flow
+ * from runWithLLMContext (set per HTTP request and per WebSocket message).
+ *
+ * A budget guard (setBudgetGuard, see llmBudgetService) reserves tokens before
+ * the chain runs and is settled with the tokens spent when it ends. When a daily
+ * budget cannot hold the call, or the guard itself fails, LLMBudgetExceededError
+ * is thrown without calling any provider, and services answer from their templates.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+import { provider as groqProvider } from './groqAI.js';
+import { provider as cloudflareProvider } from './cloudflareAI.js';
+import { provider as googleProvider } from './googleAI.js';
+import { provider as openaiProvider } from './openai.js';
+import { provider as mockProvider, isMockEnabled } from './mockAI.js';
+import { validateAgainstSchema, repairToSchema } from './llmSchema.js';
+
+dotenv.config();
+
+export const TIERS = ['low', 'mid', 'agent'];
+
+// ==========================================
+// ERRORS
+// ==========================================
+
+export class LLMError extends Error {
+    constructor(message, code, tier, attempts = []) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.tier = tier;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * No provider in the chain returned an answer
+ */
+export class LLMUnavailableError extends LLMError {
+    constructor(tier, attempts) {
+        super(`No LLM provider available for tier "${tier}"`, 'LLM_UNAVAILABLE', tier, attempts);
+    }
+}
+
+/**
+ * Providers answered, but no answer matched response_json_schema after repair
+ * validation_errors: [{ path, message }] from the last answer
+ */
+export class LLMSchemaError extends LLMError {
+    constructor(tier, attempts, validationErrors) {
+        super(`LLM response did not match the schema for tier "${tier}"`, 'LLM_SCHEMA_INVALID', tier, attempts);
+        this.validation_errors = validationErrors;
+    }
+}
+
+/**
+ * A daily token budget is used up, or could not be checked; no provider was called
+ * budget: { scope: 'user' | 'tier' | 'calibration' | 'guard', subject, limit, used, resets_at }
+ */
+export class LLMBudgetExceededError extends LLMError {
+    constructor(tier, budget) {
+        super(budget.scope === 'guard'
+            ? `LLM budget could not be checked for tier "${tier}"`
+            : `LLM ${budget.scope} budget exhausted for tier "${tier}"`, 'LLM_BUDGET_EXCEEDED', tier);
+        this.budget = budget;
+    }
+}
+
+const DEFAULT_ROUTES = {
+    low: ['cloudflare', 'groq', 'google', 'openai'],
+    mid: ['cloudflare', 'groq', 'google', 'openai'],
+    agent: ['groq', 'google', 'openai']
+};
+
+// ==========================================
+// PROVIDER REGISTRY
+// ==========================================
+
+// Provider: { name, models: { low?, mid?, agent? }, isConfigured(), complete({ model, prompt, response_json_schema, tier, temperature? }) }
+const providers = {
+    [groqProvider.name]: groqProvider,
+    [cloudflareProvider.name]: cloudflareProvider,
+    [googleProvider.name]: googleProvider,
+    [openaiProvider.name]: openaiProvider,
+    [mockProvider.name]: mockProvider
+};
+
+let routeOverrides = {};
+
+const callListeners = [];
+const llmContext = new AsyncLocalStorage();
+let budgetGuard = null;
+
+/**
+ * Register (or replace) a provider selectable in routes by its name
+ */
+export const registerProvider = (provider) => {
+    providers[provider.name] = provider;
+};
+
+export const getProviders = () => Object.keys(providers);
+
+/**
+ * Override routes in code (takes precedence over env)
+ * routes: { low?: [...], mid?: [...], agent?: [...] }; pass {} to reset
+ */
+export const setRoutes = (routes) => {
+    routeOverrides = { ...routes };
+};
+
+// ==========================================
+// CALL CONTEXT & LISTENERS
+// ==========================================
+
+/**
+ * Run fn with caller context for every LLM call inside it (merged with the outer context)
+ * context: { user_id, session_id, flow } or { req } to read them from the Express request
+ * budget_scope: 'calibration' charges the calls to that budget instead of the user/tier ones
+ */
+export const runWithLLMContext = (context, fn) => {
+    return llmContext.run({ ...(llmContext.getStore() || {}), ...context }, fn);
+};
+
+/**
+ * Resolve { user_id, session_id, flow, budget_scope, prompt_* } for the current call
+ * req fields are read lazily: at call time the route has matched and auth has run
+ * prompt is set by promptRegistryService.invokePrompt
+ */
+export const getLLMContext = () => {
+    const store = llmContext.getStore() || {};
+    const req = store.req;
+    return {
+        user_id: store.user_id ?? req?.user?.id ?? null,
+        session_id: store.session_id ?? req?.params?.session_id ?? req?.body?.session_id ?? req?.query?.session_id ?? null,
+        flow: store.flow ?? (req ? `${req.method} ${req.baseUrl}${req.route?.path || req.path}` : null),
+        budget_scope: store.budget_scope ?? null,
+        prompt_id: store.prompt?.id ?? null,
+        prompt_version: store.prompt?.version ?? null,
+        prompt_language: store.prompt?.language ?? null
+    };
+};
+
+/**
+ * Run fn and total the tokens of every LLM call it makes
+ * Returns { result, usage: { calls, prompt_tokens, completion_tokens, total_tokens, budget_exceeded } }
+ * budget_exceeded is true when a call inside fn was refused by the budget guard
+ */
+export const measureLLMUsage = async (fn) => {
+    const usage = { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, budget_exceeded: false };
+    const result = await runWithLLMContext({ usage_collector: usage }, fn);
+    return { result, usage };
+};
+
+/**
+ * Register a listener for every provider call
+ * Event: { tier, provider, model, attempt, status, error, prompt_tokens, completion_tokens,
+ *          tokens_estimated, latency_ms, user_id, session_id, flow,
+ *          prompt_id, prompt_version, prompt_language, at }
+ */
+export const onLLMCall = (listener) => {
+    callListeners.push(listener);
+};
+
+// ==========================================
+// BUDGET
+// ==========================================
+
+/**
+ * Register the budget guard: {
+ *   reserve: async ({ tier, prompt_tokens, user_id, session_id, flow, budget_scope }) => { reservation } | { budget },
+ *   settle: async (reservation, { tokens, calls }) => void
+ * }
+ * A returned budget blocks the call (see LLMBudgetExceededError)
+ */
+export const setBudgetGuard = (guard) => {
+    budgetGuard = guard;
+};
+
+/**
+ * Reserve budget for a tier call in the current context
+ * Returns { allowed: true, reservation } or { allowed: false, budget }; a failing guard blocks
+ */
+export const reserveLLMBudget = async (tier, promptTokens = 0) => {
+    if (!budgetGuard) return { allowed: true, reservation: null };
+    try {
+        const { reservation = null, budget = null } = await budgetGuard.reserve({ tier, prompt_tokens: promptTokens, ...getLLMContext() }) || {};
+        return budget ? { allowed: false, budget } : { allowed: true, reservation };
+    } catch (error) {
+        console.error('[LLM Gateway] Budget reservation error:', error);
+        return {
+            allowed: false,
+            budget: { scope: 'guard', subject: tier, limit: null, used: null, resets_at: null }
+        };
+    }
+};
+
+/**
+ * Settle a reservation with the tokens the call spent: { tokens, calls }
+ */
+export const settleLLMBudget = async (reservation, spent) => {
+    if (!budgetGuard || !reservation) return;
+    try {
+        await budgetGuard.settle(reservation, spent);
+    } catch (error) {
+        console.error('[LLM Gateway] Budget settle error:', error);
+    }
+};
+
+/**
+ * True for errors thrown because a budget is used up (callers answer from templates)
+ */
+export const isBudgetExceeded = (error) => error?.code === 'LLM_BUDGET_EXCEEDED';
+
+// Providers without usage data: ~4 characters per token
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Report one provider call; returns the tokens it used
+ */
+const emitCall = ({ step, tier, attempt, prompt, content, usage, latency_ms, status, error = null }) => {
+    const promptTokens = usage?.prompt_tokens ?? estimateTokens(prompt);
+    const completionTokens = usage?.completion_tokens ?? estimateTokens(content);
+
+    const collector = llmContext.getStore()?.usage_collector;
+    if (collector) {
+        collector.calls += 1;
+        collector.prompt_tokens += promptTokens;
+        collector.completion_tokens += completionTokens;
+        collector.total_tokens += promptTokens + completionTokens;
+    }
+
+    const event = {
+        tier,
+        provider: step.provider,
+        model: step.model,
+        attempt,
+        status,
+        error,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        tokens_estimated: !usage,
+        latency_ms,
+        ...getLLMContext(),
+        at: new Date()
+    };
+
+    callListeners.forEach(listener => {
+        Promise.resolve()
+            .then(() => listener(event))
+            .catch(listenerError => console.error('[LLM Gateway] Call listener error:', listenerError));
+    });
+
+    return promptTokens + completionTokens;
+};
+
+// ==========================================
+// ROUTING
+// ==========================================
+
+const parseRouteEntry = (entry) => {
+    const trimmed = String(entry).trim();
+    const separator = trimmed.indexOf(':');
+    if (separator === -1) return { provider: trimmed, model: null };
+    return { provider: trimmed.slice(0, separator), model: trimmed.slice(separator + 1) };
+};
+
+const splitRoute = (value) => (Array.isArray(value) ? value : String(value).split(',')).filter(e => String(e).trim());
+
+/**
+ * Resolved fallback chain for a tier: [{ provider, model }]
+ * route: explicit entries for one call (e.g. one judge per provider), else the tier route
+ * Entries without a model for the tier are dropped
+ */
+export const getRoute = (tier, route = null) => {
+    if (isMockEnabled()) {
+        return [{ provider: mockProvider.name, model: mockProvider.models[tier] }];
+    }
+
+    const envValue = process.env[`LLM_ROUTE_${tier.toUpperCase()}`];
+    const entries = (route && splitRoute(route).length > 0 ? splitRoute(route) : null)
+        || routeOverrides[tier]
+        || (envValue ? splitRoute(envValue) : DEFAULT_ROUTES[tier]);
+
+    return entries
+        .map(parseRouteEntry)
+        .map(({ provider, model }) => ({
+            provider,
+            model: model || providers[provider]?.models?.[tier] || null
+        }))
+        .filter(step => step.model);
+};
+
+/**
+ * Extract and parse the JSON object from a model answer
+ */
+const parseJsonContent = (content) => {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    return JSON.parse(jsonMatch ? jsonMatch[0] : content);
+};
+
+/**
+ * Parse, repair and validate a structured answer
+ * Returns { value } or { errors: [{ path, message }] }
+ */
+const checkStructured = (content, schema) => {
+    let parsed;
+    try {
+        parsed = parseJsonContent(content);
+    } catch (parseError) {
+        return { errors: [{ path: '(root)', message: `invalid JSON: ${parseError.message}` }] };
+    }
+
+    const repaired = repairToSchema(parsed, schema);
+    const errors = validateAgainstSchema(repaired, schema);
+    return errors.length > 0 ? { errors } : { value: repaired };
+};
+
+const buildRepairPrompt = (prompt, previousContent, errors) => `${prompt}
+
+Your previous answer did not match the required JSON schema.
+
+PREVIOUS ANSWER:
+${String(previousContent).substring(0, 4000)}
+
+PROBLEMS:
+${errors.slice(0, 20).map(e => `- ${e.path}: ${e.message}`).join('\n')}
+
+Return ONLY the corrected JSON object.`;
+
+// ==========================================
+// INVOCATION
+// ==========================================
+
+/**
+ * Fallback chain of one invocation; track(tokens) is called for every provider call
+ */
+const runChain = async ({ prompt, response_json_schema, tier, route, temperature, track }) => {
+    const repairAttempts = parseInt(process.env.LLM_SCHEMA_REPAIR_ATTEMPTS ?? '1');
+    const attempts = [];
+    let lastValidationErrors = null;
+
+    for (const step of getRoute(tier, route)) {
+        const provider = providers[step.provider];
+        if (!provider) {
+            attempts.push({ ...step, error: 'unknown provider' });
+            continue;
+        }
+        if (!provider.isConfigured()) {
+            attempts.push({ ...step, error: 'not configured' });
+            continue;
+        }
+
+        // One provider request; failures are reported here, answers once they are checked
+        const call = async (text, attempt) => {
+            const startedAt = Date.now();
+            try {
+                const answer = await provider.complete({
+                    model: step.model,
+                    prompt: text,
+                    response_json_schema,
+                    tier,
+                    ...(temperature !== null && temperature !== undefined ? { temperature } : {})
+                });
+                const { content = '', usage = null } = typeof answer === 'string' ? { content: answer } : (answer || {});
+                return { text, attempt, content, usage, latency_ms: Date.now() - startedAt };
+            } catch (error) {
+                track(emitCall({ step, tier, attempt, prompt: text, latency_ms: Date.now() - startedAt, status: 'error', error: error.message }));
+                throw error;
+            }
+        };
+
+        const report = (result, status, error = null) => track(emitCall({
+            step,
+            tier,
+            attempt: result.attempt,
+            prompt: result.text,
+            content: result.content,
+            usage: result.usage,
+            latency_ms: result.latency_ms,
+            status,
+            error
+        }));
+
+        try {
+            let result = await call(prompt, 'initial');
+            if (!result.content) {
+                report(result, 'error', 'Empty response');
+                throw new Error('Empty response');
+            }
+            if (!response_json_schema) {
+                report(result, 'success');
+                return result.content;
+            }
+
+            let checked = checkStructured(result.content, response_json_schema);
+            for (let repair = 0; checked.errors && repair < repairAttempts; repair++) {
+                report(result, 'schema_mismatch');
+                console.warn(`[LLM Gateway - ${tier}] ${step.provider}/${step.model} schema mismatch, repair prompt ${repair + 1}/${repairAttempts}`);
+                result = await call(buildRepairPrompt(prompt, result.content, checked.errors), 'repair');
+                checked = checkStructured(result.content || '', response_json_schema);
+            }
+
+            report(result, checked.errors ? 'schema_mismatch' : 'success');
+            if (!checked.errors) return checked.value;
+
+            lastValidationErrors = checked.errors;
+            attempts.push({ ...step, error: 'schema mismatch', validation_errors: checked.errors });
+            console.warn(`[LLM Gateway - ${tier}] ${step.provider}/${step.model} answer does not match schema`);
+        } catch (error) {
+            attempts.push({ ...step, error: error.message });
+            console.warn(`[LLM Gateway - ${tier}] ${step.provider}/${step.model} failed: ${error.message}`);
+        }
+    }
+
+    if (lastValidationErrors) {
+        throw new LLMSchemaError(tier, attempts, lastValidationErrors);
+    }
+    throw new LLMUnavailableError(tier, attempts);
+};
+
+/**
+ * Run a prompt through the tier's fallback chain
+ * route (optional): provider entries replacing the tier route for this call
+ * temperature (optional): sampling temperature, otherwise the provider default
+ */
+export const invokeLLM = async ({ prompt, response_json_schema = null, tier = 'mid', route = null, temperature = null }) => {
+    if (!TIERS.includes(tier)) {
+        throw new Error(`Unknown LLM tier: ${tier}`);
+    }
+
+    const budgetCheck = await reserveLLMBudget(tier, estimateTokens(prompt));
+    if (!budgetCheck.allowed) {
+        const collector = llmContext.getStore()?.usage_collector;
+        if (collector) collector.budget_exceeded = true;
+        throw new LLMBudgetExceededError(tier, budgetCheck.budget);
+    }
+
+    // Tokens of every provider call in this invocation, settled against the reservation
+    const spent = { tokens: 0, calls: 0 };
+    const track = (tokens) => {
+        spent.tokens += tokens;
+        spent.calls += 1;
+    };
+
+    try {
+        return await runChain({ prompt, response_json_schema, tier, route, temperature, track });
+    } finally {
+        // Not awaited: the reservation keeps the tokens held until the settle lands
+        settleLLMBudget(budgetCheck.reservation, spent);
+    }
+};
+
+/**
+ * Low tier - realtime nudges
+ */
+export const invokeLowLevelAI = async ({ prompt, response_json_schema = null }) => {
+    return invokeLLM({ prompt, response_json_schema, tier: 'low' });
+};
+
+/**
+ * Mid tier - hints and light analysis
+ */
+export const invokeMidLevelAI = async ({ prompt, response_json_schema = null }) => {
+    return invokeLLM({ prompt, response_json_schema, tier: 'mid' });
+};
+
+/**
+ * Agent tier - generation and evaluation
+ */
+export const invokeAgentAI = async ({ prompt, response_json_schema = null }) => {
+    return invokeLLM({ prompt, response_json_schema, tier: 'agent' });
+};
+
+export default {
+    TIERS,
+    LLMError,
+    LLMUnavailableError,
+    LLMSchemaError,
+    LLMBudgetExceededError,
+    registerProvider,
+    getProviders,
+    setRoutes,
+    getRoute,
+    runWithLLMContext,
+    getLLMContext,
+    measureLLMUsage,
+    onLLMCall,
+    setBudgetGuard,
+    reserveLLMBudget,
+    settleLLMBudget,
+    isBudgetExceeded,
+    invokeLLM,
+    invokeLowLevelAI,
+    invokeMidLevelAI,
+    invokeAgentAI
+};
@@ -0,0 +1,183 @@
+/**
+ * LLM Schema - Validation and deterministic repair of structured LLM answers
+ *
+ * Supports the JSON Schema subset used by response_json_schema in this repo:
+ * type, properties, required, items, enum, minimum, maximum,
+ * minLength, maxLength, minItems, maxItems
+ *
+ * repairToSchema fixes what can be fixed without guessing content
+ * (enum casing/aliases, numeric strings, rounding, clamping, single value → array).
+ * Missing required fields are never invented; they go back to the model
+ * through a repair prompt (llmGateway).
+ */
+
+// ==========================================
+// VALIDATION
+// ==========================================
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/**
+ * Validate a value; returns [{ path, message }] (empty when valid)
+ */
+export const validateAgainstSchema = (value, schema, path = '') => {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const label = path || '(root)';
+
+    const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        errors.push({ path: label, message: `expected ${types.join(' | ')}, got ${typeOf(value)}` });
+        return errors;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push({ path: label, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: label, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: label, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: label, message: `must have at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: label, message: `must have at most ${schema.maxLength} characters` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: label, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: label, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, joinPath(path, index)));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+            if (value[key] === undefined || value[key] === null) return;
+            errors.push(...validateAgainstSchema(value[key], child, joinPath(path, key)));
+        });
+    }
+
+    return errors;
+};
+
+// ==========================================
+// REPAIR
+// ==========================================
+
+const normalizeToken = (text) => String(text).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Map a string onto an enum value: same token, or the single value that is a
+ * prefix of it / it is a prefix of (e.g. "Technology" → "tech")
+ */
+const repairEnum = (value, options) => {
+    if (options.includes(value)) return value;
+    if (typeof value !== 'string') return value;
+
+    const token = normalizeToken(value);
+    const exact = options.find(option => normalizeToken(option) === token);
+    if (exact !== undefined) return exact;
+
+    const compact = token.replace(/_/g, '');
+    const related = options.filter(option => {
+        const candidate = normalizeToken(option).replace(/_/g, '');
+        return candidate.length >= 3 && (compact.startsWith(candidate) || candidate.startsWith(compact));
+    });
+    return related.length === 1 ? related[0] : value;
+};
+
+const clamp = (value, schema) => {
+    let result = value;
+    if (schema.minimum !== undefined) result = Math.max(schema.minimum, result);
+    if (schema.maximum !== undefined) result = Math.min(schema.maximum, result);
+    return result;
+};
+
+/**
+ * Return a repaired copy of value (input is not mutated)
+ */
+export const repairToSchema = (value, schema) => {
+    if (!schema || typeof schema !== 'object' || value === undefined || value === null) return value;
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    let result = value;
+
+    switch (type) {
+        case 'string':
+            if (typeof result === 'number' || typeof result === 'boolean') result = String(result);
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof result === 'string' && result.trim() !== '' && !isNaN(Number(result))) {
+                result = Number(result);
+            }
+            if (typeof result === 'number') {
+                if (type === 'integer') result = Math.round(result);
+                result = clamp(result, schema);
+            }
+            break;
+        case 'boolean':
+            if (result === 'true') result = true;
+            if (result === 'false') result = false;
+            break;
+        case 'array':
+            if (!Array.isArray(result)) result = [result];
+            if (schema.items) result = result.map(item => repairToSchema(item, schema.items));
+            if (schema.maxItems !== undefined) result = result.slice(0, schema.maxItems);
+            break;
+        case 'object':
+            if (typeOf(result) === 'object' && schema.properties) {
+                result = { ...result };
+                Object.entries(schema.properties).forEach(([key, child]) => {
+                    if (result[key] !== undefined) result[key] = repairToSchema(result[key], child);
+                });
+            }
+            break;
+        default:
+            break;
+    }
+
+    if (Array.isArray(schema.enum)) result = repairEnum(result, schema.enum);
+
+    return result;
+};
+
+export default {
+    validateAgainstSchema,
+    repairToSchema
+};
@@ -0,0 +1,145 @@
+/**
+ * Mail Transport Configuration - Pluggable outbound email
+ *
+ * Environment Variables:
+ * - MAIL_TRANSPORT: Transport name (default: console; required when NODE_ENV=production)
+ * - MAIL_FROM: Sender address
+ * - MAIL_OUTBOX_DIR: Output directory for the file transport
+ *
+ * Built-in transports (development only; they expose verification and reset tokens,
+ * so production refuses them and needs a registered provider - without one the
+ * verification and password reset mail flows are disabled):
+ * - console: prints the message to stdout (local development)
+ * - file: writes each message as JSON into MAIL_OUTBOX_DIR (local development, tests)
+ *
+ * A transport is any object with: async send({ from, to, subject, text }) => { id }
+ * Register real providers (SMTP, SES, ...) with registerTransport()
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_FROM = 'NovaX Arena <no-reply@novax.local>';
+
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+const mailError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// ==========================================
+// BUILT-IN TRANSPORTS
+// ==========================================
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        const id = crypto.randomUUID();
+        console.log(`[Mail] ${id} to=${message.to} subject="${message.subject}"\n${message.text}`);
+        return { id };
+    }
+});
+
+const createFileTransport = () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.resolve(process.cwd(), 'mail-outbox');
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            const id = crypto.randomUUID();
+            await fs.mkdir(outboxDir, { recursive: true });
+            const file = path.join(outboxDir, `${Date.now()}-${id}.json`);
+            await fs.writeFile(file, JSON.stringify({ id, ...message, sent_at: new Date() }, null, 2));
+            return { id, file };
+        }
+    };
+};
+
+const transportFactories = {
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+let activeTransport = null;
+
+// ==========================================
+// TRANSPORT SELECTION
+// ==========================================
+
+/**
+ * Register a transport factory under a name selectable via MAIL_TRANSPORT
+ */
+export const registerTransport = (name, factory) => {
+    transportFactories[name] = factory;
+};
+
+/**
+ * Override the active transport directly (e.g. an in-memory one in tests)
+ */
+export const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+/**
+ * Get the active transport, creating it from MAIL_TRANSPORT on first use
+ * Throws in production when MAIL_TRANSPORT is missing, unknown or a development transport
+ */
+export const getTransport = () => {
+    if (activeTransport) return activeTransport;
+
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (process.env.NODE_ENV === 'production' && (!factory || DEVELOPMENT_TRANSPORTS.includes(name))) {
+        throw mailError(
+            `MAIL_TRANSPORT must name a registered transport in production (console and file are development only); got "${process.env.MAIL_TRANSPORT || ''}"`,
+            'MAIL_NOT_CONFIGURED'
+        );
+    }
+    if (!factory) {
+        console.warn(`[Mail] Unknown MAIL_TRANSPORT "${name}", falling back to console`);
+        activeTransport = createConsoleTransport();
+    } else {
+        activeTransport = factory();
+    }
+    return activeTransport;
+};
+
+/**
+ * Whether mail can be sent; false in production without a registered transport
+ */
+export const isMailConfigured = () => {
+    try {
+        getTransport();
+        return true;
+    } catch (error) {
+        if (error.code === 'MAIL_NOT_CONFIGURED') return false;
+        throw error;
+    }
+};
+
+/**
+ * Send a message through the active transport
+ */
+export const sendMail = async ({ to, subject, text }) => {
+    const transport = getTransport();
+    return transport.send({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text
+    });
+};
+
+export default {
+    registerTransport,
+    setTransport,
+    getTransport,
+    isMailConfigured,
+    sendMail
+};
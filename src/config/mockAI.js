@@ -0,0 +1,173 @@
+/**
+ * Mock AI Configuration - Deterministic offline provider for llmGateway
+ *
+ * Environment Variables:
+ * - LLM_MOCK: "true" routes every tier to this provider (no network calls)
+ * - LLM_MOCK_SEED: Seed mixed into every answer (default: novax)
+ *
+ * The same seed, tier, prompt and schema always give the same answer:
+ * - With response_json_schema: a JSON object built from the schema
+ *   (required fields, enums, minimum/maximum, array items)
+ * - Without: one short mentor-style sentence
+ *
+ * It can also be listed in LLM_ROUTE_* like any other provider ("mock").
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MODEL_IDS = {
+    LOW: 'mock-low',
+    MID: 'mock-mid',
+    AGENT: 'mock-agent'
+};
+
+const ARCHETYPES = ['risk_taker', 'analyst', 'builder', 'strategist'];
+const ICONS = ['🔥', '🛡️', '🤝', '🧭', '⚙️', '📊'];
+
+const SENTENCES = [
+    'What is the one constraint you cannot ignore here?',
+    'Which option would you defend if it failed tomorrow?',
+    'Name the trade-off you are making and who pays for it.',
+    'What would change your decision in the next hour?',
+    'Keep going. Commit to one concrete next step.',
+    'You are describing, not deciding. Pick one path.'
+];
+
+const WORDS = [
+    'budget', 'deadline', 'supplier', 'team', 'customer', 'launch',
+    'risk', 'pricing', 'inventory', 'partner', 'quality', 'cashflow'
+];
+
+// Ranges for schema fields without minimum/maximum, matched on the field name
+const NUMBER_HINTS = [
+    { match: /difficulty/, min: 1, max: 10 },
+    { match: /^xp_/, min: 0, max: 20 },
+    { match: /minutes/, min: 5, max: 30 },
+    { match: /score/, min: 0.5, max: 1.5, decimals: 1 }
+];
+
+// ==========================================
+// SEEDED RANDOM
+// ==========================================
+
+/**
+ * mulberry32 PRNG seeded from a SHA-256 of the inputs
+ */
+const createRandom = (...parts) => {
+    const digest = crypto.createHash('sha256').update(parts.join('\u0000')).digest();
+    let state = digest.readUInt32LE(0);
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (list) => list[Math.floor(next() * list.length)],
+        hex: digest.toString('hex').slice(0, 8)
+    };
+};
+
+// ==========================================
+// SCHEMA-DRIVEN GENERATION
+// ==========================================
+
+const generateString = (name, random) => {
+    if (name === 'problem_id') return `PROB-MOCK-${random.hex}`;
+    if (name === 'id') return `mock-${random.int(1000, 9999)}`;
+    if (name === 'icon') return random.pick(ICONS);
+    if (name.includes('archetype')) return random.pick(ARCHETYPES);
+    if (name === 'domain') return 'business';
+    if (name.includes('question')) return random.pick(SENTENCES.filter(s => s.endsWith('?')));
+    if (name === 'title') return `Mock ${random.pick(WORDS)} decision`;
+    return `Mock ${name || 'text'}: ${random.pick(WORDS)} vs ${random.pick(WORDS)}. ${random.pick(SENTENCES)}`;
+};
+
+const generateNumber = (name, schema, random) => {
+    const hint = NUMBER_HINTS.find(h => h.match.test(name)) || { min: 0, max: 10 };
+    const min = schema.minimum ?? hint.min;
+    const max = schema.maximum ?? hint.max;
+
+    if (schema.type === 'integer') return random.int(Math.ceil(min), Math.floor(max));
+
+    const factor = 10 ** (hint.decimals ?? 2);
+    return Math.round((min + random.next() * (max - min)) * factor) / factor;
+};
+
+/**
+ * Build a value that satisfies a JSON schema node
+ */
+export const generateFromSchema = (schema, random, name = '') => {
+    if (!schema || typeof schema !== 'object') return null;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return random.pick(schema.enum);
+
+    switch (schema.type) {
+        case 'object': {
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([key, child]) => {
+                result[key] = generateFromSchema(child, random, key);
+            });
+            return result;
+        }
+        case 'array': {
+            const minItems = schema.minItems ?? 2;
+            const maxItems = Math.max(minItems, schema.maxItems ?? 3);
+            const count = random.int(minItems, maxItems);
+            return Array.from({ length: count }, () => generateFromSchema(schema.items || { type: 'string' }, random, name));
+        }
+        case 'integer':
+        case 'number':
+            return generateNumber(name, schema, random);
+        case 'boolean':
+            return random.next() >= 0.5;
+        case 'string':
+        default:
+            return generateString(name, random);
+    }
+};
+
+// ==========================================
+// PROVIDER (used by llmGateway)
+// ==========================================
+
+/**
+ * Same { content, usage } shape as the remote providers; JSON answers are serialized
+ * No usage is reported, so the gateway estimates tokens from text length
+ */
+const complete = async ({ model, prompt, response_json_schema: jsonSchema = null, tier = 'UNKNOWN' }) => {
+    const seed = process.env.LLM_MOCK_SEED || 'novax';
+    const random = createRandom(seed, tier, prompt, jsonSchema ? JSON.stringify(jsonSchema) : '');
+
+    const content = jsonSchema
+        ? JSON.stringify(generateFromSchema(jsonSchema, random))
+        : random.pick(SENTENCES);
+
+    return { content, usage: null };
+};
+
+export const isMockEnabled = () => process.env.LLM_MOCK === 'true';
+
+export const provider = {
+    name: 'mock',
+    models: {
+        low: MODEL_IDS.LOW,
+        mid: MODEL_IDS.MID,
+        agent: MODEL_IDS.AGENT
+    },
+    isConfigured: () => true,
+    complete
+};
+
+export default {
+    provider,
+    isMockEnabled,
+    generateFromSchema,
+    MODEL_IDS
+};
@@ -1,31 +1,100 @@
 /**
- * @deprecated This file is deprecated. Use ../config/awsBedrock.js instead.
- * 
- * This file previously used OpenRouter API for AI operations.
- * The system has been migrated to AWS Bedrock with 3-tier AI:
- * - Low: Mistral 7B (realtime)
- * - Mid: Claude 3 Haiku (analysis)
- * - Agent: Claude 3.5 Sonnet (generation)
- * 
- * Import from awsBedrock.js instead:
- * import { invokeLowLevelAI, invokeMidLevelAI, invokeAgentAI } from '../config/awsBedrock.js';
+ * OpenAI-compatible Configuration - Chat Completions over OPENAI_BASE_URL
+ *
+ * Environment Variables:
+ * - OPENAI_API_KEY: API key (CometAPI or any OpenAI-compatible endpoint)
+ * - OPENAI_BASE_URL: Endpoint base URL (default: https://api.cometapi.com/v1)
+ * - OPENAI_MODEL_LOW / OPENAI_MODEL_MID / OPENAI_MODEL_AGENT: Model per tier
+ *
+ * Last fallback in the default llmGateway routes.
  */
 
+import OpenAI from 'openai';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-console.warn('⚠️  [DEPRECATED] openai.js is deprecated. Please migrate to awsBedrock.js');
+const MODEL_IDS = {
+  LOW: process.env.OPENAI_MODEL_LOW || 'gpt-4o-mini',
+  MID: process.env.OPENAI_MODEL_MID || 'gpt-4o-mini',
+  AGENT: process.env.OPENAI_MODEL_AGENT || 'gpt-4o'
+};
+
+let client = null;
+
+const getClient = () => {
+  if (!process.env.OPENAI_API_KEY) return null;
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || 'https://api.cometapi.com/v1'
+    });
+  }
+  return client;
+};
+
+/**
+ * Complete a prompt; returns { content, usage }, throws on failure
+ */
+const complete = async ({ model: modelId, prompt, response_json_schema: jsonSchema = null, tier = 'UNKNOWN', temperature = 0.7 }) => {
+  const openai = getClient();
+  if (!openai) {
+    throw new Error('OpenAI not configured. Check OPENAI_API_KEY environment variable.');
+  }
+
+  let systemMessage = 'You are a helpful AI assistant.';
+  if (jsonSchema) {
+    systemMessage += ' You MUST respond with valid JSON matching this schema: ' + JSON.stringify(jsonSchema);
+  }
+
+  const request = {
+    model: modelId,
+    messages: [
+      { role: 'system', content: systemMessage },
+      { role: 'user', content: prompt }
+    ],
+    max_tokens: 2000,
+    temperature
+  };
+
+  if (jsonSchema) {
+    request.response_format = { type: 'json_object' };
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const data = await openai.chat.completions.create(request);
+    const elapsed = Date.now() - startTime;
+    console.log(`[OpenAI - ${tier}] Model: ${modelId}, Time: ${elapsed}ms`);
+
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      usage: data.usage || null
+    };
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error(`[OpenAI - ${tier}] Error after ${elapsed}ms:`, error.message);
+    throw error;
+  }
+};
 
-// Legacy exports for backward compatibility
-export const invokeLLM = async ({ prompt, response_json_schema = null, model = null }) => {
-  console.warn('⚠️  [DEPRECATED] invokeLLM from openai.js is deprecated. Use awsBedrock.js functions.');
+// ==========================================
+// PROVIDER (used by llmGateway)
+// ==========================================
 
-  // Forward to AWS Bedrock
-  const { invokeAgentAI } = await import('./awsBedrock.js');
-  return invokeAgentAI({ prompt, response_json_schema });
+export const provider = {
+  name: 'openai',
+  models: {
+    low: MODEL_IDS.LOW,
+    mid: MODEL_IDS.MID,
+    agent: MODEL_IDS.AGENT
+  },
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+  complete
 };
 
 export default {
-  invokeLLM
+  provider,
+  MODEL_IDS
 };
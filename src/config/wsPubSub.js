@@ -0,0 +1,94 @@
+/**
+ * WebSocket Pub/Sub Configuration - Cross-instance fan-out for /ws/arena
+ *
+ * Environment Variables:
+ * - WS_PUBSUB_ADAPTER: Adapter name (default: memory)
+ *
+ * An adapter is any object with:
+ * - async publish(channel, message)
+ * - async subscribe(channel, handler)   handler(message)
+ * - async close()
+ *
+ * The built-in memory adapter only reaches the current process (single instance).
+ * Register a broker-backed adapter (Redis, NATS, ...) with registerAdapter() to
+ * reach sockets connected to other instances.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Identifies this process so it can skip its own published messages
+export const INSTANCE_ID = crypto.randomUUID();
+
+// ==========================================
+// BUILT-IN ADAPTERS
+// ==========================================
+
+const createMemoryAdapter = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    return {
+        name: 'memory',
+        publish: async (channel, message) => {
+            emitter.emit(channel, message);
+        },
+        subscribe: async (channel, handler) => {
+            emitter.on(channel, handler);
+        },
+        close: async () => {
+            emitter.removeAllListeners();
+        }
+    };
+};
+
+const adapterFactories = {
+    memory: createMemoryAdapter
+};
+
+let activeAdapter = null;
+
+// ==========================================
+// ADAPTER SELECTION
+// ==========================================
+
+/**
+ * Register an adapter factory under a name selectable via WS_PUBSUB_ADAPTER
+ */
+export const registerAdapter = (name, factory) => {
+    adapterFactories[name] = factory;
+};
+
+/**
+ * Override the active adapter directly
+ */
+export const setAdapter = (adapter) => {
+    activeAdapter = adapter;
+};
+
+/**
+ * Get the active adapter, creating it from WS_PUBSUB_ADAPTER on first use
+ */
+export const getAdapter = () => {
+    if (activeAdapter) return activeAdapter;
+
+    const name = process.env.WS_PUBSUB_ADAPTER || 'memory';
+    const factory = adapterFactories[name];
+    if (!factory) {
+        console.warn(`[WS PubSub] Unknown WS_PUBSUB_ADAPTER "${name}", falling back to memory`);
+        activeAdapter = createMemoryAdapter();
+    } else {
+        activeAdapter = factory();
+    }
+    return activeAdapter;
+};
+
+export default {
+    INSTANCE_ID,
+    registerAdapter,
+    setAdapter,
+    getAdapter
+};
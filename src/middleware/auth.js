@@ -0,0 +1,202 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import ArenaSession from '../models/ArenaSession.js';
+import SessionMemory from '../models/SessionMemory.js';
+import { JWT_SECRET, isSessionActive } from '../services/authSessionService.js';
+
+/**
+ * Auth Middleware - Resolves the caller from the Bearer token
+ *
+ * - authenticate: verifies the JWT and attaches req.user (resolveAccessToken does the work)
+ * - bindUserId: body/query user_id must match the token subject
+ * - requireOwnUserParam: router.param guard for :user_id
+ * - requireSessionOwner: arena/onboarding session must belong to caller
+ * - requireRole: caller must hold one of the given roles
+ */
+
+// ==========================================
+// TOKEN VERIFICATION
+// ==========================================
+
+/**
+ * Resolve an access token to the caller
+ * Returns { user, expires_at } or { status, error } - shared by HTTP and the WebSocket upgrade
+ */
+export const resolveAccessToken = async (token) => {
+    if (!token) {
+        return { status: 401, error: 'No token provided' };
+    }
+
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+
+        // Access tokens are bound to a revocable auth session
+        if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+            return { status: 401, error: 'Session revoked' };
+        }
+
+        const user = await User.findById(decoded.userId).select('-password');
+        if (!user) {
+            return { status: 401, error: 'User not found' };
+        }
+
+        return {
+            user: {
+                id: user._id.toString(),
+                email: user.email,
+                name: user.name,
+                role: user.role || 'user',
+                email_verified: !!user.email_verified,
+                session_id: decoded.sid
+            },
+            expires_at: decoded.exp ? new Date(decoded.exp * 1000) : null
+        };
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError') {
+            return { status: 401, error: 'Invalid token' };
+        }
+        if (error.name === 'TokenExpiredError') {
+            return { status: 401, error: 'Token expired' };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Verify Bearer token and attach the caller to req.user
+ * Responds 401 when the token is missing, invalid, expired or its session was revoked
+ */
+export const authenticate = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+        const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+
+        const result = await resolveAccessToken(token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        req.user = result.user;
+        next();
+    } catch (error) {
+        console.error('Authenticate error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+// ==========================================
+// USER BINDING
+// ==========================================
+
+/**
+ * Bind user_id in body/query to the token subject
+ * A foreign user_id is rejected; a missing body user_id is filled in
+ */
+export const bindUserId = (req, res, next) => {
+    const callerId = req.user.id;
+
+    if (req.query?.user_id !== undefined && String(req.query.user_id) !== callerId) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (req.body && typeof req.body === 'object') {
+        if (req.body.user_id !== undefined && req.body.user_id !== null &&
+            String(req.body.user_id) !== callerId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        if (req.method !== 'GET') {
+            req.body.user_id = callerId;
+        }
+    }
+
+    next();
+};
+
+/**
+ * router.param handler for :user_id
+ * Usage: router.param('user_id', requireOwnUserParam)
+ */
+export const requireOwnUserParam = (req, res, next, userId) => {
+    if (String(userId) !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+};
+
+// ==========================================
+// ROLE-BASED ACCESS
+// ==========================================
+
+/**
+ * Require the caller to hold one of the given roles
+ * Usage: router.use(requireRole('moderator', 'admin'))
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'No token provided' });
+    }
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Insufficient role', required: roles });
+    }
+    next();
+};
+
+// ==========================================
+// SESSION OWNERSHIP
+// ==========================================
+
+/**
+ * Find the owner of an arena or onboarding session
+ * Arena sessions use the ArenaSession _id, onboarding sessions live only in SessionMemory
+ */
+export const findSessionOwner = async (sessionId) => {
+    if (mongoose.Types.ObjectId.isValid(sessionId)) {
+        const session = await ArenaSession.findById(sessionId).select('user_id').lean();
+        if (session) return { found: true, user_id: session.user_id };
+    }
+
+    const memory = await SessionMemory.findOne({ session_id: sessionId })
+        .select('user_profile_snapshot.user_id').lean();
+    if (memory) {
+        return { found: true, user_id: memory.user_profile_snapshot?.user_id || null };
+    }
+
+    return { found: false, user_id: null };
+};
+
+/**
+ * Require the session in params/body to belong to the caller
+ * Responds 404 for unknown sessions and 403 for foreign ones
+ */
+export const requireSessionOwner = async (req, res, next) => {
+    try {
+        const sessionId = req.params.session_id || req.body?.session_id;
+        if (!sessionId) {
+            return res.status(400).json({ error: 'Session ID required' });
+        }
+
+        const owner = await findSessionOwner(String(sessionId));
+        if (!owner.found) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (owner.user_id !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Session ownership check error:', error);
+        res.status(500).json({ error: 'Failed to verify session ownership' });
+    }
+};
+
+export default {
+    resolveAccessToken,
+    authenticate,
+    bindUserId,
+    requireOwnUserParam,
+    requireRole,
+    findSessionOwner,
+    requireSessionOwner
+};
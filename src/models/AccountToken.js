@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+/**
+ * AccountToken - One-time token for email verification and password reset
+ *
+ * - Only a SHA-256 hash of the token is stored
+ * - Single use: used_at is set when the token is consumed
+ * - Expires automatically after expires_at
+ */
+const accountTokenSchema = new mongoose.Schema({
+    user_id: {
+        type: String,
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: ['email_verification', 'password_reset'],
+        required: true
+    },
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    used_at: {
+        type: Date
+    },
+    expires_at: {
+        type: Date,
+        required: true,
+        index: { expireAfterSeconds: 0 }
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+accountTokenSchema.index({ user_id: 1, purpose: 1, used_at: 1 });
+
+export default mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+/**
+ * AdminAccessLog - Immutable record of admin/moderator data access
+ *
+ * SPEC #8: Rule Enforcement Priority
+ * - Every /api/admin request is logged with the acting user
+ * - target_user_id records whose data was viewed (if any)
+ * - change records what a write request changed (e.g. a role: { field, from, to })
+ * - No updates or deletes allowed
+ */
+const adminAccessLogSchema = new mongoose.Schema({
+    admin_id: {
+        type: String,
+        required: true,
+        index: true
+    },
+    admin_role: {
+        type: String,
+        enum: ['moderator', 'admin'],
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    target_user_id: {
+        type: String,
+        index: true
+    },
+    query: {
+        type: Object
+    },
+    status_code: {
+        type: Number
+    },
+    // The connection closed before the response was sent
+    aborted: {
+        type: Boolean
+    },
+    change: {
+        field: { type: String },
+        from: { type: String },
+        to: { type: String }
+    },
+    ip: {
+        type: String
+    },
+    created_at: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    timestamps: false
+});
+
+// CRITICAL: Prevent any updates
+adminAccessLogSchema.pre('findOneAndUpdate', function () {
+    throw new Error('Admin access logs are immutable - updates not allowed');
+});
+
+adminAccessLogSchema.pre('updateOne', function () {
+    throw new Error('Admin access logs are immutable - updates not allowed');
+});
+
+adminAccessLogSchema.pre('updateMany', function () {
+    throw new Error('Admin access logs are immutable - updates not allowed');
+});
+
+// CRITICAL: Prevent deletes
+adminAccessLogSchema.pre('findOneAndDelete', function () {
+    throw new Error('Admin access logs are immutable - deletes not allowed');
+});
+
+adminAccessLogSchema.pre('deleteOne', function () {
+    throw new Error('Admin access logs are immutable - deletes not allowed');
+});
+
+adminAccessLogSchema.pre('deleteMany', function () {
+    throw new Error('Admin access logs are immutable - deletes not allowed');
+});
+
+adminAccessLogSchema.index({ target_user_id: 1, created_at: -1 });
+adminAccessLogSchema.index({ created_at: -1 });
+
+export default mongoose.model('AdminAccessLog', adminAccessLogSchema);
@@ -59,9 +59,32 @@ const arenaSessionSchema = new mongoose.Schema({
   time_spent_seconds: {
     type: Number,
     default: 0
-  }
+  },
+  // Full evaluation, replayed to submit retries
+  evaluation_result: {
+    type: Object
+  },
+  // Level progression applied by this submit (level_changes, aggregate level, micro offset)
+  progression: {
+    type: Object
+  },
+  // Idempotency-Key of the submit that evaluated this session
+  idempotency_key: {
+    type: String
+  },
+  // Judge panel disagreement (judgePanelService): xp_disagreement, quality_disagreement, level_up_split, judge_quorum;
+  // low_confidence when no rubric judge answered. Flagged sessions also enter the review queue (ReviewItem)
+  needs_review: {
+    type: Boolean,
+    default: false
+  },
+  review_reasons: [{
+    type: String
+  }]
 }, {
   timestamps: true
 });
 
+arenaSessionSchema.index({ needs_review: 1, submitted_at: -1 });
+
 export default mongoose.model('ArenaSession', arenaSessionSchema);
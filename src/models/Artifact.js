@@ -69,9 +69,13 @@ const artifactSchema = new mongoose.Schema({
   },
   event_source: {
     type: String,
-    enum: ['arena_completion', 'level_up', 'achievement'],
+    enum: ['arena_completion', 'level_up', 'achievement', 'review_correction'],
     default: 'arena_completion'
   },
+  // ReviewItem that produced this version (event_source 'review_correction')
+  review_id: {
+    type: String
+  },
   // XP at the time of artifact creation (snapshot)
   xp_snapshot: {
     risk_taker: { type: Number, default: 0 },
@@ -132,15 +136,17 @@ artifactSchema.pre('deleteMany', function (next) {
 /**
  * Create a new version of an artifact (append-only update)
  * Instead of updating, we create a new artifact and link them
+ * Pass options.session to version inside the caller's transaction
  */
-artifactSchema.statics.createNewVersion = async function (originalId, updates) {
-  const original = await this.findById(originalId);
+artifactSchema.statics.createNewVersion = async function (originalId, updates, options = {}) {
+  const session = options.session || null;
+  const original = await this.findById(originalId).session(session);
   if (!original) {
     throw new Error('Original artifact not found');
   }
 
   // Create new artifact with updated data
-  const newArtifact = await this.create({
+  const [newArtifact] = await this.create([{
     ...original.toObject(),
     _id: new mongoose.Types.ObjectId(),
     version: original.version + 1,
@@ -148,12 +154,13 @@ artifactSchema.statics.createNewVersion = async function (originalId, updates) {
     createdAt: new Date(),
     updatedAt: new Date(),
     ...updates
-  });
+  }], { session });
 
   // Mark original as superseded (bypass middleware for this specific case)
   await this.collection.updateOne(
     { _id: original._id },
-    { $set: { superseded_by: newArtifact._id.toString() } }
+    { $set: { superseded_by: newArtifact._id.toString() } },
+    { session: session || undefined }
   );
 
   return newArtifact;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuthSession - Server-side login session backing a rotating refresh token
+ *
+ * - One document per device login
+ * - Only SHA-256 hashes are stored: the current refresh token and the ones rotated out,
+ *   so a replayed old token can be told from a forged one
+ * - Revoked sessions reject both refresh and access tokens
+ * - Expires automatically once the refresh window has passed
+ */
+const authSessionSchema = new mongoose.Schema({
+    user_id: {
+        type: String,
+        required: true,
+        index: true
+    },
+    refresh_token_hash: {
+        type: String,
+        required: true
+    },
+    // Hashes of rotated-out refresh tokens (most recent last, capped)
+    previous_token_hashes: {
+        type: [String],
+        default: []
+    },
+    // Device the session came from (see identityService.recordDeviceFingerprint)
+    device_fingerprint: {
+        type: String
+    },
+    device_info: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    last_used_at: {
+        type: Date,
+        default: Date.now
+    },
+    rotation_count: {
+        type: Number,
+        default: 0
+    },
+    revoked_at: {
+        type: Date
+    },
+    revoked_reason: {
+        type: String,
+        enum: ['logout', 'user_revoked', 'token_reuse', 'password_reset']
+    },
+    expires_at: {
+        type: Date,
+        required: true,
+        index: { expireAfterSeconds: 0 }
+    }
+}, {
+    timestamps: true
+});
+
+authSessionSchema.index({ user_id: 1, revoked_at: 1 });
+
+authSessionSchema.methods.isActive = function () {
+    return !this.revoked_at && this.expires_at > new Date();
+};
+
+export default mongoose.model('AuthSession', authSessionSchema);
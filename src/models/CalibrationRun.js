@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+/**
+ * CalibrationRun - One replay of the golden solutions (calibrationService)
+ *
+ * summary / by_level / by_criterion hold agreement with the goldens' expectations;
+ * drift compares them with the previous completed run of the same mode.
+ */
+const calibrationRunSchema = new mongoose.Schema({
+    run_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // mock: every judge on the mock provider; live: the configured routes
+    mode: {
+        type: String,
+        enum: ['mock', 'live'],
+        required: true
+    },
+    // running until the report is stored (runs started from the admin API are background jobs)
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    triggered_by: {
+        type: String,
+        default: null
+    },
+    // { prompt_id: version } of the evaluation and rubric prompts used
+    prompt_versions: {
+        type: Object,
+        default: {}
+    },
+    judges: {
+        type: Number,
+        default: 1
+    },
+    aggregation: {
+        type: String
+    },
+    summary: {
+        type: Object,
+        default: {}
+    },
+    by_level: {
+        type: Object,
+        default: {}
+    },
+    by_criterion: {
+        type: Object,
+        default: {}
+    },
+    // { compared_to, alerts: [...] }
+    drift: {
+        type: Object,
+        default: {}
+    },
+    // Per golden: actual metrics, range checks, criterion checks
+    results: [{
+        type: Object
+    }],
+    started_at: {
+        type: Date,
+        default: Date.now
+    },
+    finished_at: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+calibrationRunSchema.index({ mode: 1, started_at: -1 });
+
+export default mongoose.model('CalibrationRun', calibrationRunSchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+/**
+ * GoldenSolution - Reference solution with the grading it should get
+ *
+ * SPEC #2: Pressure Invariance (Anti-Drift)
+ * - Replayed through the evaluator by calibrationService
+ * - Expected score ranges and rubric outcomes are fixed per golden, so a prompt
+ *   or model change that moves grading shows up as drift
+ * - Goldens are not edited: deactivate one and add a new golden_id instead,
+ *   so earlier calibration runs stay comparable
+ */
+const goldenSolutionSchema = new mongoose.Schema({
+    golden_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // DifficultyBaseline level the solution is graded at (= problem difficulty)
+    level: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 10
+    },
+    problem: {
+        title: { type: String, required: true },
+        context: { type: String, default: '' },
+        objective: { type: String, required: true },
+        constraints: [{ type: String }],
+        level_up_criteria: [{ type: String }],
+        role_label: { type: String, default: 'decision_maker' }
+    },
+    solution: {
+        type: String,
+        required: true
+    },
+    language: {
+        type: String,
+        enum: ['en', 'id'],
+        default: 'id'
+    },
+    time_elapsed_seconds: {
+        type: Number,
+        default: 600
+    },
+    // Inclusive ranges; metrics come from the evaluation and the rubric measurements
+    expected_ranges: [{
+        metric: {
+            type: String,
+            enum: [
+                'xp_total', 'xp_risk_taker', 'xp_analyst', 'xp_builder', 'xp_strategist',
+                'quality_score', 'response_quality', 'decision_depth', 'tradeoff_count'
+            ],
+            required: true
+        },
+        min: { type: Number, required: true },
+        max: { type: Number, required: true },
+        _id: false
+    }],
+    // Expected rubric outcome per criterion (rubricService.RUBRIC_CRITERIA)
+    expected_criteria: [{
+        criterion: {
+            type: String,
+            enum: [
+                'min_word_count', 'response_quality', 'decision_depth', 'tradeoff_consideration',
+                'tradeoff_analysis', 'risk_assessment', 'multi_perspective'
+            ],
+            required: true
+        },
+        passed: { type: Boolean, required: true },
+        _id: false
+    }],
+    // null = level-up is not checked
+    expected_level_up: {
+        type: Boolean,
+        default: null
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    created_by: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+goldenSolutionSchema.index({ is_active: 1, level: 1 });
+
+export default mongoose.model('GoldenSolution', goldenSolutionSchema);
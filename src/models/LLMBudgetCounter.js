@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * LLMBudgetCounter - Tokens spent per budget scope and UTC day
+ *
+ * key: "user:<user_id>:<day>", "tier:<tier>:<day>" or "calibration:all:<day>"
+ * reserved holds the tokens of gateway calls still running; a call reserves
+ * against the limit before it starts and settles into tokens when it ends
+ * (llmBudgetService). Counters expire two days after their day.
+ */
+const llmBudgetCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scope: {
+        type: String,
+        enum: ['user', 'tier', 'calibration'],
+        required: true
+    },
+    // user_id, tier name, or 'all' for calibration
+    subject: {
+        type: String,
+        required: true
+    },
+    // YYYY-MM-DD (UTC)
+    day: {
+        type: String,
+        required: true
+    },
+    tokens: { type: Number, default: 0 },
+    reserved: { type: Number, default: 0 },
+    calls: { type: Number, default: 0 },
+    expires_at: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: false
+});
+
+llmBudgetCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+llmBudgetCounterSchema.index({ scope: 1, day: 1, tokens: -1 });
+
+export default mongoose.model('LLMBudgetCounter', llmBudgetCounterSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+/**
+ * LLMUsage - One record per LLM provider call made through llmGateway
+ *
+ * Includes failed calls and schema repair prompts: they consume quota too.
+ * Tokens come from the provider when reported, otherwise they are estimated
+ * (tokens_estimated). cost_usd uses the pricing table in llmUsageService.
+ *
+ * Records expire after LLM_USAGE_RETENTION_DAYS (default 90).
+ */
+const RETENTION_DAYS = parseInt(process.env.LLM_USAGE_RETENTION_DAYS || '90');
+
+const llmUsageSchema = new mongoose.Schema({
+    user_id: {
+        type: String,
+        default: null
+    },
+    session_id: {
+        type: String,
+        default: null
+    },
+    // Entry point, e.g. "POST /api/arena/submit" or "ws:keystroke"
+    flow: {
+        type: String,
+        default: null
+    },
+    // Registry prompt that produced the call (null for ad-hoc prompts)
+    prompt_id: {
+        type: String,
+        default: null
+    },
+    prompt_version: {
+        type: Number,
+        default: null
+    },
+    prompt_language: {
+        type: String,
+        default: null
+    },
+    tier: {
+        type: String,
+        enum: ['low', 'mid', 'agent'],
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    model: {
+        type: String,
+        required: true
+    },
+    attempt: {
+        type: String,
+        enum: ['initial', 'repair'],
+        default: 'initial'
+    },
+    status: {
+        type: String,
+        enum: ['success', 'error', 'schema_mismatch'],
+        required: true
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    prompt_tokens: { type: Number, default: 0 },
+    completion_tokens: { type: Number, default: 0 },
+    total_tokens: { type: Number, default: 0 },
+    tokens_estimated: { type: Boolean, default: false },
+    latency_ms: { type: Number, default: 0 },
+    cost_usd: { type: Number, default: 0 },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false
+});
+
+llmUsageSchema.index({ created_at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+llmUsageSchema.index({ user_id: 1, created_at: -1 });
+llmUsageSchema.index({ session_id: 1, created_at: -1 });
+llmUsageSchema.index({ flow: 1, created_at: -1 });
+llmUsageSchema.index({ prompt_id: 1, prompt_version: 1, created_at: -1 });
+
+export default mongoose.model('LLMUsage', llmUsageSchema);
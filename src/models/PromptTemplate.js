@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * PromptTemplate - Prompt versions created at runtime (admin API)
+ *
+ * Version 1 of every prompt ships with the code (src/prompts). Stored versions
+ * replace the template text only; variables, tier and output_schema stay those
+ * of the built-in definition. At most one stored version per prompt is active;
+ * with none active the built-in version is used.
+ */
+const promptTemplateSchema = new mongoose.Schema({
+    prompt_id: {
+        type: String,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    templates: {
+        en: { type: String, default: null },
+        id: { type: String, default: null }
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    is_active: {
+        type: Boolean,
+        default: false
+    },
+    created_by: {
+        type: String,
+        default: null
+    },
+    activated_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+promptTemplateSchema.index({ prompt_id: 1, version: 1 }, { unique: true });
+promptTemplateSchema.index({ is_active: 1 });
+// At most one active stored version per prompt
+promptTemplateSchema.index(
+    { prompt_id: 1 },
+    { unique: true, partialFilterExpression: { is_active: true }, name: 'prompt_id_active_unique' }
+);
+
+export default mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+/**
+ * ReviewItem - One arena session waiting for (or given) a human review
+ *
+ * SPEC #4: Irreversibility Formal
+ * - The session, its audit entry and its artifact are never edited; a correction
+ *   is a compensating XPAuditLog entry and a new Artifact version (reviewQueueService)
+ * - At most one open item per session; new reasons are added to it
+ */
+const reviewItemSchema = new mongoose.Schema({
+    review_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // ArenaSession _id
+    session_id: {
+        type: String,
+        required: true
+    },
+    user_id: {
+        type: String,
+        required: true,
+        index: true
+    },
+    problem_id: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['open', 'resolved'],
+        default: 'open'
+    },
+    // appeal: opened by the user; auto: evaluator disagreement, low confidence or exploit flag
+    source: {
+        type: String,
+        enum: ['appeal', 'auto'],
+        required: true
+    },
+    // xp_disagreement, quality_disagreement, level_up_split, judge_quorum, low_confidence, exploit_flag, user_appeal
+    reasons: [{
+        type: String
+    }],
+    appeal: {
+        message: { type: String, maxLength: 2000 },
+        submitted_at: { type: Date }
+    },
+    exploit_details: [{
+        type: String
+    }],
+    // Outcome under review, copied from the session when the item was opened
+    original: {
+        xp_earned: Number,
+        xp_breakdown: {
+            risk_taker: Number,
+            analyst: Number,
+            builder: Number,
+            strategist: Number
+        },
+        level_up_achieved: Boolean,
+        criteria_met: [{ type: String }],
+        problem_difficulty: Number
+    },
+    // XP correction waiting for approval: REVIEW_CORRECTION_APPROVALS admins other than the proposer
+    proposal: {
+        note: String,
+        proposed_by: String,
+        proposed_role: String,
+        proposed_at: Date,
+        level_up_achieved: Boolean,
+        xp_breakdown: {
+            risk_taker: Number,
+            analyst: Number,
+            builder: Number,
+            strategist: Number
+        },
+        approvals: {
+            type: [{
+                approver_id: String,
+                role: String,
+                note: String,
+                approved_at: Date,
+                _id: false
+            }],
+            default: undefined
+        }
+    },
+    // Proposals an approver turned down, with who and why
+    rejected_proposals: [{
+        type: Object
+    }],
+    resolution: {
+        outcome: {
+            type: String,
+            enum: ['upheld', 'corrected']
+        },
+        note: String,
+        resolved_by: String,
+        resolved_role: String,
+        resolved_at: Date,
+        level_up_achieved: Boolean,
+        xp_breakdown: {
+            risk_taker: Number,
+            analyst: Number,
+            builder: Number,
+            strategist: Number
+        },
+        // XP actually applied by the compensating audit entry
+        xp_change: {
+            risk_taker: Number,
+            analyst: Number,
+            builder: Number,
+            strategist: Number
+        },
+        // Archetype levels the corrected XP reached: { analyst: { old_level, new_level, overflow_xp } }
+        level_changes: Object,
+        audit_log_id: String,
+        artifact_id: String,
+        // XP corrections: who proposed and who approved
+        proposed_by: String,
+        approvals: { type: [Object], default: undefined }
+    }
+}, {
+    timestamps: true
+});
+
+// One open item per session
+reviewItemSchema.index(
+    { session_id: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reviewItemSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model('ReviewItem', reviewItemSchema);
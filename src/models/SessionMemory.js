@@ -85,7 +85,7 @@ const sessionMemorySchema = new mongoose.Schema({
             type: String,
             enum: ['set_timeout', 'send_warning', 'comprehension_check',
                 'evolve_question', 'delegate_to_agent', 'generate_pressure',
-                'adjust_difficulty', 'evaluate_response', 'calculate_xp']
+                'adjust_difficulty', 'evaluate_response', 'calculate_xp', 'budget_fallback']
         },
         reasoning: String,
         input_metrics: Object,          // What data was used for decision
@@ -125,7 +125,31 @@ const sessionMemorySchema = new mongoose.Schema({
         // Last activity timestamps
         last_keystroke_at: Date,
         last_response_at: Date,
-        intervention_in_progress: { type: Boolean, default: false }
+        intervention_in_progress: { type: Boolean, default: false },
+
+        // Last idle-intervention stage sent (warning → comprehension_check → force_change)
+        last_intervention: {
+            stage: String,
+            at: Date
+        }
+    },
+
+    // Sequenced WebSocket frames kept for resume_session replay (sessionOutboxService)
+    outbound: {
+        last_seq: { type: Number, default: 0 },
+        buffer: [{
+            _id: false,
+            seq: Number,
+            type: { type: String },
+            frame: Object,
+            sent_at: Date
+        }]
+    },
+
+    // Instance that fires idle interventions for this session (interventionSchedulerService)
+    scheduler_lease: {
+        owner: String,
+        expires_at: Date
     },
 
     // Session state
@@ -22,6 +22,19 @@ const userSchema = new mongoose.Schema({
         minlength: [2, 'Name must be at least 2 characters'],
         maxlength: [50, 'Name cannot exceed 50 characters']
     },
+    // Access level: moderators and admins can read /api/admin
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
+    email_verified: {
+        type: Boolean,
+        default: false
+    },
+    email_verified_at: {
+        type: Date
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -107,7 +107,7 @@ const userProfileSchema = new mongoose.Schema({
     min: 1,
     max: 100
   },
-  // XP thresholds for next level (personalized, increases with level)
+  // Cumulative archetype XP at which the next level starts (profileService.xpForLevel)
   xp_to_next_level: {
     risk_taker: { type: Number, default: 100 },
     analyst: { type: Number, default: 100 },
@@ -203,6 +203,19 @@ const userProfileSchema = new mongoose.Schema({
   xp_frozen_until: {
     type: Date
   },
+  // SPEC #8: last entry of this user's XPAuditLog hash chain
+  xp_audit_head: {
+    sequence: { type: Number },
+    hash: { type: String }
+  },
+  // SPEC #8: set by XP reconciliation when profile XP disagrees with the audit ledger
+  xp_quarantine: {
+    active: { type: Boolean, default: false },
+    reason: { type: String },
+    quarantined_at: { type: Date },
+    released_at: { type: Date },
+    released_by: { type: String }
+  },
 
   // ==========================================
   // SPEC #3: Exploit Cooldown Tracking
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 /**
  * XPAuditLog - Immutable audit trail for all XP changes
@@ -6,7 +7,15 @@ import mongoose from 'mongoose';
  * SPEC #8: Rule Enforcement Priority
  * - All XP changes MUST be logged
  * - No updates or deletes allowed
- * - Source must be 'arena_submit' only
+ * - Source must be 'arena_submit'; the only exception is 'review_correction',
+ *   a compensating entry written when a human review corrects a session. It needs a
+ *   reason, the award entry it corrects, two distinct people (proposer + approver)
+ *   and xp_after = xp_before + xp_change; the validate hook rejects anything else
+ * - 'ledger_migration' records the XP a profile held before the ledger existed as an
+ *   'opening_balance': only as the first entry of a chain and starting from zero
+ * - Hash-chained per user: entry_hash covers the content and prev_hash, keyed with
+ *   XP_AUDIT_HMAC_SECRET (HMAC-SHA256), so someone who can write the collection cannot
+ *   recompute a valid chain; entries from before the key carry no hash_alg (plain SHA-256)
  */
 const xpAuditLogSchema = new mongoose.Schema({
     user_id: {
@@ -16,7 +25,7 @@ const xpAuditLogSchema = new mongoose.Schema({
     },
     action: {
         type: String,
-        enum: ['award', 'freeze', 'penalty', 'stagnation_reset'],
+        enum: ['award', 'freeze', 'penalty', 'stagnation_reset', 'correction', 'opening_balance'],
         required: true
     },
     xp_before: {
@@ -42,7 +51,7 @@ const xpAuditLogSchema = new mongoose.Schema({
     },
     source: {
         type: String,
-        enum: ['arena_submit'], // ONLY source allowed - no admin injection
+        enum: ['arena_submit', 'review_correction', 'ledger_migration'], // No admin injection: corrections only via reviewQueueService
         required: true
     },
     session_id: {
@@ -63,17 +72,101 @@ const xpAuditLogSchema = new mongoose.Schema({
         courage_xp: Number,
         accuracy_xp: Number,
         stagnation_detected: Boolean,
-        exploit_detected: Boolean
+        exploit_detected: Boolean,
+        // Per-archetype level-ups: { analyst: { old_level, new_level, overflow_xp } }
+        level_changes: Object,
+        aggregate_level_before: Number,
+        aggregate_level_after: Number,
+        micro_difficulty_offset: Number,
+        // review_correction: the ReviewItem that decided the correction
+        review_id: String
+    },
+    // Only on review_correction entries
+    correction: {
+        reason: { type: String, maxLength: 500 },
+        // The session's arena_submit award entry being corrected (hash/sequence unless legacy)
+        corrects_entry_id: String,
+        corrects_sequence: Number,
+        corrects_entry_hash: String,
+        proposed_by: String,
+        approved_by: { type: [String], default: undefined }
     },
     created_at: {
         type: Date,
         default: Date.now,
         immutable: true // Cannot be changed after creation
+    },
+    // Hash chain (per user): 1, 2, 3, ... with prev_hash = previous entry_hash
+    sequence: {
+        type: Number,
+        immutable: true
+    },
+    prev_hash: {
+        type: String,
+        immutable: true
+    },
+    entry_hash: {
+        type: String,
+        immutable: true
+    },
+    // 'hmac-sha256' for keyed entries; missing on plain SHA-256 entries written before
+    hash_alg: {
+        type: String,
+        enum: ['hmac-sha256'],
+        immutable: true
     }
 }, {
     timestamps: false // No updatedAt - this is immutable
 });
 
+// ==========================================
+// CORRECTION RULES
+// ==========================================
+
+const ARCHETYPES = ['risk_taker', 'analyst', 'builder', 'strategist', 'total'];
+
+// A correction is never a manual injection: reason, link, two people, balanced snapshots
+xpAuditLogSchema.pre('validate', function () {
+    const isCorrection = this.source === 'review_correction';
+    if (isCorrection !== (this.action === 'correction')) {
+        throw new Error("action 'correction' and source 'review_correction' only go together");
+    }
+    if (!isCorrection) return;
+
+    const correction = this.correction || {};
+    if (!correction.reason?.trim()) {
+        throw new Error('review_correction entries need a reason');
+    }
+    if (!correction.corrects_entry_id) {
+        throw new Error('review_correction entries need the audit entry they correct');
+    }
+    const parties = new Set([correction.proposed_by, ...(correction.approved_by || [])].filter(Boolean));
+    if (!correction.proposed_by || parties.size < 2) {
+        throw new Error('review_correction entries need a proposer and a different approver');
+    }
+    const unbalanced = ARCHETYPES.filter(arch => this.xp_after[arch] - this.xp_before[arch] !== this.xp_change[arch]);
+    if (unbalanced.length > 0) {
+        throw new Error(`review_correction snapshots do not balance: ${unbalanced.join(', ')}`);
+    }
+});
+
+// An opening balance only opens a chain: it cannot add XP to a user who already has a ledger
+xpAuditLogSchema.pre('validate', function () {
+    const isMigration = this.source === 'ledger_migration';
+    if (isMigration !== (this.action === 'opening_balance')) {
+        throw new Error("action 'opening_balance' and source 'ledger_migration' only go together");
+    }
+    if (!isMigration) return;
+
+    if (this.sequence !== 1) {
+        throw new Error('opening_balance entries must be the first entry of the chain');
+    }
+    const nonZero = ARCHETYPES.filter(arch => this.xp_before[arch] !== 0);
+    if (nonZero.length > 0) {
+        throw new Error(`opening_balance entries start from zero XP: ${nonZero.join(', ')}`);
+    }
+});
+
 // CRITICAL: Prevent any updates
 xpAuditLogSchema.pre('findOneAndUpdate', function () {
     throw new Error('XP Audit Logs are immutable - updates not allowed');
@@ -100,8 +193,68 @@ xpAuditLogSchema.pre('deleteMany', function () {
     throw new Error('XP Audit Logs are immutable - deletes not allowed');
 });
 
+// ==========================================
+// HASH CHAIN
+// ==========================================
+
+// prev_hash of the first entry in a user's chain
+xpAuditLogSchema.statics.GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by entry_hash (everything except _id and the hash itself)
+const HASHED_FIELDS = [
+    'user_id', 'sequence', 'action', 'xp_before', 'xp_after', 'xp_change', 'source',
+    'session_id', 'problem_id', 'problem_difficulty', 'evaluation_summary', 'metadata',
+    'correction', 'created_at', 'prev_hash', 'hash_alg'
+];
+
+const HMAC_HASH_ALG = 'hmac-sha256';
+
+/**
+ * Server-side key of the chain HMAC; never stored in the database
+ * Falls back to a key derived from JWT_SECRET so an existing deployment keeps working
+ */
+const chainKey = () => process.env.XP_AUDIT_HMAC_SECRET || crypto.createHash('sha256')
+    .update(`xp-audit-chain:${process.env.JWT_SECRET || 'novax-arena-secret-key-2024'}`)
+    .digest('hex');
+
+// Stable JSON: sorted keys, dates as ISO strings; null, undefined and empty
+// objects are dropped (MongoDB does not store empty subdocuments)
+const canonicalize = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).sort().forEach(key => {
+            const item = value[key] === null ? undefined : canonicalize(value[key]);
+            if (item !== undefined) result[key] = item;
+        });
+        return Object.keys(result).length ? result : undefined;
+    }
+    return value;
+};
+
+/**
+ * Hash over the canonical content of an entry (plain object or lean doc):
+ * HMAC-SHA256 with the chain key for keyed entries, plain SHA-256 for older ones
+ */
+xpAuditLogSchema.statics.computeHash = function (entry) {
+    const content = {};
+    HASHED_FIELDS.forEach(field => { content[field] = entry[field]; });
+    const hash = entry.hash_alg === HMAC_HASH_ALG
+        ? crypto.createHmac('sha256', chainKey())
+        : crypto.createHash('sha256');
+    return hash.update(JSON.stringify(canonicalize(content))).digest('hex');
+};
+
+xpAuditLogSchema.statics.HMAC_HASH_ALG = HMAC_HASH_ALG;
+
 // Indexes for efficient querying
 xpAuditLogSchema.index({ user_id: 1, created_at: -1 });
+// One entry per position in a user's chain; legacy entries have no sequence
+xpAuditLogSchema.index(
+    { user_id: 1, sequence: 1 },
+    { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
 xpAuditLogSchema.index({ session_id: 1 });
 xpAuditLogSchema.index({ created_at: -1 });
 
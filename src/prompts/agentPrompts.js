@@ -0,0 +1,484 @@
+import Problem from '../models/Problem.js';
+import { bilingual } from './shared.js';
+
+/**
+ * Agent tier prompts (aiService): problem generation, evaluation, XP, follow-ups
+ */
+
+// Generated problems go straight into Problem.create, so their enums come from the model
+const PROBLEM_DOMAINS = Problem.schema.path('domain').enumValues;
+const PROBLEM_ROLE_LABELS = Problem.schema.path('role_label').enumValues;
+const PROBLEM_ARCHETYPE_FOCUS = Problem.schema.path('archetype_focus').enumValues;
+
+const PROBLEM_PROPERTIES = {
+    problem_id: { type: 'string' },
+    title: { type: 'string' },
+    context: { type: 'string' },
+    objective: { type: 'string' },
+    constraints: { type: 'array', items: { type: 'string' } },
+    difficulty: { type: 'integer', minimum: 1, maximum: 10 },
+    level_up_criteria: { type: 'array', items: { type: 'string' } },
+    domain: { type: 'string', enum: PROBLEM_DOMAINS },
+    role_label: { type: 'string', enum: PROBLEM_ROLE_LABELS },
+    archetype_focus: { type: 'string', enum: PROBLEM_ARCHETYPE_FOCUS },
+    estimated_time_minutes: { type: 'integer' }
+};
+
+const XP_PROPERTIES = {
+    xp_risk_taker: { type: 'integer', minimum: 0, maximum: 20 },
+    xp_analyst: { type: 'integer', minimum: 0, maximum: 20 },
+    xp_builder: { type: 'integer', minimum: 0, maximum: 20 },
+    xp_strategist: { type: 'integer', minimum: 0, maximum: 20 }
+};
+
+export default [
+    {
+        id: 'agent.personalized_problem',
+        version: 1,
+        tier: 'agent',
+        description: 'Personalized problem that trains weak archetypes and sharpens strong ones',
+        variables: [
+            'age_group', 'is_smp', 'is_sma', 'is_adult', 'experience_level', 'experience_proof',
+            'primary_archetype', 'domain', 'risk_appetite', 'decision_speed', 'ambiguity_tolerance',
+            'current_difficulty', 'thinking_style', 'weak_archetypes', 'strong_archetypes',
+            'effective_difficulty', 'base_difficulty', 'experience_adjustment', 'micro_offset',
+            'duration_minutes', 'quick_mode', 'completed_count', 'completed_list'
+        ],
+        templates: bilingual((lang, instruction) => `Generate a personalized problem-solving challenge.
+
+USER PROFILE:
+- Age group: {{age_group}} ({{#is_smp}}Use casual, friendly language. Scenarios should be relatable to teens (12-15). Avoid complex business jargon. Focus on school projects, content creation, small ventures, gaming etc.{{/is_smp}}{{#is_sma}}Use moderately professional language. Scenarios can involve early business, content creation, college prep, freelance etc. Mix casual and professional.{{/is_sma}}{{#is_adult}}Use professional language. Full business/tech scenarios with real stakes, team management, investment decisions etc.{{/is_adult}})
+- Experience level: {{experience_level}}
+- Experience proof: "{{experience_proof}}"
+- Primary archetype: {{primary_archetype}}
+- Domain: {{domain}}
+- Risk appetite: {{risk_appetite}}/1
+- Decision speed: {{decision_speed}}/1
+- Ambiguity tolerance: {{ambiguity_tolerance}}/1
+- Current difficulty level: {{current_difficulty}}
+- Thinking style: {{thinking_style}}
+
+PERSONALIZATION TARGETS:
+- TRAIN (weak areas): {{weak_archetypes}}
+- SHARPEN (strong areas): {{strong_archetypes}}
+- Effective difficulty: {{effective_difficulty}} (base {{base_difficulty}} + experience {{experience_adjustment}} + micro {{micro_offset}})
+- Target duration: {{duration_minutes}} minutes
+{{#quick_mode}}
+DURATION MODE: QUICK (4-5 minutes)
+- Create a VERY SIMPLE, focused problem
+- Maximum 1-2 constraints (keep minimal)
+- Single clear decision point
+- Minimal context, direct question
+- Problem should be solvable with 1-2 exchanges
+- Perfect for quick decision-making practice{{/quick_mode}}{{^quick_mode}}
+DURATION MODE: STANDARD (15 minutes)
+- Moderate complexity problem
+- 2-3 constraints allowed
+- Clear decision with some nuance
+- Adequate context with stakeholder considerations
+- Problem should require 3-4 thoughtful exchanges
+- Balance depth with efficiency{{/quick_mode}}
+
+ARCHETYPE TRAINING GUIDE:
+- risk_taker: Include high-stakes decisions with incomplete information, time pressure
+- analyst: Include scenarios requiring deep data analysis with ambiguous data
+- builder: Include execution-focused scenarios with resource constraints
+- strategist: Include long-term planning with multiple stakeholder perspectives
+
+ROLE OPTIONS (pick one that fits the problem AND user's age group):
+ceo, product_manager, engineer, designer, founder, consultant, investor, operations, team_lead, analyst, content_creator, project_lead
+
+Create a REAL-WORLD problem that:
+1. MATCHES the user's age group and experience level
+2. References their specific domain and experience proof when relevant
+3. Has incomplete data (require user to make assumptions)
+4. Requires decisive action (not just analysis)
+5. Has clear trade-offs that hurt
+6. Cannot be solved with a "safe" answer
+7. Subtly requires skills from the TRAIN archetypes
+8. Allows user to leverage SHARPEN archetypes
+9. Is challenging but achievable for someone at this difficulty and experience level
+
+CRITICAL: This platform confronts users with hard choices. Don't soften the problem. Make it realistic and uncomfortable for their level.
+{{#completed_count}}
+UNIQUENESS REQUIREMENT - CRITICAL:
+User has completed {{completed_count}} problems. DO NOT generate similar problems:
+{{completed_list}}
+
+YOU MUST:
+1. Use a DIFFERENT industry/scenario than completed problems
+2. Use a DIFFERENT role/perspective if possible
+3. Present a DIFFERENT type of core dilemma
+4. If same domain, go DEEPER or use significantly different angle
+5. User should NOT feel "I've seen this before"
+{{/completed_count}}
+${instruction} Generate unique problem_id with format "PROB-{timestamp}".`),
+        output_schema: {
+            type: 'object',
+            properties: {
+                ...PROBLEM_PROPERTIES,
+                personalization_reasoning: { type: 'string' }
+            },
+            required: ['problem_id', 'title', 'context', 'objective', 'difficulty', 'role_label']
+        }
+    },
+    {
+        id: 'agent.custom_problem',
+        version: 1,
+        tier: 'agent',
+        description: 'Problem from user customization (domains, difficulty range, constraints)',
+        variables: [
+            'primary_archetype', 'current_difficulty', 'risk_appetite', 'thinking_style', 'domains',
+            'min_difficulty', 'max_difficulty', 'time_limit', 'problem_type', 'custom_context',
+            'specific_constraints'
+        ],
+        templates: bilingual((lang, instruction) => `Generate a challenging real-world problem for someone with:
+- Profile archetype: {{primary_archetype}}
+- Current level: {{current_difficulty}}
+- Risk appetite: {{risk_appetite}}
+- Thinking style: {{thinking_style}}
+
+USER CUSTOMIZATION:
+- Domains: {{domains}}
+- Target difficulty: {{min_difficulty}}-{{max_difficulty}}
+- Time limit: {{time_limit}} minutes
+{{#problem_type}}Focus on {{problem_type}} scenario.{{/problem_type}}{{#custom_context}}
+
+User context: {{custom_context}}{{/custom_context}}{{#specific_constraints}}
+
+Specific constraints to include: {{specific_constraints}}{{/specific_constraints}}
+
+Create a REAL-WORLD problem that:
+1. Has incomplete data
+2. Requires a decisive action (not just analysis)
+3. Has clear trade-offs that hurt
+4. Cannot be solved with a "safe" answer
+5. Reflects the user's specified domains and constraints
+6. Is challenging but solvable within the time limit
+
+ROLE OPTIONS: ceo, product_manager, engineer, designer, founder, consultant, investor, operations, team_lead, analyst
+
+CRITICAL: This is for a platform that confronts users with hard choices. Don't soften the problem. Make it realistic and uncomfortable.
+
+${instruction}`),
+        output_schema: {
+            type: 'object',
+            properties: PROBLEM_PROPERTIES,
+            required: ['problem_id', 'title', 'context', 'objective', 'difficulty']
+        }
+    },
+    {
+        id: 'agent.evaluate_solution',
+        version: 1,
+        tier: 'agent',
+        description: 'Confrontational evaluation of a submitted solution with XP per archetype',
+        variables: [
+            'title', 'context', 'objective', 'constraints', 'level_up_criteria', 'role_label',
+            'solution', 'minutes', 'seconds', 'has_metrics', 'avg_response_speed',
+            'decision_confidence_score', 'intervention_count', 'keystroke_rhythm'
+        ],
+        templates: bilingual((lang, instruction) => `${lang === 'en' ? 'You are a mentor testing decisions. Evaluate the following solution:' : 'Kamu adalah mentor yang menguji keputusan. Evaluasi solusi berikut:'}
+
+${lang === 'en' ? 'PROBLEM:' : 'MASALAH:'}
+{{title}}
+{{context}}
+
+OBJECTIVE:
+{{objective}}
+
+CONSTRAINTS:
+{{constraints}}
+
+KRITERIA NAIK LEVEL:
+{{level_up_criteria}}
+
+ROLE DALAM MASALAH: {{role_label}}
+
+SOLUSI USER:
+{{solution}}
+
+WAKTU: {{minutes}} menit {{seconds}} detik
+{{#has_metrics}}
+RESPONSE METRICS:
+- Average response speed: {{avg_response_speed}}/10
+- Decision confidence: {{decision_confidence_score}}/10
+- Intervention count: {{intervention_count}}
+- Keystroke rhythm: {{keystroke_rhythm}}
+{{/has_metrics}}
+
+Evaluasi dengan TAJAM dan SINGKAT. Tentukan:
+1. Apakah user menghadapi risiko inti atau bermain aman?
+2. Apakah trade-off dijelaskan eksplisit?
+3. Apakah ada keputusan nyata atau hanya deskripsi?
+4. Apakah reasoning solid atau superficial?
+
+XP ASSIGNMENT RULES:
+- XP hanya diberikan kalau capability/keandalan NAIK (tidak stagnan)
+- Karakteristik respon menentukan archetype mana yang dapat XP:
+  * Fast + decisive response = risk_taker XP
+  * Thorough analysis = analyst XP
+  * Action-oriented answer = builder XP
+  * Long-term perspective = strategist XP
+- Quality/level respon menentukan JUMLAH XP (0-20 per archetype)
+- Jika respon stagnan (tidak ada improvement), semua XP bisa = 0
+
+${lang === 'en' ? 'Give a confrontational evaluation, not praise.' : 'Berikan evaluasi yang konfrontatif, bukan memuji.'}
+
+${instruction}`),
+        output_schema: {
+            type: 'object',
+            properties: {
+                evaluation: { type: 'string' },
+                insight: { type: 'string' },
+                criteria_met: { type: 'array', items: { type: 'string' } },
+                level_up_achieved: { type: 'boolean' },
+                quality_score: { type: 'number' },
+                ...XP_PROPERTIES,
+                stagnation_detected: { type: 'boolean' },
+                improvement_areas: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['evaluation', 'level_up_achieved', 'quality_score', 'xp_risk_taker', 'xp_analyst', 'xp_builder', 'xp_strategist']
+        }
+    },
+    {
+        id: 'agent.xp_from_characteristics',
+        version: 1,
+        tier: 'agent',
+        description: 'XP per archetype from response characteristics, not the final result',
+        variables: [
+            'title', 'difficulty', 'primary_archetype', 'level_risk_taker', 'level_analyst',
+            'level_builder', 'level_strategist', 'avg_response_speed', 'understanding_clarity',
+            'decision_confidence_score', 'interventions_received', 'keystroke_rhythm', 'response_preview'
+        ],
+        // Single variant: the rules are written for the evaluator, not shown to the user
+        templates: {
+            en: `Evaluate user performance and assign XP berdasarkan KARAKTERISTIK respon, bukan hasil akhir.
+
+PROBLEM:
+{{title}} (Difficulty: {{difficulty}})
+
+USER PROFILE:
+- Primary archetype: {{primary_archetype}}
+- Current levels: risk_taker={{level_risk_taker}}, analyst={{level_analyst}}, builder={{level_builder}}, strategist={{level_strategist}}
+
+RESPONSE METRICS:
+- Response speed score: {{avg_response_speed}}/10 (10 = very fast)
+- Understanding clarity: {{understanding_clarity}}/1
+- Decision confidence: {{decision_confidence_score}}/10 (based on revisions)
+- Intervention received: {{interventions_received}}
+- Keystroke rhythm: {{keystroke_rhythm}}
+
+USER RESPONSE PREVIEW:
+{{response_preview}}...
+
+XP ASSIGNMENT RULES (STRICT):
+1. XP hanya diberikan jika capability NAIK - tidak untuk performa biasa
+2. Jika respon stagnan (sama karakteristik dengan session sebelumnya), XP = 0
+3. Karakteristik respon menentukan archetype mana yang dapat XP:
+   - Fast response + decisive action = risk_taker XP
+   - Deep analysis + data consideration = analyst XP
+   - Action-oriented + execution focus = builder XP
+   - Long-term thinking + stakeholder awareness = strategist XP
+4. Level respon (keandalan) menentukan jumlah XP per archetype (0-20)
+
+Evaluate dan assign XP yang AKURAT untuk setiap archetype.`
+        },
+        output_schema: {
+            type: 'object',
+            properties: {
+                ...XP_PROPERTIES,
+                reasoning: { type: 'string' },
+                capability_improved: { type: 'boolean' },
+                stagnation_detected: { type: 'boolean' }
+            },
+            required: ['xp_risk_taker', 'xp_analyst', 'xp_builder', 'xp_strategist', 'capability_improved']
+        }
+    },
+    {
+        id: 'agent.follow_up_questions',
+        version: 1,
+        tier: 'agent',
+        description: '2-3 follow-up questions that stress-test a submitted solution',
+        variables: ['title', 'objective', 'solution_preview'],
+        templates: bilingual((lang, instruction) => `User telah memberikan solusi untuk masalah. Generate pertanyaan follow-up untuk menguji pemahaman lebih dalam.
+
+PROBLEM: {{title}}
+OBJECTIVE: {{objective}}
+
+USER'S SOLUTION:
+{{solution_preview}}
+
+Generate 2-3 pertanyaan follow-up yang:
+1. Stress-test asumsi user
+2. Menguji pemahaman tentang trade-off
+3. Meminta penjelasan lebih detail tentang implementasi
+
+Contoh kategori:
+- "Bagaimana kalau X tidak bekerja seperti yang kamu harapkan?"
+- "Apa plan B kalau asumsi utamamu salah?"
+- "Siapa yang akan paling keberatan dengan keputusan ini?"
+
+${instruction}`),
+        output_schema: {
+            type: 'object',
+            properties: {
+                questions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            question: { type: 'string' },
+                            intent: { type: 'string' },
+                            expected_depth: { type: 'string', enum: ['surface', 'medium', 'deep'] }
+                        }
+                    }
+                }
+            },
+            required: ['questions']
+        }
+    },
+    {
+        id: 'agent.socratic_opening',
+        version: 1,
+        tier: 'agent',
+        description: 'Opening Socratic question when the user starts a problem',
+        variables: ['title', 'context', 'objective', 'role_label', 'primary_archetype', 'thinking_style'],
+        templates: bilingual((lang, instruction) => `Kamu adalah mentor Socratic. User baru mulai problem:
+
+PROBLEM: {{title}}
+CONTEXT: {{context}}
+OBJECTIVE: {{objective}}
+ROLE: {{role_label}}
+
+User archetype: {{primary_archetype}}
+Thinking style: {{thinking_style}}
+
+Generate 1 pertanyaan pembuka yang:
+1. Memaksa user breakdown masalah inti
+2. Tidak terlalu luas, tidak terlalu sempit
+3. Socratic - buat user berpikir sendiri
+4. 1 kalimat saja
+
+Contoh: "Apa satu hal yang paling kamu takutkan kalau keputusan ini salah?"
+
+Output hanya pertanyaan. ${instruction}`),
+        output_schema: null
+    },
+    {
+        id: 'agent.socratic_pause',
+        version: 1,
+        tier: 'agent',
+        description: 'Short Socratic nudge when the user is stuck',
+        variables: ['title', 'primary_archetype'],
+        templates: bilingual((lang, instruction) => `User stuck di problem:
+
+PROBLEM: {{title}}
+User archetype: {{primary_archetype}}
+
+Generate 1 pertanyaan singkat yang:
+1. Nudge tanpa spoiler
+2. Socratic style
+3. 1 kalimat
+
+Output hanya pertanyaan. ${instruction}`),
+        output_schema: null
+    },
+    {
+        id: 'agent.entry_choices',
+        version: 1,
+        tier: 'agent',
+        description: 'Forced choice options for the first 3 minutes of the arena',
+        variables: ['title', 'context', 'objective'],
+        // Answers follow the language of the problem, so there is one variant
+        templates: {
+            id: `Kamu adalah designer UX untuk arena problem-solving. User baru masuk dan perlu membuat keputusan cepat.
+
+PROBLEM:
+{{title}}
+
+CONTEXT:
+{{context}}
+
+OBJECTIVE:
+{{objective}}
+
+Generate 3 pilihan aksi yang:
+1. Semua tampak masuk akal
+2. Tidak ada yang "100% aman" atau "100% berisiko"
+3. Masing-masing punya trade-off yang berbeda
+4. Konkret dan actionable (bukan abstrak)
+5. Bisa dipilih dalam 15-25 detik tanpa overthinking
+
+CRITICAL: Ini untuk 3 menit pertama arena - user harus merasa langsung masuk aksi, bukan analisis.
+
+Icons yang available: 🔥 (aggressive/bold), 🛡️ (defensive/safe), 🤝 (collaborative), ⚡ (quick/decisive), 💡 (creative/innovative), 📊 (data-driven), 🎯 (focused), 🌱 (growth), 💰 (financial)
+
+Buat juga 1 pertanyaan refleksi yang akan ditanyakan SETELAH user memilih. Pertanyaan ini harus spesifik tentang pilihan yang dibuat.
+
+Output in the same language as the problem.`
+        },
+        output_schema: {
+            type: 'object',
+            properties: {
+                choices: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            text: { type: 'string' },
+                            icon: { type: 'string' },
+                            hint: { type: 'string' }
+                        },
+                        required: ['id', 'text', 'icon', 'hint']
+                    }
+                },
+                reflection_question: { type: 'string' }
+            },
+            required: ['choices', 'reflection_question']
+        }
+    },
+    {
+        id: 'agent.entry_consequence',
+        version: 1,
+        tier: 'agent',
+        description: 'Immediate consequences of the entry choice ("first slap")',
+        variables: ['title', 'context', 'objective', 'choice_text'],
+        templates: {
+            id: `User baru membuat keputusan di arena. Generate konsekuensi yang membuat user menyadari bahwa keputusan mereka punya biaya.
+
+PROBLEM:
+{{title}}
+
+CONTEXT:
+{{context}}
+
+OBJECTIVE:
+{{objective}}
+
+KEPUTUSAN USER:
+{{choice_text}}
+
+Generate 2 konsekuensi yang:
+1. REALISTIS - bisa terjadi di dunia nyata
+2. IMMEDIATE - langsung terasa, bukan "suatu hari nanti"
+3. PAINFUL - ada sesuatu yang hilang atau terkompromi
+4. SPESIFIK - bukan generik seperti "ada risiko"
+5. CONNECTED - berhubungan langsung dengan pilihan yang dibuat
+
+CRITICAL: Ini adalah "tamparan pertama" - user harus menyadari bahwa setiap keputusan punya biaya. Jangan terlalu sadis, tapi jangan juga terlalu lembut.
+
+Juga generate 1 insight singkat (1 kalimat) yang menyimpulkan pembelajaran dari konsekuensi ini.
+
+Output in the same language as the problem.`
+        },
+        output_schema: {
+            type: 'object',
+            properties: {
+                consequences: { type: 'array', items: { type: 'string' } },
+                insight: { type: 'string' }
+            },
+            required: ['consequences', 'insight']
+        }
+    }
+];
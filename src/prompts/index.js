@@ -0,0 +1,29 @@
+import agentPrompts from './agentPrompts.js';
+import simplePrompts from './simplePrompts.js';
+import realtimePrompts from './realtimePrompts.js';
+import mentorPrompts from './mentorPrompts.js';
+import onboardingPrompts from './onboardingPrompts.js';
+import rubricPrompts from './rubricPrompts.js';
+
+/**
+ * Built-in prompt definitions (version shipped with the code)
+ *
+ * Definition: {
+ *   id, version, tier, description,
+ *   variables: [names],              // all must be passed to render
+ *   templates: { en?, id? },         // {{name}}, {{#name}}...{{/name}}, {{^name}}...{{/name}}
+ *   output_schema                    // response_json_schema, null for text answers
+ * }
+ *
+ * Newer versions can be stored in PromptTemplate (promptRegistryService)
+ */
+export const DEFAULT_PROMPTS = [
+    ...agentPrompts,
+    ...simplePrompts,
+    ...realtimePrompts,
+    ...mentorPrompts,
+    ...onboardingPrompts,
+    ...rubricPrompts
+];
+
+export default DEFAULT_PROMPTS;
@@ -0,0 +1,54 @@
+import { bilingual } from './shared.js';
+
+/**
+ * Onboarding arena prompts (onboardingArenaService)
+ */
+
+export default [
+    {
+        id: 'onboarding.micro_problem',
+        version: 1,
+        tier: 'agent',
+        description: 'Micro problem for the onboarding arena with 3 archetype-signalling choices',
+        variables: ['domain', 'age_group', 'is_smp', 'is_sma', 'is_adult'],
+        templates: bilingual((lang, instruction) => `Generate a MICRO problem for onboarding arena. This should be:
+- Readable in 20 seconds
+- Universal (no specific domain knowledge needed)
+- Single decision point
+- Clear trade-offs
+
+Domain: {{domain}}
+Age group: {{age_group}} - {{#is_smp}}Use casual, friendly language for teens (12-15). Simple scenarios.{{/is_smp}}{{#is_sma}}Use moderately professional language for high schoolers (16-18).{{/is_sma}}{{#is_adult}}Use professional language for adults (19+).{{/is_adult}}
+
+Create a problem with 3 concrete choices. Each choice should signal a different archetype:
+- risk_taker: Bold, fast, high-risk
+- analyst: Careful, data-driven, thorough
+- builder: Action-oriented, execution-focused
+- strategist: Long-term thinking, stakeholder-aware
+
+${instruction}`),
+        output_schema: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                context: { type: 'string' },
+                objective: { type: 'string' },
+                role: { type: 'string' },
+                choices: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            text: { type: 'string' },
+                            icon: { type: 'string' },
+                            archetype_signal: { type: 'string' }
+                        }
+                    }
+                }
+            },
+            required: ['id', 'title', 'context', 'objective', 'choices']
+        }
+    }
+];
@@ -0,0 +1,50 @@
+import { bilingual } from './shared.js';
+
+/**
+ * Low tier prompts (aiRealtimeService): very short realtime nudges
+ */
+
+export default [
+    {
+        id: 'realtime.quick_reminder',
+        version: 1,
+        tier: 'low',
+        description: 'Reminder of at most 10 words after a long idle period',
+        variables: ['seconds_idle', 'archetype'],
+        templates: bilingual((lang, instruction) => `Generate 1 short reminder (max 10 words) for someone who has been idle for {{seconds_idle}} seconds.
+Archetype: {{archetype}}
+${instruction}
+Just the message, no explanation.`),
+        output_schema: null
+    },
+    {
+        id: 'realtime.next_micro_step',
+        version: 1,
+        tier: 'low',
+        description: 'Next small action (max 15 words), not a solution',
+        variables: ['title', 'current_progress'],
+        templates: bilingual((lang, instruction) => `Problem: {{title}}
+Current progress: {{current_progress}}
+
+Suggest 1 micro-step (max 15 words) the user should do NOW.
+Not a full solution, just the next small action.
+${instruction}
+Just the step, no explanation.`),
+        output_schema: null
+    },
+    {
+        id: 'realtime.acknowledgment',
+        version: 1,
+        tier: 'low',
+        description: 'Acknowledgment of at most 8 words for longer user input',
+        variables: ['input_preview'],
+        templates: bilingual((lang, instruction) => `User said: "{{input_preview}}..."
+
+Give 1 very short acknowledgment (max 8 words) that:
+1. Shows you heard them
+2. Encourages them to continue
+${instruction}
+Just the acknowledgment.`),
+        output_schema: null
+    }
+];
@@ -0,0 +1,62 @@
+import { bilingual } from './shared.js';
+
+/**
+ * Rubric prompts (rubricService): LLM part of the baseline rubric
+ */
+
+const VERDICT = {
+    type: 'object',
+    properties: {
+        passed: { type: 'boolean' },
+        reason: { type: 'string' }
+    },
+    required: ['passed', 'reason']
+};
+
+export default [
+    {
+        id: 'rubric.judgement',
+        version: 1,
+        tier: 'agent',
+        description: 'Blind judgement of a solution on the DifficultyBaseline criteria (thresholds are applied in code)',
+        variables: ['title', 'objective', 'level', 'solution'],
+        templates: bilingual((lang, instruction) => `You are a strict examiner. Judge ONLY what is written in the solution, not what the user could have meant.
+
+PROBLEM (difficulty {{level}}/10):
+{{title}}
+OBJECTIVE: {{objective}}
+
+SOLUTION:
+{{solution}}
+
+Measure:
+- response_quality (0-1): how clear, concrete and well-reasoned the decision is
+- decision_depth (1-10): how many levels of consequence the user follows (1 = states a choice, 10 = second/third-order effects, contingencies)
+- tradeoff_count (0-5): number of DISTINCT trade-offs made explicit (what is gained AND what is given up)
+
+Verdicts (passed + one sentence reason quoting or pointing at the solution):
+- tradeoff_analysis: the user explicitly weighs at least one option against another and accepts a cost
+- risk_assessment: the user names a concrete risk of their own decision and how they would handle or detect it
+- multi_perspective: the user considers at least two stakeholders or viewpoints beyond their own
+
+Missing content is a fail. Length alone is not quality.
+
+${instruction}`),
+        output_schema: {
+            type: 'object',
+            properties: {
+                response_quality: { type: 'number', minimum: 0, maximum: 1 },
+                decision_depth: { type: 'integer', minimum: 1, maximum: 10 },
+                tradeoff_count: { type: 'integer', minimum: 0, maximum: 5 },
+                tradeoff_analysis: VERDICT,
+                risk_assessment: VERDICT,
+                multi_perspective: VERDICT,
+                quality_reason: { type: 'string' }
+            },
+            required: [
+                'response_quality', 'decision_depth', 'tradeoff_count',
+                'tradeoff_analysis', 'risk_assessment', 'multi_perspective'
+            ]
+        }
+    }
+];
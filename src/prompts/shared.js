@@ -0,0 +1,17 @@
+/**
+ * Shared pieces for prompt definitions
+ */
+
+export const LANGUAGE_INSTRUCTIONS = {
+    en: 'Respond in English.',
+    id: 'Respond in Indonesian (Bahasa Indonesia).'
+};
+
+/**
+ * Build { en, id } templates from one function of the language
+ * For prompts whose variants only differ in a few lines
+ */
+export const bilingual = (build) => ({
+    en: build('en', LANGUAGE_INSTRUCTIONS.en),
+    id: build('id', LANGUAGE_INSTRUCTIONS.id)
+});
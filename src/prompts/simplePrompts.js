@@ -0,0 +1,144 @@
+import { bilingual } from './shared.js';
+
+/**
+ * Mid tier prompts (aiSimpleService): warnings, nudges, hints, follow-ups
+ * Every one of them has a template fallback in the service
+ */
+
+export default [
+    {
+        id: 'simple.warning',
+        version: 1,
+        tier: 'mid',
+        description: 'Firm idle warning matched to the archetype',
+        variables: ['archetype', 'seconds', 'problem_title'],
+        templates: bilingual((lang, instruction) => `You are a firm mentor. User with archetype "{{archetype}}" has been inactive for {{seconds}} seconds.
+
+Problem context: {{problem_title}}
+
+Give 1 short message (1-2 sentences) that:
+1. Firm but supportive
+2. Matches the {{archetype}} profile
+3. Encourages user to start writing
+
+${instruction} No explanation, just the message.`),
+        output_schema: null
+    },
+    {
+        id: 'simple.stimulation_question',
+        version: 1,
+        tier: 'mid',
+        description: 'Socratic question for a user who has not started or is stuck',
+        variables: ['title', 'context', 'objective', 'archetype'],
+        templates: bilingual((lang, instruction) => `You are a Socratic mentor who pushes critical thinking.
+
+PROBLEM:
+Title: {{title}}
+Context: {{context}}
+Objective: {{objective}}
+
+USER ARCHETYPE: {{archetype}}
+SITUATION: User hasn't started answering or is stuck.
+
+Generate 1 short question that:
+1. Socratic - make user think for themselves
+2. Not too broad, not too narrow
+3. Matches archetype {{archetype}}
+4. Maximum 1-2 sentences
+
+${instruction} No explanation, just the question.`),
+        output_schema: null
+    },
+    {
+        id: 'simple.hint',
+        version: 1,
+        tier: 'mid',
+        description: 'Hint that points in a direction without giving the answer',
+        variables: ['title', 'objective', 'partial_answer', 'archetype'],
+        templates: bilingual((lang, instruction) => `You are a mentor who helps without giving direct answers.
+
+PROBLEM:
+{{title}}
+{{objective}}
+
+USER'S PARTIAL ANSWER (if any):
+{{#partial_answer}}{{partial_answer}}{{/partial_answer}}{{^partial_answer}}${lang === 'id' ? '(Belum ada jawaban)' : '(No answer yet)'}{{/partial_answer}}
+
+USER ARCHETYPE: {{archetype}}
+
+Give 1 short hint that:
+1. Doesn't give the answer
+2. Helps user think in the right direction
+3. Maximum 2 sentences
+
+${instruction}`),
+        output_schema: null
+    },
+    {
+        id: 'simple.comprehension_check',
+        version: 1,
+        tier: 'mid',
+        description: 'Narrower version of a question the user has not answered',
+        variables: ['current_question', 'title'],
+        templates: bilingual((lang, instruction) => `User hasn't answered this question: "{{current_question}}"
+
+The problem is about: {{title}}
+
+Transform the question to be more specific and easier to answer. Maximum 1 sentence.
+
+Example transformations:
+- "What's your solution?" → "Of these 2 options, which do you choose: A or B?"
+- "What's your strategy?" → "What's the FIRST step you'll take?"
+
+${instruction} Only the new question, no explanation.`),
+        output_schema: null
+    },
+    {
+        id: 'simple.follow_up_clarification',
+        version: 1,
+        tier: 'mid',
+        description: 'Clarifying question after a low quality answer',
+        variables: ['response_preview'],
+        templates: bilingual((lang, instruction) => `User answered: "{{response_preview}}..."
+
+${lang === 'id'
+        ? 'Berikan 1 pertanyaan klarifikasi singkat untuk memahami keputusan mereka lebih jelas. Maksimal 1 kalimat.'
+        : 'Give 1 short clarifying question to better understand their decision. Maximum 1 sentence.'} ${instruction}`),
+        output_schema: null
+    },
+    {
+        id: 'simple.follow_up_stress_test',
+        version: 1,
+        tier: 'mid',
+        description: 'Stress-test question that challenges the assumptions of an answer',
+        variables: ['response_preview', 'title'],
+        templates: bilingual((lang, instruction) => `User answered: "{{response_preview}}..."
+
+Problem: {{title}}
+
+${lang === 'id'
+        ? 'Berikan 1 pertanyaan stress-test singkat yang menguji asumsi mereka. Contoh: "Bagaimana kalau X tidak bekerja?" Maksimal 1 kalimat.'
+        : 'Give 1 short stress-test question that tests their assumptions. Example: "What if X doesn\'t work?" Maximum 1 sentence.'} ${instruction}`),
+        output_schema: null
+    },
+    {
+        id: 'simple.pressure',
+        version: 1,
+        tier: 'mid',
+        description: 'One sentence of urgency for pressure levels 1-5',
+        variables: ['level', 'title', 'archetype', 'pressure_type'],
+        templates: bilingual((lang, instruction) => `Generate pressure level {{level}}/5 for problem solving.
+
+PROBLEM: {{title}}
+USER ARCHETYPE: {{archetype}}
+PRESSURE TYPE: {{pressure_type}}
+
+Create 1 short sentence that adds urgency. Examples:
+- Level 1: "Remember, time is ticking."
+- Level 3: "If you don't decide, your competitor will."
+- Level 5: "This is your final decision. No more time to hesitate."
+
+${instruction} Only the pressure message.`),
+        output_schema: null
+    }
+];
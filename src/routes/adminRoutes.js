@@ -2,19 +2,69 @@ import express from 'express';
 import XPAuditLog from '../models/XPAuditLog.js';
 import ResponseHistory from '../models/ResponseHistory.js';
 import UserProfile from '../models/UserProfile.js';
+import User from '../models/User.js';
+import ArenaSession from '../models/ArenaSession.js';
+import AdminAccessLog from '../models/AdminAccessLog.js';
 import * as identityService from '../services/identityService.js';
+import * as xpGuardService from '../services/xpGuardService.js';
+import * as xpReconciliationService from '../services/xpReconciliationService.js';
+import * as llmUsageService from '../services/llmUsageService.js';
+import * as llmBudgetService from '../services/llmBudgetService.js';
+import * as promptRegistryService from '../services/promptRegistryService.js';
+import * as calibrationService from '../services/calibrationService.js';
+import * as reviewQueueService from '../services/reviewQueueService.js';
+import { requireRole } from '../middleware/auth.js';
 
 /**
  * Admin Routes - READ-ONLY Access
  * 
  * SPEC #8: Rule Enforcement Priority
  * - NO XP modification endpoints
- * - NO admin manual XP injection
+ * - NO admin manual XP injection; the only XP change is an approved review
+ *   correction, a compensating audit entry for one awarded session
  * - Read-only audit trail access
+ * - Moderator or admin role required; every access is logged
  */
 
 const router = express.Router();
 
+// ==========================================
+// ACCESS CONTROL & ACCESS AUDIT
+// ==========================================
+
+router.use(requireRole('moderator', 'admin'));
+
+// Remember whose data is being viewed for the access log
+router.param('user_id', (req, res, next, userId) => {
+    req.admin_target_user_id = String(userId);
+    next();
+});
+
+// Record which admin viewed which user's data once the response is sent,
+// or once the connection closes when the client went away first (logged once)
+router.use((req, res, next) => {
+    let logged = false;
+    const log = () => {
+        if (logged) return;
+        logged = true;
+        AdminAccessLog.create({
+            admin_id: req.user.id,
+            admin_role: req.user.role,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            target_user_id: req.admin_target_user_id,
+            query: req.query,
+            status_code: res.statusCode,
+            aborted: !res.writableFinished,
+            change: req.admin_change,
+            ip: req.ip
+        }).catch(error => console.error('Admin access log error:', error));
+    };
+    res.on('finish', log);
+    res.on('close', log);
+    next();
+});
+
 // ==========================================
 // XP AUDIT LOGS (READ-ONLY)
 // ==========================================
@@ -90,6 +140,96 @@ router.get('/audit-summary/:user_id', async (req, res) => {
     }
 });
 
+/**
+ * Verify the user's XP audit hash chain has not been altered
+ */
+router.get('/audit-chain/:user_id/verify', async (req, res) => {
+    try {
+        const result = await xpGuardService.verifyAuditChain(req.params.user_id);
+        res.json(result);
+    } catch (error) {
+        console.error('Verify audit chain error:', error);
+        res.status(500).json({ error: 'Failed to verify audit chain' });
+    }
+});
+
+// ==========================================
+// XP RECONCILIATION
+// ==========================================
+
+/**
+ * Replay a user's audit chain and compare it with their profile XP
+ */
+router.get('/xp-reconciliation/:user_id', async (req, res) => {
+    try {
+        const report = await xpReconciliationService.reconcileUser(req.params.user_id);
+        if (!report) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.json(report);
+    } catch (error) {
+        console.error('XP reconciliation error:', error);
+        res.status(500).json({ error: 'Failed to reconcile XP' });
+    }
+});
+
+/**
+ * Reconcile many profiles; only mismatched reports are returned
+ * Body: { user_ids?, limit?, quarantine? }
+ */
+router.post('/xp-reconciliation', requireRole('admin'), async (req, res) => {
+    try {
+        const { user_ids, limit, quarantine = false } = req.body;
+
+        const summary = await xpReconciliationService.reconcileAll({
+            user_ids: Array.isArray(user_ids) ? user_ids.map(String) : undefined,
+            limit,
+            quarantine: quarantine === true
+        });
+
+        res.json(summary);
+    } catch (error) {
+        console.error('XP reconciliation run error:', error);
+        res.status(500).json({ error: 'Failed to run XP reconciliation' });
+    }
+});
+
+/**
+ * Record XP held before the ledger as opening_balance entries (profiles without entries only)
+ * Body: { user_ids?, limit? }
+ */
+router.post('/xp-reconciliation/opening-balances', requireRole('admin'), async (req, res) => {
+    try {
+        const { user_ids, limit } = req.body;
+
+        const summary = await xpReconciliationService.recordOpeningBalances({
+            user_ids: Array.isArray(user_ids) ? user_ids.map(String) : undefined,
+            limit
+        });
+
+        res.json(summary);
+    } catch (error) {
+        console.error('Opening balances error:', error);
+        res.status(500).json({ error: 'Failed to record opening balances' });
+    }
+});
+
+/**
+ * Release a quarantined profile - XP values are NOT changed
+ */
+router.delete('/xp-reconciliation/quarantine/:user_id', requireRole('admin'), async (req, res) => {
+    try {
+        const profile = await xpReconciliationService.releaseQuarantine(req.params.user_id, req.user.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'No active quarantine for this user' });
+        }
+        res.json({ user_id: profile.user_id, xp_quarantine: profile.xp_quarantine });
+    } catch (error) {
+        console.error('Release quarantine error:', error);
+        res.status(500).json({ error: 'Failed to release quarantine' });
+    }
+});
+
 // ==========================================
 // EXPLOIT REPORTS (READ-ONLY)
 // ==========================================
@@ -157,6 +297,43 @@ router.get('/stagnation-reports', async (req, res) => {
     }
 });
 
+// ==========================================
+// CONTESTED EVALUATIONS (READ-ONLY)
+// ==========================================
+
+/**
+ * Submissions the judge panel disagreed on (needs_review)
+ * Query: reason, user_id, limit
+ */
+router.get('/contested-evaluations', async (req, res) => {
+    try {
+        const { reason, user_id } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const filter = { needs_review: true };
+        if (reason) filter.review_reasons = reason;
+        if (user_id) filter.user_id = user_id;
+
+        const sessions = await ArenaSession.find(filter)
+            .sort({ submitted_at: -1 })
+            .limit(limit)
+            .select('user_id problem_id submitted_at xp_earned level_up_achieved review_reasons evaluation_result.consensus evaluation_result.rubric.consensus')
+            .lean();
+
+        res.json({
+            total: sessions.length,
+            sessions: sessions.map(({ evaluation_result: result, ...session }) => ({
+                ...session,
+                evaluation_consensus: result?.consensus || null,
+                rubric_consensus: result?.rubric?.consensus || null
+            }))
+        });
+    } catch (error) {
+        console.error('Get contested evaluations error:', error);
+        res.status(500).json({ error: 'Failed to get contested evaluations' });
+    }
+});
+
 // ==========================================
 // LINKED ACCOUNTS (READ-ONLY)
 // ==========================================
@@ -250,6 +427,448 @@ router.get('/system-health', async (req, res) => {
     }
 });
 
+// ==========================================
+// LLM USAGE (READ-ONLY)
+// ==========================================
+
+const usageOptions = (query) => ({
+    from: query.from,
+    to: query.to,
+    tier: query.tier,
+    provider: query.provider,
+    flow: query.flow,
+    prompt_id: query.prompt_id,
+    prompt_version: query.prompt_version,
+    limit: query.limit,
+    group_by: query.group_by ? String(query.group_by).split(',').map(field => field.trim()) : undefined
+});
+
+/**
+ * Token usage and estimated cost, grouped by group_by
+ * (flow, tier, provider, model, user_id, session_id, status, day, prompt_id, prompt_version,
+ * prompt_language; comma-separated)
+ */
+router.get('/llm-usage', async (req, res) => {
+    try {
+        const summary = await llmUsageService.getUsageSummary(usageOptions(req.query));
+        res.json(summary);
+    } catch (error) {
+        console.error('Get LLM usage error:', error);
+        res.status(500).json({ error: 'Failed to get LLM usage' });
+    }
+});
+
+/**
+ * Token usage of one user (by flow unless group_by is given)
+ */
+router.get('/llm-usage/users/:user_id', async (req, res) => {
+    try {
+        const summary = await llmUsageService.getUserUsage(req.params.user_id, usageOptions(req.query));
+        res.json({ user_id: req.params.user_id, ...summary });
+    } catch (error) {
+        console.error('Get user LLM usage error:', error);
+        res.status(500).json({ error: 'Failed to get LLM usage' });
+    }
+});
+
+/**
+ * Token usage of one arena session (by tier and provider unless group_by is given)
+ */
+router.get('/llm-usage/sessions/:session_id', async (req, res) => {
+    try {
+        const summary = await llmUsageService.getSessionUsage(req.params.session_id, usageOptions(req.query));
+        res.json({ session_id: req.params.session_id, ...summary });
+    } catch (error) {
+        console.error('Get session LLM usage error:', error);
+        res.status(500).json({ error: 'Failed to get LLM usage' });
+    }
+});
+
+/**
+ * Today's token budgets: per tier, and the heaviest users (or ?user_id=)
+ */
+router.get('/llm-budget', async (req, res) => {
+    try {
+        const status = await llmBudgetService.getBudgetStatus({
+            user_id: req.query.user_id,
+            limit: req.query.limit
+        });
+        res.json(status);
+    } catch (error) {
+        console.error('Get LLM budget error:', error);
+        res.status(500).json({ error: 'Failed to get LLM budget' });
+    }
+});
+
+// ==========================================
+// PROMPT REGISTRY
+// ==========================================
+
+// Service error codes answered with a status instead of 500
+const ERROR_STATUS = {
+    PROMPT_NOT_FOUND: 404,
+    PROMPT_VERSION_NOT_FOUND: 404,
+    PROMPT_INVALID: 400,
+    PROMPT_VARIABLE_MISSING: 400,
+    PROMPT_CONFLICT: 409,
+    CALIBRATION_INVALID: 400,
+    CALIBRATION_EMPTY: 400,
+    GOLDEN_EXISTS: 409,
+    GOLDEN_NOT_FOUND: 404,
+    REVIEW_INVALID: 400,
+    REVIEW_FORBIDDEN: 403,
+    REVIEW_NOT_FOUND: 404,
+    REVIEW_CLOSED: 409,
+    REVIEW_NOT_ELIGIBLE: 409,
+    REVIEW_PENDING_APPROVAL: 409,
+    REVIEW_NO_PROPOSAL: 409,
+    REVIEW_CONFLICT: 409
+};
+
+const sendServiceError = (res, error, label) => {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json({ error: error.message, code: error.code, problems: error.problems });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
+};
+
+/**
+ * All prompts with their active version
+ */
+router.get('/prompts', async (req, res) => {
+    try {
+        const prompts = await promptRegistryService.listPrompts();
+        res.json({ total: prompts.length, prompts });
+    } catch (error) {
+        sendServiceError(res, error, 'Get prompts');
+    }
+});
+
+/**
+ * One prompt with every version
+ */
+router.get('/prompts/:prompt_id', async (req, res) => {
+    try {
+        const prompt = await promptRegistryService.getPromptVersions(req.params.prompt_id);
+        res.json(prompt);
+    } catch (error) {
+        sendServiceError(res, error, 'Get prompt');
+    }
+});
+
+/**
+ * Preview a rendered prompt (no LLM call)
+ * Body: { variables, language?, version? }
+ */
+router.post('/prompts/:prompt_id/render', async (req, res) => {
+    try {
+        const { variables = {}, language, version } = req.body;
+        const rendered = await promptRegistryService.renderPrompt(req.params.prompt_id, variables, { language, version });
+        res.json(rendered);
+    } catch (error) {
+        sendServiceError(res, error, 'Render prompt');
+    }
+});
+
+/**
+ * Store a new version of a prompt's template text
+ * Body: { templates: { en?, id? }, notes?, activate? }
+ */
+router.post('/prompts/:prompt_id/versions', requireRole('admin'), async (req, res) => {
+    try {
+        const { templates, notes, activate = false } = req.body;
+        const version = await promptRegistryService.createPromptVersion(
+            req.params.prompt_id,
+            { templates, notes, activate },
+            req.user.id
+        );
+        res.status(201).json(version);
+    } catch (error) {
+        sendServiceError(res, error, 'Create prompt version');
+    }
+});
+
+/**
+ * Activate a version (the built-in version number restores the code prompt)
+ * Body: { version }
+ */
+router.put('/prompts/:prompt_id/active', requireRole('admin'), async (req, res) => {
+    try {
+        const { version } = req.body;
+        if (version === undefined || isNaN(Number(version))) {
+            return res.status(400).json({ error: 'version is required' });
+        }
+        const result = await promptRegistryService.activatePromptVersion(req.params.prompt_id, version);
+        res.json(result);
+    } catch (error) {
+        sendServiceError(res, error, 'Activate prompt version');
+    }
+});
+
+// ==========================================
+// EVALUATION CALIBRATION
+// ==========================================
+
+/**
+ * Golden solutions (?level=&include_inactive=true)
+ */
+router.get('/calibration/goldens', async (req, res) => {
+    try {
+        const goldens = await calibrationService.listGoldenSolutions({
+            level: req.query.level,
+            include_inactive: req.query.include_inactive === 'true'
+        });
+        res.json({ total: goldens.length, goldens });
+    } catch (error) {
+        sendServiceError(res, error, 'Get golden solutions');
+    }
+});
+
+/**
+ * Add a golden solution
+ * Body: { golden_id, level, problem, solution, language?, time_elapsed_seconds?,
+ *         expected_ranges?, expected_criteria?, expected_level_up?, notes? }
+ */
+router.post('/calibration/goldens', requireRole('admin'), async (req, res) => {
+    try {
+        const golden = await calibrationService.createGoldenSolution(req.body, req.user.id);
+        res.status(201).json(golden);
+    } catch (error) {
+        sendServiceError(res, error, 'Create golden solution');
+    }
+});
+
+/**
+ * Deactivate a golden solution (earlier reports keep referring to it)
+ */
+router.delete('/calibration/goldens/:golden_id', requireRole('admin'), async (req, res) => {
+    try {
+        const golden = await calibrationService.deactivateGoldenSolution(req.params.golden_id);
+        res.json(golden);
+    } catch (error) {
+        sendServiceError(res, error, 'Deactivate golden solution');
+    }
+});
+
+/**
+ * Start replaying golden solutions in the background; the drift report is
+ * stored on the run (poll GET /calibration/runs/:run_id)
+ * Body: { mode: 'mock' | 'live', levels?, golden_ids? }
+ */
+router.post('/calibration/runs', requireRole('admin'), async (req, res) => {
+    try {
+        const { mode = 'mock', levels, golden_ids } = req.body;
+        const run = await calibrationService.startCalibration({ mode, levels, golden_ids, triggered_by: req.user.id });
+        res.status(202).json({ run_id: run.run_id, mode: run.mode, status: run.status, started_at: run.started_at });
+    } catch (error) {
+        sendServiceError(res, error, 'Run calibration');
+    }
+});
+
+/**
+ * Recent calibration runs without per-golden results (?mode=&limit=)
+ */
+router.get('/calibration/runs', async (req, res) => {
+    try {
+        const runs = await calibrationService.listCalibrationRuns({ mode: req.query.mode, limit: req.query.limit });
+        res.json({ total: runs.length, runs });
+    } catch (error) {
+        sendServiceError(res, error, 'Get calibration runs');
+    }
+});
+
+/**
+ * Full report of one run
+ */
+router.get('/calibration/runs/:run_id', async (req, res) => {
+    try {
+        const run = await calibrationService.getCalibrationRun(req.params.run_id);
+        if (!run) {
+            return res.status(404).json({ error: 'Calibration run not found' });
+        }
+        res.json(run);
+    } catch (error) {
+        sendServiceError(res, error, 'Get calibration run');
+    }
+});
+
+// ==========================================
+// HUMAN REVIEW QUEUE
+// ==========================================
+
+/**
+ * Review items, oldest open first
+ * Query: status (open | resolved, default open), reason, source (appeal | auto), user_id,
+ *        awaiting_approval (true | false), limit
+ */
+router.get('/reviews', async (req, res) => {
+    try {
+        const { status = 'open', reason, source, user_id, limit } = req.query;
+        const awaiting_approval = req.query.awaiting_approval === undefined ? undefined : req.query.awaiting_approval === 'true';
+        const items = await reviewQueueService.listReviewItems({ status, reason, source, user_id, awaiting_approval, limit });
+        res.json({ total: items.length, items });
+    } catch (error) {
+        sendServiceError(res, error, 'Get review items');
+    }
+});
+
+/**
+ * One review item with the session, its audit entries and artifact versions
+ */
+router.get('/reviews/:review_id', async (req, res) => {
+    try {
+        const item = await reviewQueueService.getReviewItem(req.params.review_id);
+        if (!item) {
+            return res.status(404).json({ error: 'Review item not found' });
+        }
+        req.admin_target_user_id = item.user_id;
+        res.json(item);
+    } catch (error) {
+        sendServiceError(res, error, 'Get review item');
+    }
+});
+
+/**
+ * Resolve a review item
+ * Body: { outcome: 'upheld' | 'corrected', note, level_up_achieved?, xp_breakdown? }
+ * A level-up correction writes a new artifact version at once; an XP correction
+ * is stored as a proposal until approved
+ */
+router.post('/reviews/:review_id/resolve', async (req, res) => {
+    try {
+        const { outcome, note, level_up_achieved, xp_breakdown } = req.body;
+        const item = await reviewQueueService.resolveReviewItem(
+            req.params.review_id,
+            { outcome, note, level_up_achieved, xp_breakdown },
+            { id: req.user.id, role: req.user.role }
+        );
+        req.admin_target_user_id = item.user_id;
+        res.json(item);
+    } catch (error) {
+        sendServiceError(res, error, 'Resolve review item');
+    }
+});
+
+/**
+ * Approve the pending XP correction (admin, not the proposer)
+ * Body: { note? }; applied once REVIEW_CORRECTION_APPROVALS approvals are in
+ */
+router.post('/reviews/:review_id/approve', requireRole('admin'), async (req, res) => {
+    try {
+        const item = await reviewQueueService.approveCorrection(
+            req.params.review_id,
+            { id: req.user.id, role: req.user.role },
+            req.body.note
+        );
+        req.admin_target_user_id = item.user_id;
+        res.json(item);
+    } catch (error) {
+        sendServiceError(res, error, 'Approve correction');
+    }
+});
+
+/**
+ * Reject the pending XP correction (admin, not the proposer); the item stays open
+ * Body: { note }
+ */
+router.post('/reviews/:review_id/reject', requireRole('admin'), async (req, res) => {
+    try {
+        const item = await reviewQueueService.rejectCorrection(
+            req.params.review_id,
+            { id: req.user.id, role: req.user.role },
+            req.body.note
+        );
+        req.admin_target_user_id = item.user_id;
+        res.json(item);
+    } catch (error) {
+        sendServiceError(res, error, 'Reject correction');
+    }
+});
+
+// ==========================================
+// ADMIN ACCESS LOGS (ADMIN ONLY)
+// ==========================================
+
+/**
+ * Get admin access history, optionally filtered by viewed user or acting admin
+ */
+router.get('/access-logs', requireRole('admin'), async (req, res) => {
+    try {
+        const { target_user_id, admin_id, limit = 50, skip = 0 } = req.query;
+
+        const filter = {};
+        if (target_user_id) filter.target_user_id = target_user_id;
+        if (admin_id) filter.admin_id = admin_id;
+
+        const logs = await AdminAccessLog.find(filter)
+            .sort({ created_at: -1 })
+            .skip(parseInt(skip))
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await AdminAccessLog.countDocuments(filter);
+
+        res.json({
+            logs,
+            total,
+            limit: parseInt(limit),
+            skip: parseInt(skip)
+        });
+    } catch (error) {
+        console.error('Get access logs error:', error);
+        res.status(500).json({ error: 'Failed to get access logs' });
+    }
+});
+
+// ==========================================
+// ROLE MANAGEMENT (ADMIN ONLY)
+// ==========================================
+
+/**
+ * Change a user's role (user, moderator, admin)
+ * Does not touch XP - role changes are recorded in the access log
+ */
+router.put('/users/:user_id/role', requireRole('admin'), async (req, res) => {
+    try {
+        const { user_id } = req.params;
+        const { role } = req.body;
+
+        if (!['user', 'moderator', 'admin'].includes(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+
+        if (user_id === req.user.id) {
+            return res.status(400).json({ error: 'Cannot change your own role' });
+        }
+
+        const user = await User.findById(user_id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+        // Kept on the access log entry of this request
+        req.admin_change = { field: 'role', from: previousRole, to: role };
+
+        res.json({
+            id: user._id,
+            email: user.email,
+            name: user.name,
+            role: user.role
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        console.error('Update role error:', error);
+        res.status(500).json({ error: 'Failed to update role' });
+    }
+});
+
 // ==========================================
 // BLOCKED ENDPOINTS (NO XP INJECTION)
 // ==========================================
@@ -2,16 +2,16 @@ import express from 'express';
 import ArenaSession from '../models/ArenaSession.js';
 import UserProfile from '../models/UserProfile.js';
 import Problem from '../models/Problem.js';
-import Achievement from '../models/Achievement.js';
-import Artifact from '../models/Artifact.js';
-import { evaluateSolution } from '../services/aiService.js';
-import { updateArchetype } from '../services/profileService.js';
 import * as orchestratorService from '../services/orchestratorService.js';
-import * as xpGuardService from '../services/xpGuardService.js';
 import * as exploitDetectionService from '../services/exploitDetectionService.js';
+import * as arenaSubmissionService from '../services/arenaSubmissionService.js';
+import * as reviewQueueService from '../services/reviewQueueService.js';
+import { requireOwnUserParam, requireSessionOwner } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.param('user_id', requireOwnUserParam);
+
 router.post('/start', async (req, res) => {
   try {
     const { user_id, problem_id } = req.body;
@@ -51,7 +51,7 @@ router.post('/start', async (req, res) => {
   }
 });
 
-router.post('/submit', async (req, res) => {
+router.post('/submit', requireSessionOwner, async (req, res) => {
   try {
     const { session_id, solution, time_elapsed, session_data } = req.body;
 
@@ -59,259 +59,23 @@ router.post('/submit', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const session = await ArenaSession.findById(session_id);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-
-    const problem = await Problem.findOne({ problem_id: session.problem_id });
-    if (!problem) {
-      return res.status(404).json({ error: 'Problem not found' });
-    }
-
-    const profile = await UserProfile.findOne({ user_id: session.user_id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-
-    // ==========================================
-    // SPEC #6: Check XP Freeze State
-    // ==========================================
-    const freezeCheck = await xpGuardService.isXPFrozen(session.user_id);
-    if (freezeCheck.frozen) {
-      return res.status(429).json({
-        error: 'XP is frozen',
-        frozen_until: freezeCheck.until,
-        reason: 'Your XP is temporarily frozen. You can still practice but will not earn XP.'
-      });
-    }
-
-    // ==========================================
-    // SPEC #3: Check Exploit Cooldown
-    // ==========================================
-    const cooldownCheck = await exploitDetectionService.isInCooldown(session.user_id);
-    if (cooldownCheck.in_cooldown) {
-      return res.status(429).json({
-        error: 'Cooldown active',
-        cooldown_until: cooldownCheck.until,
-        remaining_seconds: cooldownCheck.remaining_seconds
-      });
-    }
-
-    // ==========================================
-    // SPEC #3: Run Exploit Detection BEFORE XP Award
-    // ==========================================
-    const exploitCheck = await exploitDetectionService.runFullExploitCheck(
-      session.user_id,
-      solution,
+    // Freeze/cooldown/exploit checks, evaluation and the transactional XP award
+    const { status, body } = await arenaSubmissionService.submitSolution({
       session_id,
-      problem.problem_id
-    );
-
-    if (exploitCheck.any_exploit_detected) {
-      // Record exploit in profile history
-      profile.exploit_history = profile.exploit_history || [];
-      profile.exploit_history.push({
-        detected_at: new Date(),
-        exploit_type: exploitCheck.cooldown.reason.includes('pattern') ? 'pattern_replay' :
-          exploitCheck.cooldown.reason.includes('switching') ? 'role_switching' : 'cooperative_farming',
-        cooldown_applied: exploitCheck.cooldown.duration_ms
-      });
-      await profile.save();
-
-      return res.status(429).json({
-        error: 'Exploit detected',
-        exploit_type: exploitCheck.cooldown.reason,
-        cooldown_seconds: exploitCheck.cooldown.duration_ms / 1000,
-        cooldown_until: new Date(Date.now() + exploitCheck.cooldown.duration_ms)
-      });
-    }
-
-    // ==========================================
-    // AI Evaluation (unchanged)
-    // ==========================================
-    const evaluation = await evaluateSolution(problem, solution, time_elapsed);
-
-    // ==========================================
-    // SPEC #1 & #8: Isolated XP Calculation with Audit
-    // ==========================================
-    // Capture XP before changes
-    const xpBefore = {
-      risk_taker: profile.xp_risk_taker,
-      analyst: profile.xp_analyst,
-      builder: profile.xp_builder,
-      strategist: profile.xp_strategist
-    };
-
-    // Use isolated XP calculation (SPEC #1)
-    const { totalXp, xpBreakdown, courageXP, accuracyXP } = await xpGuardService.calculateIsolatedXP(
-      evaluation,
-      problem,
-      profile,
-      session_data || {}
-    );
-
-    // Validate XP award (SPEC #8)
-    const validation = xpGuardService.validateXPAward(xpBreakdown, 'arena_submit');
-    if (!validation.valid) {
-      console.error('XP validation failed:', validation.error);
-      return res.status(400).json({ error: 'XP validation failed', details: validation.error });
-    }
-
-    // Update session
-    session.status = 'evaluated';
-    session.submitted_at = new Date();
-    session.solution_text = solution;
-    session.xp_earned = totalXp;
-    session.xp_breakdown = xpBreakdown;
-    session.level_up_achieved = evaluation.level_up_achieved;
-    session.criteria_met = evaluation.criteria_met;
-    session.ai_evaluation = evaluation.evaluation;
-    session.ai_insight = evaluation.insight;
-    session.time_spent_seconds = time_elapsed;
-    await session.save();
-
-    // Update profile XP
-    profile.xp_risk_taker += xpBreakdown.risk_taker || 0;
-    profile.xp_analyst += xpBreakdown.analyst || 0;
-    profile.xp_builder += xpBreakdown.builder || 0;
-    profile.xp_strategist += xpBreakdown.strategist || 0;
-    profile.total_arenas_completed += 1;
-
-    // ==========================================
-    // STREAK & MONTHLY PROGRESS TRACKING
-    // ==========================================
-    const today = new Date();
-    const todayStr = today.toISOString().split('T')[0]; // "2026-01-12"
-    const lastArenaDate = profile.last_arena_date;
-
-    if (lastArenaDate) {
-      const lastDateStr = new Date(lastArenaDate).toISOString().split('T')[0];
-      const daysDiff = Math.floor((today - new Date(lastArenaDate)) / (1000 * 60 * 60 * 24));
-
-      if (daysDiff === 0) {
-        // Same day - streak unchanged
-      } else if (daysDiff === 1) {
-        // Consecutive day - increment streak
-        profile.current_streak += 1;
-      } else {
-        // Missed days - reset streak to 1
-        profile.current_streak = 1;
-      }
-    } else {
-      // First arena - start streak
-      profile.current_streak = 1;
-    }
-
-    // Update longest streak
-    if (profile.current_streak > profile.longest_streak) {
-      profile.longest_streak = profile.current_streak;
-    }
-
-    // Update last arena date
-    profile.last_arena_date = today;
-
-    // Update monthly arenas
-    const currentMonth = today.toISOString().slice(0, 7); // "2026-01"
-    const monthIndex = profile.monthly_arenas?.findIndex(m => m.month === currentMonth);
-    if (monthIndex >= 0) {
-      profile.monthly_arenas[monthIndex].count += 1;
-    } else {
-      profile.monthly_arenas = profile.monthly_arenas || [];
-      profile.monthly_arenas.push({ month: currentMonth, count: 1 });
-    }
-
-    // Capture XP after changes
-    const xpAfter = {
-      risk_taker: profile.xp_risk_taker,
-      analyst: profile.xp_analyst,
-      builder: profile.xp_builder,
-      strategist: profile.xp_strategist
-    };
-
-    // ==========================================
-    // SPEC #8: Create Immutable Audit Log
-    // ==========================================
-    await xpGuardService.createXPAuditLog(
-      session.user_id,
-      'award',
-      xpBefore,
-      xpAfter,
-      'arena_submit',
-      {
-        session_id: session_id,
-        problem_id: problem.problem_id,
-        problem_difficulty: problem.difficulty,
-        evaluation_summary: evaluation.evaluation?.substring(0, 200),
-        courage_xp: courageXP,
-        accuracy_xp: accuracyXP,
-        stagnation_detected: evaluation.stagnation_detected,
-        exploit_detected: false
-      }
-    );
-
-    // ==========================================
-    // SPEC #6: Update Stagnation State
-    // ==========================================
-    await xpGuardService.updateStagnationState(session.user_id, totalXp);
-
-    // Level up handling with IMMUTABLE Artifact (SPEC #4)
-    if (evaluation.level_up_achieved && problem.difficulty > profile.current_difficulty) {
-      profile.current_difficulty = problem.difficulty;
-      profile.highest_difficulty_conquered = Math.max(
-        profile.highest_difficulty_conquered,
-        problem.difficulty
-      );
-
-      await Achievement.create({
-        user_id: session.user_id,
-        achievement_id: `ACH-${Date.now()}`,
-        title: `Conquered Level ${problem.difficulty}`,
-        description: `Menyelesaikan ${problem.title} di difficulty ${problem.difficulty}`,
-        archetype_at_achievement: profile.primary_archetype,
-        difficulty_level: problem.difficulty,
-        problem_id: problem.problem_id,
-        achieved_at: new Date(),
-        badge_type: 'difficulty_jump',
-        is_highest: problem.difficulty > profile.highest_difficulty_conquered
-      });
-
-      // Create IMMUTABLE Artifact with XP snapshot (SPEC #4)
-      await Artifact.create({
-        user_id: session.user_id,
-        problem_id: problem.problem_id,
-        problem_title: problem.title,
-        difficulty: problem.difficulty,
-        archetype_role: profile.primary_archetype,
-        solution_summary: solution.substring(0, 500),
-        insight: evaluation.insight,
-        level_up_verified: true,
-        arena_session_id: session._id.toString(),
-        conquered_at: new Date(),
-        event_source: 'level_up',
-        xp_snapshot: xpAfter
-      });
-    }
-
-    profile.primary_archetype = updateArchetype(profile);
-    await profile.save();
-
-    res.json({
-      session,
-      evaluation,
-      xp_earned: totalXp,
-      xp_breakdown: xpBreakdown,
-      updated_profile: profile,
-      xp_state: profile.xp_state,
-      stagnation_count: profile.stagnation_count
+      solution,
+      time_elapsed,
+      session_data,
+      idempotency_key: req.get('Idempotency-Key') || req.body.idempotency_key || null
     });
+
+    res.status(status).json(body);
   } catch (error) {
     console.error('Submit session error:', error);
     res.status(500).json({ error: 'Failed to submit session' });
   }
 });
 
-router.post('/abandon', async (req, res) => {
+router.post('/abandon', requireSessionOwner, async (req, res) => {
   try {
     const { session_id } = req.body;
 
@@ -383,7 +147,7 @@ router.get('/user/:user_id', async (req, res) => {
 /**
  * Initialize orchestrator session (called after /start)
  */
-router.post('/init-session', async (req, res) => {
+router.post('/init-session', requireSessionOwner, async (req, res) => {
   try {
     const { session_id, problem_id, user_id } = req.body;
 
@@ -406,7 +170,7 @@ router.post('/init-session', async (req, res) => {
 /**
  * Real-time keystroke tracking
  */
-router.post('/track', async (req, res) => {
+router.post('/track', requireSessionOwner, async (req, res) => {
   try {
     const { session_id, keystroke_data } = req.body;
 
@@ -425,7 +189,7 @@ router.post('/track', async (req, res) => {
 /**
  * Get next AI action (polling endpoint for real-time interventions)
  */
-router.get('/next-action/:session_id', async (req, res) => {
+router.get('/next-action/:session_id', requireSessionOwner, async (req, res) => {
   try {
     const action = await orchestratorService.requestNextAction(req.params.session_id);
     res.json(action);
@@ -438,7 +202,7 @@ router.get('/next-action/:session_id', async (req, res) => {
 /**
  * Handle user response to AI intervention
  */
-router.post('/intervention-response', async (req, res) => {
+router.post('/intervention-response', requireSessionOwner, async (req, res) => {
   try {
     const { session_id, response_type } = req.body;
 
@@ -454,10 +218,61 @@ router.post('/intervention-response', async (req, res) => {
   }
 });
 
+// ==========================================
+// EVALUATION APPEALS (human review queue)
+// ==========================================
+
+// Review errors answered with a status instead of 500
+const APPEAL_ERROR_STATUS = {
+  REVIEW_INVALID: 400,
+  SESSION_NOT_FOUND: 404,
+  REVIEW_NOT_ELIGIBLE: 409,
+  APPEAL_EXISTS: 409
+};
+
+/**
+ * Appeal the evaluation of an evaluated session
+ * Body: { session_id, message }
+ */
+router.post('/appeal', requireSessionOwner, async (req, res) => {
+  try {
+    const { session_id, message } = req.body;
+    const item = await reviewQueueService.appealSession(String(session_id), req.user.id, message);
+
+    res.status(201).json({
+      review_id: item.review_id,
+      session_id: item.session_id,
+      status: item.status,
+      reasons: item.reasons,
+      appeal: item.appeal
+    });
+  } catch (error) {
+    const status = APPEAL_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    console.error('Appeal session error:', error);
+    res.status(500).json({ error: 'Failed to appeal session' });
+  }
+});
+
+/**
+ * Review items (appeals and automatic reviews) of a session with their outcome
+ */
+router.get('/reviews/:session_id', requireSessionOwner, async (req, res) => {
+  try {
+    const reviews = await reviewQueueService.getSessionReviews(req.params.session_id);
+    res.json({ session_id: req.params.session_id, reviews });
+  } catch (error) {
+    console.error('Get session reviews error:', error);
+    res.status(500).json({ error: 'Failed to get session reviews' });
+  }
+});
+
 /**
  * Get session metrics (for debugging/analytics)
  */
-router.get('/metrics/:session_id', async (req, res) => {
+router.get('/metrics/:session_id', requireSessionOwner, async (req, res) => {
   try {
     const ArenaSessionMetrics = (await import('../models/ArenaSessionMetrics.js')).default;
     const SessionMemory = (await import('../models/SessionMemory.js')).default;
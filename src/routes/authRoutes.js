@@ -1,19 +1,19 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { authenticate } from '../middleware/auth.js';
+import * as authSessionService from '../services/authSessionService.js';
+import * as accountTokenService from '../services/accountTokenService.js';
+import { isMailConfigured } from '../config/mailTransport.js';
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'novax-arena-secret-key-2024';
-const JWT_EXPIRES_IN = '7d';
-
 /**
  * POST /api/auth/register
  * Register a new user
  */
 router.post('/register', async (req, res) => {
     try {
-        const { email, password, name } = req.body;
+        const { email, password, name, device } = req.body;
 
         // Validate required fields
         if (!email || !password || !name) {
@@ -45,20 +45,25 @@ router.post('/register', async (req, res) => {
 
         await user.save();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        // Verification mail failure must not fail the registration
+        if (isMailConfigured()) {
+            accountTokenService.sendVerificationEmail(user).catch(err =>
+                console.error('Verification email error:', err)
+            );
+        }
+
+        // Start a device session (access + refresh token)
+        const tokens = await authSessionService.createSession(user, device || {}, req.ip);
 
         res.status(201).json({
             message: 'Registration successful',
-            token,
+            ...tokens,
             user: {
                 id: user._id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role,
+                email_verified: user.email_verified
             }
         });
     } catch (error) {
@@ -88,7 +93,7 @@ router.post('/register', async (req, res) => {
  */
 router.post('/login', async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, device } = req.body;
 
         // Validate required fields
         if (!email || !password) {
@@ -113,20 +118,18 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        // Start a device session (access + refresh token)
+        const tokens = await authSessionService.createSession(user, device || {}, req.ip);
 
         res.json({
             message: 'Login successful',
-            token,
+            ...tokens,
             user: {
                 id: user._id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role,
+                email_verified: user.email_verified
             }
         });
     } catch (error) {
@@ -139,39 +142,212 @@ router.post('/login', async (req, res) => {
  * GET /api/auth/me
  * Get current user from token
  */
-router.get('/me', async (req, res) => {
-    try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ error: 'No token provided' });
-        }
+router.get('/me', authenticate, (req, res) => {
+    res.json({
+        id: req.user.id,
+        email: req.user.email,
+        name: req.user.name,
+        role: req.user.role,
+        email_verified: req.user.email_verified
+    });
+});
 
-        const token = authHeader.split(' ')[1];
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access + refresh token pair
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
 
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
+        if (!refresh_token) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
 
-        // Find user
-        const user = await User.findById(decoded.userId).select('-password');
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        const result = await authSessionService.rotateRefreshToken(refresh_token);
+        if (result.error) {
+            return res.status(401).json({ error: result.error });
         }
 
+        const { user, ...tokens } = result;
         res.json({
-            id: user._id,
-            email: user.email,
-            name: user.name
+            message: 'Token refreshed',
+            ...tokens,
+            user: {
+                id: user._id,
+                email: user.email,
+                name: user.name,
+                role: user.role,
+                email_verified: user.email_verified
+            }
         });
     } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ error: 'Invalid token' });
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session (access and refresh token stop working)
+ */
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await authSessionService.revokeSession(req.user.id, req.user.session_id, 'logout');
+        res.json({ message: 'Logout successful' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List active sessions (devices) for the current user
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const sessions = await authSessionService.listSessions(req.user.id, req.user.session_id);
+        res.json({ sessions });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:session_id
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:session_id', authenticate, async (req, res) => {
+    try {
+        const revoked = await authSessionService.revokeSession(req.user.id, req.params.session_id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ error: 'Token expired' });
+        res.json({ revoked: true, session_id: req.params.session_id });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke every session except the current one ("log out other devices")
+ */
+router.delete('/sessions', authenticate, async (req, res) => {
+    try {
+        const count = await authSessionService.revokeAllSessions(req.user.id, req.user.session_id);
+        res.json({ revoked: count });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// Answer of the mail flows when production has no mail transport
+const MAIL_DISABLED = { error: 'Email is not available on this server', code: 'MAIL_NOT_CONFIGURED' };
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification mail
+ */
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Token is required' });
+        }
+
+        const result = await accountTokenService.verifyEmail(token);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ message: 'Email verified', email_verified: true });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Email verification failed' });
+    }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification mail to the current user
+ */
+router.post('/resend-verification', authenticate, async (req, res) => {
+    try {
+        if (req.user.email_verified) {
+            return res.status(400).json({ error: 'Email already verified' });
+        }
+        if (!isMailConfigured()) {
+            return res.status(503).json(MAIL_DISABLED);
+        }
+
+        const user = await User.findById(req.user.id);
+        await accountTokenService.sendVerificationEmail(user);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Send a password reset mail; same response whether or not the email exists
+ * The lookup and the mail run after the response so neither its timing nor a mail error tells
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        if (!isMailConfigured()) {
+            return res.status(503).json(MAIL_DISABLED);
+        }
+
+        accountTokenService.requestPasswordReset(email).catch(err =>
+            console.error('Password reset email error:', err)
+        );
+
+        res.json({ message: 'If the email is registered, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to process password reset request' });
+    }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the reset token; all sessions are revoked
+ */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and password are required' });
+        }
+
+        const result = await accountTokenService.resetPassword(token, password);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ message: 'Password reset successful' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ error: errors[0] });
         }
-        console.error('Auth me error:', error);
-        res.status(500).json({ error: 'Authentication failed' });
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Password reset failed' });
     }
 });
 
@@ -1,6 +1,7 @@
 import express from 'express';
 import { generateSocraticQuestion, generateFollowUpQuestions } from '../services/aiService.js';
 import * as aiSimple from '../services/aiSimpleService.js';
+import { invokePrompt } from '../services/promptRegistryService.js';
 import Problem from '../models/Problem.js';
 import UserProfile from '../models/UserProfile.js';
 
@@ -443,34 +444,20 @@ router.post('/follow-up', async (req, res) => {
     }
     // After exchange 3: Allow AI to decide or default to text
 
-    // Build personalized mentor prompt with visual state tone
-    const mentorPrompt = buildMentorPrompt(problem, user_response, profile, exchange_count, responseType, visual_state);
-    const fullPrompt = `${mentorPrompt.system}\n\n${mentorPrompt.user}`;
-
-    // Try Cloudflare first, fallback to Groq if null
+    // Mentor prompt (src/prompts/mentorPrompts.js): 1 short question, may conclude
+    // once the exchange limit is reached, shorter when the visual state is urgent
+    // Mid tier; provider fallback is handled by the gateway route (LLM_ROUTE_MID)
     let response = null;
     try {
-      const { invokeMidLevelAI } = await import('../config/cloudflareAI.js');
-      response = await invokeMidLevelAI({ prompt: fullPrompt });
-      if (response) {
-        console.log('[Mentor] Cloudflare AI response received');
-      }
-    } catch (cfErr) {
-      console.error('[Mentor] Cloudflare AI error:', cfErr.message);
-    }
-
-    // Fallback to Groq if Cloudflare failed
-    if (!response) {
-      console.log('[Mentor] Cloudflare null, trying Groq fallback...');
-      try {
-        const { invokeLowLevelAI } = await import('../config/groqAI.js');
-        response = await invokeLowLevelAI({ prompt: fullPrompt });
-        if (response) {
-          console.log('[Mentor] Groq AI fallback response received');
-        }
-      } catch (groqErr) {
-        console.error('[Mentor] Groq fallback error:', groqErr.message);
-      }
+      response = await invokePrompt('mentor.exchange', {
+        title: problem.title,
+        user_response,
+        exchange_count,
+        may_conclude: exchange_count >= conclusionThreshold,
+        urgent: visual_state === 'urgent' || visual_state === 'critical'
+      }, { language: profile?.language || 'id' });
+    } catch (llmErr) {
+      console.error('[Mentor] LLM error:', llmErr.message);
     }
 
     // Parse interaction type from AI response markers
@@ -581,82 +568,6 @@ router.post('/follow-up', async (req, res) => {
   }
 });
 
-/**
- * Build personalized mentor prompt - STRICT SHORT RESPONSES
- * 1 question per exchange, AI decides interaction type
- */
-function buildMentorPrompt(problem, userResponse, profile, exchangeCount, responseType, visualState = 'calm') {
-  const language = profile?.language || 'id';
-  const isQuickMode = problem?.duration_type === 'quick';
-  const maxExchanges = isQuickMode ? 2 : 3;
-
-  // Determine if AI should conclude
-  const shouldConsiderConclusion = exchangeCount >= maxExchanges;
-
-  // Visual state affects length
-  const isUrgent = visualState === 'urgent' || visualState === 'critical';
-
-  const systemPrompt = language === 'id'
-    ? `Kamu mentor yang berpikir seperti user. Tugasmu: TANYA 1 PERTANYAAN SAJA per giliran.
-
-ATURAN KETAT:
-1. MAKSIMAL 2 KALIMAT. Tidak boleh lebih.
-2. SATU PERTANYAAN per response. Bukan daftar pertanyaan.
-3. Jangan prediksi jawaban user atau exchange selanjutnya.
-4. Jangan jelaskan kenapa kamu bertanya.
-5. Bahasa santai, natural, seperti teman diskusi.
-
-PILIH JENIS INTERAKSI (tulis di awal response dengan format [TIPE]):
-- [TEXT] = User menjawab bebas (default)
-- [OPSI] = Beri 2 pilihan jelas, user pilih satu. Format: A) ... B) ...
-- [TASK] = Minta user melakukan sesuatu spesifik
-
-KAPAN PAKAI [OPSI]:
-- Saat ada trade-off jelas
-- Saat user ragu antara 2 hal
-- Untuk mempercepat keputusan
-
-${shouldConsiderConclusion ? 'Jika user sudah konsisten dan jelas, tambahkan [selesai] di akhir.' : ''}
-
-JANGAN: kata "menarik", "bagus", jargon bisnis, penjelasan panjang.`
-
-    : `You are a mentor who thinks like the user. Your job: ASK 1 QUESTION ONLY per turn.
-
-STRICT RULES:
-1. MAX 2 SENTENCES. No more.
-2. ONE QUESTION per response. Not a list.
-3. Don't predict user's answer or next exchanges.
-4. Don't explain why you're asking.
-5. Casual, natural language, like a friend discussing.
-
-CHOOSE INTERACTION TYPE (write at start with format [TYPE]):
-- [TEXT] = User answers freely (default)
-- [OPTION] = Give 2 clear choices, user picks one. Format: A) ... B) ...
-- [TASK] = Ask user to do something specific
-
-WHEN TO USE [OPTION]:
-- When there's a clear trade-off
-- When user is torn between 2 things
-- To speed up decision
-
-${shouldConsiderConclusion ? 'If user is already consistent and clear, add [conclude] at end.' : ''}
-
-DON'T: "interesting", "good", business jargon, long explanations.`;
-
-  // MINIMAL problem context - just title, not full description
-  const userPrompt = language === 'id'
-    ? `Konteks: ${problem.title}
-Jawaban user: "${userResponse}"
-Exchange ke-${exchangeCount}. ${isUrgent ? 'SINGKAT.' : ''}`
-    : `Context: ${problem.title}
-User answer: "${userResponse}"
-Exchange #${exchangeCount}. ${isUrgent ? 'BE BRIEF.' : ''}`;
-
-  return { system: systemPrompt, user: userPrompt };
-}
-
-
-
 /**
  * Generate stress-test question
  */
@@ -12,6 +12,7 @@ import ArenaSessionMetrics from '../models/ArenaSessionMetrics.js';
 import SessionMemory from '../models/SessionMemory.js';
 import * as onboardingArenaService from '../services/onboardingArenaService.js';
 import * as systemLayer from '../services/systemLayerService.js';
+import { requireSessionOwner } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -225,7 +226,7 @@ router.post('/init-session', async (req, res) => {
     }
 });
 
-router.post('/track', async (req, res) => {
+router.post('/track', requireSessionOwner, async (req, res) => {
     try {
         const { session_id, keystroke_data } = req.body || {};
         if (!session_id) return res.status(400).json({ error: 'Session ID required' });
@@ -238,7 +239,7 @@ router.post('/track', async (req, res) => {
     }
 });
 
-router.post('/record-decision', async (req, res) => {
+router.post('/record-decision', requireSessionOwner, async (req, res) => {
     try {
         const { session_id, decision, problem_snapshot } = req.body || {};
         if (!session_id || !decision) return res.status(400).json({ error: 'Missing required fields' });
@@ -309,7 +310,7 @@ router.post('/record-decision', async (req, res) => {
     }
 });
 
-router.get('/next-action/:session_id', async (req, res) => {
+router.get('/next-action/:session_id', requireSessionOwner, async (req, res) => {
     try {
         const sessionId = req.params.session_id;
         const lang = req.query?.lang === 'en' ? 'en' : 'id';
@@ -370,7 +371,7 @@ router.get('/next-action/:session_id', async (req, res) => {
     }
 });
 
-router.post('/intervention-response', async (req, res) => {
+router.post('/intervention-response', requireSessionOwner, async (req, res) => {
     try {
         const { session_id, response_type } = req.body || {};
         if (!session_id || !response_type) return res.status(400).json({ error: 'Missing required fields' });
@@ -2,6 +2,7 @@ import express from 'express';
 import Problem from '../models/Problem.js';
 import ArenaSession from '../models/ArenaSession.js';
 import { generateProblem } from '../services/aiService.js';
+import { LLMSchemaError, LLMUnavailableError, LLMBudgetExceededError } from '../config/llmGateway.js';
 
 const router = express.Router();
 
@@ -45,36 +46,38 @@ router.post('/generate', async (req, res) => {
     const durationMinutes = customization?.durationMinutes || 15;
     const durationType = durationMinutes <= 5 ? 'quick' : 'standard';
 
-    // Normalize LLM output to match schema requirements
-    const normalizedProblem = {
+    // Enum fields are already validated against the response schema by the LLM gateway
+    const problem = await Problem.create({
       ...generatedProblem,
       created_by: user_id,
       is_active: true,
       duration_type: durationType,
       estimated_time_minutes: durationMinutes,
-      // Normalize enum values to lowercase
-      domain: generatedProblem.domain?.toLowerCase() || 'business',
-      archetype_focus: generatedProblem.archetype_focus?.toLowerCase()?.replace(/\s+/g, '_') || 'strategist'
-    };
-
-    // Map common variations to valid enum values
-    const domainMap = {
-      'business': 'business', 'tech': 'tech', 'technology': 'tech',
-      'creative': 'creative', 'leadership': 'leadership', 'mixed': 'mixed'
-    };
-    const archetypeMap = {
-      'risk_taker': 'risk_taker', 'risktaker': 'risk_taker',
-      'analyst': 'analyst', 'builder': 'builder',
-      'strategist': 'strategist', 'all': 'all'
-    };
-
-    normalizedProblem.domain = domainMap[normalizedProblem.domain] || 'business';
-    normalizedProblem.archetype_focus = archetypeMap[normalizedProblem.archetype_focus] || 'strategist';
-
-    const problem = await Problem.create(normalizedProblem);
+      domain: generatedProblem.domain || 'business',
+      archetype_focus: generatedProblem.archetype_focus || 'strategist'
+    });
 
     res.json(problem);
   } catch (error) {
+    if (error instanceof LLMSchemaError) {
+      console.error('Generate problem schema error:', error.validation_errors);
+      return res.status(502).json({
+        error: 'Generated problem failed validation',
+        validation_errors: error.validation_errors
+      });
+    }
+    if (error instanceof LLMBudgetExceededError) {
+      return res.status(429).json({
+        error: 'Problem generation budget exhausted',
+        code: error.code,
+        scope: error.budget.scope,
+        resets_at: error.budget.resets_at
+      });
+    }
+    if (error instanceof LLMUnavailableError) {
+      console.error('Generate problem error:', error.message);
+      return res.status(503).json({ error: 'Problem generation unavailable' });
+    }
     console.error('Generate problem error:', error);
     res.status(500).json({
       error: 'Failed to generate problem',
@@ -2,11 +2,14 @@ import express from 'express';
 import UserProfile from '../models/UserProfile.js';
 import User from '../models/User.js';
 import { calculateProfile } from '../services/profileService.js';
+import { requireOwnUserParam } from '../middleware/auth.js';
 import fs from 'fs';
 import path from 'path';
 
 const router = express.Router();
 
+router.param('user_id', requireOwnUserParam);
+
 router.post('/calibrate', async (req, res) => {
   try {
     const { user_id, email, answers, language, name } = req.body;
@@ -63,11 +66,40 @@ router.get('/:user_id', async (req, res) => {
   }
 });
 
+// Fields a user may edit; XP, levels, difficulty, calibration scores,
+// audit/quarantine state and identity data only change through their services
+const EDITABLE_FIELDS = [
+  'name',
+  'avatar_url',
+  'language',
+  'age_group',
+  'domain',
+  'aspiration',
+  'thinking_style',
+  'last_stuck_experience',
+  'avoided_risk',
+  'common_regret',
+  'experience_level',
+  'experience_proof'
+];
+
 router.put('/:user_id', async (req, res) => {
   try {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    // user_id is bound to the token by bindUserId and checked against the param
+    const rejected = Object.keys(body).filter(field => field !== 'user_id' && !EDITABLE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({ error: 'These fields cannot be updated', fields: rejected });
+    }
+
+    const update = Object.fromEntries(EDITABLE_FIELDS.filter(field => field in body).map(field => [field, body[field]]));
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: `Nothing to update; editable fields: ${EDITABLE_FIELDS.join(', ')}` });
+    }
+
     const profile = await UserProfile.findOneAndUpdate(
       { user_id: req.params.user_id },
-      req.body,
+      { $set: update },
       { new: true, runValidators: true }
     );
 
@@ -1,9 +1,12 @@
 import express from 'express';
 import Achievement from '../models/Achievement.js';
 import Artifact from '../models/Artifact.js';
+import { requireOwnUserParam } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.param('user_id', requireOwnUserParam);
+
 router.get('/achievements/:user_id', async (req, res) => {
   try {
     const achievements = await Achievement.find({ user_id: req.params.user_id })
@@ -7,6 +7,8 @@ import mongoose from 'mongoose';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import connectDB from './config/database.js';
+import { authenticate, bindUserId } from './middleware/auth.js';
+import { runWithLLMContext } from './config/llmGateway.js';
 
 import profileRoutes from './routes/profileRoutes.js';
 import problemRoutes from './routes/problemRoutes.js';
@@ -61,11 +63,13 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key']
 }));
 app.use(morgan('dev'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Tag LLM calls made while handling a request with its user, session and route
+app.use('/api', (req, res, next) => runWithLLMContext({ req }, next));
 app.use('/uploads', express.static(path.join(__dirname, '../public/uploads')));
 
 app.get('/', (req, res) => {
@@ -99,14 +103,16 @@ app.get('/health', (req, res) => {
 });
 
 app.use('/api/auth', authRoutes);
-app.use('/api/profiles', profileRoutes);
-app.use('/api/problems', problemRoutes);
-app.use('/api/arena', arenaRoutes);
-app.use('/api/mentor', mentorRoutes);
-app.use('/api/user', userDataRoutes);
-app.use('/api/entry', entryRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/onboarding-arena', onboardingArenaRoutes);
+
+// Everything below requires a valid Bearer token; user_id is bound to the token subject
+app.use('/api/profiles', authenticate, bindUserId, profileRoutes);
+app.use('/api/problems', authenticate, bindUserId, problemRoutes);
+app.use('/api/arena', authenticate, bindUserId, arenaRoutes);
+app.use('/api/mentor', authenticate, bindUserId, mentorRoutes);
+app.use('/api/user', authenticate, bindUserId, userDataRoutes);
+app.use('/api/entry', authenticate, bindUserId, entryRoutes);
+app.use('/api/admin', authenticate, adminRoutes);
+app.use('/api/onboarding-arena', authenticate, bindUserId, onboardingArenaRoutes);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -123,12 +129,34 @@ app.use((req, res) => {
 // Create HTTP server for both Express and WebSocket
 import { createServer } from 'http';
 import { initWebSocketServer } from './services/websocketService.js';
+import { startReconciliationJob } from './services/xpReconciliationService.js';
+import { initLLMUsageTracking } from './services/llmUsageService.js';
+import { initLLMBudgets } from './services/llmBudgetService.js';
+import { getDisabledStages } from './services/arenaSubmissionService.js';
+import { isMailConfigured } from './config/mailTransport.js';
+
+// Refuse to start when ARENA_SUBMIT_DISABLED_STAGES lists a required submit stage
+getDisabledStages();
+
+// Without a production mail transport only the mail flows are off (tokens must not reach logs)
+if (!isMailConfigured()) {
+  console.warn('[Mail] No production MAIL_TRANSPORT registered: email verification and password reset are disabled');
+}
 
 const server = createServer(app);
 
 // Initialize WebSocket
 initWebSocketServer(server);
 
+// Store token usage and cost of every LLM call (LLMUsage)
+initLLMUsageTracking();
+
+// Daily LLM token budgets (LLM_BUDGET_*); exhausted budgets fall back to templates
+initLLMBudgets();
+
+// Periodic XP ledger check (disabled unless XP_RECONCILIATION_INTERVAL_MINUTES is set)
+startReconciliationJob();
+
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`WebSocket available at ws://localhost:${PORT}/ws/arena`);
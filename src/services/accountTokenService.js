@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import AccountToken from '../models/AccountToken.js';
+import User from '../models/User.js';
+import { sendMail, getTransport } from '../config/mailTransport.js';
+import { revokeAllSessions } from './authSessionService.js';
+
+/**
+ * Account Token Service - Email verification and password reset
+ *
+ * - Tokens are random, stored hashed, single use and expiring
+ * - Issuing a new token invalidates older unused tokens of the same purpose
+ * - A password reset revokes every auth session of the user
+ */
+
+const TOKEN_TTL_MINUTES = {
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440'),
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60')
+};
+
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+// ==========================================
+// TOKEN LIFECYCLE
+// ==========================================
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new token for a purpose; returns the raw token (only ever sent by mail)
+ */
+const issueToken = async (userId, purpose) => {
+    // Throws MAIL_NOT_CONFIGURED before older tokens are invalidated for one that cannot be sent
+    getTransport();
+
+    const now = new Date();
+
+    // Older unused tokens stop working once a new one is issued
+    await AccountToken.updateMany(
+        { user_id: userId, purpose, used_at: null },
+        { $set: { used_at: now } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await AccountToken.create({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(now.getTime() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+    });
+
+    return token;
+};
+
+const findUsableToken = (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+    return AccountToken.findOne({
+        token_hash: hashToken(token),
+        purpose,
+        used_at: null,
+        expires_at: { $gt: new Date() }
+    });
+};
+
+/**
+ * Mark a token used; atomic so a token can only be consumed once
+ */
+const consumeToken = (tokenDoc) => {
+    return AccountToken.findOneAndUpdate(
+        { _id: tokenDoc._id, used_at: null },
+        { $set: { used_at: new Date() } },
+        { new: true }
+    );
+};
+
+// ==========================================
+// EMAIL VERIFICATION
+// ==========================================
+
+/**
+ * Send (or re-send) the email verification link
+ */
+export const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user._id.toString(), 'email_verification');
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email',
+        text: `Hi ${user.name},\n\nConfirm your email address:\n${APP_URL}/verify-email?token=${token}\n\n` +
+            `This link expires in ${TOKEN_TTL_MINUTES.email_verification / 60} hours.`
+    });
+};
+
+/**
+ * Verify an email with a token
+ * Returns { error } when the token cannot be used
+ */
+export const verifyEmail = async (token) => {
+    const tokenDoc = await findUsableToken(token, 'email_verification');
+    if (!tokenDoc || !(await consumeToken(tokenDoc))) {
+        return { error: 'Invalid or expired token' };
+    }
+
+    const user = await User.findById(tokenDoc.user_id);
+    if (!user) return { error: 'Invalid or expired token' };
+
+    if (!user.email_verified) {
+        user.email_verified = true;
+        user.email_verified_at = new Date();
+        await user.save();
+    }
+
+    return { user };
+};
+
+// ==========================================
+// PASSWORD RESET
+// ==========================================
+
+/**
+ * Send a password reset link if the email belongs to a user
+ * Silent for unknown emails so callers cannot probe for accounts; run it off the request
+ * path (not awaited) so the response time and mail errors do not tell either
+ */
+export const requestPasswordReset = async (email) => {
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user) return;
+
+    const token = await issueToken(user._id.toString(), 'password_reset');
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nReset your password:\n${APP_URL}/reset-password?token=${token}\n\n` +
+            `This link expires in ${TOKEN_TTL_MINUTES.password_reset} minutes. ` +
+            'If you did not request a reset, you can ignore this email.'
+    });
+};
+
+/**
+ * Set a new password with a reset token
+ * Returns { error } when the token cannot be used; throws ValidationError for a bad password
+ */
+export const resetPassword = async (token, newPassword) => {
+    const tokenDoc = await findUsableToken(token, 'password_reset');
+    if (!tokenDoc) return { error: 'Invalid or expired token' };
+
+    const user = await User.findById(tokenDoc.user_id);
+    if (!user) return { error: 'Invalid or expired token' };
+
+    // Validate before consuming so a rejected password does not burn the token
+    user.password = newPassword;
+    await user.validate();
+
+    if (!(await consumeToken(tokenDoc))) {
+        return { error: 'Invalid or expired token' };
+    }
+
+    // The reset link proves the user controls the mailbox
+    if (!user.email_verified) {
+        user.email_verified = true;
+        user.email_verified_at = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id.toString(), null, 'password_reset');
+
+    return { user };
+};
+
+export default {
+    sendVerificationEmail,
+    verifyEmail,
+    requestPasswordReset,
+    resetPassword
+};
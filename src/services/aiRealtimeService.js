@@ -6,20 +6,14 @@
  * - Simple reminders and encouragements
  * - Quick next-step suggestions that don't need deep reasoning
  * 
- * Uses Cloudflare Workers AI for realtime responses (no RPM limit)
+ * Uses the llmGateway low tier (Cloudflare Workers AI first by default)
  * Fallback: Uses templates if AI unavailable
  */
 
-import { invokeLowLevelAI } from '../config/cloudflareAI.js';
+import { isBudgetExceeded } from '../config/llmGateway.js';
+import { invokePrompt } from './promptRegistryService.js';
 
-// ==========================================
-// LANGUAGE HELPER
-// ==========================================
-
-const getLanguageInstruction = (profile) => {
-    const lang = profile?.language || 'en';
-    return lang === 'id' ? 'Respond in Indonesian (Bahasa Indonesia).' : 'Respond in English.';
-};
+// Prompts live in src/prompts/realtimePrompts.js (low tier)
 
 // ==========================================
 // QUICK REMINDERS
@@ -53,15 +47,13 @@ export const generateQuickReminder = async (profile, secondsIdle) => {
 
     // For longer idle times, generate personalized reminder
     try {
-        const prompt = `Generate 1 short reminder (max 10 words) for someone who has been idle for ${secondsIdle} seconds.
-Archetype: ${archetype}
-${getLanguageInstruction(profile)}
-Just the message, no explanation.`;
-
-        const response = await invokeLowLevelAI({ prompt });
+        const response = await invokePrompt('realtime.quick_reminder', {
+            seconds_idle: secondsIdle,
+            archetype
+        }, { language: lang });
         return typeof response === 'string' ? response.trim() : "Keep going. Don't stop now.";
     } catch (error) {
-        console.error('Quick reminder generation error:', error);
+        if (!isBudgetExceeded(error)) console.error('Quick reminder generation error:', error);
         return lang === 'id' ? "Teruskan. Jangan berhenti sekarang." : "Keep going. Don't stop now.";
     }
 };
@@ -78,18 +70,13 @@ export const generateNextMicroStep = async (problem, currentProgress, profile) =
     const lang = profile?.language || 'en';
 
     try {
-        const prompt = `Problem: ${problem.title}
-Current progress: ${currentProgress || 'Just started'}
-
-Suggest 1 micro-step (max 15 words) the user should do NOW.
-Not a full solution, just the next small action.
-${getLanguageInstruction(profile)}
-Just the step, no explanation.`;
-
-        const response = await invokeLowLevelAI({ prompt });
+        const response = await invokePrompt('realtime.next_micro_step', {
+            title: problem.title,
+            current_progress: currentProgress || 'Just started'
+        }, { language: lang });
         return typeof response === 'string' ? response.trim() : (lang === 'id' ? "Identifikasi masalah utama terlebih dahulu." : "Identify the main problem first.");
     } catch (error) {
-        console.error('Next micro step generation error:', error);
+        if (!isBudgetExceeded(error)) console.error('Next micro step generation error:', error);
         return lang === 'id' ? "Identifikasi masalah utama terlebih dahulu." : "Identify the main problem first.";
     }
 };
@@ -116,18 +103,12 @@ export const generateSimpleAcknowledgment = async (userInput, profile) => {
     }
 
     try {
-        const prompt = `User said: "${userInput.substring(0, 100)}..."
-
-Give 1 very short acknowledgment (max 8 words) that:
-1. Shows you heard them
-2. Encourages them to continue
-${getLanguageInstruction(profile)}
-Just the acknowledgment.`;
-
-        const response = await invokeLowLevelAI({ prompt });
+        const response = await invokePrompt('realtime.acknowledgment', {
+            input_preview: userInput.substring(0, 100)
+        }, { language: lang });
         return typeof response === 'string' ? response.trim() : (lang === 'id' ? "Dicatat. Lanjutkan." : "Got it. Continue.");
     } catch (error) {
-        console.error('Simple acknowledgment error:', error);
+        if (!isBudgetExceeded(error)) console.error('Simple acknowledgment error:', error);
         return lang === 'id' ? "Dicatat. Lanjutkan." : "Got it. Continue.";
     }
 };
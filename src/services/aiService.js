@@ -1,8 +1,6 @@
-import { invokeAgentAI } from '../config/groqAI.js';
+import { invokePrompt } from './promptRegistryService.js';
 
-// Use invokeAgentAI instead of invokeLLM for all functions in this service
-// Now using Groq AI (Llama 3.3 70B) for better free tier limits
-const invokeLLM = invokeAgentAI;
+// Prompts live in src/prompts/agentPrompts.js (agent tier, see LLM_ROUTE_AGENT)
 
 /**
  * AI Agent Service - Layer 3 of 3-Layer AI Engine (Heavy/Complex Operations)
@@ -20,15 +18,9 @@ const invokeLLM = invokeAgentAI;
 // ==========================================
 
 /**
- * Get language instruction for AI prompts
+ * Prompt language for a profile (prompts fall back to English)
  */
-const getLanguageInstruction = (profile) => {
-  const lang = profile?.language || 'en';
-  if (lang === 'id') {
-    return 'Respond in Indonesian (Bahasa Indonesia).';
-  }
-  return 'Respond in English.';
-};
+const getLanguage = (profile) => profile?.language || 'en';
 
 /**
  * Identify weak archetypes from profile (for training)
@@ -113,119 +105,37 @@ export const generatePersonalizedProblem = async (profile, sessionHistory = null
   const experienceAdjustment = experienceLevelMap[profile.experience_level] || 0;
   const effectiveDifficulty = Math.max(1, Math.min(10, baseDifficulty + microOffset + experienceAdjustment));
 
-  // Age-specific language guidance
-  const ageGuidance = {
-    'smp': 'Use casual, friendly language. Scenarios should be relatable to teens (12-15). Avoid complex business jargon. Focus on school projects, content creation, small ventures, gaming etc.',
-    'sma': 'Use moderately professional language. Scenarios can involve early business, content creation, college prep, freelance etc. Mix casual and professional.',
-    'adult': 'Use professional language. Full business/tech scenarios with real stakes, team management, investment decisions etc.'
-  };
-
-  // Duration-based complexity adjustment (updated: lighter experience)
-  const isQuickMode = durationMinutes <= 5;
-  const durationGuidance = isQuickMode
-    ? `
-DURATION MODE: QUICK (4-5 minutes)
-- Create a VERY SIMPLE, focused problem
-- Maximum 1-2 constraints (keep minimal)
-- Single clear decision point
-- Minimal context, direct question
-- Problem should be solvable with 1-2 exchanges
-- Perfect for quick decision-making practice`
-    : `
-DURATION MODE: STANDARD (15 minutes)
-- Moderate complexity problem
-- 2-3 constraints allowed
-- Clear decision with some nuance
-- Adequate context with stakeholder considerations
-- Problem should require 3-4 thoughtful exchanges
-- Balance depth with efficiency`;
-
-  // Build uniqueness context from completed problems
-  let uniquenessGuidance = '';
-  if (completedProblems && completedProblems.length > 0) {
-    const problemsList = completedProblems.slice(0, 10).map((p, i) =>
-      `${i + 1}. "${p.title}" (${p.domain || 'unknown'} - ${p.role || 'unknown'})`
-    ).join('\n');
-
-    uniquenessGuidance = `
-UNIQUENESS REQUIREMENT - CRITICAL:
-User has completed ${completedProblems.length} problems. DO NOT generate similar problems:
-${problemsList}
-
-YOU MUST:
-1. Use a DIFFERENT industry/scenario than completed problems
-2. Use a DIFFERENT role/perspective if possible  
-3. Present a DIFFERENT type of core dilemma
-4. If same domain, go DEEPER or use significantly different angle
-5. User should NOT feel "I've seen this before"
-`;
-  }
-
-  const prompt = `Generate a personalized problem-solving challenge.
-
-USER PROFILE:
-- Age group: ${profile.age_group || 'adult'} (${ageGuidance[profile.age_group] || ageGuidance['adult']})
-- Experience level: ${profile.experience_level || 'beginner'}
-- Experience proof: "${profile.experience_proof || 'No specific proof provided'}"
-- Primary archetype: ${profile.primary_archetype}
-- Domain: ${profile.domain || 'business'}
-- Risk appetite: ${profile.risk_appetite || 0.5}/1
-- Decision speed: ${profile.decision_speed || 0.5}/1
-- Ambiguity tolerance: ${profile.ambiguity_tolerance || 0.5}/1
-- Current difficulty level: ${profile.current_difficulty || 1}
-- Thinking style: ${profile.thinking_style || 'explorative'}
-
-PERSONALIZATION TARGETS:
-- TRAIN (weak areas): ${weakArchetypes.join(', ') || 'none'}
-- SHARPEN (strong areas): ${strongArchetypes.join(', ') || 'none'}
-- Effective difficulty: ${effectiveDifficulty.toFixed(1)} (base ${baseDifficulty} + experience ${experienceAdjustment} + micro ${microOffset.toFixed(2)})
-- Target duration: ${durationMinutes} minutes
-${durationGuidance}
-
-ARCHETYPE TRAINING GUIDE:
-- risk_taker: Include high-stakes decisions with incomplete information, time pressure
-- analyst: Include scenarios requiring deep data analysis with ambiguous data
-- builder: Include execution-focused scenarios with resource constraints
-- strategist: Include long-term planning with multiple stakeholder perspectives
-
-ROLE OPTIONS (pick one that fits the problem AND user's age group):
-ceo, product_manager, engineer, designer, founder, consultant, investor, operations, team_lead, analyst, content_creator, project_lead
-
-Create a REAL-WORLD problem that:
-1. MATCHES the user's age group and experience level
-2. References their specific domain and experience proof when relevant
-3. Has incomplete data (require user to make assumptions)
-4. Requires decisive action (not just analysis)
-5. Has clear trade-offs that hurt
-6. Cannot be solved with a "safe" answer
-7. Subtly requires skills from the TRAIN archetypes
-8. Allows user to leverage SHARPEN archetypes
-9. Is challenging but achievable for someone at this difficulty and experience level
-
-CRITICAL: This platform confronts users with hard choices. Don't soften the problem. Make it realistic and uncomfortable for their level.
-${uniquenessGuidance}
-${getLanguageInstruction(profile)} Generate unique problem_id with format "PROB-{timestamp}".`;
-
-  const response = await invokeLLM({
-    prompt,
-    response_json_schema: {
-      type: "object",
-      properties: {
-        problem_id: { type: "string" },
-        title: { type: "string" },
-        context: { type: "string" },
-        objective: { type: "string" },
-        constraints: { type: "array", items: { type: "string" } },
-        difficulty: { type: "integer" },
-        level_up_criteria: { type: "array", items: { type: "string" } },
-        domain: { type: "string" },
-        role_label: { type: "string" },
-        estimated_time_minutes: { type: "integer" },
-        personalization_reasoning: { type: "string" }
-      },
-      required: ["problem_id", "title", "context", "objective", "difficulty", "role_label"]
-    }
-  });
+  const completedList = (completedProblems || []).slice(0, 10).map((p, i) =>
+    `${i + 1}. "${p.title}" (${p.domain || 'unknown'} - ${p.role || 'unknown'})`
+  ).join('\n');
+
+  const ageGroup = profile.age_group || 'adult';
+
+  const response = await invokePrompt('agent.personalized_problem', {
+    age_group: ageGroup,
+    is_smp: ageGroup === 'smp',
+    is_sma: ageGroup === 'sma',
+    is_adult: ageGroup !== 'smp' && ageGroup !== 'sma',
+    experience_level: profile.experience_level || 'beginner',
+    experience_proof: profile.experience_proof || 'No specific proof provided',
+    primary_archetype: profile.primary_archetype,
+    domain: profile.domain || 'business',
+    risk_appetite: profile.risk_appetite || 0.5,
+    decision_speed: profile.decision_speed || 0.5,
+    ambiguity_tolerance: profile.ambiguity_tolerance || 0.5,
+    current_difficulty: profile.current_difficulty || 1,
+    thinking_style: profile.thinking_style || 'explorative',
+    weak_archetypes: weakArchetypes.join(', ') || 'none',
+    strong_archetypes: strongArchetypes.join(', ') || 'none',
+    effective_difficulty: effectiveDifficulty.toFixed(1),
+    base_difficulty: baseDifficulty,
+    experience_adjustment: experienceAdjustment,
+    micro_offset: microOffset.toFixed(2),
+    duration_minutes: durationMinutes,
+    quick_mode: durationMinutes <= 5,
+    completed_count: completedProblems?.length || 0,
+    completed_list: completedList
+  }, { language: getLanguage(profile) });
 
   // Add personalization metadata
   if (response) {
@@ -258,62 +168,19 @@ export const generateProblem = async (profile, customization = null) => {
   }
 
   // Otherwise use custom parameters
-  const domainText = customization.domains?.join(', ') || profile.domain || 'business';
-  const problemTypeText = customization.problemType
-    ? `Focus on ${customization.problemType} scenario.`
-    : '';
-  const contextText = customization.customContext
-    ? `\n\nUser context: ${customization.customContext}`
-    : '';
-  const constraintsText = customization.specificConstraints
-    ? `\n\nSpecific constraints to include: ${customization.specificConstraints}`
-    : '';
-
-  const prompt = `Generate a challenging real-world problem for someone with:
-- Profile archetype: ${profile.primary_archetype}
-- Current level: ${profile.current_difficulty}
-- Risk appetite: ${profile.risk_appetite}
-- Thinking style: ${profile.thinking_style}
-
-USER CUSTOMIZATION:
-- Domains: ${domainText}
-- Target difficulty: ${customization.minDifficulty || profile.current_difficulty}-${customization.maxDifficulty || profile.current_difficulty + 2}
-- Time limit: ${customization.timeLimit || 30} minutes
-${problemTypeText}${contextText}${constraintsText}
-
-Create a REAL-WORLD problem that:
-1. Has incomplete data
-2. Requires a decisive action (not just analysis)
-3. Has clear trade-offs that hurt
-4. Cannot be solved with a "safe" answer
-5. Reflects the user's specified domains and constraints
-6. Is challenging but solvable within the time limit
-
-ROLE OPTIONS: ceo, product_manager, engineer, designer, founder, consultant, investor, operations, team_lead, analyst
-
-CRITICAL: This is for a platform that confronts users with hard choices. Don't soften the problem. Make it realistic and uncomfortable.
-
-${getLanguageInstruction(profile)}`;
-
-  const response = await invokeLLM({
-    prompt,
-    response_json_schema: {
-      type: "object",
-      properties: {
-        problem_id: { type: "string" },
-        title: { type: "string" },
-        context: { type: "string" },
-        objective: { type: "string" },
-        constraints: { type: "array", items: { type: "string" } },
-        difficulty: { type: "integer" },
-        level_up_criteria: { type: "array", items: { type: "string" } },
-        domain: { type: "string" },
-        role_label: { type: "string" },
-        estimated_time_minutes: { type: "integer" }
-      },
-      required: ["problem_id", "title", "context", "objective", "difficulty"]
-    }
-  });
+  const response = await invokePrompt('agent.custom_problem', {
+    primary_archetype: profile.primary_archetype,
+    current_difficulty: profile.current_difficulty,
+    risk_appetite: profile.risk_appetite,
+    thinking_style: profile.thinking_style,
+    domains: customization.domains?.join(', ') || profile.domain || 'business',
+    min_difficulty: customization.minDifficulty || profile.current_difficulty,
+    max_difficulty: customization.maxDifficulty || profile.current_difficulty + 2,
+    time_limit: customization.timeLimit || 30,
+    problem_type: customization.problemType || '',
+    custom_context: customization.customContext || '',
+    specific_constraints: customization.specificConstraints || ''
+  }, { language: getLanguage(profile) });
 
   return response;
 };
@@ -322,81 +189,29 @@ ${getLanguageInstruction(profile)}`;
 // ENHANCED SOLUTION EVALUATION
 // ==========================================
 
-export const evaluateSolution = async (problem, solution, timeElapsed, sessionMetrics = null, profile = null) => {
-  // Build metrics context if available
-  let metricsContext = '';
-  if (sessionMetrics) {
-    metricsContext = `
-RESPONSE METRICS:
-- Average response speed: ${sessionMetrics.avg_response_speed || 'N/A'}/10
-- Decision confidence: ${sessionMetrics.decision_confidence_score || 'N/A'}/10
-- Intervention count: ${sessionMetrics.intervention_count || 0}
-- Keystroke rhythm: ${sessionMetrics.keystroke_rhythm || 'N/A'}
-`;
-  }
-
-  const evaluationPrompt = `${profile?.language === 'en' ? 'You are a mentor testing decisions. Evaluate the following solution:' : 'Kamu adalah mentor yang menguji keputusan. Evaluasi solusi berikut:'}
-
-${profile?.language === 'en' ? 'PROBLEM:' : 'MASALAH:'}
-${problem.title}
-${problem.context}
-
-OBJECTIVE:
-${problem.objective}
-
-CONSTRAINTS:
-${problem.constraints?.join(', ') || 'Tidak ada constraint khusus'}
-
-KRITERIA NAIK LEVEL:
-${problem.level_up_criteria?.join(', ') || 'Keputusan yang jelas dan reasoning yang solid'}
-
-ROLE DALAM MASALAH: ${problem.role_label || 'decision_maker'}
-
-SOLUSI USER:
-${solution}
-
-WAKTU: ${Math.floor(timeElapsed / 60)} menit ${timeElapsed % 60} detik
-${metricsContext}
-
-Evaluasi dengan TAJAM dan SINGKAT. Tentukan:
-1. Apakah user menghadapi risiko inti atau bermain aman?
-2. Apakah trade-off dijelaskan eksplisit?
-3. Apakah ada keputusan nyata atau hanya deskripsi?
-4. Apakah reasoning solid atau superficial?
-
-XP ASSIGNMENT RULES:
-- XP hanya diberikan kalau capability/keandalan NAIK (tidak stagnan)
-- Karakteristik respon menentukan archetype mana yang dapat XP:
-  * Fast + decisive response = risk_taker XP
-  * Thorough analysis = analyst XP  
-  * Action-oriented answer = builder XP
-  * Long-term perspective = strategist XP
-- Quality/level respon menentukan JUMLAH XP (0-20 per archetype)
-- Jika respon stagnan (tidak ada improvement), semua XP bisa = 0
-
-${profile?.language === 'en' ? 'Give a confrontational evaluation, not praise.' : 'Berikan evaluasi yang konfrontatif, bukan memuji.'}
-
-${getLanguageInstruction(profile)}`;
-
-  const evaluation = await invokeLLM({
-    prompt: evaluationPrompt,
-    response_json_schema: {
-      type: "object",
-      properties: {
-        evaluation: { type: "string" },
-        insight: { type: "string" },
-        criteria_met: { type: "array", items: { type: "string" } },
-        level_up_achieved: { type: "boolean" },
-        quality_score: { type: "number" },
-        xp_risk_taker: { type: "integer" },
-        xp_analyst: { type: "integer" },
-        xp_builder: { type: "integer" },
-        xp_strategist: { type: "integer" },
-        stagnation_detected: { type: "boolean" },
-        improvement_areas: { type: "array", items: { type: "string" } }
-      },
-      required: ["evaluation", "level_up_achieved", "quality_score", "xp_risk_taker", "xp_analyst", "xp_builder", "xp_strategist"]
-    }
+/**
+ * One evaluator run; options: { route, temperature } (one judge of judgePanelService)
+ */
+export const evaluateSolution = async (problem, solution, timeElapsed, sessionMetrics = null, profile = null, options = {}) => {
+  const evaluation = await invokePrompt('agent.evaluate_solution', {
+    title: problem.title,
+    context: problem.context,
+    objective: problem.objective,
+    constraints: problem.constraints?.join(', ') || 'Tidak ada constraint khusus',
+    level_up_criteria: problem.level_up_criteria?.join(', ') || 'Keputusan yang jelas dan reasoning yang solid',
+    role_label: problem.role_label || 'decision_maker',
+    solution,
+    minutes: Math.floor(timeElapsed / 60),
+    seconds: timeElapsed % 60,
+    has_metrics: !!sessionMetrics,
+    avg_response_speed: sessionMetrics?.avg_response_speed || 'N/A',
+    decision_confidence_score: sessionMetrics?.decision_confidence_score || 'N/A',
+    intervention_count: sessionMetrics?.intervention_count || 0,
+    keystroke_rhythm: sessionMetrics?.keystroke_rhythm || 'N/A'
+  }, {
+    language: profile?.language === 'en' ? 'en' : 'id',
+    route: options.route,
+    temperature: options.temperature
   });
 
   return evaluation;
@@ -410,52 +225,20 @@ ${getLanguageInstruction(profile)}`;
  * Calculate XP based on response characteristics (for fine-grained control)
  */
 export const generateXPFromCharacteristics = async (metrics, problem, profile, userResponse) => {
-  const prompt = `Evaluate user performance and assign XP berdasarkan KARAKTERISTIK respon, bukan hasil akhir.
-
-PROBLEM:
-${problem.title} (Difficulty: ${problem.difficulty})
-
-USER PROFILE:
-- Primary archetype: ${profile.primary_archetype}
-- Current levels: risk_taker=${profile.level_risk_taker || 1}, analyst=${profile.level_analyst || 1}, builder=${profile.level_builder || 1}, strategist=${profile.level_strategist || 1}
-
-RESPONSE METRICS:
-- Response speed score: ${metrics.avg_response_speed || 5}/10 (10 = very fast)
-- Understanding clarity: ${metrics.understanding_clarity || 0.5}/1
-- Decision confidence: ${metrics.decision_confidence_score || 5}/10 (based on revisions)
-- Intervention received: ${metrics.interventions_received || 0}
-- Keystroke rhythm: ${metrics.keystroke_rhythm || 'mixed'}
-
-USER RESPONSE PREVIEW:
-${userResponse.substring(0, 500)}...
-
-XP ASSIGNMENT RULES (STRICT):
-1. XP hanya diberikan jika capability NAIK - tidak untuk performa biasa
-2. Jika respon stagnan (sama karakteristik dengan session sebelumnya), XP = 0
-3. Karakteristik respon menentukan archetype mana yang dapat XP:
-   - Fast response + decisive action = risk_taker XP
-   - Deep analysis + data consideration = analyst XP
-   - Action-oriented + execution focus = builder XP
-   - Long-term thinking + stakeholder awareness = strategist XP
-4. Level respon (keandalan) menentukan jumlah XP per archetype (0-20)
-
-Evaluate dan assign XP yang AKURAT untuk setiap archetype.`;
-
-  const response = await invokeLLM({
-    prompt,
-    response_json_schema: {
-      type: "object",
-      properties: {
-        xp_risk_taker: { type: "integer", minimum: 0, maximum: 20 },
-        xp_analyst: { type: "integer", minimum: 0, maximum: 20 },
-        xp_builder: { type: "integer", minimum: 0, maximum: 20 },
-        xp_strategist: { type: "integer", minimum: 0, maximum: 20 },
-        reasoning: { type: "string" },
-        capability_improved: { type: "boolean" },
-        stagnation_detected: { type: "boolean" }
-      },
-      required: ["xp_risk_taker", "xp_analyst", "xp_builder", "xp_strategist", "capability_improved"]
-    }
+  const response = await invokePrompt('agent.xp_from_characteristics', {
+    title: problem.title,
+    difficulty: problem.difficulty,
+    primary_archetype: profile.primary_archetype,
+    level_risk_taker: profile.level_risk_taker || 1,
+    level_analyst: profile.level_analyst || 1,
+    level_builder: profile.level_builder || 1,
+    level_strategist: profile.level_strategist || 1,
+    avg_response_speed: metrics.avg_response_speed || 5,
+    understanding_clarity: metrics.understanding_clarity || 0.5,
+    decision_confidence_score: metrics.decision_confidence_score || 5,
+    interventions_received: metrics.interventions_received || 0,
+    keystroke_rhythm: metrics.keystroke_rhythm || 'mixed',
+    response_preview: userResponse.substring(0, 500)
   });
 
   return response;
@@ -469,46 +252,11 @@ Evaluate dan assign XP yang AKURAT untuk setiap archetype.`;
  * Generate follow-up questions for deeper evaluation
  */
 export const generateFollowUpQuestions = async (problem, userResponse, evaluationContext) => {
-  const prompt = `User telah memberikan solusi untuk masalah. Generate pertanyaan follow-up untuk menguji pemahaman lebih dalam.
-
-PROBLEM: ${problem.title}
-OBJECTIVE: ${problem.objective}
-
-USER'S SOLUTION:
-${userResponse.substring(0, 500)}
-
-Generate 2-3 pertanyaan follow-up yang:
-1. Stress-test asumsi user
-2. Menguji pemahaman tentang trade-off
-3. Meminta penjelasan lebih detail tentang implementasi
-
-Contoh kategori:
-- "Bagaimana kalau X tidak bekerja seperti yang kamu harapkan?"
-- "Apa plan B kalau asumsi utamamu salah?"
-- "Siapa yang akan paling keberatan dengan keputusan ini?"
-
-${getLanguageInstruction({ language: 'id' })}`;
-
-  const response = await invokeLLM({
-    prompt,
-    response_json_schema: {
-      type: "object",
-      properties: {
-        questions: {
-          type: "array",
-          items: {
-            type: "object",
-            properties: {
-              question: { type: "string" },
-              intent: { type: "string" },
-              expected_depth: { type: "string", enum: ["surface", "medium", "deep"] }
-            }
-          }
-        }
-      },
-      required: ["questions"]
-    }
-  });
+  const response = await invokePrompt('agent.follow_up_questions', {
+    title: problem.title,
+    objective: problem.objective,
+    solution_preview: userResponse.substring(0, 500)
+  }, { language: 'id' });
 
   return response;
 };
@@ -518,45 +266,21 @@ ${getLanguageInstruction({ language: 'id' })}`;
 // ==========================================
 
 export const generateSocraticQuestion = async (problem, profile, context = 'initial') => {
-  const langInst = getLanguageInstruction(profile);
-  let prompt;
-
   if (context === 'initial') {
-    prompt = `Kamu adalah mentor Socratic. User baru mulai problem:
-
-PROBLEM: ${problem.title}
-CONTEXT: ${problem.context}
-OBJECTIVE: ${problem.objective}
-ROLE: ${problem.role_label || 'decision_maker'}
-
-User archetype: ${profile.primary_archetype}
-Thinking style: ${profile.thinking_style}
-
-Generate 1 pertanyaan pembuka yang:
-1. Memaksa user breakdown masalah inti
-2. Tidak terlalu luas, tidak terlalu sempit
-3. Socratic - buat user berpikir sendiri
-4. 1 kalimat saja
-
-Contoh: "Apa satu hal yang paling kamu takutkan kalau keputusan ini salah?"
-
-Output hanya pertanyaan. ${langInst}`;
-  } else if (context === 'pause') {
-    prompt = `User stuck di problem:
-
-PROBLEM: ${problem.title}
-User archetype: ${profile.primary_archetype}
-
-Generate 1 pertanyaan singkat yang:
-1. Nudge tanpa spoiler
-2. Socratic style
-3. 1 kalimat
-
-Output hanya pertanyaan. ${langInst}`;
+    return invokePrompt('agent.socratic_opening', {
+      title: problem.title,
+      context: problem.context,
+      objective: problem.objective,
+      role_label: problem.role_label || 'decision_maker',
+      primary_archetype: profile.primary_archetype,
+      thinking_style: profile.thinking_style
+    }, { language: getLanguage(profile) });
   }
 
-  const response = await invokeLLM({ prompt });
-  return response;
+  return invokePrompt('agent.socratic_pause', {
+    title: problem.title,
+    primary_archetype: profile.primary_archetype
+  }, { language: getLanguage(profile) });
 };
 
 // ==========================================
@@ -569,55 +293,11 @@ Output hanya pertanyaan. ${langInst}`;
  * Creates 2-3 concrete options that all seem reasonable but have different trade-offs
  */
 export const generateEntryFlowChoices = async (problem, context, objective) => {
-  const prompt = `Kamu adalah designer UX untuk arena problem-solving. User baru masuk dan perlu membuat keputusan cepat.
-
-PROBLEM:
-${problem.title}
-
-CONTEXT:
-${context}
-
-OBJECTIVE:
-${objective}
-
-Generate 3 pilihan aksi yang:
-1. Semua tampak masuk akal
-2. Tidak ada yang "100% aman" atau "100% berisiko"
-3. Masing-masing punya trade-off yang berbeda
-4. Konkret dan actionable (bukan abstrak)
-5. Bisa dipilih dalam 15-25 detik tanpa overthinking
-
-CRITICAL: Ini untuk 3 menit pertama arena - user harus merasa langsung masuk aksi, bukan analisis.
-
-Icons yang available: 🔥 (aggressive/bold), 🛡️ (defensive/safe), 🤝 (collaborative), ⚡ (quick/decisive), 💡 (creative/innovative), 📊 (data-driven), 🎯 (focused), 🌱 (growth), 💰 (financial)
-
-Buat juga 1 pertanyaan refleksi yang akan ditanyakan SETELAH user memilih. Pertanyaan ini harus spesifik tentang pilihan yang dibuat.
-
-Output in the same language as the problem.`;
-
   try {
-    const response = await invokeLLM({
-      prompt,
-      response_json_schema: {
-        type: "object",
-        properties: {
-          choices: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                id: { type: "string" },
-                text: { type: "string" },
-                icon: { type: "string" },
-                hint: { type: "string" }
-              },
-              required: ["id", "text", "icon", "hint"]
-            }
-          },
-          reflection_question: { type: "string" }
-        },
-        required: ["choices", "reflection_question"]
-      }
+    const response = await invokePrompt('agent.entry_choices', {
+      title: problem.title,
+      context,
+      objective
     });
 
     return response;
@@ -639,47 +319,12 @@ Output in the same language as the problem.`;
  * Creates the "tamparan" moment - user realizes their choice has a cost
  */
 export const generateEntryFlowConsequence = async (problem, choiceId, choiceText, context) => {
-  const prompt = `User baru membuat keputusan di arena. Generate konsekuensi yang membuat user menyadari bahwa keputusan mereka punya biaya.
-
-PROBLEM:
-${problem.title}
-
-CONTEXT:
-${context}
-
-OBJECTIVE:
-${problem.objective}
-
-KEPUTUSAN USER:
-${choiceText}
-
-Generate 2 konsekuensi yang:
-1. REALISTIS - bisa terjadi di dunia nyata
-2. IMMEDIATE - langsung terasa, bukan "suatu hari nanti"
-3. PAINFUL - ada sesuatu yang hilang atau terkompromi
-4. SPESIFIK - bukan generik seperti "ada risiko"
-5. CONNECTED - berhubungan langsung dengan pilihan yang dibuat
-
-CRITICAL: Ini adalah "tamparan pertama" - user harus menyadari bahwa setiap keputusan punya biaya. Jangan terlalu sadis, tapi jangan juga terlalu lembut.
-
-Juga generate 1 insight singkat (1 kalimat) yang menyimpulkan pembelajaran dari konsekuensi ini.
-
-Output in the same language as the problem.`;
-
   try {
-    const response = await invokeLLM({
-      prompt,
-      response_json_schema: {
-        type: "object",
-        properties: {
-          consequences: {
-            type: "array",
-            items: { type: "string" }
-          },
-          insight: { type: "string" }
-        },
-        required: ["consequences", "insight"]
-      }
+    const response = await invokePrompt('agent.entry_consequence', {
+      title: problem.title,
+      context,
+      objective: problem.objective,
+      choice_text: choiceText
     });
 
     return response;
@@ -6,27 +6,21 @@
  * - Quick responses that don't need complex reasoning
  * - Decision to delegate to AI Agent
  * 
- * Uses Cloudflare Workers AI for quick arena responses (no RPM limit)
+ * Uses the llmGateway mid tier (Cloudflare Workers AI first by default)
  * Fallback: Uses templates if AI unavailable
  */
 
-import { invokeMidLevelAI } from '../config/cloudflareAI.js';
+import { isBudgetExceeded } from '../config/llmGateway.js';
+import { invokePrompt } from './promptRegistryService.js';
 import SessionMemory from '../models/SessionMemory.js';
 
-// Use invokeMidLevelAI instead of invokeLLM
-const invokeLLM = invokeMidLevelAI;
+// Prompts live in src/prompts/simplePrompts.js (mid tier)
 
 // ==========================================
 // LANGUAGE HELPER
 // ==========================================
 
-/**
- * Get language instruction for AI prompts
- */
-const getLanguageInstruction = (profile) => {
-    const lang = profile?.language || 'en';
-    return lang === 'id' ? 'Respond in Indonesian (Bahasa Indonesia).' : 'Respond in English.';
-};
+const getLanguage = (profile) => profile?.language || 'en';
 
 // ==========================================
 // ARCHETYPE-SPECIFIC WARNING TEMPLATES (Bilingual)
@@ -130,25 +124,15 @@ export const generateWarningMessage = async (profile, context, sessionMemory = n
 
     // For complex warnings, use AI (low-cost model)
     try {
-        const langInst = getLanguageInstruction(profile);
-        const prompt = `You are a firm mentor. User with archetype "${archetype}" has been inactive for ${context.seconds} seconds.
-    
-Problem context: ${context.problem_title || 'Problem solving challenge'}
-
-Give 1 short message (1-2 sentences) that:
-1. Firm but supportive
-2. Matches the ${archetype} profile
-3. Encourages user to start writing
-
-${langInst} No explanation, just the message.`;
-
-        const response = await invokeLLM({
-            prompt
-        });
+        const response = await invokePrompt('simple.warning', {
+            archetype,
+            seconds: context.seconds,
+            problem_title: context.problem_title || 'Problem solving challenge'
+        }, { language: getLanguage(profile) });
 
         return typeof response === 'string' ? response : templates.pause.replace('{seconds}', context.seconds || '60');
     } catch (error) {
-        console.error('AI warning generation error:', error);
+        if (!isBudgetExceeded(error)) console.error('AI warning generation error:', error);
         return templates.pause.replace('{seconds}', context.seconds || '60');
     }
 };
@@ -163,35 +147,18 @@ ${langInst} No explanation, just the message.`;
 export const generateStimulationQuestion = async (problem, profile, context = 'pause') => {
     try {
         const archetype = profile?.primary_archetype || 'analyst';
-        const langInst = getLanguageInstruction(profile);
         const stimPrompts = getStimulationPrompts(profile);
 
-        const prompt = `You are a Socratic mentor who pushes critical thinking.
-
-PROBLEM:
-Title: ${problem.title}
-Context: ${problem.context?.substring(0, 300)}
-Objective: ${problem.objective}
-
-USER ARCHETYPE: ${archetype}
-SITUATION: User hasn't started answering or is stuck.
-
-Generate 1 short question that:
-1. Socratic - make user think for themselves
-2. Not too broad, not too narrow
-3. Matches archetype ${archetype}
-4. Maximum 1-2 sentences
-
-${langInst} No explanation, just the question.`;
-
-        const response = await invokeLLM({
-            prompt,
-            model: 'gpt-3.5-turbo'
-        });
+        const response = await invokePrompt('simple.stimulation_question', {
+            title: problem.title,
+            context: problem.context?.substring(0, 300) || '',
+            objective: problem.objective,
+            archetype
+        }, { language: getLanguage(profile) });
 
         return typeof response === 'string' ? response : stimPrompts.challenge;
     } catch (error) {
-        console.error('AI stimulation question error:', error);
+        if (!isBudgetExceeded(error)) console.error('AI stimulation question error:', error);
         const stimPrompts = getStimulationPrompts(profile);
         const keys = Object.keys(stimPrompts);
         return stimPrompts[keys[Math.floor(Math.random() * keys.length)]];
@@ -207,38 +174,19 @@ ${langInst} No explanation, just the question.`;
  */
 export const generateHint = async (problem, profile, partialAnswer = '') => {
     try {
-        const langInst = getLanguageInstruction(profile);
-        const noAnswer = profile?.language === 'id' ? '(Belum ada jawaban)' : '(No answer yet)';
-
-        const prompt = `You are a mentor who helps without giving direct answers.
-
-PROBLEM:
-${problem.title}
-${problem.objective}
-
-USER'S PARTIAL ANSWER (if any):
-${partialAnswer || noAnswer}
-
-USER ARCHETYPE: ${profile?.primary_archetype || 'analyst'}
-
-Give 1 short hint that:
-1. Doesn't give the answer
-2. Helps user think in the right direction
-3. Maximum 2 sentences
-
-${langInst}`;
-
-        const response = await invokeLLM({
-            prompt,
-            model: 'gpt-3.5-turbo'
-        });
+        const response = await invokePrompt('simple.hint', {
+            title: problem.title,
+            objective: problem.objective,
+            partial_answer: partialAnswer,
+            archetype: profile?.primary_archetype || 'analyst'
+        }, { language: getLanguage(profile) });
 
         const fallback = profile?.language === 'id'
             ? "Coba pikirkan: apa yang paling penting untuk diputuskan terlebih dahulu?"
             : "Think about: what's the most important thing to decide first?";
         return typeof response === 'string' ? response : fallback;
     } catch (error) {
-        console.error('AI hint generation error:', error);
+        if (!isBudgetExceeded(error)) console.error('AI hint generation error:', error);
         const fallback = profile?.language === 'id'
             ? "Coba pikirkan: apa yang paling penting untuk diputuskan terlebih dahulu?"
             : "Think about: what's the most important thing to decide first?";
@@ -255,30 +203,17 @@ ${langInst}`;
  */
 export const generateComprehensionCheck = async (problem, currentQuestion, profile = null) => {
     try {
-        const langInst = getLanguageInstruction(profile);
-        const prompt = `User hasn't answered this question: "${currentQuestion}"
-
-The problem is about: ${problem.title}
-
-Transform the question to be more specific and easier to answer. Maximum 1 sentence.
-
-Example transformations:
-- "What's your solution?" → "Of these 2 options, which do you choose: A or B?"
-- "What's your strategy?" → "What's the FIRST step you'll take?"
-
-${langInst} Only the new question, no explanation.`;
-
-        const response = await invokeLLM({
-            prompt,
-            model: 'gpt-3.5-turbo'
-        });
+        const response = await invokePrompt('simple.comprehension_check', {
+            current_question: currentQuestion,
+            title: problem.title
+        }, { language: getLanguage(profile) });
 
         const fallback = profile?.language === 'id'
             ? "Apa satu keputusan pertama yang akan kamu ambil?"
             : "What's your first decision?";
         return typeof response === 'string' ? response : fallback;
     } catch (error) {
-        console.error('AI comprehension check error:', error);
+        if (!isBudgetExceeded(error)) console.error('AI comprehension check error:', error);
         const fallback = profile?.language === 'id'
             ? "Apa satu keputusan pertama yang akan kamu ambil?"
             : "What's your first decision?";
@@ -338,42 +273,23 @@ export const shouldDelegateToAgent = async (context) => {
  */
 export const generateSimpleFollowUp = async (problem, userResponse, responseQuality, profile = null) => {
     try {
-        const langInst = getLanguageInstruction(profile);
         const stimPrompts = getStimulationPrompts(profile);
 
         // If response quality is low, ask clarifying question
         const qualityThreshold = 0.5;
+        const promptType = responseQuality < qualityThreshold ? 'clarification' : 'stress_test';
 
-        let promptType;
-        if (responseQuality < qualityThreshold) {
-            promptType = 'clarification';
-        } else {
-            promptType = 'stress_test';
-        }
-
-        const clarificationText = profile?.language === 'id'
-            ? 'Berikan 1 pertanyaan klarifikasi singkat untuk memahami keputusan mereka lebih jelas. Maksimal 1 kalimat.'
-            : 'Give 1 short clarifying question to better understand their decision. Maximum 1 sentence.';
-
-        const stressTestText = profile?.language === 'id'
-            ? 'Berikan 1 pertanyaan stress-test singkat yang menguji asumsi mereka. Contoh: "Bagaimana kalau X tidak bekerja?" Maksimal 1 kalimat.'
-            : 'Give 1 short stress-test question that tests their assumptions. Example: "What if X doesn\'t work?" Maximum 1 sentence.';
-
-        const prompt = promptType === 'clarification'
-            ? `User answered: "${userResponse.substring(0, 200)}..."\n\n${clarificationText} ${langInst}`
-            : `User answered: "${userResponse.substring(0, 200)}..."\n\nProblem: ${problem.title}\n\n${stressTestText} ${langInst}`;
-
-        const response = await invokeLLM({
-            prompt,
-            model: 'gpt-3.5-turbo'
-        });
+        const response = await invokePrompt(`simple.follow_up_${promptType}`, {
+            response_preview: userResponse.substring(0, 200),
+            title: problem.title
+        }, { language: getLanguage(profile) });
 
         return {
             question: typeof response === 'string' ? response : stimPrompts.stress_test,
             type: promptType
         };
     } catch (error) {
-        console.error('AI follow-up generation error:', error);
+        if (!isBudgetExceeded(error)) console.error('AI follow-up generation error:', error);
         const stimPrompts = getStimulationPrompts(profile);
         return {
             question: stimPrompts.stress_test,
@@ -391,7 +307,6 @@ export const generateSimpleFollowUp = async (problem, userResponse, responseQual
  */
 export const generatePressure = async (problem, profile, currentPressureLevel) => {
     try {
-        const langInst = getLanguageInstruction(profile);
         const pressureTypes = {
             1: 'time_reminder',
             2: 'consequence_highlight',
@@ -402,23 +317,12 @@ export const generatePressure = async (problem, profile, currentPressureLevel) =
 
         const pressureType = pressureTypes[currentPressureLevel] || 'time_reminder';
 
-        const prompt = `Generate pressure level ${currentPressureLevel}/5 for problem solving.
-
-PROBLEM: ${problem.title}
-USER ARCHETYPE: ${profile?.primary_archetype}
-PRESSURE TYPE: ${pressureType}
-
-Create 1 short sentence that adds urgency. Examples:
-- Level 1: "Remember, time is ticking."
-- Level 3: "If you don't decide, your competitor will."
-- Level 5: "This is your final decision. No more time to hesitate."
-
-${langInst} Only the pressure message.`;
-
-        const response = await invokeLLM({
-            prompt,
-            model: 'gpt-3.5-turbo'
-        });
+        const response = await invokePrompt('simple.pressure', {
+            level: currentPressureLevel,
+            title: problem.title,
+            archetype: profile?.primary_archetype || 'analyst',
+            pressure_type: pressureType
+        }, { language: getLanguage(profile) });
 
         const defaultMsg = profile?.language === 'id'
             ? "Waktu terus berjalan. Setiap detik delay adalah kehilangan momentum."
@@ -430,7 +334,7 @@ ${langInst} Only the pressure message.`;
             type: pressureType
         };
     } catch (error) {
-        console.error('AI pressure generation error:', error);
+        if (!isBudgetExceeded(error)) console.error('AI pressure generation error:', error);
         const defaultMsg = profile?.language === 'id'
             ? "Waktu terus berjalan. Setiap detik delay adalah kehilangan momentum."
             : "Time is running. Every second of delay is lost momentum.";
@@ -0,0 +1,769 @@
+import ArenaSession from '../models/ArenaSession.js';
+import UserProfile from '../models/UserProfile.js';
+import Problem from '../models/Problem.js';
+import Achievement from '../models/Achievement.js';
+import Artifact from '../models/Artifact.js';
+import { evaluateWithPanel } from './judgePanelService.js';
+import { gradeSolution } from './rubricService.js';
+import { isBudgetExceeded } from '../config/llmGateway.js';
+import {
+    updateArchetype,
+    calculateLevelProgression,
+    calculateMicroDifficultyAdjustment,
+    shouldIncreaseAggregateLevel
+} from './profileService.js';
+import * as xpGuardService from './xpGuardService.js';
+import * as exploitDetectionService from './exploitDetectionService.js';
+import { enqueueSession, flagExploitSessions } from './reviewQueueService.js';
+
+/**
+ * Arena Submission Service - Ordered pipeline behind POST /api/arena/submit
+ *
+ * Every stage is { name, phase, optional?, run(ctx, dbSession) }:
+ * - phase 'pre' runs before the award (checks, evaluation, XP calculation)
+ * - phase 'commit' runs inside ONE MongoDB transaction (SPEC #8)
+ * - run() reads/writes fields on the shared ctx; returning { halt: { status, body } }
+ *   stops the pipeline and becomes the HTTP response (a commit-phase halt rolls back)
+ *
+ * Stages can be added, removed or reordered with registerStage/removeStage.
+ * Optional stages can be switched off with ARENA_SUBMIT_DISABLED_STAGES (comma
+ * separated names); listing any other stage is a startup error.
+ */
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+const halt = (status, body) => ({ halt: { status, body } });
+
+/**
+ * Response for a session that can no longer be submitted:
+ * replay when the idempotency key matches, otherwise 409
+ */
+const notInProgressResponse = async (session, idempotencyKey) => {
+    if (idempotencyKey && session.idempotency_key === idempotencyKey) {
+        const profile = await UserProfile.findOne({ user_id: session.user_id });
+        return {
+            status: 200,
+            body: {
+                session,
+                evaluation: session.evaluation_result,
+                xp_earned: session.xp_earned,
+                xp_breakdown: session.xp_breakdown,
+                updated_profile: profile,
+                xp_state: profile?.xp_state,
+                stagnation_count: profile?.stagnation_count,
+                ...progressionResponse(session.progression),
+                idempotent_replay: true
+            }
+        };
+    }
+
+    return {
+        status: 409,
+        body: { error: 'Session is not in progress', status: session.status }
+    };
+};
+
+const progressionResponse = (progression = {}) => ({
+    level_changes: progression.level_changes || {},
+    aggregate_level_up: progression.aggregate_level_after > progression.aggregate_level_before
+        ? { from: progression.aggregate_level_before, to: progression.aggregate_level_after }
+        : null,
+    micro_difficulty_offset: progression.micro_difficulty_offset
+});
+
+const snapshotXP = (profile) => ({
+    risk_taker: profile.xp_risk_taker,
+    analyst: profile.xp_analyst,
+    builder: profile.xp_builder,
+    strategist: profile.xp_strategist
+});
+
+// ==========================================
+// PRE-COMMIT STAGES
+// ==========================================
+
+/**
+ * load_context
+ * reads: input.session_id   writes: session, problem, profile
+ */
+const loadContext = {
+    name: 'load_context',
+    phase: 'pre',
+    run: async (ctx) => {
+        ctx.session = await ArenaSession.findById(ctx.input.session_id);
+        if (!ctx.session) return halt(404, { error: 'Session not found' });
+
+        // Only in-progress sessions can be submitted (retries replay the first result)
+        if (ctx.session.status !== 'in_progress') {
+            return { halt: await notInProgressResponse(ctx.session, ctx.input.idempotency_key) };
+        }
+
+        ctx.problem = await Problem.findOne({ problem_id: ctx.session.problem_id });
+        if (!ctx.problem) return halt(404, { error: 'Problem not found' });
+
+        ctx.profile = await UserProfile.findOne({ user_id: ctx.session.user_id });
+        if (!ctx.profile) return halt(404, { error: 'Profile not found' });
+    }
+};
+
+/**
+ * xp_freeze (SPEC #6)
+ * reads: session
+ */
+const xpFreezeCheck = {
+    name: 'xp_freeze',
+    phase: 'pre',
+    run: async (ctx) => {
+        const freezeCheck = await xpGuardService.isXPFrozen(ctx.session.user_id);
+        if (freezeCheck.frozen) {
+            return halt(429, {
+                error: 'XP is frozen',
+                frozen_until: freezeCheck.until,
+                reason: 'Your XP is temporarily frozen. You can still practice but will not earn XP.'
+            });
+        }
+    }
+};
+
+/**
+ * xp_quarantine (SPEC #8) - profile flagged by XP reconciliation
+ * reads: profile
+ */
+const xpQuarantineCheck = {
+    name: 'xp_quarantine',
+    phase: 'pre',
+    run: async (ctx) => {
+        if (ctx.profile.xp_quarantine?.active) {
+            return halt(423, {
+                error: 'XP is quarantined',
+                quarantined_at: ctx.profile.xp_quarantine.quarantined_at,
+                reason: 'Your XP is under review. You can still practice but will not earn XP.'
+            });
+        }
+    }
+};
+
+/**
+ * exploit_cooldown (SPEC #3)
+ * reads: session
+ */
+const exploitCooldownCheck = {
+    name: 'exploit_cooldown',
+    phase: 'pre',
+    optional: true,
+    run: async (ctx) => {
+        const cooldownCheck = await exploitDetectionService.isInCooldown(ctx.session.user_id);
+        if (cooldownCheck.in_cooldown) {
+            return halt(429, {
+                error: 'Cooldown active',
+                cooldown_until: cooldownCheck.until,
+                remaining_seconds: cooldownCheck.remaining_seconds
+            });
+        }
+    }
+};
+
+/**
+ * exploit_detection (SPEC #3) - runs BEFORE any XP is awarded
+ * reads: input.solution, session, problem, profile
+ */
+const exploitDetection = {
+    name: 'exploit_detection',
+    phase: 'pre',
+    optional: true,
+    run: async (ctx) => {
+        const { session, problem, profile } = ctx;
+        const exploitCheck = await exploitDetectionService.runFullExploitCheck(
+            session.user_id,
+            ctx.input.solution,
+            ctx.input.session_id,
+            problem.problem_id
+        );
+
+        if (!exploitCheck.any_exploit_detected) return;
+
+        // Earlier rewarded sessions this response copies go to human review
+        await flagExploitSessions([
+            ...(exploitCheck.patternReplay.matched_sessions || []),
+            ...(exploitCheck.cooperativeFarming.related_sessions || [])
+        ], exploitCheck.cooldown.reason);
+
+        // Record exploit in profile history
+        profile.exploit_history = profile.exploit_history || [];
+        profile.exploit_history.push({
+            detected_at: new Date(),
+            exploit_type: exploitCheck.cooldown.reason.includes('pattern') ? 'pattern_replay' :
+                exploitCheck.cooldown.reason.includes('switching') ? 'role_switching' : 'cooperative_farming',
+            cooldown_applied: exploitCheck.cooldown.duration_ms
+        });
+        await profile.save();
+
+        return halt(429, {
+            error: 'Exploit detected',
+            exploit_type: exploitCheck.cooldown.reason,
+            cooldown_seconds: exploitCheck.cooldown.duration_ms / 1000,
+            cooldown_until: new Date(Date.now() + exploitCheck.cooldown.duration_ms)
+        });
+    }
+};
+
+/**
+ * evaluation - AI evaluation of the solution (EVALUATION_JUDGES judges, aggregated)
+ * reads: problem, input.solution, input.time_elapsed   writes: evaluation
+ */
+const evaluation = {
+    name: 'evaluation',
+    phase: 'pre',
+    run: async (ctx) => {
+        try {
+            ctx.evaluation = await evaluateWithPanel(ctx.problem, ctx.input.solution, ctx.input.time_elapsed);
+        } catch (error) {
+            if (!isBudgetExceeded(error)) throw error;
+            // No template can stand in for an XP evaluation; the session stays in progress
+            return halt(429, {
+                error: 'AI evaluation budget exhausted',
+                code: error.code,
+                scope: error.budget.scope,
+                resets_at: error.budget.resets_at
+            });
+        }
+    }
+};
+
+/**
+ * rubric - baseline criteria decide criteria_met and level_up_achieved
+ * reads: problem, profile, input.solution, evaluation
+ * writes: evaluation.rubric, evaluation.needs_review, evaluation.review_reasons
+ */
+const rubric = {
+    name: 'rubric',
+    phase: 'pre',
+    run: async (ctx) => {
+        let result;
+        try {
+            result = await gradeSolution(ctx.problem, ctx.input.solution, { language: ctx.profile.language });
+        } catch (error) {
+            if (!isBudgetExceeded(error)) throw error;
+            return halt(429, {
+                error: 'AI evaluation budget exhausted',
+                code: error.code,
+                scope: error.budget.scope,
+                resets_at: error.budget.resets_at
+            });
+        }
+
+        // Disagreement of either panel, or no rubric judgement at all, sends the submission to human review
+        const reviewReasons = [...new Set([
+            ...(ctx.evaluation.consensus?.review_reasons || []),
+            ...(result.consensus?.review_reasons || []),
+            ...(result.judged ? [] : ['low_confidence'])
+        ])];
+
+        // The evaluator's own verdict is kept for comparison only
+        ctx.evaluation = {
+            ...ctx.evaluation,
+            evaluator_level_up: ctx.evaluation.level_up_achieved,
+            evaluator_criteria_met: ctx.evaluation.criteria_met || [],
+            criteria_met: result.criteria_met,
+            level_up_achieved: result.level_up_achieved,
+            rubric: result,
+            needs_review: reviewReasons.length > 0,
+            review_reasons: reviewReasons
+        };
+    }
+};
+
+/**
+ * xp_calculation (SPEC #1) - isolated from global statistics
+ * reads: evaluation, problem, profile, input.session_data   writes: xp
+ */
+const xpCalculation = {
+    name: 'xp_calculation',
+    phase: 'pre',
+    run: async (ctx) => {
+        ctx.xp = await xpGuardService.calculateIsolatedXP(
+            ctx.evaluation,
+            ctx.problem,
+            ctx.profile,
+            ctx.input.session_data || {}
+        );
+    }
+};
+
+/**
+ * xp_validation (SPEC #8)
+ * reads: xp
+ */
+const xpValidation = {
+    name: 'xp_validation',
+    phase: 'pre',
+    run: async (ctx) => {
+        const validation = xpGuardService.validateXPAward(ctx.xp.xpBreakdown, 'arena_submit');
+        if (!validation.valid) {
+            console.error('XP validation failed:', validation.error);
+            return halt(400, { error: 'XP validation failed', details: validation.error });
+        }
+    }
+};
+
+// ==========================================
+// COMMIT STAGES (inside the transaction)
+// ==========================================
+
+/**
+ * claim_session - marks the session evaluated; fails if a concurrent submit won
+ * reads: session, evaluation, xp, input   writes: submitted
+ */
+const claimSession = {
+    name: 'claim_session',
+    phase: 'commit',
+    run: async (ctx, dbSession) => {
+        const { evaluation: result, xp, input } = ctx;
+
+        ctx.submitted = await ArenaSession.findOneAndUpdate(
+            { _id: ctx.session._id, status: 'in_progress' },
+            {
+                $set: {
+                    status: 'evaluated',
+                    submitted_at: new Date(),
+                    solution_text: input.solution,
+                    xp_earned: xp.totalXp,
+                    xp_breakdown: xp.xpBreakdown,
+                    level_up_achieved: result.level_up_achieved,
+                    criteria_met: result.criteria_met,
+                    ai_evaluation: result.evaluation,
+                    ai_insight: result.insight,
+                    evaluation_result: result,
+                    idempotency_key: input.idempotency_key,
+                    time_spent_seconds: input.time_elapsed,
+                    needs_review: !!result.needs_review,
+                    review_reasons: result.review_reasons || []
+                }
+            },
+            { new: true, session: dbSession }
+        );
+
+        // Resolved to replay/409 after the (empty) transaction ends
+        if (!ctx.submitted) return { halt: { recheck_session: true } };
+    }
+};
+
+/**
+ * profile_xp - applies the award to a profile re-read inside the transaction
+ * reads: session, xp   writes: tx_profile, xp_before, xp_after, difficulty_before
+ */
+const profileXP = {
+    name: 'profile_xp',
+    phase: 'commit',
+    run: async (ctx, dbSession) => {
+        // Re-read so concurrent awards cannot overwrite each other
+        const profile = await UserProfile.findOne({ user_id: ctx.session.user_id }).session(dbSession);
+        const { xpBreakdown } = ctx.xp;
+
+        ctx.xp_before = snapshotXP(profile);
+        ctx.difficulty_before = profile.current_difficulty;
+
+        profile.xp_risk_taker += xpBreakdown.risk_taker || 0;
+        profile.xp_analyst += xpBreakdown.analyst || 0;
+        profile.xp_builder += xpBreakdown.builder || 0;
+        profile.xp_strategist += xpBreakdown.strategist || 0;
+        profile.total_arenas_completed += 1;
+
+        ctx.xp_after = snapshotXP(profile);
+        ctx.tx_profile = profile;
+    }
+};
+
+/**
+ * level_progression - per-archetype levels, micro-difficulty and aggregate level
+ * reads: xp, xp_before, tx_profile   writes: progression
+ */
+const levelProgression = {
+    name: 'level_progression',
+    phase: 'commit',
+    run: async (ctx, dbSession) => {
+        const profile = ctx.tx_profile;
+
+        // calculateLevelProgression adds the award itself, so it gets the pre-award XP
+        const preAward = {
+            ...profile.toObject(),
+            xp_risk_taker: ctx.xp_before.risk_taker,
+            xp_analyst: ctx.xp_before.analyst,
+            xp_builder: ctx.xp_before.builder,
+            xp_strategist: ctx.xp_before.strategist
+        };
+        const { levelChanges, newThresholds } = calculateLevelProgression(preAward, ctx.xp.xpBreakdown);
+
+        Object.entries(levelChanges).forEach(([archetype, change]) => {
+            profile[`level_${archetype}`] = change.new_level;
+        });
+        // Every archetype, so thresholds stored before they were cumulative are replaced
+        Object.entries(newThresholds).forEach(([archetype, threshold]) => {
+            profile.xp_to_next_level[archetype] = threshold;
+        });
+
+        profile.micro_difficulty_offset = calculateMicroDifficultyAdjustment(profile, ctx.xp.totalXp);
+
+        const aggregateBefore = profile.current_difficulty;
+        if (shouldIncreaseAggregateLevel(profile, levelChanges)) {
+            profile.current_difficulty = Math.min(10, profile.current_difficulty + 1);
+        }
+
+        ctx.progression = {
+            level_changes: levelChanges,
+            aggregate_level_before: aggregateBefore,
+            aggregate_level_after: profile.current_difficulty,
+            micro_difficulty_offset: profile.micro_difficulty_offset
+        };
+
+        // Kept on the session so idempotent replays return the same progression
+        await ArenaSession.updateOne(
+            { _id: ctx.session._id },
+            { $set: { progression: ctx.progression } },
+            { session: dbSession }
+        );
+        ctx.submitted.progression = ctx.progression;
+    }
+};
+
+/**
+ * streak_tracking - daily streak and monthly arena counts
+ * reads/writes: tx_profile
+ */
+const streakTracking = {
+    name: 'streak_tracking',
+    phase: 'commit',
+    optional: true,
+    run: async (ctx) => {
+        const profile = ctx.tx_profile;
+        const today = new Date();
+        const lastArenaDate = profile.last_arena_date;
+
+        if (lastArenaDate) {
+            const daysDiff = Math.floor((today - new Date(lastArenaDate)) / (1000 * 60 * 60 * 24));
+
+            if (daysDiff === 0) {
+                // Same day - streak unchanged
+            } else if (daysDiff === 1) {
+                // Consecutive day - increment streak
+                profile.current_streak += 1;
+            } else {
+                // Missed days - reset streak to 1
+                profile.current_streak = 1;
+            }
+        } else {
+            // First arena - start streak
+            profile.current_streak = 1;
+        }
+
+        // Update longest streak
+        if (profile.current_streak > profile.longest_streak) {
+            profile.longest_streak = profile.current_streak;
+        }
+
+        profile.last_arena_date = today;
+
+        // Update monthly arenas
+        const currentMonth = today.toISOString().slice(0, 7); // "2026-01"
+        const monthIndex = profile.monthly_arenas?.findIndex(m => m.month === currentMonth);
+        if (monthIndex >= 0) {
+            profile.monthly_arenas[monthIndex].count += 1;
+        } else {
+            profile.monthly_arenas = profile.monthly_arenas || [];
+            profile.monthly_arenas.push({ month: currentMonth, count: 1 });
+        }
+    }
+};
+
+/**
+ * audit_log (SPEC #8) - immutable XP audit entry
+ * reads: session, problem, evaluation, xp, xp_before, xp_after, progression
+ */
+const auditLog = {
+    name: 'audit_log',
+    phase: 'commit',
+    run: async (ctx, dbSession) => {
+        await xpGuardService.createXPAuditLog(
+            ctx.session.user_id,
+            'award',
+            ctx.xp_before,
+            ctx.xp_after,
+            'arena_submit',
+            {
+                session_id: ctx.input.session_id,
+                problem_id: ctx.problem.problem_id,
+                problem_difficulty: ctx.problem.difficulty,
+                evaluation_summary: ctx.evaluation.evaluation?.substring(0, 200),
+                courage_xp: ctx.xp.courageXP,
+                accuracy_xp: ctx.xp.accuracyXP,
+                stagnation_detected: ctx.evaluation.stagnation_detected,
+                exploit_detected: false,
+                ...(ctx.progression || {})
+            },
+            { session: dbSession }
+        );
+    }
+};
+
+/**
+ * stagnation (SPEC #6)
+ * reads: xp, tx_profile   writes: stagnation
+ */
+const stagnation = {
+    name: 'stagnation',
+    phase: 'commit',
+    run: async (ctx) => {
+        ctx.stagnation = xpGuardService.applyStagnationState(ctx.tx_profile, ctx.xp.totalXp);
+    }
+};
+
+/**
+ * level_up (SPEC #4) - Achievement + IMMUTABLE Artifact with XP snapshot
+ * reads: evaluation, problem, tx_profile, xp_after, difficulty_before
+ */
+const levelUp = {
+    name: 'level_up',
+    phase: 'commit',
+    run: async (ctx, dbSession) => {
+        const { evaluation: result, problem, session } = ctx;
+        const profile = ctx.tx_profile;
+
+        // Compared with the difficulty before this submit; level_progression may already have moved it
+        if (!result.level_up_achieved || problem.difficulty <= ctx.difficulty_before) return;
+
+        profile.current_difficulty = Math.max(profile.current_difficulty, problem.difficulty);
+        profile.highest_difficulty_conquered = Math.max(
+            profile.highest_difficulty_conquered,
+            problem.difficulty
+        );
+
+        await Achievement.create([{
+            user_id: session.user_id,
+            achievement_id: `ACH-${Date.now()}`,
+            title: `Conquered Level ${problem.difficulty}`,
+            description: `Menyelesaikan ${problem.title} di difficulty ${problem.difficulty}`,
+            archetype_at_achievement: profile.primary_archetype,
+            difficulty_level: problem.difficulty,
+            problem_id: problem.problem_id,
+            achieved_at: new Date(),
+            badge_type: 'difficulty_jump',
+            is_highest: problem.difficulty > profile.highest_difficulty_conquered
+        }], { session: dbSession });
+
+        await Artifact.create([{
+            user_id: session.user_id,
+            problem_id: problem.problem_id,
+            problem_title: problem.title,
+            difficulty: problem.difficulty,
+            archetype_role: profile.primary_archetype,
+            solution_summary: ctx.input.solution.substring(0, 500),
+            insight: result.insight,
+            level_up_verified: true,
+            arena_session_id: session._id.toString(),
+            conquered_at: new Date(),
+            event_source: 'level_up',
+            xp_snapshot: ctx.xp_after
+        }], { session: dbSession });
+    }
+};
+
+/**
+ * review_queue - flagged evaluations enter the human review queue with the award
+ * reads: submitted, evaluation
+ */
+const reviewQueue = {
+    name: 'review_queue',
+    phase: 'commit',
+    optional: true,
+    run: async (ctx, dbSession) => {
+        if (!ctx.evaluation.needs_review) return;
+        await enqueueSession(ctx.submitted, {
+            source: 'auto',
+            reasons: ctx.evaluation.review_reasons
+        }, { session: dbSession });
+    }
+};
+
+/**
+ * save_profile - recompute archetype and persist the profile
+ * reads/writes: tx_profile
+ */
+const saveProfile = {
+    name: 'save_profile',
+    phase: 'commit',
+    run: async (ctx, dbSession) => {
+        ctx.tx_profile.primary_archetype = updateArchetype(ctx.tx_profile);
+        await ctx.tx_profile.save({ session: dbSession });
+    }
+};
+
+// ==========================================
+// STAGE REGISTRY
+// ==========================================
+
+export const DEFAULT_STAGES = [
+    loadContext,
+    xpFreezeCheck,
+    xpQuarantineCheck,
+    exploitCooldownCheck,
+    exploitDetection,
+    evaluation,
+    rubric,
+    xpCalculation,
+    xpValidation,
+    claimSession,
+    profileXP,
+    levelProgression,
+    streakTracking,
+    auditLog,
+    stagnation,
+    levelUp,
+    reviewQueue,
+    saveProfile
+];
+
+let stages = [...DEFAULT_STAGES];
+
+/**
+ * Current ordered stage list
+ */
+export const getStages = () => [...stages];
+
+/**
+ * Insert a stage; position is { before: name } or { after: name } (default: end of its phase)
+ */
+export const registerStage = (stage, position = {}) => {
+    if (!stage?.name || typeof stage.run !== 'function' || !['pre', 'commit'].includes(stage.phase)) {
+        throw new Error('Stage needs a name, a phase (pre|commit) and a run function');
+    }
+    if (stages.some(s => s.name === stage.name)) {
+        throw new Error(`Stage already registered: ${stage.name}`);
+    }
+
+    const anchor = position.before || position.after;
+    let index;
+    if (anchor) {
+        const anchorIndex = stages.findIndex(s => s.name === anchor);
+        if (anchorIndex < 0) throw new Error(`Unknown stage: ${anchor}`);
+        index = position.before ? anchorIndex : anchorIndex + 1;
+    } else {
+        const lastOfPhase = stages.map(s => s.phase).lastIndexOf(stage.phase);
+        index = lastOfPhase < 0 ? (stage.phase === 'pre' ? 0 : stages.length) : lastOfPhase + 1;
+    }
+
+    stages.splice(index, 0, stage);
+};
+
+/**
+ * Remove a stage by name
+ */
+export const removeStage = (name) => {
+    stages = stages.filter(s => s.name !== name);
+};
+
+/**
+ * Restore the default pipeline
+ */
+export const resetStages = () => {
+    stages = [...DEFAULT_STAGES];
+};
+
+/**
+ * Stage names listed in ARENA_SUBMIT_DISABLED_STAGES
+ * Throws when a listed stage is not an optional stage of the pipeline: audit, XP
+ * and session stages cannot be switched off, and later stages depend on them
+ */
+export const getDisabledStages = (stageList = stages) => {
+    const names = (process.env.ARENA_SUBMIT_DISABLED_STAGES || '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+
+    const refused = names.filter(name => !stageList.some(s => s.name === name && s.optional));
+    if (refused.length > 0) {
+        const optional = stageList.filter(s => s.optional).map(s => s.name);
+        throw new Error(
+            `ARENA_SUBMIT_DISABLED_STAGES can only list optional stages (${optional.join(', ')}); refused: ${refused.join(', ')}`
+        );
+    }
+    return names;
+};
+
+// ==========================================
+// PIPELINE RUNNER
+// ==========================================
+
+/**
+ * Run a submission through the pipeline
+ * input: { session_id, solution, time_elapsed, session_data, idempotency_key }
+ * Returns { status, body } ready to send as the HTTP response
+ */
+export const submitSolution = async (input, options = {}) => {
+    const disabled = getDisabledStages(options.stages || stages);
+    const active = (options.stages || stages).filter(s => !disabled.includes(s.name));
+    const ctx = { input };
+
+    // Checks, evaluation and XP calculation
+    for (const stage of active.filter(s => s.phase === 'pre')) {
+        const outcome = await stage.run(ctx);
+        if (outcome?.halt) return outcome.halt;
+    }
+
+    // Award: all commit stages succeed together or not at all
+    try {
+        await ArenaSession.db.transaction(async (dbSession) => {
+            for (const stage of active.filter(s => s.phase === 'commit')) {
+                const outcome = await stage.run(ctx, dbSession);
+                if (outcome?.halt) {
+                    // Throwing aborts the transaction so a halt never leaves partial writes
+                    const abort = new Error(`Submission halted at ${stage.name}`);
+                    abort.halt = outcome.halt;
+                    throw abort;
+                }
+            }
+        });
+    } catch (error) {
+        if (xpGuardService.isWriteConflict(error)) {
+            // Nothing was written; the client may retry with the same idempotency key
+            return {
+                status: 409,
+                body: { error: 'Submission conflicted with a concurrent update, please retry', code: 'SUBMIT_CONFLICT', retryable: true }
+            };
+        }
+        if (!error.halt) throw error;
+        ctx.halt = error.halt;
+    }
+
+    if (ctx.halt?.recheck_session) {
+        // Lost the race against a concurrent submit of the same session
+        const current = await ArenaSession.findById(ctx.session._id);
+        return notInProgressResponse(current, input.idempotency_key);
+    }
+    if (ctx.halt) return ctx.halt;
+
+    return {
+        status: 200,
+        body: {
+            session: ctx.submitted,
+            evaluation: ctx.evaluation,
+            xp_earned: ctx.xp.totalXp,
+            xp_breakdown: ctx.xp.xpBreakdown,
+            updated_profile: ctx.tx_profile,
+            xp_state: ctx.stagnation?.xp_state ?? ctx.tx_profile?.xp_state,
+            stagnation_count: ctx.stagnation?.stagnation_count ?? ctx.tx_profile?.stagnation_count,
+            ...progressionResponse(ctx.progression)
+        }
+    };
+};
+
+export default {
+    DEFAULT_STAGES,
+    getStages,
+    registerStage,
+    removeStage,
+    resetStages,
+    getDisabledStages,
+    submitSolution
+};
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+import * as identityService from './identityService.js';
+
+/**
+ * Auth Session Service - Access tokens, rotating refresh tokens, revocation
+ *
+ * - Access token: short-lived JWT carrying the session id (sid)
+ * - Refresh token: "<sessionId>.<secret>", single use, rotated on every refresh
+ * - Presenting an already-rotated refresh token revokes the whole session; a token this
+ *   session never issued is only rejected (the session id alone must not allow a revoke)
+ */
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'novax-arena-secret-key-2024';
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Rotated-out token hashes kept per session to recognise a replay
+const REFRESH_TOKEN_HISTORY = 20;
+
+// ==========================================
+// TOKEN HELPERS
+// ==========================================
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token bound to an auth session
+ */
+export const signAccessToken = (user, sessionId) => {
+    return jwt.sign(
+        { userId: user._id, email: user.email, sid: sessionId.toString() },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Split "<sessionId>.<secret>" into its parts
+ */
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+const buildTokenPair = (user, session, secret) => ({
+    token: signAccessToken(user, session._id),
+    refresh_token: `${session._id}.${secret}`,
+    expires_in: ACCESS_TOKEN_EXPIRES_IN,
+    session_id: session._id.toString()
+});
+
+// ==========================================
+// SESSION LIFECYCLE
+// ==========================================
+
+/**
+ * Create a new auth session on login/registration
+ * Device data is recorded via identityService so the session shows its device
+ */
+export const createSession = async (user, deviceData = {}, ip = null) => {
+    const userId = user._id.toString();
+    const fingerprint = identityService.resolveFingerprint(deviceData);
+
+    // Only profiles that exist get the fingerprint; new users calibrate later.
+    // Without device data there is nothing to record (and no fingerprint on the session)
+    if (fingerprint) {
+        await identityService.recordDeviceFingerprint(userId, { ...deviceData, fingerprint });
+    }
+
+    const secret = generateSecret();
+    const session = await AuthSession.create({
+        user_id: userId,
+        refresh_token_hash: hashToken(secret),
+        device_fingerprint: fingerprint,
+        device_info: deviceData.device_info || deviceData.userAgent || null,
+        ip,
+        expires_at: refreshExpiry()
+    });
+
+    return buildTokenPair(user, session, secret);
+};
+
+/**
+ * Rotate a refresh token
+ * Returns { error } with a reason when the token cannot be used
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return { error: 'Invalid refresh token' };
+
+    const session = await AuthSession.findById(parsed.sessionId);
+    if (!session || !session.isActive()) {
+        return { error: 'Session expired or revoked' };
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    if (session.refresh_token_hash !== presentedHash) {
+        if (!session.previous_token_hashes?.includes(presentedHash)) {
+            return { error: 'Invalid refresh token' };
+        }
+
+        // Old token replayed: someone else may hold the current one
+        session.revoked_at = new Date();
+        session.revoked_reason = 'token_reuse';
+        await session.save();
+        console.warn(`[Auth] Refresh token reuse detected, session ${session._id} revoked`);
+        return { error: 'Refresh token reuse detected' };
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user) return { error: 'User not found' };
+
+    // Conditional on the old hash so two concurrent refreshes cannot both win
+    const secret = generateSecret();
+    const rotated = await AuthSession.findOneAndUpdate(
+        { _id: session._id, refresh_token_hash: session.refresh_token_hash, revoked_at: null },
+        {
+            $set: {
+                refresh_token_hash: hashToken(secret),
+                last_used_at: new Date(),
+                expires_at: refreshExpiry()
+            },
+            $push: { previous_token_hashes: { $each: [session.refresh_token_hash], $slice: -REFRESH_TOKEN_HISTORY } },
+            $inc: { rotation_count: 1 }
+        },
+        { new: true }
+    );
+    if (!rotated) return { error: 'Refresh token already used' };
+
+    return { user, ...buildTokenPair(user, rotated, secret) };
+};
+
+/**
+ * Check that the session behind an access token is still usable
+ */
+export const isSessionActive = async (sessionId, userId) => {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    const session = await AuthSession.findById(sessionId);
+    return !!session && session.user_id === String(userId) && session.isActive();
+};
+
+/**
+ * Revoke a single session owned by the user
+ */
+export const revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+    const session = await AuthSession.findOne({ _id: sessionId, user_id: userId });
+    if (!session || session.revoked_at) return false;
+
+    session.revoked_at = new Date();
+    session.revoked_reason = reason;
+    await session.save();
+    return true;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one (the caller's)
+ */
+export const revokeAllSessions = async (userId, exceptSessionId = null, reason = 'user_revoked') => {
+    const filter = { user_id: userId, revoked_at: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await AuthSession.updateMany(filter, {
+        $set: { revoked_at: new Date(), revoked_reason: reason }
+    });
+    return result.modifiedCount || 0;
+};
+
+/**
+ * List active sessions (devices) for a user
+ */
+export const listSessions = async (userId, currentSessionId = null) => {
+    const sessions = await AuthSession.find({
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { $gt: new Date() }
+    }).sort({ last_used_at: -1 }).lean();
+
+    return sessions.map(s => ({
+        session_id: s._id.toString(),
+        device_fingerprint: s.device_fingerprint,
+        device_info: s.device_info,
+        ip: s.ip,
+        created_at: s.createdAt,
+        last_used_at: s.last_used_at,
+        expires_at: s.expires_at,
+        current: currentSessionId === s._id.toString()
+    }));
+};
+
+export default {
+    JWT_SECRET,
+    ACCESS_TOKEN_EXPIRES_IN,
+    signAccessToken,
+    createSession,
+    rotateRefreshToken,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+};
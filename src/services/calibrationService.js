@@ -0,0 +1,469 @@
+import GoldenSolution from '../models/GoldenSolution.js';
+import CalibrationRun from '../models/CalibrationRun.js';
+import { runWithLLMContext, isBudgetExceeded } from '../config/llmGateway.js';
+import { evaluateWithPanel, getPanelConfig } from './judgePanelService.js';
+import { gradeSolution } from './rubricService.js';
+import { getPrompt } from './promptRegistryService.js';
+
+/**
+ * Calibration Service - Replays golden solutions through the evaluator
+ *
+ * SPEC #2: Pressure Invariance (Anti-Drift)
+ * - Every active GoldenSolution is evaluated exactly like an arena submit
+ *   (judge panel + baseline rubric) and compared with its expected ranges,
+ *   rubric outcomes and level-up
+ * - The report is broken down per DifficultyBaseline level and per rubric criterion,
+ *   and compared with the previous run of the same mode
+ * - mode 'mock' sends every judge to the mock provider (checks the harness and the
+ *   deterministic criteria offline); 'live' uses the configured routes
+ * - Runs started from the admin API run in the background (status 'running' until
+ *   the report is stored), and their LLM calls are charged to the 'calibration'
+ *   budget scope (LLM_BUDGET_CALIBRATION_DAILY_TOKENS) instead of the tier budgets
+ *
+ * Environment Variables:
+ * - CALIBRATION_MIN_AGREEMENT: rate below which a level or criterion raises an alert (default: 0.8)
+ * - CALIBRATION_MAX_DROP: drop against the previous run that raises an alert (default: 0.1)
+ */
+
+export const CALIBRATION_MODES = CalibrationRun.schema.path('mode').enumValues;
+export const CALIBRATION_METRICS = GoldenSolution.schema.path('expected_ranges').schema.path('metric').enumValues;
+export const CALIBRATION_CRITERIA = GoldenSolution.schema.path('expected_criteria').schema.path('criterion').enumValues;
+
+const EVALUATION_PROMPTS = ['agent.evaluate_solution', 'rubric.judgement'];
+const XP_FIELDS = ['xp_risk_taker', 'xp_analyst', 'xp_builder', 'xp_strategist'];
+
+const calibrationError = (message, code, problems = null) => {
+    const error = new Error(message);
+    error.code = code;
+    if (problems) error.problems = problems;
+    return error;
+};
+
+const rate = (hits, total) => (total > 0 ? Math.round((hits / total) * 1000) / 1000 : null);
+
+// ==========================================
+// GOLDEN SOLUTIONS
+// ==========================================
+
+/**
+ * Golden solutions, optionally for one level; inactive ones only on request
+ */
+export const listGoldenSolutions = async ({ level, include_inactive = false } = {}) => {
+    const filter = {};
+    if (!include_inactive) filter.is_active = true;
+    if (level) filter.level = Number(level);
+    return GoldenSolution.find(filter).sort({ level: 1, golden_id: 1 }).lean();
+};
+
+/**
+ * Problems of a golden definition: [message]
+ */
+const validateGolden = (data) => {
+    const problems = [];
+    const level = Number(data.level);
+
+    if (!data.golden_id) problems.push('golden_id is required');
+    if (!Number.isInteger(level) || level < 1 || level > 10) problems.push('level must be an integer 1-10');
+    if (!data.problem?.title || !data.problem?.objective) problems.push('problem.title and problem.objective are required');
+    if (!data.solution) problems.push('solution is required');
+
+    (data.expected_ranges || []).forEach((range, i) => {
+        if (!CALIBRATION_METRICS.includes(range.metric)) problems.push(`expected_ranges[${i}]: unknown metric "${range.metric}"`);
+        if (!(Number(range.min) <= Number(range.max))) problems.push(`expected_ranges[${i}]: min must be <= max`);
+    });
+    (data.expected_criteria || []).forEach((expected, i) => {
+        if (!CALIBRATION_CRITERIA.includes(expected.criterion)) problems.push(`expected_criteria[${i}]: unknown criterion "${expected.criterion}"`);
+        if (typeof expected.passed !== 'boolean') problems.push(`expected_criteria[${i}]: passed must be true or false`);
+    });
+
+    const expectations = (data.expected_ranges || []).length + (data.expected_criteria || []).length;
+    if (expectations === 0 && typeof data.expected_level_up !== 'boolean') {
+        problems.push('at least one expectation (expected_ranges, expected_criteria or expected_level_up) is required');
+    }
+
+    return problems;
+};
+
+/**
+ * Store a golden solution; golden_id must be new
+ */
+export const createGoldenSolution = async (data = {}, createdBy = null) => {
+    const problems = validateGolden(data);
+    if (problems.length > 0) throw calibrationError('Invalid golden solution', 'CALIBRATION_INVALID', problems);
+
+    if (await GoldenSolution.exists({ golden_id: data.golden_id })) {
+        throw calibrationError(`Golden solution already exists: ${data.golden_id}`, 'GOLDEN_EXISTS');
+    }
+
+    const golden = await GoldenSolution.create({
+        golden_id: data.golden_id,
+        level: Number(data.level),
+        problem: data.problem,
+        solution: data.solution,
+        language: data.language,
+        time_elapsed_seconds: data.time_elapsed_seconds,
+        expected_ranges: data.expected_ranges || [],
+        expected_criteria: data.expected_criteria || [],
+        expected_level_up: typeof data.expected_level_up === 'boolean' ? data.expected_level_up : null,
+        notes: data.notes || '',
+        created_by: createdBy
+    });
+    return golden.toObject();
+};
+
+/**
+ * Take a golden out of future runs (kept for earlier reports)
+ */
+export const deactivateGoldenSolution = async (goldenId) => {
+    const golden = await GoldenSolution.findOneAndUpdate(
+        { golden_id: goldenId },
+        { $set: { is_active: false } },
+        { new: true }
+    ).lean();
+    if (!golden) throw calibrationError(`Unknown golden solution: ${goldenId}`, 'GOLDEN_NOT_FOUND');
+    return golden;
+};
+
+// ==========================================
+// REPLAY
+// ==========================================
+
+/**
+ * Metrics a golden can set ranges on
+ */
+const collectMetrics = (evaluation, rubric) => ({
+    xp_total: XP_FIELDS.reduce((sum, field) => sum + (evaluation[field] || 0), 0),
+    ...Object.fromEntries(XP_FIELDS.map(field => [field, evaluation[field] ?? null])),
+    quality_score: evaluation.quality_score ?? null,
+    response_quality: rubric.measurements.response_quality,
+    decision_depth: rubric.measurements.decision_depth,
+    tradeoff_count: rubric.measurements.tradeoff_count
+});
+
+/**
+ * Compare one golden's grading with its expectations
+ */
+const checkGolden = (golden, evaluation, rubric) => {
+    const metrics = collectMetrics(evaluation, rubric);
+
+    const ranges = golden.expected_ranges.map(({ metric, min, max }) => {
+        const actual = metrics[metric];
+        if (actual === null || actual === undefined) return { metric, min, max, actual: null, in_range: false, offset: null };
+        const offset = actual < min ? actual - min : actual > max ? actual - max : 0;
+        return { metric, min, max, actual, in_range: offset === 0, offset: Math.round(offset * 1000) / 1000 };
+    });
+
+    // A criterion the level does not require is not graded, so it cannot agree or disagree
+    const criteria = golden.expected_criteria.map(({ criterion, passed }) => {
+        const graded = rubric.criteria.find(c => c.id === criterion);
+        return {
+            criterion,
+            expected: passed,
+            actual: graded ? graded.passed : null,
+            agrees: graded ? graded.passed === passed : null,
+            reason: graded?.reason || 'not graded at this level'
+        };
+    });
+
+    const levelUp = typeof golden.expected_level_up === 'boolean'
+        ? { expected: golden.expected_level_up, actual: rubric.level_up_achieved, agrees: rubric.level_up_achieved === golden.expected_level_up }
+        : null;
+
+    return {
+        golden_id: golden.golden_id,
+        level: golden.level,
+        baseline_version: rubric.baseline_version,
+        metrics,
+        ranges,
+        criteria,
+        level_up: levelUp,
+        review_reasons: [...new Set([
+            ...(evaluation.consensus?.review_reasons || []),
+            ...(rubric.consensus?.review_reasons || [])
+        ])]
+    };
+};
+
+// ==========================================
+// REPORT
+// ==========================================
+
+const buildByLevel = (results) => {
+    const byLevel = {};
+
+    results.forEach(result => {
+        const level = (byLevel[result.level] ||= {
+            baseline_version: null,
+            goldens: 0,
+            errors: 0,
+            range_checks: 0,
+            in_range: 0,
+            level_up_checks: 0,
+            level_up_agreements: 0,
+            metrics: {}
+        });
+        level.goldens += 1;
+        if (result.error) {
+            level.errors += 1;
+            return;
+        }
+        level.baseline_version = result.baseline_version;
+
+        result.ranges.forEach(range => {
+            const metric = (level.metrics[range.metric] ||= { checks: 0, in_range: 0, offsets: [] });
+            level.range_checks += 1;
+            metric.checks += 1;
+            if (range.in_range) {
+                level.in_range += 1;
+                metric.in_range += 1;
+            }
+            if (range.offset !== null) metric.offsets.push(range.offset);
+        });
+
+        if (result.level_up) {
+            level.level_up_checks += 1;
+            if (result.level_up.agrees) level.level_up_agreements += 1;
+        }
+    });
+
+    Object.values(byLevel).forEach(level => {
+        level.in_range_rate = rate(level.in_range, level.range_checks);
+        level.level_up_agreement_rate = rate(level.level_up_agreements, level.level_up_checks);
+        Object.values(level.metrics).forEach(metric => {
+            metric.in_range_rate = rate(metric.in_range, metric.checks);
+            // Signed: positive = graded above the expected range
+            metric.mean_offset = metric.offsets.length > 0
+                ? Math.round((metric.offsets.reduce((a, b) => a + b, 0) / metric.offsets.length) * 1000) / 1000
+                : null;
+            delete metric.offsets;
+        });
+    });
+
+    return byLevel;
+};
+
+const buildByCriterion = (results) => {
+    const byCriterion = {};
+
+    results.filter(r => !r.error).forEach(result => {
+        result.criteria.filter(c => c.agrees !== null).forEach(check => {
+            const entry = (byCriterion[check.criterion] ||= { checks: 0, agreements: 0, false_pass: 0, false_fail: 0, levels: {} });
+            const level = (entry.levels[result.level] ||= { checks: 0, agreements: 0 });
+            entry.checks += 1;
+            level.checks += 1;
+            if (check.agrees) {
+                entry.agreements += 1;
+                level.agreements += 1;
+            } else if (check.actual) {
+                entry.false_pass += 1;
+            } else {
+                entry.false_fail += 1;
+            }
+        });
+    });
+
+    Object.values(byCriterion).forEach(entry => {
+        entry.agreement_rate = rate(entry.agreements, entry.checks);
+        Object.values(entry.levels).forEach(level => {
+            level.agreement_rate = rate(level.agreements, level.checks);
+        });
+    });
+
+    return byCriterion;
+};
+
+const buildSummary = (results, byLevel, byCriterion) => {
+    const levels = Object.values(byLevel);
+    const criteria = Object.values(byCriterion);
+    const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+    return {
+        goldens: results.length,
+        errors: results.filter(r => r.error).length,
+        flagged_for_review: results.filter(r => r.review_reasons?.length > 0).length,
+        range_checks: sum(levels, 'range_checks'),
+        in_range_rate: rate(sum(levels, 'in_range'), sum(levels, 'range_checks')),
+        criteria_checks: sum(criteria, 'checks'),
+        criteria_agreement_rate: rate(sum(criteria, 'agreements'), sum(criteria, 'checks')),
+        level_up_checks: sum(levels, 'level_up_checks'),
+        level_up_agreement_rate: rate(sum(levels, 'level_up_agreements'), sum(levels, 'level_up_checks'))
+    };
+};
+
+/**
+ * Alerts for rates under CALIBRATION_MIN_AGREEMENT or dropped by more than
+ * CALIBRATION_MAX_DROP since the previous run
+ */
+const buildDrift = (byLevel, byCriterion, previous) => {
+    const minAgreement = parseFloat(process.env.CALIBRATION_MIN_AGREEMENT || '0.8');
+    const maxDrop = parseFloat(process.env.CALIBRATION_MAX_DROP || '0.1');
+    const alerts = [];
+
+    const check = (scope, key, metric, value, previousValue) => {
+        if (value === null || value === undefined) return;
+        if (value < minAgreement) {
+            alerts.push({ scope, key, metric, value, previous: previousValue ?? null, kind: 'below_threshold', threshold: minAgreement });
+        }
+        if (typeof previousValue === 'number' && previousValue - value > maxDrop) {
+            alerts.push({ scope, key, metric, value, previous: previousValue, kind: 'dropped', max_drop: maxDrop });
+        }
+    };
+
+    Object.entries(byLevel).forEach(([level, entry]) => {
+        check('level', level, 'in_range_rate', entry.in_range_rate, previous?.by_level?.[level]?.in_range_rate);
+        check('level', level, 'level_up_agreement_rate', entry.level_up_agreement_rate, previous?.by_level?.[level]?.level_up_agreement_rate);
+    });
+    Object.entries(byCriterion).forEach(([criterion, entry]) => {
+        check('criterion', criterion, 'agreement_rate', entry.agreement_rate, previous?.by_criterion?.[criterion]?.agreement_rate);
+    });
+
+    return {
+        compared_to: previous?.run_id || null,
+        drift_detected: alerts.length > 0,
+        alerts
+    };
+};
+
+// ==========================================
+// RUNS
+// ==========================================
+
+/**
+ * Validate the options and build the run with the goldens it replays
+ */
+const prepareRun = async ({ mode = 'mock', levels, golden_ids, triggered_by = null }) => {
+    if (!CALIBRATION_MODES.includes(mode)) {
+        throw calibrationError(`Unknown calibration mode: ${mode}`, 'CALIBRATION_INVALID', [`mode must be one of ${CALIBRATION_MODES.join(', ')}`]);
+    }
+
+    const filter = { is_active: true };
+    if (Array.isArray(levels) && levels.length > 0) filter.level = { $in: levels.map(Number) };
+    if (Array.isArray(golden_ids) && golden_ids.length > 0) filter.golden_id = { $in: golden_ids.map(String) };
+
+    const goldens = await GoldenSolution.find(filter).sort({ level: 1, golden_id: 1 }).lean();
+    if (goldens.length === 0) throw calibrationError('No active golden solutions to replay', 'CALIBRATION_EMPTY');
+
+    const panel = mode === 'mock' ? { routes: ['mock'] } : {};
+    const config = getPanelConfig(panel);
+    const prompts = await Promise.all(EVALUATION_PROMPTS.map(id => getPrompt(id)));
+
+    const run = new CalibrationRun({
+        run_id: `CAL-${Date.now()}`,
+        mode,
+        status: 'running',
+        triggered_by,
+        prompt_versions: Object.fromEntries(prompts.map(prompt => [prompt.id, prompt.version])),
+        judges: config.judges,
+        aggregation: config.aggregation,
+        started_at: new Date()
+    });
+
+    return { run, goldens, panel };
+};
+
+/**
+ * Evaluate every golden of a prepared run and store the report
+ */
+const executeRun = async ({ run, goldens, panel }) => {
+    // Sequential: a live run should not burst the providers' rate limits
+    const results = [];
+    try {
+        await runWithLLMContext({ flow: `calibration:${run.mode}`, budget_scope: 'calibration' }, async () => {
+            for (const golden of goldens) {
+                const problem = {
+                    ...golden.problem,
+                    problem_id: `GOLDEN-${golden.golden_id}`,
+                    difficulty: golden.level
+                };
+                try {
+                    const evaluation = await evaluateWithPanel(problem, golden.solution, golden.time_elapsed_seconds, {
+                        profile: { language: golden.language },
+                        panel
+                    });
+                    const rubric = await gradeSolution(problem, golden.solution, { language: golden.language, panel });
+                    results.push(checkGolden(golden, evaluation, rubric));
+                } catch (error) {
+                    if (isBudgetExceeded(error)) throw error;
+                    console.error(`[Calibration] ${golden.golden_id} error:`, error.message);
+                    results.push({ golden_id: golden.golden_id, level: golden.level, error: error.message });
+                }
+            }
+        });
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+    }
+
+    const previous = await CalibrationRun.findOne({ mode: run.mode, status: 'completed' })
+        .sort({ started_at: -1 })
+        .select('run_id by_level by_criterion')
+        .lean();
+
+    run.results = results;
+    run.by_level = buildByLevel(results);
+    run.by_criterion = buildByCriterion(results);
+    run.summary = buildSummary(results, run.by_level, run.by_criterion);
+    run.drift = buildDrift(run.by_level, run.by_criterion, previous);
+    if (run.status === 'running' && results.every(r => r.error)) {
+        run.status = 'failed';
+        run.error = 'Every golden solution failed to evaluate';
+    }
+    if (run.status === 'running') run.status = 'completed';
+    run.finished_at = new Date();
+
+    await run.save();
+    return run.toObject();
+};
+
+/**
+ * Replay active golden solutions and store the report (resolves when the run is done)
+ * options: { mode: 'mock' | 'live', levels?, golden_ids?, triggered_by? }
+ */
+export const runCalibration = async (options = {}) => executeRun(await prepareRun(options));
+
+/**
+ * Store a 'running' run and replay the goldens in the background
+ * Returns the running run; poll getCalibrationRun(run_id) for the report
+ */
+export const startCalibration = async (options = {}) => {
+    const job = await prepareRun(options);
+    await job.run.save();
+
+    executeRun(job).catch(async (error) => {
+        console.error(`[Calibration] ${job.run.run_id} error:`, error);
+        await CalibrationRun.updateOne(
+            { run_id: job.run.run_id },
+            { $set: { status: 'failed', error: error.message, finished_at: new Date() } }
+        ).catch(saveError => console.error(`[Calibration] ${job.run.run_id} save error:`, saveError));
+    });
+
+    return job.run.toObject();
+};
+
+/**
+ * Recent runs without per-golden results
+ */
+export const listCalibrationRuns = async ({ mode, limit = 20 } = {}) => {
+    const filter = {};
+    if (mode) filter.mode = mode;
+    return CalibrationRun.find(filter)
+        .sort({ started_at: -1 })
+        .limit(Math.min(parseInt(limit) || 20, 100))
+        .select('-results')
+        .lean();
+};
+
+export const getCalibrationRun = async (runId) => CalibrationRun.findOne({ run_id: runId }).lean();
+
+export default {
+    CALIBRATION_MODES,
+    CALIBRATION_METRICS,
+    CALIBRATION_CRITERIA,
+    listGoldenSolutions,
+    createGoldenSolution,
+    deactivateGoldenSolution,
+    runCalibration,
+    startCalibration,
+    listCalibrationRuns,
+    getCalibrationRun
+};
@@ -39,7 +39,11 @@ export const detectPatternReplay = async (userId, currentResponse, sessionId, pr
         max_similarity: analysis.max_similarity,
         exploit_detected: analysis.exploit_detected,
         exploit_reason: analysis.exploit_reason,
-        similar_sessions: analysis.similarities.length
+        similar_sessions: analysis.similarities.length,
+        // Earlier sessions this response replays (above the exploit threshold)
+        matched_sessions: analysis.similarities
+            .filter(s => s.similarity > 0.85 && s.compared_to_session && s.compared_to_session !== sessionId)
+            .map(s => s.compared_to_session)
     };
 };
 
@@ -113,6 +117,7 @@ export const detectCooperativeFarming = async (userId, currentResponse) => {
         return {
             farming_detected: true,
             related_users: sameResponses.map(r => r.user_id),
+            related_sessions: sameResponses.map(r => r.session_id).filter(Boolean),
             reason: `Response matches ${sameResponses.length} other user(s) - possible cooperative farming`
         };
     }
@@ -18,12 +18,12 @@ import UserProfile from '../models/UserProfile.js';
  * Called on login/registration with device info from frontend
  */
 export const recordDeviceFingerprint = async (userId, fingerprintData) => {
+    const fingerprint = resolveFingerprint(fingerprintData);
+    if (!fingerprint) return null;
+
     const profile = await UserProfile.findOne({ user_id: userId });
     if (!profile) return null;
 
-    const fingerprint = fingerprintData.fingerprint ||
-        generateSimpleFingerprint(fingerprintData);
-
     // Initialize array if not exists
     if (!profile.device_fingerprints) {
         profile.device_fingerprints = [];
@@ -54,25 +54,22 @@ export const recordDeviceFingerprint = async (userId, fingerprintData) => {
 
     return {
         fingerprint_recorded: true,
+        fingerprint,
         device_count: profile.device_fingerprints.length,
         linked_accounts_found: linkedAccounts.length
     };
 };
 
+// Device data a fingerprint is derived from
+const FINGERPRINT_FIELDS = ['userAgent', 'screenWidth', 'screenHeight', 'timezone', 'language', 'platform'];
+
 /**
  * Generate a simple fingerprint from device info
  * In production, use a library like FingerprintJS on frontend
  */
 const generateSimpleFingerprint = (data) => {
     // Combine available device info into a hash-like string
-    const components = [
-        data.userAgent || '',
-        data.screenWidth || '',
-        data.screenHeight || '',
-        data.timezone || '',
-        data.language || '',
-        data.platform || ''
-    ].join('|');
+    const components = FINGERPRINT_FIELDS.map(field => data[field] || '').join('|');
 
     // Simple hash function
     let hash = 0;
@@ -85,6 +82,17 @@ const generateSimpleFingerprint = (data) => {
     return `fp_${Math.abs(hash).toString(36)}`;
 };
 
+/**
+ * Resolve the fingerprint for device data (client-provided or derived)
+ * Returns null without device data: the derived fingerprint of nothing is the
+ * same for everyone and would link unrelated accounts
+ */
+export const resolveFingerprint = (fingerprintData = {}) => {
+    if (fingerprintData?.fingerprint) return fingerprintData.fingerprint;
+    if (!FINGERPRINT_FIELDS.some(field => fingerprintData?.[field])) return null;
+    return generateSimpleFingerprint(fingerprintData);
+};
+
 // ==========================================
 // ACCOUNT LINKING
 // ==========================================
@@ -200,8 +208,7 @@ export const processLoginFingerprint = async (userId, fingerprintData) => {
     // Record the fingerprint
     await recordDeviceFingerprint(userId, fingerprintData);
 
-    const fingerprint = fingerprintData.fingerprint ||
-        generateSimpleFingerprint(fingerprintData);
+    const fingerprint = resolveFingerprint(fingerprintData);
 
     // Find other accounts with same device
     const otherAccounts = await detectLinkedAccounts(fingerprint, userId);
@@ -219,6 +226,7 @@ export const processLoginFingerprint = async (userId, fingerprintData) => {
 
 export default {
     recordDeviceFingerprint,
+    resolveFingerprint,
     detectLinkedAccounts,
     linkAccounts,
     getAllLinkedAccounts,
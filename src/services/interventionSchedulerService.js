@@ -0,0 +1,182 @@
+/**
+ * Intervention Scheduler Service - Server-push idle interventions
+ *
+ * Keeps one timer per WebSocket-connected session, armed for the next idle
+ * threshold in SessionMemory.adaptive_state.current_time_limits:
+ * warning → comprehension_check → force_change
+ *
+ * When a timer fires the orchestrator decides the action (same rules as the
+ * polling endpoint) and the result is pushed through the registered sender.
+ * Any user activity re-arms the timer from the new last keystroke.
+ *
+ * Every instance holding a socket for the session arms a timer, but only the
+ * holder of SessionMemory.scheduler_lease fires: the lease is taken with a
+ * conditional update when a timer fires and renewed by its owner. The others
+ * re-arm past the lease, and take over once it expires.
+ *
+ * Environment Variables:
+ * - INTERVENTION_LEASE_MS: how long a fire keeps other instances out (default: 60000)
+ */
+
+import SessionMemory from '../models/SessionMemory.js';
+import * as orchestrator from './orchestratorService.js';
+import { getNextInterventionDue } from './systemLayerService.js';
+import { runWithLLMContext } from '../config/llmGateway.js';
+import { INSTANCE_ID } from '../config/wsPubSub.js';
+
+// Small delay past the threshold so the idle check sees it as reached
+const FIRE_GRACE_MS = 250;
+
+const LEASE_MS = parseInt(process.env.INTERVENTION_LEASE_MS || '60000');
+
+// Sessions with a connected socket, and their armed timer: Map<sessionId, Timeout>
+const watched = new Set();
+const timers = new Map();
+
+let pushIntervention = null;
+
+/**
+ * Register the function used to push interventions
+ * Signature: (sessionId, interventionType, message, options) => Promise<boolean>
+ */
+export const initInterventionScheduler = (sender) => {
+    pushIntervention = sender;
+};
+
+const clearTimer = (sessionId) => {
+    const timer = timers.get(sessionId);
+    if (timer) clearTimeout(timer);
+    timers.delete(sessionId);
+};
+
+/**
+ * Take or renew the session's scheduler lease; false while another instance holds it
+ */
+const acquireLease = async (sessionId) => {
+    const now = new Date();
+    const leased = await SessionMemory.findOneAndUpdate(
+        {
+            session_id: sessionId,
+            $or: [
+                { 'scheduler_lease.owner': INSTANCE_ID },
+                { 'scheduler_lease.expires_at': { $not: { $gt: now } } }
+            ]
+        },
+        { $set: { 'scheduler_lease.owner': INSTANCE_ID, 'scheduler_lease.expires_at': new Date(now.getTime() + LEASE_MS) } },
+        { new: true }
+    ).select('_id').lean();
+    return !!leased;
+};
+
+/**
+ * Give the lease up (last local socket gone) so another instance takes over at once
+ */
+const releaseLease = (sessionId) => SessionMemory.updateOne(
+    { session_id: sessionId, 'scheduler_lease.owner': INSTANCE_ID },
+    { $unset: { scheduler_lease: 1 } }
+);
+
+/**
+ * Arm the timer for the next idle stage of a session
+ * notBefore (ms timestamp): do not fire earlier, e.g. while another instance holds the lease
+ */
+const scheduleNext = async (sessionId, notBefore = 0) => {
+    clearTimer(sessionId);
+    if (!watched.has(sessionId)) return null;
+
+    const memory = await SessionMemory.findOne({ session_id: sessionId })
+        .select('is_active started_at adaptive_state')
+        .lean();
+    if (!memory || !memory.is_active) return null;
+
+    const next = getNextInterventionDue(memory);
+    if (!next) return null; // Every stage sent; wait for activity
+
+    // Unwatched while the lookup was running
+    if (!watched.has(sessionId)) return null;
+
+    const delay = Math.max(0, next.due_at.getTime() - Date.now(), notBefore - Date.now()) + FIRE_GRACE_MS;
+    const timer = setTimeout(() => {
+        fire(sessionId).catch(error => console.error('Intervention scheduler error:', error));
+    }, delay);
+    timer.unref();
+    timers.set(sessionId, timer);
+
+    return next;
+};
+
+/**
+ * Timer callback: ask the orchestrator for the action and push it
+ */
+const fire = async (sessionId) => {
+    timers.delete(sessionId);
+
+    if (!(await acquireLease(sessionId))) {
+        // Another instance fires this session; check again once its lease can have run out
+        await scheduleNext(sessionId, Date.now() + LEASE_MS);
+        return;
+    }
+
+    const action = await runWithLLMContext(
+        { session_id: sessionId, flow: 'ws:intervention_scheduler' },
+        () => orchestrator.requestNextAction(sessionId, { escalate: true })
+    );
+
+    if (action.action !== 'none' && action.action !== 'error' && pushIntervention) {
+        const delivered = await pushIntervention(
+            sessionId,
+            action.stage,
+            action.message || action.new_question,
+            { action }
+        );
+        if (!delivered) {
+            // No socket left on this instance; the session is watched again on join
+            unwatchSession(sessionId);
+            return;
+        }
+    }
+
+    await scheduleNext(sessionId);
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Start tracking a session (on join_session)
+ */
+export const watchSession = (sessionId) => {
+    watched.add(sessionId);
+    return scheduleNext(sessionId).catch(error => {
+        console.error('Intervention scheduler watch error:', error);
+        return null;
+    });
+};
+
+/**
+ * Re-arm after user activity (keystroke, response, intervention response)
+ */
+export const touchSession = (sessionId) => {
+    if (!watched.has(sessionId)) return Promise.resolve(null);
+    return watchSession(sessionId);
+};
+
+/**
+ * Stop tracking a session (socket closed)
+ */
+export const unwatchSession = (sessionId) => {
+    watched.delete(sessionId);
+    clearTimer(sessionId);
+    releaseLease(sessionId).catch(error => console.error('Intervention scheduler lease error:', error));
+};
+
+export const getWatchedSessionCount = () => watched.size;
+
+export default {
+    initInterventionScheduler,
+    watchSession,
+    touchSession,
+    unwatchSession,
+    getWatchedSessionCount
+};
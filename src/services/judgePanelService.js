@@ -0,0 +1,229 @@
+import { evaluateSolution } from './aiService.js';
+import { isBudgetExceeded } from '../config/llmGateway.js';
+
+/**
+ * Judge Panel Service - Multi-judge evaluation with consensus and variance
+ *
+ * N independent judges (optionally one route per judge, e.g. one provider each)
+ * evaluate the same submission. Numeric scores are aggregated by median or
+ * trimmed mean, yes/no answers by majority, and the text of the judge closest
+ * to the consensus is kept. The spread of every score is reported; high
+ * disagreement flags the submission for human review (review_reasons).
+ *
+ * Environment Variables:
+ * - EVALUATION_JUDGES: judges per submission (default: 1 = single evaluation)
+ * - EVALUATION_JUDGE_ROUTES: route per judge separated by ';' (judge i uses entry i mod length),
+ *   e.g. "groq;google;openai" or "groq,google;google,groq"; empty = the agent tier route
+ * - EVALUATION_AGGREGATION: median | trimmed_mean (default: median)
+ * - EVALUATION_TRIM_RATIO: share dropped at each end for trimmed_mean (default: 0.2)
+ * - EVALUATION_JUDGE_TEMPERATURE: sampling temperature of judges (default: provider default)
+ * - EVALUATION_REVIEW_XP_STDDEV: XP std dev (0-20 scale) that flags a submission (default: 4)
+ * - EVALUATION_REVIEW_QUALITY_STDDEV: rubric response_quality std dev that flags (default: 0.15)
+ */
+
+export const AGGREGATIONS = ['median', 'trimmed_mean'];
+
+const XP_FIELDS = ['xp_risk_taker', 'xp_analyst', 'xp_builder', 'xp_strategist'];
+
+/**
+ * Panel settings from env; overrides replace single settings (e.g. { routes: ['mock'] })
+ */
+export const getPanelConfig = (overrides = {}) => {
+    const aggregation = process.env.EVALUATION_AGGREGATION || 'median';
+    const temperature = parseFloat(process.env.EVALUATION_JUDGE_TEMPERATURE);
+
+    return {
+        judges: Math.max(1, parseInt(process.env.EVALUATION_JUDGES || '1') || 1),
+        routes: (process.env.EVALUATION_JUDGE_ROUTES || '').split(';').map(r => r.trim()).filter(Boolean),
+        aggregation: AGGREGATIONS.includes(aggregation) ? aggregation : 'median',
+        trim_ratio: Math.min(0.45, Math.max(0, parseFloat(process.env.EVALUATION_TRIM_RATIO || '0.2') || 0)),
+        temperature: Number.isNaN(temperature) ? null : temperature,
+        review_xp_stddev: parseFloat(process.env.EVALUATION_REVIEW_XP_STDDEV || '4'),
+        review_quality_stddev: parseFloat(process.env.EVALUATION_REVIEW_QUALITY_STDDEV || '0.15'),
+        ...overrides
+    };
+};
+
+// ==========================================
+// STATISTICS
+// ==========================================
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+export const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Mean without the lowest and highest share (at least one value is kept)
+ */
+export const trimmedMean = (values, ratio = 0.2) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const trim = Math.min(Math.floor(sorted.length * ratio), Math.floor((sorted.length - 1) / 2));
+    return mean(sorted.slice(trim, sorted.length - trim));
+};
+
+/**
+ * Aggregate one score: { value, values, mean, variance, stddev, min, max }
+ * integer: the aggregate is rounded (XP, depth, counts)
+ */
+export const describeScores = (values, config, { integer = false } = {}) => {
+    const numbers = values.map(Number).filter(v => Number.isFinite(v));
+    if (numbers.length === 0) return { value: null, values: [], mean: null, variance: null, stddev: null, min: null, max: null };
+
+    const center = config.aggregation === 'trimmed_mean' ? trimmedMean(numbers, config.trim_ratio) : median(numbers);
+    const average = mean(numbers);
+    const variance = mean(numbers.map(v => (v - average) ** 2));
+
+    return {
+        value: integer ? Math.round(center) : round(center),
+        values: numbers,
+        mean: round(average),
+        variance: round(variance),
+        stddev: round(Math.sqrt(variance)),
+        min: Math.min(...numbers),
+        max: Math.max(...numbers)
+    };
+};
+
+/**
+ * Majority of yes/no answers; a tie is "no" (a level-up needs a clear majority)
+ * Returns { value, yes, no, unanimous }
+ */
+export const majority = (flags) => {
+    const yes = flags.filter(Boolean).length;
+    const no = flags.length - yes;
+    return { value: yes > no, yes, no, unanimous: yes === 0 || no === 0 };
+};
+
+// ==========================================
+// PANEL
+// ==========================================
+
+/**
+ * Route of judge i (null = tier route)
+ */
+export const judgeRoute = (config, index) => (config.routes.length > 0 ? config.routes[index % config.routes.length] : null);
+
+/**
+ * Run the judges in parallel
+ * invokeJudge(options) gets { route, temperature } and returns the judgement
+ * Returns { judgements: [{ judge, route, result }], failures: [{ judge, route, error }] }
+ * An exhausted LLM budget is rethrown: no partial panel is graded
+ */
+export const runJudges = async (invokeJudge, config = getPanelConfig()) => {
+    const settled = await Promise.allSettled(
+        Array.from({ length: config.judges }, (_, judge) => invokeJudge({
+            route: judgeRoute(config, judge),
+            temperature: config.temperature
+        }))
+    );
+
+    const budgetFailure = settled.find(s => s.status === 'rejected' && isBudgetExceeded(s.reason));
+    if (budgetFailure) throw budgetFailure.reason;
+
+    const judgements = [];
+    const failures = [];
+    settled.forEach((outcome, judge) => {
+        const route = judgeRoute(config, judge);
+        if (outcome.status === 'fulfilled' && outcome.value) {
+            judgements.push({ judge, route, result: outcome.value });
+        } else {
+            failures.push({ judge, route, error: outcome.reason?.message || 'No judgement' });
+        }
+    });
+
+    return { judgements, failures };
+};
+
+/**
+ * Review reasons shared by every panel: too few judges answered
+ */
+export const quorumReasons = (config, judgements) => (
+    config.judges > 1 && judgements.length < Math.ceil(config.judges / 2) ? ['judge_quorum'] : []
+);
+
+/**
+ * Index of the judge whose scores are closest to the aggregate
+ */
+export const closestJudge = (judgements, fields, aggregate) => {
+    const distance = (result) => fields.reduce((sum, field) => sum + Math.abs((Number(result[field]) || 0) - (aggregate[field].value ?? 0)), 0);
+    return judgements.reduce((best, current, index) => (
+        distance(current.result) < distance(judgements[best].result) ? index : best
+    ), 0);
+};
+
+// ==========================================
+// SOLUTION EVALUATION
+// ==========================================
+
+/**
+ * evaluateSolution through the panel (panel: getPanelConfig overrides)
+ * Returns the aggregated evaluation with consensus:
+ * { judges, succeeded, failures, aggregation, scores, level_up, stagnation, representative_judge, review_reasons }
+ */
+export const evaluateWithPanel = async (problem, solution, timeElapsed, { sessionMetrics = null, profile = null, panel = {} } = {}) => {
+    const config = getPanelConfig(panel);
+    const { judgements, failures } = await runJudges(
+        (options) => evaluateSolution(problem, solution, timeElapsed, sessionMetrics, profile, options),
+        config
+    );
+
+    if (judgements.length === 0) {
+        const error = new Error(`No evaluation from ${config.judges} judge(s): ${failures.map(f => f.error).join('; ')}`);
+        error.code = 'EVALUATION_UNAVAILABLE';
+        throw error;
+    }
+
+    const scores = {};
+    XP_FIELDS.forEach(field => {
+        scores[field] = describeScores(judgements.map(j => j.result[field]), config, { integer: true });
+    });
+    scores.quality_score = describeScores(judgements.map(j => j.result.quality_score), config);
+
+    const levelUp = majority(judgements.map(j => j.result.level_up_achieved));
+    const stagnation = majority(judgements.map(j => j.result.stagnation_detected));
+    const representative = judgements[closestJudge(judgements, XP_FIELDS, scores)];
+
+    const reviewReasons = [...quorumReasons(config, judgements)];
+    if (Math.max(...XP_FIELDS.map(field => scores[field].stddev ?? 0)) > config.review_xp_stddev) {
+        reviewReasons.push('xp_disagreement');
+    }
+
+    return {
+        ...representative.result,
+        ...Object.fromEntries(XP_FIELDS.map(field => [field, scores[field].value])),
+        quality_score: scores.quality_score.value,
+        level_up_achieved: levelUp.value,
+        stagnation_detected: stagnation.value,
+        consensus: {
+            judges: config.judges,
+            succeeded: judgements.length,
+            failures,
+            aggregation: config.aggregation,
+            scores,
+            level_up: levelUp,
+            stagnation,
+            representative_judge: representative.judge,
+            review_reasons: reviewReasons
+        }
+    };
+};
+
+export default {
+    AGGREGATIONS,
+    getPanelConfig,
+    median,
+    trimmedMean,
+    describeScores,
+    majority,
+    judgeRoute,
+    runJudges,
+    quorumReasons,
+    closestJudge,
+    evaluateWithPanel
+};
@@ -0,0 +1,229 @@
+import LLMBudgetCounter from '../models/LLMBudgetCounter.js';
+import { TIERS, setBudgetGuard } from '../config/llmGateway.js';
+
+/**
+ * LLM Budget Service - Daily token budgets for llmGateway
+ *
+ * Environment Variables (tokens per UTC day, empty or 0 = unlimited):
+ * - LLM_BUDGET_USER_DAILY_TOKENS: per user, all tiers together
+ * - LLM_BUDGET_DAILY_TOKENS_LOW / _MID / _AGENT: whole platform, per tier
+ * - LLM_BUDGET_CALIBRATION_DAILY_TOKENS: calibration runs (budget_scope 'calibration'),
+ *   all tiers together; these calls are not charged to the user and tier budgets
+ *
+ * - LLM_BUDGET_RESERVE_TOKENS: completion tokens reserved per call on top of
+ *   the estimated prompt (default: 1024)
+ *
+ * Before a gateway call runs, its tokens are reserved in every limited scope
+ * with a conditional $inc on LLMBudgetCounter, so concurrent calls cannot
+ * overshoot a budget between check and count. When the call ends the
+ * reservation is settled with the tokens actually spent. A call that cannot
+ * be reserved is refused with LLMBudgetExceededError, and services fall back
+ * to their templates (WARNING_TEMPLATES, STIMULATION_PROMPTS, ...). Budgets
+ * reset at 00:00 UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readLimit = (name) => {
+    const value = parseInt(process.env[name] || '0');
+    return value > 0 ? value : null;
+};
+
+/**
+ * Configured limits: { user, tiers: { low, mid, agent }, calibration } (null = unlimited)
+ */
+export const getBudgetLimits = () => ({
+    user: readLimit('LLM_BUDGET_USER_DAILY_TOKENS'),
+    tiers: Object.fromEntries(TIERS.map(tier => [tier, readLimit(`LLM_BUDGET_DAILY_TOKENS_${tier.toUpperCase()}`)])),
+    calibration: readLimit('LLM_BUDGET_CALIBRATION_DAILY_TOKENS')
+});
+
+// Subject of the single calibration counter per day
+const CALIBRATION_SUBJECT = 'all';
+
+const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const nextResetAt = (day) => new Date(new Date(`${day}T00:00:00.000Z`).getTime() + DAY_MS);
+
+const counterKey = (scope, subject, day) => `${scope}:${subject}:${day}`;
+
+// ==========================================
+// RESERVATION
+// ==========================================
+
+/**
+ * Tokens held for one call: the estimated prompt plus the completion allowance
+ */
+const reservationSize = (promptTokens) => {
+    const completion = parseInt(process.env.LLM_BUDGET_RESERVE_TOKENS || '1024');
+    return Math.max(0, promptTokens || 0) + (completion > 0 ? completion : 0);
+};
+
+/**
+ * Create today's counter if it is missing (concurrent inserts lose on the unique key)
+ */
+const ensureCounter = async ({ scope, subject }, day) => {
+    try {
+        await LLMBudgetCounter.updateOne(
+            { key: counterKey(scope, subject, day) },
+            { $setOnInsert: { scope, subject, day, tokens: 0, reserved: 0, calls: 0, expires_at: new Date(nextResetAt(day).getTime() + DAY_MS) } },
+            { upsert: true }
+        );
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Hold amount tokens only while tokens + reserved + amount stays within the limit
+ */
+const holdTokens = async (check, amount, day) => {
+    await ensureCounter(check, day);
+    const result = await LLMBudgetCounter.updateOne(
+        {
+            key: counterKey(check.scope, check.subject, day),
+            $expr: { $lte: [{ $add: ['$tokens', { $ifNull: ['$reserved', 0] }, amount] }, check.limit] }
+        },
+        { $inc: { reserved: amount } }
+    );
+    return result.modifiedCount === 1;
+};
+
+const releaseTokens = (held, day) => Promise.all(held.map(check => LLMBudgetCounter.updateOne(
+    { key: counterKey(check.scope, check.subject, day) },
+    { $inc: { reserved: -check.held } }
+)));
+
+/**
+ * Budget guard for the gateway: reserve tokens for one call in every limited scope
+ * Returns { reservation } when the call may run, or { budget } for the first scope
+ * that cannot hold it. Budget: { scope, subject, limit, used, resets_at }
+ */
+export const reserveBudget = async ({ tier, user_id, budget_scope = null, prompt_tokens = 0 }) => {
+    const limits = getBudgetLimits();
+    const day = dayOf();
+    const amount = reservationSize(prompt_tokens);
+
+    const scopes = [];
+    if (budget_scope === 'calibration') {
+        scopes.push({ scope: 'calibration', subject: CALIBRATION_SUBJECT, limit: limits.calibration });
+    } else {
+        scopes.push({ scope: 'tier', subject: tier, limit: limits.tiers[tier] });
+        if (user_id) scopes.push({ scope: 'user', subject: String(user_id), limit: limits.user });
+    }
+
+    const held = [];
+    for (const check of scopes) {
+        if (!check.limit) {
+            held.push({ scope: check.scope, subject: check.subject, held: 0 });
+            continue;
+        }
+        if (!await holdTokens(check, amount, day)) {
+            await releaseTokens(held.filter(h => h.held > 0), day);
+            const counter = await LLMBudgetCounter.findOne({ key: counterKey(check.scope, check.subject, day) }).lean();
+            return {
+                budget: {
+                    scope: check.scope,
+                    subject: check.subject,
+                    limit: check.limit,
+                    used: (counter?.tokens || 0) + (counter?.reserved || 0),
+                    resets_at: nextResetAt(day)
+                }
+            };
+        }
+        held.push({ scope: check.scope, subject: check.subject, held: amount });
+    }
+    return { reservation: { day, scopes: held } };
+};
+
+/**
+ * Settle a reservation with what the call spent: { tokens, calls }
+ * The held tokens are released and the spent ones counted in one update per scope
+ */
+export const settleBudget = async (reservation, { tokens = 0, calls = 0 } = {}) => {
+    const { day, scopes } = reservation;
+    const expiresAt = new Date(nextResetAt(day).getTime() + DAY_MS);
+
+    return LLMBudgetCounter.bulkWrite(scopes.map(({ scope, subject, held }) => ({
+        updateOne: {
+            filter: { key: counterKey(scope, subject, day) },
+            update: {
+                $inc: { tokens, calls, reserved: -held },
+                $setOnInsert: { scope, subject, day, expires_at: expiresAt }
+            },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+let budgetsStarted = false;
+
+/**
+ * Register the reserve/settle guard with llmGateway
+ */
+export const initLLMBudgets = () => {
+    if (budgetsStarted) return false;
+    setBudgetGuard({ reserve: reserveBudget, settle: settleBudget });
+    budgetsStarted = true;
+    return true;
+};
+
+// ==========================================
+// STATUS
+// ==========================================
+
+/**
+ * Today's usage against the limits: tiers and calibration, plus the top users (or one user)
+ */
+export const getBudgetStatus = async ({ user_id, limit = 20 } = {}) => {
+    const limits = getBudgetLimits();
+    const day = dayOf();
+
+    const userFilter = { scope: 'user', day };
+    if (user_id) userFilter.subject = String(user_id);
+
+    const [tierCounters, userCounters, calibrationCounter] = await Promise.all([
+        LLMBudgetCounter.find({ scope: 'tier', day }).lean(),
+        LLMBudgetCounter.find(userFilter)
+            .sort({ tokens: -1 })
+            .limit(Math.min(parseInt(limit) || 20, 200))
+            .lean(),
+        LLMBudgetCounter.findOne({ key: counterKey('calibration', CALIBRATION_SUBJECT, day) }).lean()
+    ]);
+
+    const describe = (tokens, reserved, calls, budgetLimit) => ({
+        used: tokens,
+        reserved,
+        calls,
+        limit: budgetLimit,
+        remaining: budgetLimit ? Math.max(0, budgetLimit - tokens - reserved) : null,
+        exhausted: budgetLimit ? tokens + reserved >= budgetLimit : false
+    });
+
+    return {
+        day,
+        resets_at: nextResetAt(day),
+        tiers: Object.fromEntries(TIERS.map(tier => {
+            const counter = tierCounters.find(c => c.subject === tier);
+            return [tier, describe(counter?.tokens || 0, counter?.reserved || 0, counter?.calls || 0, limits.tiers[tier])];
+        })),
+        calibration: describe(
+            calibrationCounter?.tokens || 0,
+            calibrationCounter?.reserved || 0,
+            calibrationCounter?.calls || 0,
+            limits.calibration
+        ),
+        users: userCounters.map(counter => ({
+            user_id: counter.subject,
+            ...describe(counter.tokens, counter.reserved || 0, counter.calls, limits.user)
+        }))
+    };
+};
+
+export default {
+    getBudgetLimits,
+    reserveBudget,
+    settleBudget,
+    initLLMBudgets,
+    getBudgetStatus
+};
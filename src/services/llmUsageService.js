@@ -0,0 +1,195 @@
+import LLMUsage from '../models/LLMUsage.js';
+import { onLLMCall } from '../config/llmGateway.js';
+
+/**
+ * LLM Usage Service - Token and cost accounting for llmGateway calls
+ *
+ * - Every provider call is stored as an LLMUsage record (user, session, flow, tier)
+ * - Cost is estimated from DEFAULT_PRICING (USD per 1M tokens), overridable with
+ *   LLM_PRICING_JSON, e.g. {"groq:llama-3.3-70b-versatile": {"input": 0.59, "output": 0.79}}
+ * - Aggregates back the admin /llm-usage endpoints
+ */
+
+// USD per 1M tokens; "<provider>:*" applies to any model of the provider
+const DEFAULT_PRICING = {
+    'groq:llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'groq:mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+    'cloudflare:@cf/meta/llama-3.1-8b-instruct': { input: 0.28, output: 0.83 },
+    'cloudflare:@cf/mistral/mistral-7b-instruct-v0.1': { input: 0.11, output: 0.19 },
+    'google:gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'google:gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'openai:gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'openai:gpt-4o': { input: 2.50, output: 10.00 },
+    'mock:*': { input: 0, output: 0 }
+};
+
+export const GROUP_FIELDS = [
+    'flow', 'tier', 'provider', 'model', 'user_id', 'session_id', 'status', 'day',
+    'prompt_id', 'prompt_version', 'prompt_language'
+];
+
+const getPricing = () => {
+    if (!process.env.LLM_PRICING_JSON) return DEFAULT_PRICING;
+    try {
+        return { ...DEFAULT_PRICING, ...JSON.parse(process.env.LLM_PRICING_JSON) };
+    } catch (error) {
+        console.warn('[LLM Usage] Invalid LLM_PRICING_JSON, using defaults');
+        return DEFAULT_PRICING;
+    }
+};
+
+/**
+ * Estimated USD cost of one call (0 when the model has no price)
+ */
+export const estimateCost = (provider, model, promptTokens, completionTokens) => {
+    const pricing = getPricing();
+    const price = pricing[`${provider}:${model}`] || pricing[`${provider}:*`];
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+};
+
+// ==========================================
+// RECORDING
+// ==========================================
+
+/**
+ * Store one gateway call event (see llmGateway.onLLMCall)
+ */
+export const recordLLMCall = async (event) => {
+    return LLMUsage.create({
+        user_id: event.user_id,
+        session_id: event.session_id,
+        flow: event.flow,
+        prompt_id: event.prompt_id,
+        prompt_version: event.prompt_version,
+        prompt_language: event.prompt_language,
+        tier: event.tier,
+        provider: event.provider,
+        model: event.model,
+        attempt: event.attempt,
+        status: event.status,
+        error: event.error ? String(event.error).substring(0, 500) : null,
+        prompt_tokens: event.prompt_tokens,
+        completion_tokens: event.completion_tokens,
+        total_tokens: event.prompt_tokens + event.completion_tokens,
+        tokens_estimated: event.tokens_estimated,
+        latency_ms: event.latency_ms,
+        cost_usd: estimateCost(event.provider, event.model, event.prompt_tokens, event.completion_tokens),
+        created_at: event.at
+    });
+};
+
+let trackingStarted = false;
+
+/**
+ * Start recording gateway calls (LLM_USAGE_TRACKING=false disables it)
+ */
+export const initLLMUsageTracking = () => {
+    if (trackingStarted || process.env.LLM_USAGE_TRACKING === 'false') return false;
+    onLLMCall(recordLLMCall);
+    trackingStarted = true;
+    return true;
+};
+
+// ==========================================
+// AGGREGATES
+// ==========================================
+
+const buildMatch = ({ from, to, user_id, session_id, tier, provider, flow, prompt_id, prompt_version }) => {
+    const match = {};
+    if (user_id) match.user_id = user_id;
+    if (session_id) match.session_id = session_id;
+    if (tier) match.tier = tier;
+    if (provider) match.provider = provider;
+    if (flow) match.flow = flow;
+    if (prompt_id) match.prompt_id = prompt_id;
+    if (prompt_version) match.prompt_version = Number(prompt_version);
+    if (from || to) {
+        match.created_at = {};
+        if (from) match.created_at.$gte = new Date(from);
+        if (to) match.created_at.$lte = new Date(to);
+    }
+    return match;
+};
+
+const USAGE_TOTALS = {
+    calls: { $sum: 1 },
+    failed_calls: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 0, 1] } },
+    repair_calls: { $sum: { $cond: [{ $eq: ['$attempt', 'repair'] }, 1, 0] } },
+    estimated_calls: { $sum: { $cond: ['$tokens_estimated', 1, 0] } },
+    prompt_tokens: { $sum: '$prompt_tokens' },
+    completion_tokens: { $sum: '$completion_tokens' },
+    total_tokens: { $sum: '$total_tokens' },
+    cost_usd: { $sum: '$cost_usd' },
+    avg_latency_ms: { $avg: '$latency_ms' }
+};
+
+const roundRow = (row) => ({
+    ...row,
+    cost_usd: Math.round(row.cost_usd * 1e6) / 1e6,
+    avg_latency_ms: Math.round(row.avg_latency_ms || 0)
+});
+
+/**
+ * Usage grouped by one or more of GROUP_FIELDS
+ * options: { group_by: 'flow' | ['provider', 'day'], from, to, user_id, session_id, tier, provider, flow,
+ *            prompt_id, prompt_version, limit }
+ */
+export const getUsageSummary = async (options = {}) => {
+    const groupBy = (Array.isArray(options.group_by) ? options.group_by : [options.group_by || 'flow'])
+        .filter(field => GROUP_FIELDS.includes(field));
+    if (groupBy.length === 0) groupBy.push('flow');
+
+    const groupId = {};
+    groupBy.forEach(field => {
+        groupId[field] = field === 'day'
+            ? { $dateToString: { format: '%Y-%m-%d', date: '$created_at' } }
+            : `$${field}`;
+    });
+
+    const match = buildMatch(options);
+    const limit = Math.min(parseInt(options.limit) || 100, 1000);
+
+    const [rows, totals] = await Promise.all([
+        LLMUsage.aggregate([
+            { $match: match },
+            { $group: { _id: groupId, ...USAGE_TOTALS } },
+            { $sort: { total_tokens: -1 } },
+            { $limit: limit }
+        ]),
+        LLMUsage.aggregate([
+            { $match: match },
+            { $group: { _id: null, ...USAGE_TOTALS } }
+        ])
+    ]);
+
+    return {
+        group_by: groupBy,
+        totals: totals[0] ? roundRow({ ...totals[0], _id: undefined }) : null,
+        rows: rows.map(({ _id, ...row }) => roundRow({ ...(_id || {}), ...row }))
+    };
+};
+
+/**
+ * One user's usage by flow
+ */
+export const getUserUsage = async (userId, options = {}) => {
+    return getUsageSummary({ ...options, user_id: userId, group_by: options.group_by || 'flow' });
+};
+
+/**
+ * One arena session's usage by tier and provider
+ */
+export const getSessionUsage = async (sessionId, options = {}) => {
+    return getUsageSummary({ ...options, session_id: sessionId, group_by: options.group_by || ['tier', 'provider'] });
+};
+
+export default {
+    GROUP_FIELDS,
+    estimateCost,
+    recordLLMCall,
+    initLLMUsageTracking,
+    getUsageSummary,
+    getUserUsage,
+    getSessionUsage
+};
@@ -7,9 +7,7 @@
  * - Silent calibration from decisions
  */
 
-import { invokeAgentAI } from '../config/groqAI.js';
-
-const invokeLLM = invokeAgentAI;
+import { invokePrompt } from './promptRegistryService.js';
 
 // ============================================
 // CURATED PROBLEM POOL BY DOMAIN
@@ -533,58 +531,17 @@ export function calculateSilentCalibration(decisions, ageGroup) {
  * Generate AI-powered problem for onboarding (optional, if curated pool not sufficient)
  */
 export async function generateAIOnboardingProblem(domain, language = 'id', ageGroup = 'adult') {
-    const langInstruction = language === 'en' ? 'Respond in English.' : 'Respond in Indonesian (Bahasa Indonesia).';
-
-    const ageGuidance = {
-        'smp': 'Use casual, friendly language for teens (12-15). Simple scenarios.',
-        'sma': 'Use moderately professional language for high schoolers (16-18).',
-        'adult': 'Use professional language for adults (19+).'
-    };
-
-    const prompt = `Generate a MICRO problem for onboarding arena. This should be:
-- Readable in 20 seconds
-- Universal (no specific domain knowledge needed)
-- Single decision point
-- Clear trade-offs
-
-Domain: ${domain}
-Age group: ${ageGroup} - ${ageGuidance[ageGroup] || ageGuidance['adult']}
-
-Create a problem with 3 concrete choices. Each choice should signal a different archetype:
-- risk_taker: Bold, fast, high-risk
-- analyst: Careful, data-driven, thorough
-- builder: Action-oriented, execution-focused
-- strategist: Long-term thinking, stakeholder-aware
-
-${langInstruction}`;
+    // Unknown age groups get the adult guidance
+    const knownAgeGroup = ['smp', 'sma', 'adult'].includes(ageGroup) ? ageGroup : 'adult';
 
     try {
-        const response = await invokeLLM({
-            prompt,
-            response_json_schema: {
-                type: "object",
-                properties: {
-                    id: { type: "string" },
-                    title: { type: "string" },
-                    context: { type: "string" },
-                    objective: { type: "string" },
-                    role: { type: "string" },
-                    choices: {
-                        type: "array",
-                        items: {
-                            type: "object",
-                            properties: {
-                                id: { type: "string" },
-                                text: { type: "string" },
-                                icon: { type: "string" },
-                                archetype_signal: { type: "string" }
-                            }
-                        }
-                    }
-                },
-                required: ["id", "title", "context", "objective", "choices"]
-            }
-        });
+        const response = await invokePrompt('onboarding.micro_problem', {
+            domain,
+            age_group: ageGroup,
+            is_smp: knownAgeGroup === 'smp',
+            is_sma: knownAgeGroup === 'sma',
+            is_adult: knownAgeGroup === 'adult'
+        }, { language });
 
         return response;
     } catch (error) {
@@ -17,6 +17,21 @@ import UserProfile from '../models/UserProfile.js';
 import * as systemLayer from './systemLayerService.js';
 import * as aiSimple from './aiSimpleService.js';
 import { generatePersonalizedProblem, generateXPFromCharacteristics, evaluateSolution } from './aiService.js';
+import { measureLLMUsage } from '../config/llmGateway.js';
+
+/**
+ * Note in the decision log when an AI message came from a template because an LLM budget ran out
+ */
+const logBudgetFallback = (memory, usage, interventionType) => {
+    if (!usage.budget_exceeded) return;
+    memory.logDecision(
+        'system',
+        'budget_fallback',
+        'LLM budget exhausted, template message used',
+        { intervention_type: interventionType },
+        { source: 'template' }
+    );
+};
 
 // ==========================================
 // SESSION INITIALIZATION
@@ -215,9 +230,10 @@ export const processUserKeystrokes = async (sessionId, keystrokeData) => {
 // ==========================================
 
 /**
- * Determine and return next action for frontend (polling endpoint)
+ * Determine and return next action for frontend (polling endpoint and push scheduler)
+ * options.escalate is passed to systemLayer.checkInterventionNeeded
  */
-export const requestNextAction = async (sessionId) => {
+export const requestNextAction = async (sessionId, options = {}) => {
     try {
         const memory = await SessionMemory.findOne({ session_id: sessionId });
         if (!memory || !memory.is_active) {
@@ -225,7 +241,7 @@ export const requestNextAction = async (sessionId) => {
         }
 
         // Check if intervention is needed (System Layer)
-        const interventionCheck = await systemLayer.checkInterventionNeeded(sessionId);
+        const interventionCheck = await systemLayer.checkInterventionNeeded(sessionId, options);
 
         if (!interventionCheck.needed) {
             return { action: 'none', reason: interventionCheck.reason };
@@ -315,10 +331,17 @@ export const requestNextAction = async (sessionId) => {
                     };
                 } else {
                     // Use AI Simple for warning message
-                    const warning = await aiSimple.generateWarningMessage(
+                    const { result: warning, usage } = await measureLLMUsage(() => aiSimple.generateWarningMessage(
                         profile,
                         { type: 'pause', seconds: interventionCheck.seconds_idle, problem_title: problem.title }
-                    );
+                    ));
+
+                    memory.addConversation('ai_simple', warning, 'warning', {
+                        intervention_type: 'warning',
+                        tokens_used: usage.total_tokens
+                    });
+                    logBudgetFallback(memory, usage, 'warning');
+                    await memory.save();
 
                     await systemLayer.recordIntervention(sessionId, {
                         type: 'warning',
@@ -355,11 +378,16 @@ export const requestNextAction = async (sessionId) => {
 
             case 'force_change':
                 // Force question evolution
-                const newQuestion = await aiSimple.generateComprehensionCheck(problem,
+                const { result: newQuestion, usage } = await measureLLMUsage(() => aiSimple.generateComprehensionCheck(problem,
                     memory.adaptive_state.questions_asked[memory.adaptive_state.questions_asked.length - 1] || problem.objective
-                );
+                ));
 
                 // Update memory with new question
+                memory.addConversation('ai_simple', newQuestion, 'question', {
+                    intervention_type: 'force_change',
+                    tokens_used: usage.total_tokens
+                });
+                logBudgetFallback(memory, usage, 'force_change');
                 memory.adaptive_state.questions_asked.push(newQuestion);
                 memory.adaptive_state.current_question_index += 1;
                 memory.adaptive_state.intervention_in_progress = false;
@@ -382,6 +410,15 @@ export const requestNextAction = async (sessionId) => {
                 action = { action: 'none' };
         }
 
+        if (action.action !== 'none') {
+            // Remember the stage so the same idle period is not handled twice
+            await SessionMemory.updateOne(
+                { session_id: sessionId },
+                { $set: { 'adaptive_state.last_intervention': { stage: interventionCheck.type, at: new Date() } } }
+            );
+            action.stage = interventionCheck.type;
+        }
+
         return action;
     } catch (error) {
         console.error('Next action determination error:', error);
@@ -439,11 +476,16 @@ export const handleInterventionResponse = async (sessionId, responseType) => {
 
             case 'not_understood':
                 // User doesn't understand - evolve question immediately
-                const newQuestion = await aiSimple.generateComprehensionCheck(
+                const { result: newQuestion, usage } = await measureLLMUsage(() => aiSimple.generateComprehensionCheck(
                     problem,
                     memory.adaptive_state.questions_asked[memory.adaptive_state.questions_asked.length - 1] || problem.objective
-                );
+                ));
 
+                memory.addConversation('ai_simple', newQuestion, 'question', {
+                    intervention_type: 'not_understood',
+                    tokens_used: usage.total_tokens
+                });
+                logBudgetFallback(memory, usage, 'not_understood');
                 memory.adaptive_state.questions_asked.push(newQuestion);
                 memory.adaptive_state.current_question_index += 1;
                 memory.adaptive_state.intervention_in_progress = false;
@@ -263,36 +263,51 @@ export const updateArchetype = (profile) => {
   )[0];
 };
 
+// XP to go from level n to n + 1: 100 at level 1, then 20% more per level
+const LEVEL_BASE_XP = 100;
+const LEVEL_GROWTH = 1.2;
+const MAX_ARCHETYPE_LEVEL = 100;
+
+/**
+ * Cumulative archetype XP at which a level starts (level 1: 0, level 2: 100, level 3: 220, ...)
+ */
+export const xpForLevel = (level) => {
+  let total = 0;
+  for (let n = 1; n < level; n++) {
+    total += Math.round(LEVEL_BASE_XP * Math.pow(LEVEL_GROWTH, n - 1));
+  }
+  return total;
+};
+
 /**
  * Calculate level progression for each archetype
- * Returns level changes and new thresholds
+ * Archetype XP is cumulative, so the thresholds are too: one award can pass several
+ * levels, and overflow_xp (XP past the start of the new level) counts toward the next.
+ * Returns level changes and, per archetype, the cumulative XP of the next level
  */
 export const calculateLevelProgression = (profile, xpBreakdown) => {
   const archetypes = ['risk_taker', 'analyst', 'builder', 'strategist'];
   const levelChanges = {};
-  const newThresholds = { ...profile.xp_to_next_level };
+  const newThresholds = {};
 
   archetypes.forEach(archetype => {
-    const currentXp = profile[`xp_${archetype}`] + xpBreakdown[archetype];
+    const currentXp = (profile[`xp_${archetype}`] || 0) + (xpBreakdown[archetype] || 0);
     const currentLevel = profile[`level_${archetype}`] || 1;
-    const threshold = profile.xp_to_next_level?.[archetype] || 100;
-
-    if (currentXp >= threshold) {
-      // Level up!
-      const newLevel = currentLevel + 1;
-      const overflowXp = currentXp - threshold;
 
-      // Next threshold increases by 20% per level
-      const newThreshold = Math.round(threshold * 1.2);
+    let newLevel = currentLevel;
+    while (newLevel < MAX_ARCHETYPE_LEVEL && currentXp >= xpForLevel(newLevel + 1)) {
+      newLevel += 1;
+    }
 
+    if (newLevel > currentLevel) {
       levelChanges[archetype] = {
         old_level: currentLevel,
         new_level: newLevel,
-        overflow_xp: overflowXp
+        overflow_xp: currentXp - xpForLevel(newLevel)
       };
-
-      newThresholds[archetype] = newThreshold;
     }
+
+    newThresholds[archetype] = xpForLevel(newLevel + 1);
   });
 
   return { levelChanges, newThresholds };
@@ -349,6 +364,7 @@ export default {
   calculateXPDistribution,
   calculateCourageXP, // NEW: Friksi #2
   updateArchetype,
+  xpForLevel,
   calculateLevelProgression,
   calculateMicroDifficultyAdjustment,
   shouldIncreaseAggregateLevel
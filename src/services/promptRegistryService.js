@@ -0,0 +1,338 @@
+import PromptTemplate from '../models/PromptTemplate.js';
+import DEFAULT_PROMPTS from '../prompts/index.js';
+import { invokeLLM, runWithLLMContext } from '../config/llmGateway.js';
+
+/**
+ * Prompt Registry Service - Versioned prompt templates
+ *
+ * - Built-in definitions live in src/prompts (id, version, tier, variables,
+ *   en/id templates, output_schema)
+ * - Newer template text can be stored as PromptTemplate versions and activated
+ *   through the admin API, without a deploy
+ * - invokePrompt renders the active version and tags every LLM call with
+ *   prompt_id / prompt_version / prompt_language (LLMUsage)
+ *
+ * Template syntax: {{name}} inserts a variable, {{#name}}...{{/name}} keeps the
+ * block when the variable is truthy, {{^name}}...{{/name}} when it is falsy.
+ *
+ * Environment Variables:
+ * - PROMPT_CACHE_TTL_MS: how long active versions are cached per instance (default: 60000)
+ */
+
+export const LANGUAGES = ['en', 'id'];
+
+const builtIn = new Map(DEFAULT_PROMPTS.map(definition => [definition.id, definition]));
+
+const promptError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// ==========================================
+// TEMPLATE RENDERING
+// ==========================================
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+const TAG_PATTERN = /\{\{([#^/]?)(\w+)\}\}/g;
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Render a template string with variables
+ */
+export const renderTemplate = (template, variables = {}) => template
+    .replace(SECTION_PATTERN, (match, kind, name, body) => ((kind === '#') === isTruthy(variables[name]) ? body : ''))
+    .replace(VARIABLE_PATTERN, (match, name) => String(variables[name] ?? ''));
+
+/**
+ * Problems of a template against the declared variables: [message]
+ */
+export const validateTemplate = (template, variables) => {
+    const problems = [];
+    const open = new Map();
+
+    for (const [, kind, name] of template.matchAll(TAG_PATTERN)) {
+        if (!variables.includes(name)) problems.push(`unknown variable "${name}"`);
+        if (kind === '#' || kind === '^') open.set(name, (open.get(name) || 0) + 1);
+        if (kind === '/') open.set(name, (open.get(name) || 0) - 1);
+    }
+    open.forEach((count, name) => {
+        if (count !== 0) problems.push(`unbalanced section "${name}"`);
+    });
+
+    return [...new Set(problems)];
+};
+
+// ==========================================
+// RESOLUTION
+// ==========================================
+
+const CACHE_TTL_MS = parseInt(process.env.PROMPT_CACHE_TTL_MS || '60000');
+
+let activeCache = null; // Map<prompt_id, PromptTemplate>
+let activeLoadedAt = 0;
+let activeLoading = null;
+
+/**
+ * Active stored versions, cached; built-ins are used while the database is down
+ */
+const loadActiveVersions = async () => {
+    if (activeCache && Date.now() - activeLoadedAt < CACHE_TTL_MS) return activeCache;
+    if (PromptTemplate.db.readyState !== 1) return activeCache || new Map();
+
+    if (!activeLoading) {
+        activeLoading = PromptTemplate.find({ is_active: true }).lean()
+            .then(docs => {
+                activeCache = new Map(docs.map(doc => [doc.prompt_id, doc]));
+                activeLoadedAt = Date.now();
+                return activeCache;
+            })
+            .catch(error => {
+                console.error('[Prompt Registry] Load active versions error:', error.message);
+                return activeCache || new Map();
+            })
+            .finally(() => {
+                activeLoading = null;
+            });
+    }
+    return activeLoading;
+};
+
+export const clearPromptCache = () => {
+    activeCache = null;
+};
+
+const storedTemplates = (templates = {}) => Object.fromEntries(
+    LANGUAGES.filter(lang => templates[lang]).map(lang => [lang, templates[lang]])
+);
+
+const getDefinition = (promptId) => {
+    const definition = builtIn.get(promptId);
+    if (!definition) throw promptError(`Unknown prompt: ${promptId}`, 'PROMPT_NOT_FOUND');
+    return definition;
+};
+
+/**
+ * Definition with the template text of a version (default: the active one)
+ * source: 'builtin' (src/prompts) or 'stored' (PromptTemplate)
+ */
+export const getPrompt = async (promptId, { version = null } = {}) => {
+    const definition = getDefinition(promptId);
+
+    let stored = null;
+    if (version === null || version === undefined) {
+        stored = (await loadActiveVersions()).get(promptId) || null;
+    } else if (Number(version) !== definition.version) {
+        stored = await PromptTemplate.findOne({ prompt_id: promptId, version: Number(version) }).lean();
+        if (!stored) throw promptError(`Unknown version ${version} of prompt ${promptId}`, 'PROMPT_VERSION_NOT_FOUND');
+    }
+
+    if (!stored) return { ...definition, source: 'builtin' };
+    return {
+        ...definition,
+        version: stored.version,
+        templates: storedTemplates(stored.templates),
+        source: 'stored'
+    };
+};
+
+/**
+ * Render a prompt; the language falls back to en, then to any variant
+ * Returns { prompt_id, version, language, tier, output_schema, text }
+ */
+export const renderPrompt = async (promptId, variables = {}, options = {}) => {
+    const prompt = await getPrompt(promptId, options);
+
+    // Keys must be passed; an undefined value (missing data) renders as empty
+    const missing = prompt.variables.filter(name => !(name in variables));
+    if (missing.length > 0) {
+        throw promptError(`Missing variables for ${promptId}: ${missing.join(', ')}`, 'PROMPT_VARIABLE_MISSING');
+    }
+
+    const language = [options.language, 'en', ...Object.keys(prompt.templates)]
+        .find(lang => lang && prompt.templates[lang]);
+
+    return {
+        prompt_id: prompt.id,
+        version: prompt.version,
+        language,
+        tier: prompt.tier,
+        output_schema: prompt.output_schema,
+        text: renderTemplate(prompt.templates[language], variables)
+    };
+};
+
+/**
+ * Render a prompt and run it through llmGateway on the prompt's tier
+ * options: { language, version, tier, route, temperature }
+ */
+export const invokePrompt = async (promptId, variables = {}, options = {}) => {
+    const rendered = await renderPrompt(promptId, variables, options);
+
+    return runWithLLMContext(
+        { prompt: { id: rendered.prompt_id, version: rendered.version, language: rendered.language } },
+        () => invokeLLM({
+            prompt: rendered.text,
+            response_json_schema: rendered.output_schema,
+            tier: options.tier || rendered.tier,
+            route: options.route,
+            temperature: options.temperature
+        })
+    );
+};
+
+// ==========================================
+// VERSION MANAGEMENT
+// ==========================================
+
+const describeDefinition = (definition) => ({
+    id: definition.id,
+    description: definition.description,
+    tier: definition.tier,
+    variables: definition.variables,
+    languages: Object.keys(definition.templates),
+    has_output_schema: !!definition.output_schema,
+    builtin_version: definition.version
+});
+
+/**
+ * All prompts with their active version
+ */
+export const listPrompts = async () => {
+    const [active, counts] = await Promise.all([
+        PromptTemplate.find({ is_active: true }).select('prompt_id version').lean(),
+        PromptTemplate.aggregate([{ $group: { _id: '$prompt_id', versions: { $sum: 1 } } }])
+    ]);
+
+    return DEFAULT_PROMPTS.map(definition => ({
+        ...describeDefinition(definition),
+        active_version: active.find(doc => doc.prompt_id === definition.id)?.version ?? definition.version,
+        stored_versions: counts.find(count => count._id === definition.id)?.versions || 0
+    }));
+};
+
+/**
+ * One prompt with every version (built-in first)
+ */
+export const getPromptVersions = async (promptId) => {
+    const definition = getDefinition(promptId);
+    const stored = await PromptTemplate.find({ prompt_id: promptId }).sort({ version: 1 }).lean();
+    const activeStored = stored.find(doc => doc.is_active);
+
+    return {
+        ...describeDefinition(definition),
+        output_schema: definition.output_schema,
+        active_version: activeStored?.version ?? definition.version,
+        versions: [
+            {
+                version: definition.version,
+                source: 'builtin',
+                templates: definition.templates,
+                is_active: !activeStored
+            },
+            ...stored.map(doc => ({
+                version: doc.version,
+                source: 'stored',
+                templates: storedTemplates(doc.templates),
+                notes: doc.notes,
+                is_active: doc.is_active,
+                created_by: doc.created_by,
+                created_at: doc.createdAt,
+                activated_at: doc.activated_at
+            }))
+        ]
+    };
+};
+
+/**
+ * Store a new version of a prompt's template text
+ * data: { templates: { en?, id? }, notes?, activate? }
+ */
+export const createPromptVersion = async (promptId, data = {}, createdBy = null) => {
+    const definition = getDefinition(promptId);
+    const templates = data.templates || {};
+
+    const unknownLanguages = Object.keys(templates).filter(lang => !LANGUAGES.includes(lang));
+    const provided = LANGUAGES.filter(lang => typeof templates[lang] === 'string' && templates[lang].trim());
+    const problems = [
+        ...unknownLanguages.map(lang => `unsupported language "${lang}"`),
+        ...(provided.length === 0 ? ['at least one template (en or id) is required'] : []),
+        ...provided.flatMap(lang => validateTemplate(templates[lang], definition.variables).map(p => `${lang}: ${p}`))
+    ];
+    if (problems.length > 0) {
+        const error = promptError(`Invalid template for ${promptId}`, 'PROMPT_INVALID');
+        error.problems = problems;
+        throw error;
+    }
+
+    const latest = await PromptTemplate.findOne({ prompt_id: promptId }).sort({ version: -1 }).select('version').lean();
+    const version = Math.max(definition.version, latest?.version || 0) + 1;
+
+    const doc = await PromptTemplate.create({
+        prompt_id: promptId,
+        version,
+        templates: Object.fromEntries(provided.map(lang => [lang, templates[lang]])),
+        notes: data.notes || '',
+        created_by: createdBy
+    });
+
+    if (data.activate) {
+        await activatePromptVersion(promptId, version);
+        return PromptTemplate.findById(doc._id).lean();
+    }
+    return doc.toObject();
+};
+
+/**
+ * Make a version active for every new call (the built-in version deactivates stored ones)
+ * Deactivation and activation commit together; the partial unique index on
+ * PromptTemplate keeps concurrent activations from leaving two active versions
+ */
+export const activatePromptVersion = async (promptId, version) => {
+    const definition = getDefinition(promptId);
+    const target = Number(version);
+
+    if (target !== definition.version) {
+        const exists = await PromptTemplate.exists({ prompt_id: promptId, version: target });
+        if (!exists) throw promptError(`Unknown version ${version} of prompt ${promptId}`, 'PROMPT_VERSION_NOT_FOUND');
+    }
+
+    try {
+        await PromptTemplate.db.transaction(async (session) => {
+            await PromptTemplate.updateMany(
+                { prompt_id: promptId, is_active: true, version: { $ne: target } },
+                { $set: { is_active: false } },
+                { session }
+            );
+            if (target !== definition.version) {
+                await PromptTemplate.updateOne(
+                    { prompt_id: promptId, version: target },
+                    { $set: { is_active: true, activated_at: new Date() } },
+                    { session }
+                );
+            }
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        throw promptError(`Another version of ${promptId} was activated at the same time, please retry`, 'PROMPT_CONFLICT');
+    }
+
+    clearPromptCache();
+    return { prompt_id: promptId, active_version: target };
+};
+
+export default {
+    LANGUAGES,
+    renderTemplate,
+    validateTemplate,
+    getPrompt,
+    renderPrompt,
+    invokePrompt,
+    clearPromptCache,
+    listPrompts,
+    getPromptVersions,
+    createPromptVersion,
+    activatePromptVersion
+};
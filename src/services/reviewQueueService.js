@@ -0,0 +1,646 @@
+import ReviewItem from '../models/ReviewItem.js';
+import ArenaSession from '../models/ArenaSession.js';
+import UserProfile from '../models/UserProfile.js';
+import Problem from '../models/Problem.js';
+import Artifact from '../models/Artifact.js';
+import XPAuditLog from '../models/XPAuditLog.js';
+import { createXPAuditLog, validateXPAward, isWriteConflict } from './xpGuardService.js';
+import { calculateLevelProgression } from './profileService.js';
+
+/**
+ * Review Queue Service - Human review of evaluated arena sessions
+ *
+ * Items enter the queue when:
+ * - the user appeals a session's evaluation (once per session, within the appeal window)
+ * - the submit pipeline flags the evaluation (judge disagreement, low confidence)
+ * - exploit detection matches an earlier, already rewarded session
+ *
+ * A moderator resolves an item as 'upheld' or 'corrected'. Nothing is edited:
+ * - XP: a compensating XPAuditLog entry (action 'correction', source 'review_correction')
+ *   moves the profile from the session's award to the corrected award. It is only a
+ *   proposal until admins other than the proposer approve it; the entry carries the
+ *   reason, the award entry it corrects and everyone who approved
+ * - Level-up: a new Artifact version with the corrected level_up_verified
+ *   (or a first artifact when a level-up is granted)
+ * Levels and current_difficulty are never lowered; corrected XP goes through the same
+ * per-archetype level progression as a submit, so raised XP can level up.
+ *
+ * Environment Variables:
+ * - REVIEW_APPEAL_WINDOW_DAYS: days after submit during which a session can be appealed (default: 14)
+ * - REVIEW_CORRECTION_APPROVALS: admins besides the proposer that approve an XP correction (default: 1, minimum 1)
+ */
+
+export const REVIEW_OUTCOMES = ['upheld', 'corrected'];
+
+const ARCHETYPES = ['risk_taker', 'analyst', 'builder', 'strategist'];
+
+const reviewError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const getAppealWindowMs = () => parseFloat(process.env.REVIEW_APPEAL_WINDOW_DAYS || '14') * 24 * 60 * 60 * 1000;
+
+// Never below 1: a correction always involves two people
+const getRequiredApprovals = () => Math.max(1, parseInt(process.env.REVIEW_CORRECTION_APPROVALS || '1') || 1);
+
+const snapshotXP = (profile) => ({
+    risk_taker: profile.xp_risk_taker,
+    analyst: profile.xp_analyst,
+    builder: profile.xp_builder,
+    strategist: profile.xp_strategist
+});
+
+const breakdownOf = (session) => Object.fromEntries(
+    ARCHETYPES.map(arch => [arch, session.xp_breakdown?.[arch] || 0])
+);
+
+/**
+ * Award and level-up currently standing for a session: the last correction,
+ * or the submit's own result when the session was never corrected
+ */
+const currentOutcome = async (session, dbSession = null) => {
+    const last = await ReviewItem.findOne({
+        session_id: session._id.toString(),
+        status: 'resolved',
+        'resolution.outcome': 'corrected'
+    }).sort({ 'resolution.resolved_at': -1 }).session(dbSession).lean();
+
+    return last
+        ? { xp_breakdown: last.resolution.xp_breakdown, level_up_achieved: last.resolution.level_up_achieved }
+        : { xp_breakdown: breakdownOf(session), level_up_achieved: !!session.level_up_achieved };
+};
+
+// ==========================================
+// ENQUEUE
+// ==========================================
+
+/**
+ * Add a session to the queue, or add reasons to its open item
+ * entry: { source, reasons, appeal?, exploit_details? }
+ * Pass options.session to enqueue inside the caller's transaction
+ */
+export const enqueueSession = async (session, entry, options = {}) => {
+    const outcome = await currentOutcome(session, options.session);
+    const update = {
+        $setOnInsert: {
+            review_id: `REV-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            user_id: session.user_id,
+            problem_id: session.problem_id,
+            original: {
+                xp_earned: ARCHETYPES.reduce((sum, arch) => sum + outcome.xp_breakdown[arch], 0),
+                xp_breakdown: outcome.xp_breakdown,
+                level_up_achieved: outcome.level_up_achieved,
+                criteria_met: session.criteria_met || [],
+                problem_difficulty: session.evaluation_result?.rubric?.level ?? null
+            }
+        },
+        $addToSet: {
+            reasons: { $each: entry.reasons || [] },
+            exploit_details: { $each: entry.exploit_details || [] }
+        }
+    };
+    // An appeal turns an automatic item into an appeal; otherwise the first source stays
+    if (entry.appeal) {
+        update.$set = { source: 'appeal', appeal: entry.appeal };
+    } else {
+        update.$setOnInsert.source = entry.source;
+    }
+
+    const query = () => ReviewItem.findOneAndUpdate(
+        { session_id: session._id.toString(), status: 'open' },
+        update,
+        { upsert: true, new: true, session: options.session || null }
+    );
+
+    try {
+        return await query();
+    } catch (error) {
+        // A concurrent enqueue created the open item first; add to it instead
+        if (error.code !== 11000 || options.session) throw error;
+        return await query();
+    }
+};
+
+/**
+ * Sessions matched by an exploit check enter the queue when they were rewarded
+ * (XP or level-up); failures are logged, the check itself is not affected
+ */
+export const flagExploitSessions = async (sessionIds, detail) => {
+    const ids = [...new Set(sessionIds || [])].filter(id => /^[a-f0-9]{24}$/i.test(String(id)));
+    if (ids.length === 0) return [];
+
+    try {
+        const sessions = await ArenaSession.find({
+            _id: { $in: ids },
+            status: 'evaluated',
+            $or: [{ xp_earned: { $gt: 0 } }, { level_up_achieved: true }]
+        }).lean();
+
+        return await Promise.all(sessions.map(session => enqueueSession(session, {
+            source: 'auto',
+            reasons: ['exploit_flag'],
+            exploit_details: detail ? [detail] : []
+        })));
+    } catch (error) {
+        console.error('Flag exploit sessions error:', error);
+        return [];
+    }
+};
+
+/**
+ * User appeal of an evaluated session
+ */
+export const appealSession = async (sessionId, userId, message) => {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) throw reviewError('An appeal needs a message', 'REVIEW_INVALID');
+    if (text.length > 2000) throw reviewError('Appeal message is limited to 2000 characters', 'REVIEW_INVALID');
+
+    const session = await ArenaSession.findById(sessionId).lean();
+    if (!session || session.user_id !== userId) throw reviewError('Session not found', 'SESSION_NOT_FOUND');
+    if (session.status !== 'evaluated') {
+        throw reviewError('Only evaluated sessions can be appealed', 'REVIEW_NOT_ELIGIBLE');
+    }
+    if (Date.now() - new Date(session.submitted_at).getTime() > getAppealWindowMs()) {
+        throw reviewError('The appeal window for this session has closed', 'REVIEW_NOT_ELIGIBLE');
+    }
+
+    const appealed = await ReviewItem.exists({ session_id: sessionId, 'appeal.submitted_at': { $exists: true } });
+    if (appealed) throw reviewError('This session has already been appealed', 'APPEAL_EXISTS');
+
+    return enqueueSession(session, {
+        source: 'appeal',
+        reasons: ['user_appeal'],
+        appeal: { message: text, submitted_at: new Date() }
+    });
+};
+
+// ==========================================
+// QUERIES
+// ==========================================
+
+/**
+ * Queue items, oldest first (?status=open|resolved&reason=&source=&user_id=&awaiting_approval=&limit=)
+ */
+export const listReviewItems = async ({ status = 'open', reason, source, user_id, awaiting_approval, limit = 50 } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (awaiting_approval !== undefined) filter['proposal.proposed_by'] = { $exists: !!awaiting_approval };
+    if (reason) filter.reasons = reason;
+    if (source) filter.source = source;
+    if (user_id) filter.user_id = user_id;
+
+    return ReviewItem.find(filter)
+        .sort({ createdAt: status === 'resolved' ? -1 : 1 })
+        .limit(Math.min(parseInt(limit) || 50, 200))
+        .lean();
+};
+
+/**
+ * One item with what a moderator needs to decide: solution, evaluation,
+ * the session's audit entries and its artifact versions
+ */
+export const getReviewItem = async (reviewId) => {
+    const item = await ReviewItem.findOne({ review_id: reviewId }).lean();
+    if (!item) return null;
+
+    const [session, auditEntries, artifacts] = await Promise.all([
+        ArenaSession.findById(item.session_id)
+            .select('user_id problem_id status submitted_at solution_text xp_earned xp_breakdown level_up_achieved criteria_met evaluation_result needs_review review_reasons')
+            .lean(),
+        XPAuditLog.find({ session_id: item.session_id }).sort({ created_at: 1 }).lean(),
+        Artifact.find({ arena_session_id: item.session_id }).sort({ version: 1 }).lean()
+    ]);
+
+    return { ...item, session, audit_entries: auditEntries, artifacts };
+};
+
+/**
+ * Review items of one session as the user sees them
+ */
+export const getSessionReviews = async (sessionId) => ReviewItem.find({ session_id: sessionId })
+    .sort({ createdAt: -1 })
+    .select('review_id status source reasons appeal resolution.outcome resolution.note resolution.resolved_at resolution.level_up_achieved resolution.xp_change createdAt')
+    .lean();
+
+// ==========================================
+// RESOLUTION
+// ==========================================
+
+/**
+ * Corrected award: every archetype 0-100 (the range validateXPAward accepts),
+ * missing archetypes keep the session's award
+ */
+const normalizeBreakdown = (input, original) => {
+    const result = {};
+    for (const arch of ARCHETYPES) {
+        const value = input?.[arch] ?? original[arch];
+        if (!Number.isInteger(value) || value < 0 || value > 100) {
+            throw reviewError(`xp_breakdown.${arch} must be an integer between 0 and 100`, 'REVIEW_INVALID');
+        }
+        result[arch] = value;
+    }
+    return result;
+};
+
+/**
+ * Highest difficulty among the user's current verified level-up artifacts
+ */
+const highestVerifiedDifficulty = async (userId, dbSession) => {
+    const artifact = await Artifact.findOne({ user_id: userId, level_up_verified: true, superseded_by: null })
+        .sort({ difficulty: -1 })
+        .select('difficulty')
+        .session(dbSession)
+        .lean();
+    return artifact?.difficulty || 0;
+};
+
+/**
+ * New artifact version (or first artifact) carrying the corrected level-up
+ * Returns the new artifact, or null when there is nothing to record
+ */
+const correctLevelUp = async (item, session, levelUp, profile, dbSession) => {
+    const current = await Artifact.findOne({ arena_session_id: item.session_id, superseded_by: null })
+        .sort({ version: -1 })
+        .session(dbSession);
+    const versionData = {
+        level_up_verified: levelUp,
+        event_source: 'review_correction',
+        review_id: item.review_id,
+        xp_snapshot: snapshotXP(profile)
+    };
+
+    if (!levelUp) {
+        if (!current?.level_up_verified) return null;
+        const artifact = await Artifact.createNewVersion(current._id, versionData, { session: dbSession });
+        profile.highest_difficulty_conquered = await highestVerifiedDifficulty(item.user_id, dbSession);
+        return artifact;
+    }
+
+    if (current?.level_up_verified) return null;
+    const problem = await Problem.findOne({ problem_id: item.problem_id }).session(dbSession);
+    if (!problem) throw reviewError('Problem of the session not found', 'REVIEW_NOT_ELIGIBLE');
+
+    // Same rule as the submit pipeline: only a problem above the starting level is a level-up
+    if (problem.difficulty <= session.difficulty_at_start) return null;
+
+    const artifact = current
+        ? await Artifact.createNewVersion(current._id, versionData, { session: dbSession })
+        : (await Artifact.create([{
+            user_id: item.user_id,
+            problem_id: problem.problem_id,
+            problem_title: problem.title,
+            difficulty: problem.difficulty,
+            archetype_role: profile.primary_archetype,
+            solution_summary: (session.solution_text || '').substring(0, 500) || problem.title,
+            insight: session.ai_insight,
+            arena_session_id: item.session_id,
+            conquered_at: new Date(),
+            ...versionData
+        }], { session: dbSession }))[0];
+
+    profile.current_difficulty = Math.max(profile.current_difficulty, problem.difficulty);
+    profile.highest_difficulty_conquered = Math.max(profile.highest_difficulty_conquered || 0, problem.difficulty);
+    return artifact;
+};
+
+/**
+ * Standing outcome, target outcome and what has to change between them
+ * target: { outcome, xp_breakdown?, level_up_achieved? }
+ */
+const planCorrection = (standing, target) => {
+    const corrected = normalizeBreakdown(target.xp_breakdown, standing.xp_breakdown);
+    let delta = Object.fromEntries(ARCHETYPES.map(arch => [arch, corrected[arch] - standing.xp_breakdown[arch]]));
+    if (ARCHETYPES.every(arch => delta[arch] === 0)) delta = null;
+
+    const levelUpChange = typeof target.level_up_achieved === 'boolean' && target.level_up_achieved !== standing.level_up_achieved
+        ? target.level_up_achieved
+        : null;
+
+    return { corrected, delta, levelUpChange };
+};
+
+/**
+ * Run review writes in one transaction; a write conflict that outlived the retries is REVIEW_CONFLICT
+ */
+const inReviewTransaction = async (fn) => {
+    let result;
+    await ReviewItem.db.transaction(async (dbSession) => {
+        result = await fn(dbSession);
+    }).catch((error) => {
+        if (!isWriteConflict(error)) throw error;
+        throw reviewError('The correction conflicted with a concurrent update, please retry', 'REVIEW_CONFLICT');
+    });
+    return result;
+};
+
+/**
+ * Close an item inside the caller's transaction: compensating audit entry, level progression,
+ * artifact version, resolution
+ * decision: { outcome, note, xp_breakdown?, level_up_achieved? }
+ * parties: { resolved_by, resolved_role, proposed_by?, proposed_at?, approvals? }
+ * With proposed_at, only that proposal is applied, with the approvals it holds at commit time
+ */
+const decide = async (dbSession, reviewId, decision, parties) => {
+    // Re-checked inside the transaction so two reviewers cannot both correct,
+    // and an approval cannot apply a proposal rejected or replaced meanwhile
+    const filter = { review_id: reviewId, status: 'open' };
+    if (parties.proposed_at) filter['proposal.proposed_at'] = parties.proposed_at;
+    const open = await ReviewItem.findOne(filter).session(dbSession);
+    if (!open && parties.proposed_at) {
+        throw reviewError('The correction was resolved or rejected meanwhile; reload the item', 'REVIEW_PENDING_APPROVAL');
+    }
+    if (!open) throw reviewError('Review item is already resolved', 'REVIEW_CLOSED');
+
+    const approvals = parties.proposed_at ? open.toObject().proposal.approvals : parties.approvals;
+
+    const session = await ArenaSession.findById(open.session_id).session(dbSession).lean();
+    if (!session) throw reviewError('Session of the review item not found', 'REVIEW_NOT_ELIGIBLE');
+
+    // A session corrected before is corrected from that correction, not from the submit
+    const standing = await currentOutcome(session, dbSession);
+    const resolution = {
+        outcome: decision.outcome,
+        note: decision.note.substring(0, 1000),
+        resolved_by: parties.resolved_by,
+        resolved_role: parties.resolved_role,
+        resolved_at: new Date(),
+        level_up_achieved: standing.level_up_achieved,
+        xp_breakdown: standing.xp_breakdown,
+        xp_change: Object.fromEntries(ARCHETYPES.map(arch => [arch, 0])),
+        proposed_by: parties.proposed_by,
+        approvals
+    };
+
+    if (decision.outcome === 'corrected') {
+        const { corrected, delta, levelUpChange } = planCorrection(standing, decision);
+        if (!delta && levelUpChange === null) {
+            throw reviewError('The correction is already in force for this session', 'REVIEW_INVALID');
+        }
+        if (delta && !approvals?.length) {
+            throw reviewError('XP corrections need an approval', 'REVIEW_FORBIDDEN');
+        }
+
+        const profile = await UserProfile.findOne({ user_id: open.user_id }).session(dbSession);
+        if (!profile) throw reviewError('Profile not found', 'REVIEW_NOT_ELIGIBLE');
+
+        if (delta) {
+            const award = await XPAuditLog.findOne({ session_id: open.session_id, source: 'arena_submit', action: 'award' })
+                .session(dbSession)
+                .lean();
+            if (!award) throw reviewError('The session has no award entry to correct', 'REVIEW_NOT_ELIGIBLE');
+
+            const validation = validateXPAward(delta, 'review_correction', {
+                reason: decision.note,
+                corrects: award,
+                proposed_by: parties.proposed_by,
+                approved_by: approvals.map(a => a.approver_id),
+                required_approvals: getRequiredApprovals(),
+                standing: standing.xp_breakdown
+            });
+            if (!validation.valid) throw reviewError(validation.error, 'REVIEW_INVALID');
+
+            const before = snapshotXP(profile);
+            const after = Object.fromEntries(ARCHETYPES.map(arch => [arch, before[arch] + delta[arch]]));
+            if (ARCHETYPES.some(arch => after[arch] < 0)) {
+                throw reviewError('The correction would take profile XP below zero', 'REVIEW_INVALID');
+            }
+
+            // Same progression as the submit pipeline; it only raises levels
+            const { levelChanges, newThresholds } = calculateLevelProgression(profile.toObject(), delta);
+            Object.entries(levelChanges).forEach(([archetype, change]) => {
+                profile[`level_${archetype}`] = change.new_level;
+            });
+            Object.entries(newThresholds).forEach(([archetype, threshold]) => {
+                profile.xp_to_next_level[archetype] = threshold;
+            });
+            ARCHETYPES.forEach(arch => { profile[`xp_${arch}`] = after[arch]; });
+            resolution.level_changes = levelChanges;
+
+            const entry = await createXPAuditLog(
+                open.user_id,
+                'correction',
+                before,
+                after,
+                'review_correction',
+                {
+                    session_id: open.session_id,
+                    problem_id: open.problem_id,
+                    problem_difficulty: open.original?.problem_difficulty ?? undefined,
+                    evaluation_summary: `Review ${open.review_id}: ${resolution.note}`.substring(0, 500),
+                    review_id: open.review_id,
+                    level_changes: resolution.level_changes,
+                    correction: {
+                        reason: decision.note.substring(0, 500),
+                        corrects_entry_id: award._id.toString(),
+                        corrects_sequence: award.sequence,
+                        corrects_entry_hash: award.entry_hash,
+                        proposed_by: parties.proposed_by,
+                        approved_by: approvals.map(a => a.approver_id)
+                    }
+                },
+                { session: dbSession }
+            );
+            resolution.xp_change = delta;
+            resolution.audit_log_id = entry._id.toString();
+        }
+
+        if (levelUpChange !== null) {
+            const artifact = await correctLevelUp(open, session, levelUpChange, profile, dbSession);
+            resolution.artifact_id = artifact?._id.toString() || null;
+        }
+
+        resolution.xp_breakdown = corrected;
+        if (levelUpChange !== null) resolution.level_up_achieved = levelUpChange;
+        await profile.save({ session: dbSession });
+    }
+
+    open.status = 'resolved';
+    open.resolution = resolution;
+    open.proposal = undefined;
+    return (await open.save({ session: dbSession })).toObject();
+};
+
+/**
+ * Close an item in its own transaction (see decide)
+ */
+const applyDecision = (reviewId, decision, parties) => inReviewTransaction(
+    (dbSession) => decide(dbSession, reviewId, decision, parties)
+);
+
+/**
+ * Load an open item the reviewer may act on
+ */
+const loadOpenItem = async (reviewId, reviewer) => {
+    const item = await ReviewItem.findOne({ review_id: reviewId }).lean();
+    if (!item) throw reviewError('Review item not found', 'REVIEW_NOT_FOUND');
+    if (item.status !== 'open') throw reviewError('Review item is already resolved', 'REVIEW_CLOSED');
+    if (item.user_id === reviewer.id) throw reviewError('Reviewers cannot review their own sessions', 'REVIEW_FORBIDDEN');
+    return item;
+};
+
+const requireNote = (note, message) => {
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (!text) throw reviewError(message, 'REVIEW_INVALID');
+    return text;
+};
+
+/**
+ * Resolve an open item
+ * decision: { outcome: 'upheld' | 'corrected', note, level_up_achieved?, xp_breakdown? }
+ * reviewer: { id, role }
+ * Upheld items and level-up-only corrections close at once; an XP correction becomes
+ * a proposal that closes when approved (approveCorrection)
+ */
+export const resolveReviewItem = async (reviewId, decision = {}, reviewer = {}) => {
+    const { outcome } = decision;
+    if (!REVIEW_OUTCOMES.includes(outcome)) {
+        throw reviewError(`outcome must be one of: ${REVIEW_OUTCOMES.join(', ')}`, 'REVIEW_INVALID');
+    }
+    const note = requireNote(decision.note, 'A resolution needs a note');
+
+    const item = await loadOpenItem(reviewId, reviewer);
+    if (item.proposal?.proposed_by) {
+        throw reviewError('A correction is waiting for approval; approve or reject it first', 'REVIEW_PENDING_APPROVAL');
+    }
+
+    const session = await ArenaSession.findById(item.session_id).lean();
+    if (!session) throw reviewError('Session of the review item not found', 'REVIEW_NOT_ELIGIBLE');
+
+    const parties = { resolved_by: reviewer.id, resolved_role: reviewer.role };
+    if (outcome === 'upheld') return applyDecision(reviewId, { outcome, note }, parties);
+
+    const standing = await currentOutcome(session);
+    const { corrected, delta, levelUpChange } = planCorrection(standing, decision);
+    if (!delta && levelUpChange === null) {
+        throw reviewError('A correction must change the XP award or the level-up', 'REVIEW_INVALID');
+    }
+    if (!delta) {
+        return applyDecision(reviewId, { outcome, note, level_up_achieved: levelUpChange }, parties);
+    }
+
+    // XP changes wait for a second person
+    const proposed = await ReviewItem.findOneAndUpdate(
+        { review_id: reviewId, status: 'open', 'proposal.proposed_by': { $exists: false } },
+        {
+            $set: {
+                proposal: {
+                    note: note.substring(0, 1000),
+                    proposed_by: reviewer.id,
+                    proposed_role: reviewer.role,
+                    proposed_at: new Date(),
+                    level_up_achieved: levelUpChange ?? standing.level_up_achieved,
+                    xp_breakdown: corrected,
+                    approvals: []
+                }
+            }
+        },
+        { new: true }
+    ).lean();
+    if (!proposed) throw reviewError('A correction is already waiting for approval', 'REVIEW_PENDING_APPROVAL');
+
+    return { ...proposed, approvals_required: getRequiredApprovals() };
+};
+
+/**
+ * Approve the pending XP correction of an item (admin, not the proposer)
+ * The correction is applied once REVIEW_CORRECTION_APPROVALS approvals are in
+ */
+export const approveCorrection = async (reviewId, approver = {}, note = '') => {
+    const item = await loadOpenItem(reviewId, approver);
+    const { proposal } = item;
+    if (!proposal?.proposed_by) throw reviewError('No correction is waiting for approval', 'REVIEW_NO_PROPOSAL');
+    if (approver.role !== 'admin') throw reviewError('Corrections are approved by admins', 'REVIEW_FORBIDDEN');
+    if (approver.id === proposal.proposed_by) {
+        throw reviewError('The proposer cannot approve their own correction', 'REVIEW_FORBIDDEN');
+    }
+    if ((proposal.approvals || []).some(a => a.approver_id === approver.id)) {
+        throw reviewError('You already approved this correction', 'REVIEW_PENDING_APPROVAL');
+    }
+
+    const approval = {
+        approver_id: approver.id,
+        role: approver.role,
+        note: typeof note === 'string' ? note.trim().substring(0, 1000) : '',
+        approved_at: new Date()
+    };
+
+    // The approval and the correction it completes commit together: when applying fails,
+    // the approval is not kept either and the same admin can approve again
+    return inReviewTransaction(async (dbSession) => {
+        const updated = await ReviewItem.findOneAndUpdate(
+            {
+                review_id: reviewId,
+                status: 'open',
+                'proposal.proposed_at': proposal.proposed_at,
+                'proposal.approvals.approver_id': { $ne: approver.id }
+            },
+            { $push: { 'proposal.approvals': approval } },
+            { new: true, session: dbSession }
+        ).lean();
+        if (!updated) throw reviewError('The correction changed meanwhile; reload the item', 'REVIEW_PENDING_APPROVAL');
+        if (updated.proposal.approvals.length < getRequiredApprovals()) {
+            return { ...updated, approvals_required: getRequiredApprovals() };
+        }
+
+        // Whoever brings the count to the threshold applies it
+        return decide(dbSession, reviewId, {
+            outcome: 'corrected',
+            note: updated.proposal.note,
+            xp_breakdown: updated.proposal.xp_breakdown,
+            level_up_achieved: updated.proposal.level_up_achieved
+        }, {
+            resolved_by: approver.id,
+            resolved_role: approver.role,
+            proposed_by: updated.proposal.proposed_by,
+            proposed_at: updated.proposal.proposed_at
+        });
+    });
+};
+
+/**
+ * Turn down the pending XP correction (admin, not the proposer); the item stays open
+ */
+export const rejectCorrection = async (reviewId, approver = {}, note) => {
+    const reason = requireNote(note, 'A rejection needs a note');
+    const item = await loadOpenItem(reviewId, approver);
+    const { proposal } = item;
+    if (!proposal?.proposed_by) throw reviewError('No correction is waiting for approval', 'REVIEW_NO_PROPOSAL');
+    if (approver.role !== 'admin') throw reviewError('Corrections are rejected by admins', 'REVIEW_FORBIDDEN');
+    if (approver.id === proposal.proposed_by) {
+        throw reviewError('The proposer cannot reject their own correction', 'REVIEW_FORBIDDEN');
+    }
+
+    const updated = await ReviewItem.findOneAndUpdate(
+        { review_id: reviewId, status: 'open', 'proposal.proposed_at': proposal.proposed_at },
+        {
+            $push: {
+                rejected_proposals: {
+                    ...proposal,
+                    rejected_by: approver.id,
+                    rejected_role: approver.role,
+                    rejection_note: reason.substring(0, 1000),
+                    rejected_at: new Date()
+                }
+            },
+            $unset: { proposal: 1 }
+        },
+        { new: true }
+    ).lean();
+    if (!updated) throw reviewError('The correction changed meanwhile; reload the item', 'REVIEW_PENDING_APPROVAL');
+    return updated;
+};
+
+export default {
+    REVIEW_OUTCOMES,
+    enqueueSession,
+    flagExploitSessions,
+    appealSession,
+    listReviewItems,
+    getReviewItem,
+    getSessionReviews,
+    resolveReviewItem,
+    approveCorrection,
+    rejectCorrection
+};
@@ -0,0 +1,277 @@
+import DifficultyBaseline from '../models/DifficultyBaseline.js';
+import { isBudgetExceeded } from '../config/llmGateway.js';
+import { invokePrompt } from './promptRegistryService.js';
+import {
+    getPanelConfig,
+    runJudges,
+    describeScores,
+    majority,
+    quorumReasons
+} from './judgePanelService.js';
+
+/**
+ * Rubric Service - Grades a solution against its level's DifficultyBaseline
+ *
+ * - Deterministic checks: word count and textual signals (trade-off, risk and
+ *   stakeholder language, English + Indonesian)
+ * - LLM judgement (prompt rubric.judgement): quality, decision depth, trade-off
+ *   count and a verdict per requires_* criterion; the judge never sees the thresholds
+ * - Thresholds are applied in code, so criteria_met and level_up_achieved follow
+ *   the baseline, not the evaluator's overall impression
+ *
+ * A requires_* criterion needs both the textual signal and the judge's verdict.
+ * Without a judge (provider down, invalid answer) every judged criterion fails:
+ * XP is still awarded, a level-up is not.
+ *
+ * With EVALUATION_JUDGES > 1 the judgement comes from a panel (judgePanelService):
+ * scores are aggregated, verdicts decided by majority, and disagreement is
+ * reported in consensus.review_reasons.
+ */
+
+export const RUBRIC_CRITERIA = [
+    'min_word_count',
+    'response_quality',
+    'decision_depth',
+    'tradeoff_consideration',
+    'tradeoff_analysis',
+    'risk_assessment',
+    'multi_perspective'
+];
+
+// ==========================================
+// DETERMINISTIC CHECKS
+// ==========================================
+
+const TRADEOFF_PATTERN = /\b(trade-?offs?|but|however|instead of|at the cost of|sacrific\w*|versus|vs\.?|downside|on the other hand|namun|tetapi|tapi|daripada|dengan mengorbankan|mengorbankan|konsekuensinya|kekurangannya|di sisi lain)\b/gi;
+const RISK_PATTERN = /\b(risks?|risky|fails?|failure|worst case|if .{1,40} (doesn't|does not|fails)|mitigat\w*|fallback|plan b|risiko|beresiko|berisiko|gagal|kemungkinan terburuk|mitigasi|rencana cadangan|antisipasi)\b/gi;
+const STAKEHOLDER_PATTERN = /\b(customers?|users?|clients?|team|employees?|investors?|partners?|suppliers?|competitors?|management|stakeholders?|community|parents?|teachers?|pelanggan|pengguna|klien|tim|karyawan|investor|mitra|pemasok|kompetitor|pesaing|manajemen|komunitas|orang tua|guru|atasan)\b/gi;
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+const distinctMatches = (text, pattern) => new Set((text.match(pattern) || []).map(m => m.toLowerCase().replace(/s$/, '')));
+
+/**
+ * Measurements that need no LLM
+ */
+export const measureSolution = (solution = '') => {
+    const text = String(solution);
+    return {
+        word_count: text.trim().split(/\s+/).filter(Boolean).length,
+        tradeoff_signals: countMatches(text, TRADEOFF_PATTERN),
+        risk_signals: countMatches(text, RISK_PATTERN),
+        stakeholders: [...distinctMatches(text, STAKEHOLDER_PATTERN)]
+    };
+};
+
+// ==========================================
+// LLM JUDGEMENT
+// ==========================================
+
+/**
+ * Ask the judge prompt; returns null when no valid judgement could be obtained
+ * (an exhausted LLM budget is rethrown so the caller can halt instead)
+ * options: { language, route, temperature }
+ */
+export const judgeSolution = async (problem, solution, options = {}) => {
+    try {
+        return await invokePrompt('rubric.judgement', {
+            title: problem.title,
+            objective: problem.objective,
+            level: problem.difficulty || 1,
+            solution
+        }, { language: options.language, route: options.route, temperature: options.temperature });
+    } catch (error) {
+        if (isBudgetExceeded(error)) throw error;
+        console.error('Rubric judgement error:', error.message);
+        return null;
+    }
+};
+
+// ==========================================
+// RUBRIC
+// ==========================================
+
+const criterion = (id, passed, reason, source, extra = {}) => ({ id, passed: !!passed, reason, source, ...extra });
+
+const NO_JUDGE = 'LLM judgement unavailable';
+
+/**
+ * Signal-gated verdict for a requires_* criterion
+ */
+const gatedVerdict = (id, hasSignal, missingReason, verdict) => {
+    if (!hasSignal) return criterion(id, false, missingReason, 'deterministic');
+    if (!verdict) return criterion(id, false, NO_JUDGE, 'llm');
+    return criterion(id, verdict.passed, verdict.reason || '', 'combined');
+};
+
+/**
+ * Apply a baseline to measurements and a judgement (null = no judge)
+ * Pure: the same inputs always give the same result
+ */
+export const applyRubric = (baseline, measurements, judgement) => {
+    const metrics = baseline.baseline_metrics;
+    const rules = baseline.validation_criteria;
+    const criteria = [];
+
+    criteria.push(criterion(
+        'min_word_count',
+        measurements.word_count >= rules.min_word_count,
+        `${measurements.word_count} words (minimum ${rules.min_word_count})`,
+        'deterministic',
+        { value: measurements.word_count, threshold: rules.min_word_count }
+    ));
+
+    criteria.push(judgement
+        ? criterion(
+            'response_quality',
+            judgement.response_quality >= metrics.min_response_quality,
+            [`Quality ${judgement.response_quality} (minimum ${metrics.min_response_quality})`, judgement.quality_reason]
+                .filter(Boolean).join(': '),
+            'llm',
+            { value: judgement.response_quality, threshold: metrics.min_response_quality }
+        )
+        : criterion('response_quality', false, NO_JUDGE, 'llm', { threshold: metrics.min_response_quality }));
+
+    criteria.push(judgement
+        ? criterion(
+            'decision_depth',
+            judgement.decision_depth >= metrics.min_decision_depth,
+            `Depth ${judgement.decision_depth} (minimum ${metrics.min_decision_depth})`,
+            'llm',
+            { value: judgement.decision_depth, threshold: metrics.min_decision_depth }
+        )
+        : criterion('decision_depth', false, NO_JUDGE, 'llm', { threshold: metrics.min_decision_depth }));
+
+    // Trade-offs the judge counts only stand when the text actually weighs options
+    const tradeoffCount = measurements.tradeoff_signals > 0 ? judgement?.tradeoff_count : 0;
+    criteria.push(tradeoffCount === undefined
+        ? criterion('tradeoff_consideration', false, NO_JUDGE, 'llm', { threshold: metrics.min_tradeoff_consideration })
+        : criterion(
+            'tradeoff_consideration',
+            tradeoffCount >= metrics.min_tradeoff_consideration,
+            `${tradeoffCount} explicit trade-offs (minimum ${metrics.min_tradeoff_consideration})`,
+            measurements.tradeoff_signals > 0 ? 'combined' : 'deterministic',
+            { value: tradeoffCount, threshold: metrics.min_tradeoff_consideration }
+        ));
+
+    if (rules.requires_tradeoff_analysis) {
+        criteria.push(gatedVerdict(
+            'tradeoff_analysis',
+            measurements.tradeoff_signals > 0,
+            'No trade-off language (e.g. "but", "at the cost of", "namun")',
+            judgement?.tradeoff_analysis
+        ));
+    }
+
+    if (rules.requires_risk_assessment) {
+        criteria.push(gatedVerdict(
+            'risk_assessment',
+            measurements.risk_signals > 0,
+            'No risk named (e.g. "risk", "if it fails", "risiko")',
+            judgement?.risk_assessment
+        ));
+    }
+
+    if (rules.requires_multi_perspective) {
+        criteria.push(gatedVerdict(
+            'multi_perspective',
+            measurements.stakeholders.length >= 2,
+            `Fewer than 2 stakeholders mentioned (${measurements.stakeholders.join(', ') || 'none'})`,
+            judgement?.multi_perspective
+        ));
+    }
+
+    return {
+        level: baseline.level,
+        baseline_version: baseline.version,
+        criteria,
+        criteria_met: criteria.filter(c => c.passed).map(c => c.id),
+        level_up_achieved: criteria.every(c => c.passed),
+        judged: !!judgement,
+        measurements: {
+            ...measurements,
+            response_quality: judgement?.response_quality ?? null,
+            decision_depth: judgement?.decision_depth ?? null,
+            tradeoff_count: judgement?.tradeoff_count ?? null
+        }
+    };
+};
+
+const VERDICTS = ['tradeoff_analysis', 'risk_assessment', 'multi_perspective'];
+
+/**
+ * One judgement out of a panel's judgements, plus how much the judges agreed
+ */
+export const aggregateJudgements = (judgements, config = getPanelConfig()) => {
+    const results = judgements.map(j => j.result);
+    const scores = {
+        response_quality: describeScores(results.map(r => r.response_quality), config),
+        decision_depth: describeScores(results.map(r => r.decision_depth), config, { integer: true }),
+        tradeoff_count: describeScores(results.map(r => r.tradeoff_count), config, { integer: true })
+    };
+    const verdicts = Object.fromEntries(VERDICTS.map(id => [id, majority(results.map(r => r[id]?.passed))]));
+
+    const judgement = {
+        response_quality: scores.response_quality.value,
+        decision_depth: scores.decision_depth.value,
+        tradeoff_count: scores.tradeoff_count.value,
+        // Reason of a judge that voted with the majority
+        ...Object.fromEntries(VERDICTS.map(id => [id, {
+            passed: verdicts[id].value,
+            reason: results.find(r => !!r[id]?.passed === verdicts[id].value)?.[id]?.reason || ''
+        }])),
+        quality_reason: results.length === 1 ? results[0].quality_reason : undefined
+    };
+
+    return { judgement, scores, verdicts };
+};
+
+/**
+ * Grade a solution against the baseline of the problem's difficulty
+ * options: { language, panel } (panel: getPanelConfig overrides)
+ * The result carries consensus: { judges, succeeded, failures, aggregation, scores, verdicts, level_up, review_reasons }
+ */
+export const gradeSolution = async (problem, solution, options = {}) => {
+    const config = getPanelConfig(options.panel);
+    const baseline = await DifficultyBaseline.getBaselineForLevel(problem.difficulty || 1);
+    const measurements = measureSolution(solution);
+    const { judgements, failures } = await runJudges(
+        (judgeOptions) => judgeSolution(problem, solution, { language: options.language, ...judgeOptions }),
+        config
+    );
+
+    const aggregated = judgements.length > 0 ? aggregateJudgements(judgements, config) : null;
+    const result = applyRubric(baseline, measurements, aggregated?.judgement || null);
+
+    // Would each judge alone have granted the level-up?
+    const levelUp = majority(judgements.map(j => applyRubric(baseline, measurements, j.result).level_up_achieved));
+
+    const reviewReasons = [...quorumReasons(config, judgements)];
+    if (judgements.length > 1 && !levelUp.unanimous) reviewReasons.push('level_up_split');
+    if ((aggregated?.scores.response_quality.stddev ?? 0) > config.review_quality_stddev) {
+        reviewReasons.push('quality_disagreement');
+    }
+
+    return {
+        ...result,
+        consensus: {
+            judges: config.judges,
+            succeeded: judgements.length,
+            failures,
+            aggregation: config.aggregation,
+            scores: aggregated?.scores || null,
+            verdicts: aggregated?.verdicts || null,
+            level_up: levelUp,
+            review_reasons: reviewReasons
+        }
+    };
+};
+
+export default {
+    RUBRIC_CRITERIA,
+    measureSolution,
+    judgeSolution,
+    applyRubric,
+    aggregateJudgements,
+    gradeSolution
+};
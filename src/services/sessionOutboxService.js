@@ -0,0 +1,82 @@
+/**
+ * Session Outbox Service - Sequence numbers and replay buffer for /ws/arena
+ *
+ * Replayable frames get a per-session, monotonically increasing `seq` and are
+ * kept in SessionMemory.outbound.buffer (last WS_REPLAY_BUFFER_SIZE frames).
+ * A reconnecting client sends resume_session with the last seq it saw and
+ * receives every buffered frame after it.
+ *
+ * The counter lives in MongoDB, so sequence numbers stay ordered across
+ * server instances.
+ */
+
+import SessionMemory from '../models/SessionMemory.js';
+
+const REPLAY_BUFFER_SIZE = parseInt(process.env.WS_REPLAY_BUFFER_SIZE || '50');
+
+// Frames a client cannot reconstruct on its own after reconnecting
+export const REPLAYABLE_TYPES = ['ai_action', 'hint', 'new_question', 'intervention'];
+
+export const isReplayable = (frame) => REPLAYABLE_TYPES.includes(frame?.type);
+
+/**
+ * Assign the next seq to a frame and append it to the buffer
+ * Returns the seq, or null when the session has no SessionMemory
+ */
+export const recordFrame = async (sessionId, frame) => {
+    const memory = await SessionMemory.findOneAndUpdate(
+        { session_id: sessionId },
+        { $inc: { 'outbound.last_seq': 1 } },
+        { new: true, projection: { 'outbound.last_seq': 1 } }
+    ).lean();
+    if (!memory) return null;
+
+    const seq = memory.outbound.last_seq;
+
+    // $sort keeps the buffer ordered when two frames are recorded concurrently
+    await SessionMemory.updateOne(
+        { session_id: sessionId },
+        {
+            $push: {
+                'outbound.buffer': {
+                    $each: [{ seq, type: frame.type, frame, sent_at: new Date() }],
+                    $sort: { seq: 1 },
+                    $slice: -REPLAY_BUFFER_SIZE
+                }
+            }
+        }
+    );
+
+    return seq;
+};
+
+/**
+ * Buffered frames after lastSeq, each with its original seq
+ * gap is true when older frames were already dropped from the buffer
+ */
+export const getFramesSince = async (sessionId, lastSeq = 0) => {
+    const memory = await SessionMemory.findOne({ session_id: sessionId })
+        .select('outbound')
+        .lean();
+
+    const currentSeq = memory?.outbound?.last_seq || 0;
+    const buffer = memory?.outbound?.buffer || [];
+    const frames = buffer
+        .filter(entry => entry.seq > lastSeq)
+        .map(entry => ({ ...entry.frame, seq: entry.seq }));
+
+    const oldestBuffered = buffer.length ? buffer[0].seq : currentSeq + 1;
+
+    return {
+        last_seq: currentSeq,
+        frames,
+        gap: lastSeq < currentSeq && oldestBuffered > lastSeq + 1
+    };
+};
+
+export default {
+    REPLAYABLE_TYPES,
+    isReplayable,
+    recordFrame,
+    getFramesSince
+};
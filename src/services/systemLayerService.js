@@ -234,48 +234,87 @@ export const recordIntervention = async (sessionId, interventionData) => {
 // DECISION RULES (NO AI)
 // ==========================================
 
+// Idle intervention stages in escalation order, with their time limit field
+export const INTERVENTION_STAGES = ['warning', 'comprehension_check', 'force_change'];
+
+const STAGE_TIME_LIMIT_FIELDS = {
+    warning: 'response_warning',
+    comprehension_check: 'comprehension_check',
+    force_change: 'force_change'
+};
+
+const getLastActivityAt = (memory) =>
+    new Date(memory.adaptive_state?.last_keystroke_at || memory.started_at);
+
+/**
+ * Rank of the stage already sent in the current idle period (-1 = none)
+ * An intervention sent before the last keystroke belongs to an earlier idle period
+ */
+const getDeliveredStageRank = (memory) => {
+    const last = memory.adaptive_state?.last_intervention;
+    if (!last?.stage || !last.at || new Date(last.at) < getLastActivityAt(memory)) return -1;
+    return INTERVENTION_STAGES.indexOf(last.stage);
+};
+
+/**
+ * Next idle stage still to be sent and when it becomes due
+ * Returns null when every stage of the current idle period has been sent
+ */
+export const getNextInterventionDue = (memory) => {
+    const nextStage = INTERVENTION_STAGES[getDeliveredStageRank(memory) + 1];
+    if (!nextStage) return null;
+
+    const limits = memory.adaptive_state.current_time_limits;
+    const seconds = limits[STAGE_TIME_LIMIT_FIELDS[nextStage]];
+    return {
+        stage: nextStage,
+        due_at: new Date(getLastActivityAt(memory).getTime() + seconds * 1000)
+    };
+};
+
 /**
  * Determine if intervention is needed based on pure timing rules
+ * options.escalate: while an intervention is in progress, still allow a later
+ * stage of the same idle period (used by the server-push scheduler)
  */
-export const checkInterventionNeeded = async (sessionId) => {
+export const checkInterventionNeeded = async (sessionId, options = {}) => {
     try {
         const memory = await SessionMemory.findOne({ session_id: sessionId });
         if (!memory || !memory.is_active) return { needed: false };
 
         const now = new Date();
-        const lastKeystroke = memory.adaptive_state.last_keystroke_at || memory.started_at;
+        const lastKeystroke = getLastActivityAt(memory);
         const timeSinceKeystrokeMs = now - lastKeystroke;
         const timeSinceKeystrokeSec = timeSinceKeystrokeMs / 1000;
 
         const timeouts = memory.adaptive_state.current_time_limits;
 
-        // Check if intervention already in progress
-        if (memory.adaptive_state.intervention_in_progress) {
-            return { needed: false, reason: 'intervention_in_progress' };
-        }
-
         // Determine intervention level
+        let type = null;
         if (timeSinceKeystrokeSec >= timeouts.force_change) {
-            return {
-                needed: true,
-                type: 'force_change',
-                seconds_idle: Math.round(timeSinceKeystrokeSec)
-            };
+            type = 'force_change';
         } else if (timeSinceKeystrokeSec >= timeouts.comprehension_check) {
-            return {
-                needed: true,
-                type: 'comprehension_check',
-                seconds_idle: Math.round(timeSinceKeystrokeSec)
-            };
+            type = 'comprehension_check';
         } else if (timeSinceKeystrokeSec >= timeouts.response_warning) {
-            return {
-                needed: true,
-                type: 'warning',
-                seconds_idle: Math.round(timeSinceKeystrokeSec)
-            };
+            type = 'warning';
+        }
+
+        // Check if intervention already in progress
+        if (type && memory.adaptive_state.intervention_in_progress) {
+            const escalates = options.escalate &&
+                INTERVENTION_STAGES.indexOf(type) > getDeliveredStageRank(memory);
+            if (!escalates) {
+                return { needed: false, reason: 'intervention_in_progress' };
+            }
         }
 
-        return { needed: false };
+        if (!type) return { needed: false };
+
+        return {
+            needed: true,
+            type,
+            seconds_idle: Math.round(timeSinceKeystrokeSec)
+        };
     } catch (error) {
         console.error('Error checking intervention:', error);
         return { needed: false, error: error.message };
@@ -341,6 +380,7 @@ export default {
     recordResponseTiming,
     recordIntervention,
     checkInterventionNeeded,
+    getNextInterventionDue,
     identifyArchetypeStrengths,
     calculateEffectiveDifficulty
 };
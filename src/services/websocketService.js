@@ -4,61 +4,306 @@
  * Handles:
  * - Real-time keystroke tracking
  * - AI intervention messages (warnings, questions)
+ * - Server-push idle interventions (interventionSchedulerService)
  * - Session state updates
+ *
+ * The upgrade requires an access token (Authorization: Bearer or ?token=),
+ * and join_session only accepts sessions owned by the caller. Every heartbeat
+ * re-checks the token expiry and the auth session, and closes the socket with
+ * CLOSE_CODES.UNAUTHORIZED once either is gone.
+ *
+ * A session may have several sockets (tabs). Messages for a session are also
+ * published through the pub/sub adapter (config/wsPubSub.js) so sockets held
+ * by other server instances receive them.
+ *
+ * ai_action, hint, new_question and intervention frames carry a per-session
+ * `seq` (sessionOutboxService); resume_session replays the ones a client missed.
+ *
+ * Frame types, validation and error codes are defined in wsProtocolService.
  */
 
 import { WebSocketServer, WebSocket } from 'ws';
 import SessionMemory from '../models/SessionMemory.js';
 import * as orchestrator from './orchestratorService.js';
+import * as interventionScheduler from './interventionSchedulerService.js';
+import * as sessionOutbox from './sessionOutboxService.js';
+import * as protocol from './wsProtocolService.js';
+import { resolveAccessToken, findSessionOwner } from '../middleware/auth.js';
+import { isSessionActive } from './authSessionService.js';
+import { getAdapter, INSTANCE_ID } from '../config/wsPubSub.js';
+import { runWithLLMContext } from '../config/llmGateway.js';
 
-// Store active connections: Map<sessionId, WebSocket>
+// Sockets connected to this instance: Map<sessionId, Set<WebSocket>>
 const activeConnections = new Map();
 
+// Sockets that miss one ping/pong round are terminated
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000');
+
+const SESSION_CHANNEL = 'ws:arena:session';
+
+// ==========================================
+// LOCAL CONNECTION REGISTRY
+// ==========================================
+
+const addSocket = (sessionId, ws) => {
+    let sockets = activeConnections.get(sessionId);
+    if (!sockets) {
+        sockets = new Set();
+        activeConnections.set(sessionId, sockets);
+    }
+    sockets.add(ws);
+};
+
+/**
+ * Remove a socket; returns true when it was the session's last local socket
+ */
+const removeSocket = (sessionId, ws) => {
+    const sockets = activeConnections.get(sessionId);
+    if (!sockets || !sockets.delete(ws)) return false;
+    if (sockets.size > 0) return false;
+    activeConnections.delete(sessionId);
+    return true;
+};
+
+/**
+ * Send a serialized message to this instance's sockets for a session
+ */
+const deliverLocal = (sessionId, payload) => {
+    const sockets = activeConnections.get(sessionId);
+    if (!sockets) return 0;
+
+    let delivered = 0;
+    sockets.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(payload);
+            delivered += 1;
+        }
+    });
+    return delivered;
+};
+
+/**
+ * Deliver messages published by other instances
+ */
+const handlePublished = (raw) => {
+    try {
+        const envelope = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        if (envelope.origin === INSTANCE_ID) return;
+        deliverLocal(envelope.session_id, envelope.payload);
+    } catch (error) {
+        console.error('WebSocket pub/sub error:', error);
+    }
+};
+
+/**
+ * Close a socket whose access token expired or whose auth session was revoked
+ * ws.auth: { user_id, sid, expires_at } from the upgrade
+ */
+const checkSocketAuth = async (ws) => {
+    const auth = ws.auth;
+    if (!auth || ws.readyState !== WebSocket.OPEN) return;
+
+    if (auth.expires_at && auth.expires_at <= new Date()) {
+        ws.close(protocol.CLOSE_CODES.UNAUTHORIZED, 'Token expired');
+        return;
+    }
+    if (!(await isSessionActive(auth.sid, auth.user_id))) {
+        ws.close(protocol.CLOSE_CODES.UNAUTHORIZED, 'Session revoked');
+    }
+};
+
+/**
+ * Terminate sockets that did not answer the previous ping, and close the
+ * ones whose auth no longer holds
+ * Termination emits 'close', which runs the normal session cleanup
+ */
+const startHeartbeat = (wss) => {
+    const interval = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (ws.isAlive === false) {
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+            checkSocketAuth(ws).catch(error => console.error('WebSocket auth check error:', error));
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    interval.unref();
+
+    wss.on('close', () => clearInterval(interval));
+};
+
+/**
+ * Read the access token from the upgrade request
+ * Browsers cannot set headers on WebSocket, so ?token= is accepted too
+ */
+const getUpgradeToken = (req) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.split(' ')[1];
+    }
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+};
+
+/**
+ * Reject the upgrade unless the token resolves to a user
+ * (attached as req.user, with the token expiry as req.tokenExpiresAt)
+ */
+const verifyClient = (info, done) => {
+    resolveAccessToken(getUpgradeToken(info.req))
+        .then(result => {
+            if (result.error) return done(false, result.status, result.error);
+            info.req.user = result.user;
+            info.req.tokenExpiresAt = result.expires_at;
+            done(true);
+        })
+        .catch(error => {
+            console.error('WebSocket auth error:', error);
+            done(false, 500, 'Authentication failed');
+        });
+};
+
 /**
  * Initialize WebSocket server
  */
 export const initWebSocketServer = (server) => {
     const wss = new WebSocketServer({
         server,
-        path: '/ws/arena'
+        path: '/ws/arena',
+        verifyClient
     });
 
+    // Idle interventions are pushed, not polled
+    interventionScheduler.initInterventionScheduler(sendIntervention);
+
+    getAdapter().subscribe(SESSION_CHANNEL, handlePublished)
+        .catch(error => console.error('WebSocket pub/sub subscribe error:', error));
+
+    startHeartbeat(wss);
+
     wss.on('connection', (ws, req) => {
-        console.log('WebSocket client connected');
+        const user = req.user;
+        console.log(`WebSocket client connected (user ${user.id})`);
 
         let sessionId = null;
 
+        // Re-checked on every heartbeat (checkSocketAuth)
+        ws.auth = { user_id: user.id, sid: user.session_id, expires_at: req.tokenExpiresAt };
+
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        let protocolVersion = protocol.PROTOCOL_VERSION;
+
+        const send = (frame) => ws.send(JSON.stringify(frame));
+
+        /**
+         * Attach this socket to a session the user owns, after version negotiation
+         * Returns false (after sending an error frame) when not allowed
+         */
+        const joinSession = async (message) => {
+            const context = { request_type: message.type, request_id: message.request_id };
+
+            const negotiated = protocol.negotiateVersion(message.protocol_version, context);
+            if (!negotiated.ok) {
+                send(negotiated.error);
+                return false;
+            }
+
+            const requestedId = message.session_id;
+            const owner = await findSessionOwner(requestedId);
+            if (!owner.found) {
+                send(protocol.buildError(protocol.ERROR_CODES.SESSION_NOT_FOUND, 'Session not found', context));
+                return false;
+            }
+            if (owner.user_id !== user.id) {
+                send(protocol.buildError(protocol.ERROR_CODES.ACCESS_DENIED, 'Access denied', context));
+                return false;
+            }
+
+            // Switching sessions on the same socket leaves the previous one
+            if (sessionId && sessionId !== requestedId && removeSocket(sessionId, ws)) {
+                interventionScheduler.unwatchSession(sessionId);
+            }
+
+            protocolVersion = negotiated.version;
+            sessionId = requestedId;
+            addSocket(sessionId, ws);
+            interventionScheduler.watchSession(sessionId);
+            return true;
+        };
+
         ws.on('message', async (data) => {
+            const parsed = protocol.parseInbound(data);
+            if (!parsed.ok) {
+                send(parsed.error);
+                return;
+            }
+
+            const { message, schema } = parsed;
+            const context = { request_type: message.type, request_id: message.request_id };
+
+            if (schema.requires_session && !sessionId) {
+                send(protocol.buildError(
+                    protocol.ERROR_CODES.NOT_JOINED,
+                    'Send join_session or resume_session first',
+                    context
+                ));
+                return;
+            }
+
             try {
-                const message = JSON.parse(data.toString());
-
-                switch (message.type) {
-                    case 'join_session':
-                        sessionId = message.session_id;
-                        activeConnections.set(sessionId, ws);
-                        ws.send(JSON.stringify({
-                            type: 'session_joined',
-                            session_id: sessionId
-                        }));
-                        console.log(`Session ${sessionId} joined via WebSocket`);
-                        break;
-
-                    case 'keystroke':
-                        if (sessionId) {
+                // LLM calls made while handling the message are tagged with user, session and type
+                await runWithLLMContext({
+                    user_id: user.id,
+                    session_id: sessionId,
+                    flow: `ws:${message.type}`
+                }, async () => {
+                    switch (message.type) {
+                        case 'join_session':
+                            if (await joinSession(message)) {
+                                send(protocol.buildFrame('session_joined', {
+                                    session_id: sessionId,
+                                    protocol_version: protocolVersion
+                                }));
+                                console.log(`Session ${sessionId} joined via WebSocket`);
+                            }
+                            break;
+
+                        case 'resume_session': {
+                            if (!(await joinSession(message))) break;
+
+                            // Frames sent live while this runs may arrive twice; clients dedupe by seq
+                            const missed = await sessionOutbox.getFramesSince(sessionId, message.last_seq);
+                            missed.frames.forEach(send);
+
+                            send(protocol.buildFrame('session_resumed', {
+                                session_id: sessionId,
+                                protocol_version: protocolVersion,
+                                last_seq: missed.last_seq,
+                                replayed: missed.frames.length,
+                                gap: missed.gap
+                            }));
+                            console.log(`Session ${sessionId} resumed via WebSocket (replayed ${missed.frames.length})`);
+                            break;
+                        }
+
+                        case 'keystroke': {
                             await orchestrator.processUserKeystrokes(sessionId, message.data);
                             // Check if intervention needed
                             const action = await orchestrator.requestNextAction(sessionId);
                             if (action.action !== 'none') {
-                                ws.send(JSON.stringify({
-                                    type: 'ai_action',
-                                    action: action
-                                }));
+                                await sendToSession(sessionId, protocol.buildFrame('ai_action', { action }));
                             }
+                            interventionScheduler.touchSession(sessionId);
+                            break;
                         }
-                        break;
 
-                    case 'user_response':
-                        if (sessionId) {
+                        case 'user_response': {
                             // User submitted a response - process and get next AI action
                             const result = await orchestrator.processUserResponse(
                                 sessionId,
@@ -66,28 +311,22 @@ export const initWebSocketServer = (server) => {
                                 message.time_elapsed
                             );
 
-                            ws.send(JSON.stringify({
-                                type: 'response_processed',
-                                ...result
-                            }));
+                            send(protocol.buildFrame('response_processed', result));
+                            interventionScheduler.touchSession(sessionId);
+                            break;
                         }
-                        break;
 
-                    case 'intervention_response':
-                        if (sessionId) {
+                        case 'intervention_response': {
                             const result = await orchestrator.handleInterventionResponse(
                                 sessionId,
                                 message.response_type
                             );
-                            ws.send(JSON.stringify({
-                                type: 'intervention_result',
-                                ...result
-                            }));
+                            send(protocol.buildFrame('intervention_result', result));
+                            interventionScheduler.touchSession(sessionId);
+                            break;
                         }
-                        break;
 
-                    case 'request_hint':
-                        if (sessionId) {
+                        case 'request_hint': {
                             // User is asking for help
                             const memory = await SessionMemory.findOne({ session_id: sessionId });
                             if (memory) {
@@ -97,30 +336,26 @@ export const initWebSocketServer = (server) => {
                                     memory.user_profile_snapshot,
                                     message.partial_answer || ''
                                 );
-                                ws.send(JSON.stringify({
-                                    type: 'hint',
-                                    message: hint
-                                }));
+                                await sendToSession(sessionId, protocol.buildFrame('hint', { message: hint }));
                             }
+                            break;
                         }
-                        break;
 
-                    case 'ping':
-                        ws.send(JSON.stringify({ type: 'pong' }));
-                        break;
-                }
+                        case 'ping':
+                            send(protocol.buildFrame('pong'));
+                            break;
+                    }
+                });
             } catch (error) {
                 console.error('WebSocket message error:', error);
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: error.message
-                }));
+                send(protocol.buildError(protocol.ERROR_CODES.INTERNAL_ERROR, error.message, context));
             }
         });
 
         ws.on('close', () => {
-            if (sessionId) {
-                activeConnections.delete(sessionId);
+            // Stop scheduling only when the session's last local socket is gone
+            if (sessionId && removeSocket(sessionId, ws)) {
+                interventionScheduler.unwatchSession(sessionId);
                 console.log(`Session ${sessionId} disconnected`);
             }
         });
@@ -135,53 +370,71 @@ export const initWebSocketServer = (server) => {
 };
 
 /**
- * Send message to specific session
+ * Send message to every socket of a session, on this and other instances
+ * Replayable frames are sequenced and buffered first
+ * Resolves true if at least one socket on this instance received it
  */
-export const sendToSession = (sessionId, message) => {
-    const ws = activeConnections.get(sessionId);
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(message));
-        return true;
+export const sendToSession = async (sessionId, message) => {
+    let frame = message;
+    if (sessionOutbox.isReplayable(message)) {
+        try {
+            const seq = await sessionOutbox.recordFrame(sessionId, message);
+            if (seq !== null) frame = { ...message, seq };
+        } catch (error) {
+            // Still deliver live; the frame just cannot be replayed
+            console.error('WebSocket outbox error:', error);
+        }
     }
-    return false;
+
+    const payload = JSON.stringify(frame);
+    const delivered = deliverLocal(sessionId, payload);
+
+    getAdapter().publish(SESSION_CHANNEL, JSON.stringify({
+        origin: INSTANCE_ID,
+        session_id: sessionId,
+        payload
+    })).catch(error => console.error('WebSocket pub/sub publish error:', error));
+
+    return delivered > 0;
 };
 
+/**
+ * Number of sockets connected to this instance for a session
+ */
+export const getLocalConnectionCount = (sessionId) => activeConnections.get(sessionId)?.size || 0;
+
 /**
  * Broadcast AI intervention to session
  */
 export const sendIntervention = (sessionId, interventionType, message, options = {}) => {
-    return sendToSession(sessionId, {
-        type: 'intervention',
+    return sendToSession(sessionId, protocol.buildFrame('intervention', {
         intervention_type: interventionType,
         message,
         ...options
-    });
+    }));
 };
 
 /**
  * Send new question to session
  */
 export const sendNewQuestion = (sessionId, question, questionType = 'follow_up') => {
-    return sendToSession(sessionId, {
-        type: 'new_question',
+    return sendToSession(sessionId, protocol.buildFrame('new_question', {
         question,
         question_type: questionType
-    });
+    }));
 };
 
 /**
  * Send session conclusion
  */
 export const sendConclusion = (sessionId, evaluationData) => {
-    return sendToSession(sessionId, {
-        type: 'session_complete',
-        ...evaluationData
-    });
+    return sendToSession(sessionId, protocol.buildFrame('session_complete', evaluationData));
 };
 
 export default {
     initWebSocketServer,
     sendToSession,
+    getLocalConnectionCount,
     sendIntervention,
     sendNewQuestion,
     sendConclusion
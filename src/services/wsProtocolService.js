@@ -0,0 +1,305 @@
+/**
+ * WebSocket Protocol Service - Message schema for /ws/arena
+ *
+ * Every inbound and outbound frame type is declared here with its fields.
+ * Inbound frames are validated before dispatch; outbound frames are checked
+ * when built and only logged on mismatch, so a server bug never drops a frame.
+ *
+ * Version negotiation: join_session / resume_session may carry
+ * `protocol_version`. It must be in SUPPORTED_VERSIONS (omitted = latest),
+ * and the agreed version is echoed in session_joined / session_resumed.
+ * Bump PROTOCOL_VERSION only for breaking changes; adding optional fields or
+ * new frame types is compatible.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_VERSIONS = [1];
+
+export const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    NOT_JOINED: 'NOT_JOINED',
+    SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+    ACCESS_DENIED: 'ACCESS_DENIED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Close codes (4000-4999 are free for applications)
+export const CLOSE_CODES = {
+    // Access token expired or its auth session was revoked; reconnect with a fresh token
+    UNAUTHORIZED: 4001
+};
+
+const MAX_TEXT_LENGTH = 20000;
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+// Field spec: { type, required, enum, min, max, maxLength }
+// type: string | integer | number | boolean | object | array | any
+
+// Optional on every inbound frame; echoed back in error frames
+const COMMON_INBOUND_FIELDS = {
+    request_id: { type: 'string', maxLength: 100 }
+};
+
+const VERSION_FIELD = { type: 'integer', min: 1 };
+
+export const INBOUND_SCHEMAS = {
+    join_session: {
+        requires_session: false,
+        fields: {
+            session_id: { type: 'string', required: true, maxLength: 100 },
+            protocol_version: VERSION_FIELD
+        }
+    },
+    resume_session: {
+        requires_session: false,
+        fields: {
+            session_id: { type: 'string', required: true, maxLength: 100 },
+            last_seq: { type: 'integer', required: true, min: 0 },
+            protocol_version: VERSION_FIELD
+        }
+    },
+    keystroke: {
+        requires_session: true,
+        fields: {
+            data: { type: 'object', required: true }
+        }
+    },
+    user_response: {
+        requires_session: true,
+        fields: {
+            response: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH },
+            time_elapsed: { type: 'number', min: 0 }
+        }
+    },
+    intervention_response: {
+        requires_session: true,
+        fields: {
+            response_type: {
+                type: 'string',
+                required: true,
+                enum: ['understood', 'not_understood', 'started_typing']
+            }
+        }
+    },
+    request_hint: {
+        requires_session: true,
+        fields: {
+            partial_answer: { type: 'string', maxLength: MAX_TEXT_LENGTH }
+        }
+    },
+    ping: {
+        requires_session: false,
+        fields: {}
+    }
+};
+
+const SEQ_FIELD = { type: 'integer', min: 1 };
+
+export const OUTBOUND_SCHEMAS = {
+    session_joined: {
+        session_id: { type: 'string', required: true },
+        protocol_version: { type: 'integer', required: true }
+    },
+    session_resumed: {
+        session_id: { type: 'string', required: true },
+        protocol_version: { type: 'integer', required: true },
+        last_seq: { type: 'integer', required: true, min: 0 },
+        replayed: { type: 'integer', required: true, min: 0 },
+        gap: { type: 'boolean', required: true }
+    },
+    ai_action: {
+        action: { type: 'object', required: true },
+        seq: SEQ_FIELD
+    },
+    response_processed: {},
+    intervention_result: {},
+    intervention: {
+        intervention_type: { type: 'string', required: true },
+        message: { type: 'any' },
+        action: { type: 'object' },
+        seq: SEQ_FIELD
+    },
+    new_question: {
+        question: { type: 'any', required: true },
+        question_type: { type: 'string' },
+        seq: SEQ_FIELD
+    },
+    session_complete: {},
+    hint: {
+        message: { type: 'any', required: true },
+        seq: SEQ_FIELD
+    },
+    pong: {},
+    error: {
+        code: { type: 'string', required: true, enum: Object.values(ERROR_CODES) },
+        message: { type: 'string', required: true },
+        details: { type: 'array' },
+        request_type: { type: 'string' },
+        request_id: { type: 'string' },
+        supported_versions: { type: 'array' }
+    }
+};
+
+// ==========================================
+// VALIDATION
+// ==========================================
+
+const checkType = (value, type) => {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        default: return true;
+    }
+};
+
+/**
+ * Check an object against field specs; returns a list of { field, issue }
+ */
+const validateFields = (message, fields) => {
+    const details = [];
+
+    Object.entries(fields).forEach(([field, spec]) => {
+        const value = message[field];
+        if (value === undefined || value === null) {
+            if (spec.required) details.push({ field, issue: 'required' });
+            return;
+        }
+        if (!checkType(value, spec.type)) {
+            details.push({ field, issue: `expected ${spec.type}` });
+            return;
+        }
+        if (spec.enum && !spec.enum.includes(value)) {
+            details.push({ field, issue: `must be one of ${spec.enum.join(', ')}` });
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            details.push({ field, issue: `must be >= ${spec.min}` });
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            details.push({ field, issue: `must be <= ${spec.max}` });
+        }
+        if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+            details.push({ field, issue: `longer than ${spec.maxLength}` });
+        }
+    });
+
+    return details;
+};
+
+/**
+ * Parse and validate a raw inbound frame
+ * Returns { ok: true, message, schema } or { ok: false, error } where error is an error frame
+ */
+export const parseInbound = (raw) => {
+    let message;
+    try {
+        message = JSON.parse(raw.toString());
+    } catch (error) {
+        return { ok: false, error: buildError(ERROR_CODES.INVALID_JSON, 'Message is not valid JSON') };
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return { ok: false, error: buildError(ERROR_CODES.INVALID_MESSAGE, 'Message must be a JSON object') };
+    }
+
+    const context = {
+        request_type: typeof message.type === 'string' ? message.type : undefined,
+        request_id: typeof message.request_id === 'string' ? message.request_id : undefined
+    };
+
+    const schema = INBOUND_SCHEMAS[message.type];
+    if (!schema) {
+        return {
+            ok: false,
+            error: buildError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`, context)
+        };
+    }
+
+    const details = validateFields(message, { ...COMMON_INBOUND_FIELDS, ...schema.fields });
+    if (details.length > 0) {
+        return {
+            ok: false,
+            error: buildError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${message.type} message`, { ...context, details })
+        };
+    }
+
+    return { ok: true, message, schema };
+};
+
+/**
+ * Resolve the protocol version requested on join/resume
+ * Returns { ok: true, version } or { ok: false, error }
+ */
+export const negotiateVersion = (requested, context = {}) => {
+    if (requested === undefined || requested === null) {
+        return { ok: true, version: PROTOCOL_VERSION };
+    }
+    if (SUPPORTED_VERSIONS.includes(requested)) {
+        return { ok: true, version: requested };
+    }
+    return {
+        ok: false,
+        error: buildError(
+            ERROR_CODES.UNSUPPORTED_VERSION,
+            `Protocol version ${requested} is not supported`,
+            { ...context, supported_versions: SUPPORTED_VERSIONS }
+        )
+    };
+};
+
+// ==========================================
+// OUTBOUND FRAMES
+// ==========================================
+
+/**
+ * Build an outbound frame; schema mismatches are logged, not thrown
+ */
+export const buildFrame = (type, fields = {}) => {
+    const frame = { type, ...fields };
+
+    const schema = OUTBOUND_SCHEMAS[type];
+    if (!schema) {
+        console.warn(`[WS Protocol] Outbound frame type not in schema: ${type}`);
+    } else {
+        const details = validateFields(frame, schema);
+        if (details.length > 0) {
+            console.warn(`[WS Protocol] Outbound ${type} frame does not match schema:`, details);
+        }
+    }
+
+    return frame;
+};
+
+/**
+ * Build an error frame
+ * extra: { request_type, request_id, details, supported_versions }
+ */
+export const buildError = (code, message, extra = {}) => {
+    const frame = { type: 'error', code, message };
+    Object.entries(extra).forEach(([key, value]) => {
+        if (value !== undefined) frame[key] = value;
+    });
+    return frame;
+};
+
+export default {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    ERROR_CODES,
+    CLOSE_CODES,
+    INBOUND_SCHEMAS,
+    OUTBOUND_SCHEMAS,
+    parseInbound,
+    negotiateVersion,
+    buildFrame,
+    buildError
+};
@@ -11,7 +11,8 @@ import UserProfile from '../models/UserProfile.js';
  * 
  * SPEC #8: Rule Enforcement Priority
  * - XP rules executed in backend only
- * - No admin manual XP injection
+ * - No admin manual XP injection; a review_correction only re-grades one
+ *   awarded session and needs a reason and a second approver
  * - Full audit trail
  */
 
@@ -117,18 +118,23 @@ export const calculateIsolatedXP = async (evaluation, problem, profile, sessionD
 /**
  * Validate XP award before applying
  * Ensures XP comes from valid source only
+ * review_correction: xpBreakdown is the change and context is required (see validateXPCorrection)
  */
-export const validateXPAward = (xpBreakdown, source) => {
-    // RULE: Only 'arena_submit' is allowed as source
-    const validSources = ['arena_submit'];
+export const validateXPAward = (xpBreakdown, source, context = null) => {
+    // RULE: 'arena_submit' earns XP; 'review_correction' only re-grades an awarded session
+    const validSources = ['arena_submit', 'review_correction'];
 
     if (!validSources.includes(source)) {
         return {
             valid: false,
-            error: `Invalid XP source: ${source}. Only arena_submit is allowed.`
+            error: `Invalid XP source: ${source}. Only arena_submit and approved review corrections are allowed.`
         };
     }
 
+    if (source === 'review_correction') {
+        return validateXPCorrection(xpBreakdown, context);
+    }
+
     // Validate XP values are reasonable
     const archetypes = ['risk_taker', 'analyst', 'builder', 'strategist'];
     for (const arch of archetypes) {
@@ -149,6 +155,45 @@ export const validateXPAward = (xpBreakdown, source) => {
     return { valid: true };
 };
 
+/**
+ * Validate a review correction before applying
+ * context: { reason, corrects (the session's arena_submit award entry), proposed_by,
+ *            approved_by[], required_approvals, standing (the session's award now in force) }
+ * The corrected award (standing + change) must stay within what one arena_submit can award
+ */
+export const validateXPCorrection = (change, context) => {
+    if (!context) {
+        return { valid: false, error: 'review_correction needs its review context' };
+    }
+    if (!context.reason?.trim()) {
+        return { valid: false, error: 'A correction needs a reason' };
+    }
+    if (context.corrects?.source !== 'arena_submit' || context.corrects?.action !== 'award' || !context.corrects?._id) {
+        return { valid: false, error: 'A correction must link the arena_submit award entry it corrects' };
+    }
+
+    const approvers = [...new Set(context.approved_by || [])].filter(id => id && id !== context.proposed_by);
+    if (!context.proposed_by || approvers.length < Math.max(1, context.required_approvals || 1)) {
+        return {
+            valid: false,
+            error: `A correction needs ${Math.max(1, context.required_approvals || 1)} approver(s) besides the proposer`
+        };
+    }
+
+    const archetypes = ['risk_taker', 'analyst', 'builder', 'strategist'];
+    for (const arch of archetypes) {
+        const corrected = (context.standing?.[arch] || 0) + change[arch];
+        if (!Number.isInteger(change[arch])) {
+            return { valid: false, error: `Correction for ${arch} must be an integer` };
+        }
+        if (corrected < 0 || corrected > 100) {
+            return { valid: false, error: `Corrected award for ${arch} out of range: ${corrected}` };
+        }
+    }
+
+    return { valid: true };
+};
+
 // ==========================================
 // AUDIT LOGGING
 // ==========================================
@@ -156,8 +201,9 @@ export const validateXPAward = (xpBreakdown, source) => {
 /**
  * Create immutable XP audit log
  * This is the ONLY way XP changes are recorded
+ * Pass options.session to write the log inside the caller's transaction
  */
-export const createXPAuditLog = async (userId, action, xpBefore, xpAfter, source, metadata = {}) => {
+export const createXPAuditLog = async (userId, action, xpBefore, xpAfter, source, metadata = {}, options = {}) => {
     const xpChange = {
         risk_taker: xpAfter.risk_taker - xpBefore.risk_taker,
         analyst: xpAfter.analyst - xpBefore.analyst,
@@ -167,7 +213,7 @@ export const createXPAuditLog = async (userId, action, xpBefore, xpAfter, source
             (xpBefore.risk_taker + xpBefore.analyst + xpBefore.builder + xpBefore.strategist)
     };
 
-    const auditLog = await XPAuditLog.create({
+    const entry = {
         user_id: userId,
         action,
         xp_before: {
@@ -184,7 +230,7 @@ export const createXPAuditLog = async (userId, action, xpBefore, xpAfter, source
             strategist: xpAfter.strategist,
             total: xpAfter.risk_taker + xpAfter.analyst + xpAfter.builder + xpAfter.strategist
         },
-        xp_change,
+        xp_change: xpChange,
         source,
         session_id: metadata.session_id,
         problem_id: metadata.problem_id,
@@ -194,9 +240,73 @@ export const createXPAuditLog = async (userId, action, xpBefore, xpAfter, source
             courage_xp: metadata.courage_xp,
             accuracy_xp: metadata.accuracy_xp,
             stagnation_detected: metadata.stagnation_detected,
-            exploit_detected: metadata.exploit_detected
+            exploit_detected: metadata.exploit_detected,
+            level_changes: metadata.level_changes,
+            aggregate_level_before: metadata.aggregate_level_before,
+            aggregate_level_after: metadata.aggregate_level_after,
+            micro_difficulty_offset: metadata.micro_difficulty_offset,
+            review_id: metadata.review_id
+        },
+        correction: metadata.correction
+    };
+
+    // Outside a transaction a concurrent append can take the same sequence; retry on the unique index.
+    // Inside one the chain head was read from a stale snapshot, so the whole transaction has
+    // to run again: the error is labelled transient, which connection.transaction retries.
+    // Any other duplicate key is deterministic and is thrown as is
+    const attempts = options.session ? 1 : 3;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await appendToAuditChain(entry, options.session);
+        } catch (error) {
+            if (!isChainConflict(error)) throw error;
+            if (options.session) error.addErrorLabel?.('TransientTransactionError');
+            if (attempt >= attempts) throw error;
         }
+    }
+};
+
+/**
+ * Duplicate key on the { user_id, sequence } chain index: another append took the position
+ */
+const isChainConflict = (error) => (
+    error?.code === 11000 && !!error.keyPattern?.user_id && !!error.keyPattern?.sequence
+);
+
+/**
+ * Write conflict that outlived the transaction retries (e.g. concurrent submits of one user);
+ * the request can be sent again. Other duplicate keys are bugs, not conflicts
+ */
+export const isWriteConflict = (error) => (
+    isChainConflict(error) || !!error?.hasErrorLabel?.('TransientTransactionError')
+);
+
+/**
+ * Link an entry to the user's hash chain and save it
+ * The chain head is mirrored on UserProfile so a truncated tail is detectable
+ */
+const appendToAuditChain = async (entry, session) => {
+    const last = await XPAuditLog.findOne({ user_id: entry.user_id, sequence: { $exists: true } })
+        .sort({ sequence: -1 })
+        .select('sequence entry_hash')
+        .session(session || null)
+        .lean();
+
+    const auditLog = new XPAuditLog({
+        ...entry,
+        sequence: (last?.sequence || 0) + 1,
+        prev_hash: last?.entry_hash || XPAuditLog.GENESIS_HASH,
+        hash_alg: XPAuditLog.HMAC_HASH_ALG
     });
+    // Hash the casted document so the verifier sees exactly what was stored
+    auditLog.entry_hash = XPAuditLog.computeHash(auditLog.toObject());
+    await auditLog.save({ session });
+
+    await UserProfile.updateOne(
+        { user_id: entry.user_id },
+        { $set: { xp_audit_head: { sequence: auditLog.sequence, hash: auditLog.entry_hash } } },
+        { session }
+    );
 
     return auditLog;
 };
@@ -211,18 +321,81 @@ export const getXPAuditHistory = async (userId, limit = 50) => {
         .lean();
 };
 
+/**
+ * Verify a user's audit hash chain
+ * Recomputes every entry hash, checks prev_hash links and sequence continuity,
+ * and compares the last entry with the head recorded on the profile
+ * Unkeyed (plain SHA-256) entries are counted; one after a keyed entry is a downgrade
+ */
+export const verifyAuditChain = async (userId) => {
+    const breaks = [];
+    let previous = null;
+    let entriesChecked = 0;
+    let unkeyedEntries = 0;
+    let keyedSeen = false;
+
+    const legacyEntries = await XPAuditLog.countDocuments({ user_id: userId, sequence: { $exists: false } });
+
+    const cursor = XPAuditLog.find({ user_id: userId, sequence: { $exists: true } })
+        .sort({ sequence: 1 })
+        .lean()
+        .cursor();
+
+    for await (const entry of cursor) {
+        entriesChecked += 1;
+        const expectedSequence = (previous?.sequence || 0) + 1;
+        const expectedPrevHash = previous ? previous.entry_hash : XPAuditLog.GENESIS_HASH;
+
+        if (entry.sequence !== expectedSequence) {
+            breaks.push({ sequence: entry.sequence, entry_id: entry._id, reason: 'sequence_gap', expected: expectedSequence });
+        }
+        if (entry.prev_hash !== expectedPrevHash) {
+            breaks.push({ sequence: entry.sequence, entry_id: entry._id, reason: 'prev_hash_mismatch' });
+        }
+        if (XPAuditLog.computeHash(entry) !== entry.entry_hash) {
+            breaks.push({ sequence: entry.sequence, entry_id: entry._id, reason: 'hash_mismatch' });
+        }
+        if (entry.hash_alg === XPAuditLog.HMAC_HASH_ALG) {
+            keyedSeen = true;
+        } else {
+            unkeyedEntries += 1;
+            // Entries are keyed since the HMAC was introduced; a plain one after that was rewritten
+            if (keyedSeen) breaks.push({ sequence: entry.sequence, entry_id: entry._id, reason: 'unkeyed_hash' });
+        }
+
+        previous = entry;
+    }
+
+    const profile = await UserProfile.findOne({ user_id: userId }).select('xp_audit_head').lean();
+    const head = previous ? { sequence: previous.sequence, hash: previous.entry_hash } : null;
+    const profileHead = profile?.xp_audit_head?.hash ? profile.xp_audit_head : null;
+
+    if ((head?.hash || null) !== (profileHead?.hash || null)) {
+        breaks.push({ sequence: head?.sequence || null, reason: 'head_mismatch', profile_head: profileHead });
+    }
+
+    return {
+        user_id: userId,
+        valid: breaks.length === 0,
+        entries_checked: entriesChecked,
+        legacy_entries: legacyEntries,
+        unkeyed_entries: unkeyedEntries,
+        head,
+        profile_head: profileHead,
+        breaks,
+        verified_at: new Date()
+    };
+};
+
 // ==========================================
 // STAGNATION MANAGEMENT
 // ==========================================
 
 /**
- * Check and update stagnation state
+ * Apply stagnation rules to a loaded profile (caller saves it)
  * SPEC #6: XP Freeze & Stagnation State
  */
-export const updateStagnationState = async (userId, totalXpGain) => {
-    const profile = await UserProfile.findOne({ user_id: userId });
-    if (!profile) return null;
-
+export const applyStagnationState = (profile, totalXpGain) => {
     if (totalXpGain === 0) {
         // Increment stagnation counter
         profile.stagnation_count = (profile.stagnation_count || 0) + 1;
@@ -236,14 +409,26 @@ export const updateStagnationState = async (userId, totalXpGain) => {
         profile.xp_state = 'progressing';
     }
 
-    await profile.save();
-
     return {
         xp_state: profile.xp_state,
         stagnation_count: profile.stagnation_count
     };
 };
 
+/**
+ * Check and update stagnation state
+ * SPEC #6: XP Freeze & Stagnation State
+ */
+export const updateStagnationState = async (userId, totalXpGain) => {
+    const profile = await UserProfile.findOne({ user_id: userId });
+    if (!profile) return null;
+
+    const state = applyStagnationState(profile, totalXpGain);
+    await profile.save();
+
+    return state;
+};
+
 /**
  * Freeze XP for a user (due to exploit detection)
  */
@@ -310,8 +495,12 @@ export const isXPFrozen = async (userId) => {
 export default {
     calculateIsolatedXP,
     validateXPAward,
+    validateXPCorrection,
     createXPAuditLog,
+    isWriteConflict,
     getXPAuditHistory,
+    verifyAuditChain,
+    applyStagnationState,
     updateStagnationState,
     freezeXP,
     isXPFrozen
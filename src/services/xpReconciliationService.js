@@ -0,0 +1,323 @@
+import XPAuditLog from '../models/XPAuditLog.js';
+import UserProfile from '../models/UserProfile.js';
+import { createXPAuditLog } from './xpGuardService.js';
+
+/**
+ * XP Reconciliation Service - Verifies profile XP against the audit ledger
+ *
+ * SPEC #8: Rule Enforcement Priority
+ * - XPAuditLog is the only record of XP changes, so UserProfile.xp_* must
+ *   equal the sum of the user's ledger
+ * - Each entry's xp_before must equal the previous entry's xp_after
+ * - XP held before the ledger existed is not a mismatch: it is reported as pre_ledger_xp
+ *   and can be recorded once as an opening_balance entry (recordOpeningBalances)
+ * - Mismatched profiles can be quarantined: no XP is awarded until an admin releases them
+ */
+
+const ARCHETYPES = ['risk_taker', 'analyst', 'builder', 'strategist'];
+
+const emptyXP = () => ({ risk_taker: 0, analyst: 0, builder: 0, strategist: 0 });
+
+const profileXP = (profile) => ({
+    risk_taker: profile.xp_risk_taker || 0,
+    analyst: profile.xp_analyst || 0,
+    builder: profile.xp_builder || 0,
+    strategist: profile.xp_strategist || 0
+});
+
+/**
+ * Archetypes where two XP snapshots differ, with the difference (b - a)
+ */
+const diffXP = (a, b) => {
+    const diff = {};
+    ARCHETYPES.forEach(arch => {
+        const delta = (b?.[arch] || 0) - (a?.[arch] || 0);
+        if (delta !== 0) diff[arch] = delta;
+    });
+    return diff;
+};
+
+const hasDiff = (diff) => Object.keys(diff).length > 0;
+
+const PROFILE_XP_FIELDS = 'user_id xp_risk_taker xp_analyst xp_builder xp_strategist xp_quarantine';
+
+// Profile and ledger are read from one snapshot, so a submit committing in between cannot look like drift
+const SNAPSHOT = { readConcern: { level: 'snapshot' } };
+
+// ==========================================
+// LEDGER REPLAY
+// ==========================================
+
+/**
+ * Replay one user's audit chain and compare it with the profile
+ * Profile and entries are read in one transaction snapshot
+ *
+ * Issue types:
+ * - gap: xp_before differs from the previous entry's xp_after
+ * - inconsistent_entry: xp_after - xp_before differs from xp_change
+ * - profile_drift: profile XP differs from the sum of the ledger
+ *
+ * pre_ledger_xp: XP the profile held before its first entry (the first entry's xp_before,
+ * or all profile XP when there is no entry yet); counted as the starting balance, not an issue
+ */
+export const reconcileUser = async (userId) => {
+    let profile = null;
+    let entries = [];
+    await UserProfile.db.transaction(async (session) => {
+        profile = await UserProfile.findOne({ user_id: userId })
+            .select(PROFILE_XP_FIELDS)
+            .session(session)
+            .lean();
+        if (!profile) return;
+
+        // Chain order; legacy entries (no sequence) sort first, in insertion order
+        entries = await XPAuditLog.find({ user_id: userId })
+            .sort({ sequence: 1, _id: 1 })
+            .session(session)
+            .lean();
+    }, SNAPSHOT);
+    if (!profile) return null;
+
+    const issues = [];
+    const currentXP = profileXP(profile);
+    const preLedgerXP = entries.length > 0 ? diffXP(emptyXP(), entries[0].xp_before) : diffXP(emptyXP(), currentXP);
+    const ledgerSum = { ...emptyXP(), ...preLedgerXP };
+    let previous = null;
+
+    for (const entry of entries) {
+        if (previous) {
+            const chainDiff = diffXP(previous.xp_after, entry.xp_before);
+            if (hasDiff(chainDiff)) {
+                issues.push({
+                    type: 'gap',
+                    entry_id: entry._id,
+                    sequence: entry.sequence,
+                    previous_entry_id: previous._id,
+                    created_at: entry.created_at,
+                    difference: chainDiff
+                });
+            }
+        }
+
+        const recorded = {};
+        ARCHETYPES.forEach(arch => { recorded[arch] = entry.xp_change?.[arch] || 0; });
+        const entryDiff = diffXP(recorded, diffXP(entry.xp_before, entry.xp_after));
+        if (hasDiff(entryDiff)) {
+            issues.push({
+                type: 'inconsistent_entry',
+                entry_id: entry._id,
+                sequence: entry.sequence,
+                created_at: entry.created_at,
+                difference: entryDiff
+            });
+        }
+
+        ARCHETYPES.forEach(arch => { ledgerSum[arch] += recorded[arch]; });
+        previous = entry;
+    }
+
+    const drift = diffXP(ledgerSum, currentXP);
+    if (hasDiff(drift)) {
+        issues.push({
+            type: 'profile_drift',
+            difference: drift
+        });
+    }
+
+    return {
+        user_id: profile.user_id,
+        ok: issues.length === 0,
+        entries_checked: entries.length,
+        profile_xp: currentXP,
+        ledger_xp: ledgerSum,
+        pre_ledger_xp: hasDiff(preLedgerXP) ? preLedgerXP : null,
+        // XP without any entry yet: recordOpeningBalances anchors it in the chain
+        needs_opening_balance: entries.length === 0 && hasDiff(preLedgerXP),
+        last_xp_after: previous ? previous.xp_after : null,
+        issues,
+        quarantined: !!profile.xp_quarantine?.active,
+        checked_at: new Date()
+    };
+};
+
+/**
+ * Reconcile many profiles
+ * options: { user_ids, limit, quarantine } - quarantine flags every mismatched profile
+ * (pre-ledger XP alone is not a mismatch)
+ */
+export const reconcileAll = async (options = {}) => {
+    const { user_ids, limit, quarantine = false } = options;
+
+    const summary = {
+        started_at: new Date(),
+        checked: 0,
+        mismatched: 0,
+        quarantined: 0,
+        needs_opening_balance: 0,
+        reports: []
+    };
+
+    for await (const { user_id: userId } of findProfiles({ user_ids, limit }).cursor()) {
+        const report = await reconcileUser(userId);
+        if (!report) continue;
+        summary.checked += 1;
+        if (report.needs_opening_balance) summary.needs_opening_balance += 1;
+        if (report.ok) continue;
+
+        summary.mismatched += 1;
+        if (quarantine && !report.quarantined) {
+            await quarantineProfile(userId, summarizeIssues(report.issues));
+            report.quarantined = true;
+            summary.quarantined += 1;
+        }
+        summary.reports.push(report);
+    }
+
+    summary.finished_at = new Date();
+    return summary;
+};
+
+const findProfiles = ({ user_ids, limit }) => {
+    const filter = user_ids?.length ? { user_id: { $in: user_ids } } : {};
+    let query = UserProfile.find(filter).select('user_id').sort({ _id: 1 }).lean();
+    if (limit) query = query.limit(parseInt(limit));
+    return query;
+};
+
+// ==========================================
+// OPENING BALANCES
+// ==========================================
+
+/**
+ * Record the XP of profiles without any ledger entry as an opening_balance entry
+ * (migration for XP awarded before the ledger); profiles with entries or no XP are skipped
+ * options: { user_ids, limit }
+ */
+export const recordOpeningBalances = async (options = {}) => {
+    const summary = { checked: 0, opened: 0, user_ids: [] };
+
+    for await (const { user_id: userId } of findProfiles(options).cursor()) {
+        summary.checked += 1;
+
+        let opened = false;
+        await UserProfile.db.transaction(async (session) => {
+            opened = false;
+            const profile = await UserProfile.findOne({ user_id: userId })
+                .select(PROFILE_XP_FIELDS)
+                .session(session)
+                .lean();
+            const xp = profileXP(profile || {});
+            if (!profile || !hasDiff(diffXP(emptyXP(), xp))) return;
+            if (await XPAuditLog.exists({ user_id: userId }).session(session)) return;
+
+            await createXPAuditLog(userId, 'opening_balance', emptyXP(), xp, 'ledger_migration', {
+                evaluation_summary: 'Opening balance: XP held before the audit ledger'
+            }, { session });
+            opened = true;
+        });
+
+        if (opened) {
+            summary.opened += 1;
+            summary.user_ids.push(userId);
+        }
+    }
+
+    return summary;
+};
+
+const summarizeIssues = (issues) => {
+    const counts = {};
+    issues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+    return 'XP ledger mismatch: ' + Object.entries(counts).map(([type, n]) => `${type} x${n}`).join(', ');
+};
+
+// ==========================================
+// QUARANTINE
+// ==========================================
+
+/**
+ * Quarantine a profile: arena submit stops awarding XP until released
+ */
+export const quarantineProfile = async (userId, reason) => {
+    return UserProfile.findOneAndUpdate(
+        { user_id: userId },
+        {
+            $set: {
+                'xp_quarantine.active': true,
+                'xp_quarantine.reason': reason,
+                'xp_quarantine.quarantined_at': new Date(),
+                'xp_quarantine.released_at': null,
+                'xp_quarantine.released_by': null
+            }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Release a quarantined profile (admin action, XP itself is untouched)
+ */
+export const releaseQuarantine = async (userId, adminId) => {
+    return UserProfile.findOneAndUpdate(
+        { user_id: userId, 'xp_quarantine.active': true },
+        {
+            $set: {
+                'xp_quarantine.active': false,
+                'xp_quarantine.released_at': new Date(),
+                'xp_quarantine.released_by': adminId
+            }
+        },
+        { new: true }
+    );
+};
+
+// ==========================================
+// SCHEDULED JOB
+// ==========================================
+
+let jobTimer = null;
+let jobRunning = false;
+
+/**
+ * Run reconcileAll periodically
+ * XP_RECONCILIATION_INTERVAL_MINUTES enables it, XP_RECONCILIATION_QUARANTINE=true quarantines mismatches
+ */
+export const startReconciliationJob = () => {
+    const intervalMinutes = parseInt(process.env.XP_RECONCILIATION_INTERVAL_MINUTES || '0');
+    if (!intervalMinutes || jobTimer) return null;
+
+    const quarantine = process.env.XP_RECONCILIATION_QUARANTINE === 'true';
+
+    jobTimer = setInterval(async () => {
+        // Skip a tick while the previous run is still going
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            const summary = await reconcileAll({ quarantine });
+            console.log(`[XP Reconciliation] checked=${summary.checked} mismatched=${summary.mismatched} quarantined=${summary.quarantined}`);
+        } catch (error) {
+            console.error('[XP Reconciliation] Job error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    }, intervalMinutes * 60 * 1000);
+    jobTimer.unref();
+
+    console.log(`[XP Reconciliation] Job scheduled every ${intervalMinutes} minutes`);
+    return jobTimer;
+};
+
+export const stopReconciliationJob = () => {
+    if (jobTimer) clearInterval(jobTimer);
+    jobTimer = null;
+};
+
+export default {
+    reconcileUser,
+    reconcileAll,
+    recordOpeningBalances,
+    quarantineProfile,
+    releaseQuarantine,
+    startReconciliationJob,
+    stopReconciliationJob
+};
@@ -0,0 +1,153 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import XPAuditLog from '../src/models/XPAuditLog.js';
+import UserProfile from '../src/models/UserProfile.js';
+import { verifyAuditChain } from '../src/services/xpGuardService.js';
+
+const entry = () => ({
+    user_id: 'user-1',
+    sequence: 3,
+    action: 'award',
+    xp_before: { risk_taker: 10, analyst: 5, builder: 0, strategist: 0, total: 15 },
+    xp_after: { risk_taker: 14, analyst: 9, builder: 2, strategist: 0, total: 25 },
+    xp_change: { risk_taker: 4, analyst: 4, builder: 2, strategist: 0, total: 10 },
+    source: 'arena_submit',
+    session_id: 'session-1',
+    problem_id: 'PROB-1',
+    problem_difficulty: 2,
+    evaluation_summary: 'Solid trade-off analysis',
+    metadata: { courage_xp: 3, accuracy_xp: 7 },
+    created_at: new Date('2026-03-01T10:00:00.000Z'),
+    prev_hash: XPAuditLog.GENESIS_HASH
+});
+
+describe('XPAuditLog.computeHash', () => {
+    test('is a stable SHA-256 hex digest', () => {
+        const hash = XPAuditLog.computeHash(entry());
+
+        expect(hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(XPAuditLog.computeHash(entry())).toBe(hash);
+    });
+
+    test('ignores key order', () => {
+        const reordered = Object.fromEntries(Object.entries(entry()).reverse());
+        reordered.xp_change = { total: 10, strategist: 0, builder: 2, analyst: 4, risk_taker: 4 };
+
+        expect(XPAuditLog.computeHash(reordered)).toBe(XPAuditLog.computeHash(entry()));
+    });
+
+    test('ignores fields outside the hash and values MongoDB does not store', () => {
+        const stored = {
+            ...entry(),
+            _id: 'abc',
+            entry_hash: 'f'.repeat(64),
+            correction: {},
+            metadata: { ...entry().metadata, level_changes: null, exploit_detected: undefined }
+        };
+
+        expect(XPAuditLog.computeHash(stored)).toBe(XPAuditLog.computeHash(entry()));
+    });
+
+    test('dates and their ISO strings hash the same', () => {
+        expect(XPAuditLog.computeHash({ ...entry(), created_at: '2026-03-01T10:00:00.000Z' }))
+            .toBe(XPAuditLog.computeHash(entry()));
+    });
+
+    test('any change to hashed content changes the hash', () => {
+        const hash = XPAuditLog.computeHash(entry());
+        const tampered = entry();
+        tampered.xp_after.analyst = 90;
+
+        expect(XPAuditLog.computeHash(tampered)).not.toBe(hash);
+        expect(XPAuditLog.computeHash({ ...entry(), prev_hash: 'a'.repeat(64) })).not.toBe(hash);
+        expect(XPAuditLog.computeHash({ ...entry(), sequence: 4 })).not.toBe(hash);
+    });
+});
+
+describe('keyed chain hashes', () => {
+    const saved = process.env.XP_AUDIT_HMAC_SECRET;
+    const keyed = () => ({ ...entry(), hash_alg: XPAuditLog.HMAC_HASH_ALG });
+
+    afterEach(() => {
+        if (saved === undefined) delete process.env.XP_AUDIT_HMAC_SECRET;
+        else process.env.XP_AUDIT_HMAC_SECRET = saved;
+        jest.restoreAllMocks();
+    });
+
+    test('depend on the server key', () => {
+        process.env.XP_AUDIT_HMAC_SECRET = 'key-one';
+        const hash = XPAuditLog.computeHash(keyed());
+
+        process.env.XP_AUDIT_HMAC_SECRET = 'key-two';
+
+        expect(hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(XPAuditLog.computeHash(keyed())).not.toBe(hash);
+    });
+
+    test('cannot be recomputed without the key', () => {
+        process.env.XP_AUDIT_HMAC_SECRET = 'key-one';
+
+        expect(XPAuditLog.computeHash(keyed())).not.toBe(XPAuditLog.computeHash(entry()));
+    });
+
+    // Chain of lean entries with linked hashes; entries from sequence unkeyedFrom on use plain SHA-256
+    const chain = (length, { unkeyedFrom = length + 1 } = {}) => {
+        const entries = [];
+        for (let sequence = 1; sequence <= length; sequence++) {
+            const item = {
+                ...entry(),
+                _id: `entry-${sequence}`,
+                sequence,
+                prev_hash: entries.length ? entries[entries.length - 1].entry_hash : XPAuditLog.GENESIS_HASH
+            };
+            if (sequence < unkeyedFrom) item.hash_alg = XPAuditLog.HMAC_HASH_ALG;
+            item.entry_hash = XPAuditLog.computeHash(item);
+            entries.push(item);
+        }
+        return entries;
+    };
+
+    const mockChain = (entries) => {
+        const last = entries[entries.length - 1];
+        jest.spyOn(XPAuditLog, 'countDocuments').mockImplementation(async () => 0);
+        jest.spyOn(XPAuditLog, 'find').mockImplementation(() => ({
+            sort: () => ({ lean: () => ({ cursor: async function* () { yield* entries; } }) })
+        }));
+        jest.spyOn(UserProfile, 'findOne').mockImplementation(() => ({
+            select: () => ({ lean: async () => ({ xp_audit_head: { sequence: last.sequence, hash: last.entry_hash } }) })
+        }));
+    };
+
+    test('a keyed chain verifies', async () => {
+        process.env.XP_AUDIT_HMAC_SECRET = 'key-one';
+        mockChain(chain(3));
+
+        const result = await verifyAuditChain('user-1');
+
+        expect(result).toMatchObject({ valid: true, entries_checked: 3, unkeyed_entries: 0 });
+    });
+
+    test('a chain rewritten with a different key is detected', async () => {
+        process.env.XP_AUDIT_HMAC_SECRET = 'attacker-key';
+        const forged = chain(3);
+        process.env.XP_AUDIT_HMAC_SECRET = 'key-one';
+        mockChain(forged);
+
+        const result = await verifyAuditChain('user-1');
+
+        expect(result.valid).toBe(false);
+        expect(result.breaks.filter(b => b.reason === 'hash_mismatch')).toHaveLength(3);
+    });
+
+    test('older unkeyed entries are counted, an unkeyed entry after a keyed one is a break', async () => {
+        process.env.XP_AUDIT_HMAC_SECRET = 'key-one';
+        mockChain(chain(2, { unkeyedFrom: 1 }));
+        expect(await verifyAuditChain('user-1')).toMatchObject({ valid: true, unkeyed_entries: 2 });
+        jest.restoreAllMocks();
+
+        mockChain(chain(3, { unkeyedFrom: 3 }));
+        const downgraded = await verifyAuditChain('user-1');
+
+        expect(downgraded.valid).toBe(false);
+        expect(downgraded.breaks).toEqual([{ sequence: 3, entry_id: 'entry-3', reason: 'unkeyed_hash' }]);
+    });
+});
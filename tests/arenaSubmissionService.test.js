@@ -0,0 +1,359 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ArenaSession from '../src/models/ArenaSession.js';
+import UserProfile from '../src/models/UserProfile.js';
+import Problem from '../src/models/Problem.js';
+import Achievement from '../src/models/Achievement.js';
+import Artifact from '../src/models/Artifact.js';
+import ResponseHistory from '../src/models/ResponseHistory.js';
+import DifficultyBaseline from '../src/models/DifficultyBaseline.js';
+import XPAuditLog from '../src/models/XPAuditLog.js';
+import ReviewItem from '../src/models/ReviewItem.js';
+import {
+    submitSolution,
+    registerStage,
+    resetStages,
+    getDisabledStages
+} from '../src/services/arenaSubmissionService.js';
+
+/**
+ * The submit pipeline end to end with LLM_MOCK=true: every LLM answer comes from
+ * the seeded mock provider, and the models are backed by in-memory fixtures
+ */
+
+const SOLUTION = 'I would launch to existing customers first, but at the cost of slower growth. '
+    + 'The main risk is churn if onboarding fails, so the team keeps a manual fallback and asks investors '
+    + 'for a longer runway. However, the partners need a clear timeline, so we commit to a two week pilot.';
+
+// Chainable stand-in for a mongoose Query
+const query = (value) => {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        session: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+const baselineFor = (level) => ({
+    level,
+    version: 1,
+    baseline_metrics: {
+        min_response_quality: 0.3 + level * 0.05,
+        min_decision_depth: Math.min(level + 2, 10),
+        min_tradeoff_consideration: Math.ceil(level / 3),
+        xp_multiplier: 1 + level * 0.1
+    },
+    validation_criteria: {
+        requires_tradeoff_analysis: level >= 3,
+        requires_risk_assessment: level >= 5,
+        requires_multi_perspective: level >= 7,
+        min_word_count: 20
+    }
+});
+
+let db;
+
+const setupFixtures = ({ profile: profileFields = {}, session: sessionFields = {} } = {}) => {
+    const profile = new UserProfile({
+        user_id: 'user-1',
+        email: 'user@example.com',
+        name: 'User',
+        current_difficulty: 2,
+        highest_difficulty_conquered: 2,
+        ...profileFields
+    });
+    const session = new ArenaSession({
+        user_id: 'user-1',
+        problem_id: 'PROB-1',
+        status: 'in_progress',
+        difficulty_at_start: 2,
+        ...sessionFields
+    });
+    const problem = new Problem({
+        problem_id: 'PROB-1',
+        title: 'Pricing pilot',
+        context: 'A small SaaS team has to decide how to launch a new pricing plan.',
+        objective: 'Choose a launch plan',
+        difficulty: 3
+    });
+
+    db = { profile, session, problem, sessions: [session], responses: [], audit: [], achievements: [], artifacts: [], reviews: [] };
+
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+
+    jest.spyOn(ArenaSession, 'findById').mockImplementation(() => query(db.session));
+    jest.spyOn(ArenaSession, 'find').mockImplementation((filter) => query(db.sessions
+        .filter(s => filter._id.$in.includes(s._id.toString()) && s.status === filter.status)
+        .map(s => s.toObject())));
+    jest.spyOn(ArenaSession, 'findOneAndUpdate').mockImplementation((filter, update) => {
+        if (db.session.status !== filter.status) return query(null);
+        db.session.set(update.$set);
+        return query(db.session);
+    });
+    jest.spyOn(ArenaSession, 'updateOne').mockImplementation(async (filter, update) => {
+        db.session.set(update.$set);
+        return { modifiedCount: 1 };
+    });
+
+    jest.spyOn(Problem, 'findOne').mockImplementation(() => query(db.problem));
+    jest.spyOn(UserProfile, 'findOne').mockImplementation(() => query(db.profile));
+    jest.spyOn(UserProfile, 'updateOne').mockImplementation(async (filter, update) => {
+        db.profile.set(update.$set);
+        return { modifiedCount: 1 };
+    });
+    jest.spyOn(UserProfile.prototype, 'save').mockImplementation(async function () { return this; });
+
+    jest.spyOn(ResponseHistory, 'find').mockImplementation((filter) => query(db.responses.filter(r => (
+        filter.response_hash ? r.response_hash === filter.response_hash && r.user_id !== filter.user_id.$ne : r.user_id === filter.user_id
+    ))));
+    jest.spyOn(ResponseHistory, 'create').mockImplementation(async (doc) => {
+        db.responses.push({ ...doc, created_at: new Date() });
+        return doc;
+    });
+
+    jest.spyOn(DifficultyBaseline, 'getBaselineForLevel').mockImplementation(async (level) => baselineFor(level));
+
+    jest.spyOn(XPAuditLog, 'findOne').mockImplementation(() => query(db.audit[db.audit.length - 1] || null));
+    jest.spyOn(XPAuditLog.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        db.audit.push(this.toObject());
+        return this;
+    });
+
+    jest.spyOn(Achievement, 'create').mockImplementation(async (docs) => { db.achievements.push(...docs); return docs; });
+    jest.spyOn(Artifact, 'create').mockImplementation(async (docs) => { db.artifacts.push(...docs); return docs; });
+
+    jest.spyOn(ReviewItem, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(ReviewItem, 'findOneAndUpdate').mockImplementation((filter, update) => {
+        db.reviews.push(update);
+        return query(update.$setOnInsert);
+    });
+
+    return db;
+};
+
+// Duplicate key on the audit chain index, as a concurrent append of the same user causes
+const chainConflict = () => new mongoose.mongo.MongoServerError({
+    message: 'E11000 duplicate key',
+    code: 11000,
+    keyPattern: { user_id: 1, sequence: 1 }
+});
+
+const input = (overrides = {}) => ({
+    session_id: db.session._id.toString(),
+    solution: SOLUTION,
+    time_elapsed: 420,
+    session_data: { exchange_count: 3 },
+    idempotency_key: 'key-1',
+    ...overrides
+});
+
+const env = {};
+const setEnv = (values) => {
+    Object.entries(values).forEach(([key, value]) => {
+        if (!(key in env)) env[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+};
+
+beforeEach(() => {
+    setEnv({
+        LLM_MOCK: 'true',
+        LLM_MOCK_SEED: 'pipeline-test',
+        EVALUATION_JUDGES: undefined,
+        ARENA_SUBMIT_DISABLED_STAGES: undefined
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    resetStages();
+    Object.entries(env).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+        delete env[key];
+    });
+});
+
+describe('submitSolution', () => {
+    test('evaluates with the mock provider and commits the award', async () => {
+        setupFixtures();
+        const before = db.profile.getTotalXP();
+
+        const result = await submitSolution(input());
+
+        expect(result.status).toBe(200);
+        const { body } = result;
+        expect(body.session.status).toBe('evaluated');
+        expect(body.evaluation.rubric.judged).toBe(true);
+        expect(body.xp_earned).toBeGreaterThan(0);
+        expect(db.profile.getTotalXP()).toBe(before + body.xp_earned);
+        expect(db.profile.total_arenas_completed).toBe(1);
+        expect(db.profile.current_streak).toBe(1);
+    });
+
+    test('appends one hash-chained audit entry matching the award', async () => {
+        setupFixtures();
+
+        const { body } = await submitSolution(input());
+
+        expect(db.audit).toHaveLength(1);
+        const [entry] = db.audit;
+        expect(entry).toMatchObject({ action: 'award', source: 'arena_submit', sequence: 1, prev_hash: XPAuditLog.GENESIS_HASH });
+        expect(entry.xp_change.total).toBe(body.xp_earned);
+        expect(entry.entry_hash).toBe(XPAuditLog.computeHash(entry));
+        expect(db.profile.xp_audit_head.sequence).toBe(1);
+        expect(db.profile.xp_audit_head.hash).toBe(entry.entry_hash);
+    });
+
+    test('the same submission gives the same evaluation and award', async () => {
+        setupFixtures();
+        const first = await submitSolution(input());
+
+        setupFixtures();
+        const second = await submitSolution(input());
+
+        expect(second.body.xp_breakdown).toEqual(first.body.xp_breakdown);
+        expect(second.body.evaluation.criteria_met).toEqual(first.body.evaluation.criteria_met);
+        expect(second.body.evaluation.level_up_achieved).toBe(first.body.evaluation.level_up_achieved);
+    });
+
+    test('a retry with the same idempotency key replays the first result', async () => {
+        setupFixtures();
+        const first = await submitSolution(input());
+
+        const replay = await submitSolution(input());
+
+        expect(replay.status).toBe(200);
+        expect(replay.body.idempotent_replay).toBe(true);
+        expect(replay.body.xp_earned).toBe(first.body.xp_earned);
+        expect(db.audit).toHaveLength(1);
+    });
+
+    test('a second submit without the key is refused', async () => {
+        setupFixtures();
+        await submitSolution(input());
+
+        const again = await submitSolution(input({ idempotency_key: 'key-2' }));
+
+        expect(again.status).toBe(409);
+    });
+
+    test('a frozen profile is stopped before the evaluation', async () => {
+        setupFixtures({ profile: { xp_state: 'frozen', xp_frozen_until: new Date(Date.now() + 60000) } });
+
+        const result = await submitSolution(input());
+
+        expect(result.status).toBe(429);
+        expect(result.body.error).toBe('XP is frozen');
+        expect(db.session.status).toBe('in_progress');
+        expect(db.audit).toHaveLength(0);
+    });
+
+    test('a replayed response from another session is an exploit', async () => {
+        setupFixtures();
+        await submitSolution(input());
+
+        const other = new ArenaSession({ user_id: 'user-1', problem_id: 'PROB-1', status: 'in_progress' });
+        db.session = other;
+        db.sessions.push(other);
+        const result = await submitSolution(input({ session_id: other._id.toString(), idempotency_key: 'key-2' }));
+
+        expect(result.status).toBe(429);
+        expect(result.body.error).toBe('Exploit detected');
+        expect(db.audit).toHaveLength(1);
+        // The rewarded session it copies goes to human review
+        expect(db.reviews).toHaveLength(1);
+        expect(db.reviews[0].$setOnInsert.original.xp_earned).toBeGreaterThan(0);
+        expect(db.reviews[0].$addToSet.reasons.$each).toEqual(['exploit_flag']);
+    });
+
+    test('a halt in the commit phase returns its response and aborts the transaction', async () => {
+        setupFixtures();
+        registerStage({
+            name: 'reject_award',
+            phase: 'commit',
+            run: async () => ({ halt: { status: 403, body: { error: 'Rejected' } } })
+        }, { before: 'audit_log' });
+
+        const result = await submitSolution(input());
+
+        expect(result).toEqual({ status: 403, body: { error: 'Rejected' } });
+        expect(db.audit).toHaveLength(0);
+    });
+
+    test('an audit chain conflict is retried as a transient transaction error', async () => {
+        setupFixtures();
+        XPAuditLog.prototype.save.mockImplementationOnce(async () => { throw chainConflict(); });
+        // Run the callback again on a fresh snapshot, like session.withTransaction
+        mongoose.connection.transaction.mockImplementation(async (fn) => {
+            const snapshot = { profile: db.profile.toObject(), session: db.session.toObject() };
+            try {
+                return await fn({});
+            } catch (error) {
+                if (!error.hasErrorLabel?.('TransientTransactionError')) throw error;
+                db.profile = UserProfile.hydrate(snapshot.profile);
+                db.session = ArenaSession.hydrate(snapshot.session);
+                return fn({});
+            }
+        });
+
+        const result = await submitSolution(input());
+
+        expect(result.status).toBe(200);
+        expect(XPAuditLog.prototype.save).toHaveBeenCalledTimes(2);
+        expect(db.audit).toHaveLength(1);
+        expect(db.profile.xp_audit_head.sequence).toBe(1);
+    });
+
+    test('a conflict that outlives the retries is a retryable 409', async () => {
+        setupFixtures();
+        XPAuditLog.prototype.save.mockImplementation(async () => { throw chainConflict(); });
+
+        const result = await submitSolution(input());
+
+        expect(result.status).toBe(409);
+        expect(result.body).toMatchObject({ code: 'SUBMIT_CONFLICT', retryable: true });
+    });
+
+    test('another duplicate key is neither retried nor a conflict', async () => {
+        setupFixtures();
+        const duplicate = new mongoose.mongo.MongoServerError({
+            message: 'E11000 duplicate key',
+            code: 11000,
+            keyPattern: { achievement_id: 1 }
+        });
+        XPAuditLog.prototype.save.mockImplementation(async () => { throw duplicate; });
+
+        await expect(submitSolution(input())).rejects.toBe(duplicate);
+
+        expect(duplicate.hasErrorLabel('TransientTransactionError')).toBe(false);
+        expect(XPAuditLog.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('optional stages can be disabled', async () => {
+        setupFixtures();
+        setEnv({ ARENA_SUBMIT_DISABLED_STAGES: 'exploit_detection, streak_tracking' });
+
+        const result = await submitSolution(input());
+
+        expect(result.status).toBe(200);
+        expect(ResponseHistory.create).not.toHaveBeenCalled();
+        expect(db.profile.current_streak).toBe(0);
+    });
+
+    test('required stages cannot be disabled', async () => {
+        setupFixtures();
+        setEnv({ ARENA_SUBMIT_DISABLED_STAGES: 'audit_log' });
+
+        expect(() => getDisabledStages()).toThrow(/audit_log/);
+        await expect(submitSolution(input())).rejects.toThrow(/audit_log/);
+        expect(db.session.status).toBe('in_progress');
+    });
+});
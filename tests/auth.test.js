@@ -0,0 +1,177 @@
+import { describe, test, expect, jest, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import AuthSession from '../src/models/AuthSession.js';
+import ArenaSession from '../src/models/ArenaSession.js';
+import SessionMemory from '../src/models/SessionMemory.js';
+import { signAccessToken } from '../src/services/authSessionService.js';
+import {
+    authenticate,
+    bindUserId,
+    requireOwnUserParam,
+    requireRole,
+    requireSessionOwner
+} from '../src/middleware/auth.js';
+
+/**
+ * Auth middleware on a small app mounted like server.js mounts the API routers
+ */
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+const OTHER_ID = new mongoose.Types.ObjectId().toString();
+const SESSION_ID = new mongoose.Types.ObjectId().toString();
+const ARENA_SESSION_ID = new mongoose.Types.ObjectId().toString();
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    const router = express.Router();
+    router.param('user_id', requireOwnUserParam);
+    router.get('/users/:user_id', (req, res) => res.json({ user_id: req.params.user_id, query: req.query }));
+    router.post('/users/:user_id/notes', (req, res) => res.json({ body: req.body }));
+    router.post('/notes', (req, res) => res.json({ body: req.body }));
+    router.get('/admin/stats', requireRole('admin'), (req, res) => res.json({ ok: true }));
+    router.get('/sessions/:session_id', requireSessionOwner, (req, res) => res.json({ ok: true }));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', authenticate, bindUserId, router);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+let role;
+let revoked;
+
+// Chainable stand-in for a mongoose Query
+const query = (value) => {
+    const chain = {
+        select: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+beforeEach(() => {
+    role = 'user';
+    revoked = false;
+
+    jest.spyOn(AuthSession, 'findById').mockImplementation(async () => ({
+        user_id: USER_ID,
+        isActive: () => !revoked
+    }));
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+        select: async () => ({ _id: USER_ID, email: 'user@example.com', name: 'User', role })
+    }));
+    jest.spyOn(ArenaSession, 'findById').mockImplementation((id) => query(id === ARENA_SESSION_ID ? { user_id: USER_ID } : null));
+    jest.spyOn(SessionMemory, 'findOne').mockImplementation((filter) => query(filter.session_id === 'onboarding-other'
+        ? { user_profile_snapshot: { user_id: OTHER_ID } }
+        : null));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const request = (path, { method = 'GET', body } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${signAccessToken({ _id: USER_ID, email: 'user@example.com' }, SESSION_ID)}`
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+describe('authenticate', () => {
+    test('a request without a token is unauthorized', async () => {
+        const res = await fetch(`${baseUrl}/users/${USER_ID}`);
+
+        expect(res.status).toBe(401);
+    });
+
+    test('a token of a revoked session is unauthorized', async () => {
+        revoked = true;
+
+        const res = await request(`/users/${USER_ID}`);
+
+        expect(res.status).toBe(401);
+        expect((await res.json()).error).toBe('Session revoked');
+    });
+});
+
+describe('bindUserId and requireOwnUserParam', () => {
+    test('the caller reaches their own :user_id', async () => {
+        const res = await request(`/users/${USER_ID}`);
+
+        expect(res.status).toBe(200);
+        expect((await res.json()).user_id).toBe(USER_ID);
+    });
+
+    test('another user\'s :user_id is forbidden', async () => {
+        const res = await request(`/users/${OTHER_ID}`);
+
+        expect(res.status).toBe(403);
+    });
+
+    test('a foreign query user_id is forbidden', async () => {
+        const res = await request(`/users/${USER_ID}?user_id=${OTHER_ID}`);
+
+        expect(res.status).toBe(403);
+    });
+
+    test('a foreign body user_id is forbidden', async () => {
+        const res = await request('/notes', { method: 'POST', body: { user_id: OTHER_ID, text: 'hi' } });
+
+        expect(res.status).toBe(403);
+    });
+
+    test('a missing body user_id is bound to the caller', async () => {
+        const res = await request(`/users/${USER_ID}/notes`, { method: 'POST', body: { text: 'hi' } });
+
+        expect(res.status).toBe(200);
+        expect((await res.json()).body).toEqual({ text: 'hi', user_id: USER_ID });
+    });
+});
+
+describe('requireRole', () => {
+    test('a user without the role is forbidden', async () => {
+        const res = await request('/admin/stats');
+
+        expect(res.status).toBe(403);
+        expect((await res.json()).required).toEqual(['admin']);
+    });
+
+    test('an admin passes', async () => {
+        role = 'admin';
+
+        const res = await request('/admin/stats');
+
+        expect(res.status).toBe(200);
+    });
+});
+
+describe('requireSessionOwner', () => {
+    test('the owner of an arena session passes', async () => {
+        const res = await request(`/sessions/${ARENA_SESSION_ID}`);
+
+        expect(res.status).toBe(200);
+    });
+
+    test('another user\'s onboarding session is forbidden', async () => {
+        const res = await request('/sessions/onboarding-other');
+
+        expect(res.status).toBe(403);
+    });
+
+    test('an unknown session is not found', async () => {
+        const res = await request('/sessions/nothing-here');
+
+        expect(res.status).toBe(404);
+    });
+});
@@ -0,0 +1,121 @@
+import { describe, test, expect, jest, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import AccountToken from '../src/models/AccountToken.js';
+import { setTransport, isMailConfigured } from '../src/config/mailTransport.js';
+import authRoutes from '../src/routes/authRoutes.js';
+
+/**
+ * Auth routes with an in-memory mail transport and mocked models
+ */
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+// Let the mail sent after the response go out
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const env = {};
+const setEnv = (values) => {
+    Object.entries(values).forEach(([key, value]) => {
+        if (!(key in env)) env[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+};
+
+let outbox;
+let user;
+
+beforeEach(() => {
+    outbox = [];
+    user = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com', name: 'User' };
+    setTransport({ name: 'memory', send: async (message) => { outbox.push(message); return { id: String(outbox.length) }; } });
+
+    jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (filter.email === user.email ? user : null));
+    jest.spyOn(AccountToken, 'updateMany').mockImplementation(async () => ({ modifiedCount: 0 }));
+    jest.spyOn(AccountToken, 'create').mockImplementation(async (doc) => doc);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    setTransport(null);
+    Object.entries(env).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+        delete env[key];
+    });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+    test('mails a reset link to a registered email', async () => {
+        const res = await post('/forgot-password', { email: 'USER@example.com' });
+        await settle();
+
+        expect(res.status).toBe(200);
+        expect(outbox).toHaveLength(1);
+        expect(outbox[0].to).toBe('user@example.com');
+        expect(outbox[0].text).toMatch(/reset-password\?token=[0-9a-f]{64}/);
+    });
+
+    test('answers the same for an unknown email and sends nothing', async () => {
+        const known = await post('/forgot-password', { email: 'user@example.com' });
+        await settle();
+        outbox.length = 0;
+
+        const unknown = await post('/forgot-password', { email: 'nobody@example.com' });
+        await settle();
+
+        expect(unknown.status).toBe(known.status);
+        expect(await unknown.json()).toEqual(await known.json());
+        expect(outbox).toHaveLength(0);
+    });
+
+    test('a failing mail does not show in the response', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        setTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+
+        const res = await post('/forgot-password', { email: 'user@example.com' });
+        await settle();
+
+        expect(res.status).toBe(200);
+        expect(console.error).toHaveBeenCalledWith('Password reset email error:', expect.any(Error));
+    });
+
+    test('is disabled in production without a mail transport', async () => {
+        setTransport(null);
+        setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: undefined });
+
+        const res = await post('/forgot-password', { email: 'user@example.com' });
+
+        expect(isMailConfigured()).toBe(false);
+        expect(res.status).toBe(503);
+        expect((await res.json()).code).toBe('MAIL_NOT_CONFIGURED');
+        expect(AccountToken.create).not.toHaveBeenCalled();
+    });
+
+    test('development transports are refused in production', () => {
+        setTransport(null);
+        setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' });
+
+        expect(isMailConfigured()).toBe(false);
+    });
+});
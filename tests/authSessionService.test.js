@@ -0,0 +1,97 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import AuthSession from '../src/models/AuthSession.js';
+import User from '../src/models/User.js';
+import {
+    createSession,
+    rotateRefreshToken,
+    isSessionActive
+} from '../src/services/authSessionService.js';
+
+/**
+ * Refresh token rotation and reuse detection against an in-memory AuthSession store
+ */
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com', name: 'User' };
+
+let sessions;
+
+const find = (id) => sessions.find(s => s._id.toString() === String(id)) || null;
+
+beforeEach(() => {
+    sessions = [];
+
+    jest.spyOn(AuthSession, 'create').mockImplementation(async (doc) => {
+        const session = new AuthSession(doc);
+        sessions.push(session);
+        return session;
+    });
+    jest.spyOn(AuthSession, 'findById').mockImplementation(async (id) => find(id));
+    jest.spyOn(AuthSession.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(AuthSession, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const session = find(filter._id);
+        if (!session || session.refresh_token_hash !== filter.refresh_token_hash || session.revoked_at) return null;
+
+        session.set(update.$set);
+        const { $each, $slice } = update.$push.previous_token_hashes;
+        session.previous_token_hashes = [...session.previous_token_hashes, ...$each].slice($slice);
+        session.rotation_count += update.$inc.rotation_count;
+        return session;
+    });
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('rotateRefreshToken', () => {
+    test('rotates the refresh token and keeps the session', async () => {
+        const login = await createSession(user);
+
+        const refreshed = await rotateRefreshToken(login.refresh_token);
+
+        expect(refreshed.error).toBeUndefined();
+        expect(refreshed.session_id).toBe(login.session_id);
+        expect(refreshed.refresh_token).not.toBe(login.refresh_token);
+        expect(await isSessionActive(login.session_id, user._id)).toBe(true);
+    });
+
+    test('the new refresh token works for the next rotation', async () => {
+        const login = await createSession(user);
+        const first = await rotateRefreshToken(login.refresh_token);
+
+        const second = await rotateRefreshToken(first.refresh_token);
+
+        expect(second.error).toBeUndefined();
+        expect(find(login.session_id).rotation_count).toBe(2);
+    });
+
+    test('replaying a rotated-out token revokes the session', async () => {
+        const login = await createSession(user);
+        const refreshed = await rotateRefreshToken(login.refresh_token);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const replay = await rotateRefreshToken(login.refresh_token);
+
+        expect(replay.error).toBe('Refresh token reuse detected');
+        expect(find(login.session_id).revoked_reason).toBe('token_reuse');
+        expect(await isSessionActive(login.session_id, user._id)).toBe(false);
+        expect((await rotateRefreshToken(refreshed.refresh_token)).error).toBe('Session expired or revoked');
+    });
+
+    test('a forged token with a known session id does not revoke the session', async () => {
+        const login = await createSession(user);
+
+        const forged = await rotateRefreshToken(`${login.session_id}.garbage`);
+
+        expect(forged.error).toBe('Invalid refresh token');
+        expect(await isSessionActive(login.session_id, user._id)).toBe(true);
+        expect((await rotateRefreshToken(login.refresh_token)).error).toBeUndefined();
+    });
+
+    test('malformed tokens are rejected', async () => {
+        expect((await rotateRefreshToken('not-a-token')).error).toBe('Invalid refresh token');
+        expect((await rotateRefreshToken(null)).error).toBe('Invalid refresh token');
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import GoldenSolution from '../src/models/GoldenSolution.js';
+import CalibrationRun from '../src/models/CalibrationRun.js';
+import DifficultyBaseline from '../src/models/DifficultyBaseline.js';
+import { setBudgetGuard } from '../src/config/llmGateway.js';
+import { startCalibration } from '../src/services/calibrationService.js';
+
+/**
+ * Calibration runs as background jobs, with LLM_MOCK=true and in-memory runs
+ */
+
+const golden = {
+    golden_id: 'G-1',
+    level: 2,
+    language: 'en',
+    time_elapsed_seconds: 600,
+    problem: { title: 'Pricing change', objective: 'Decide whether to raise prices', context: '', constraints: [] },
+    solution: 'Raise prices for new customers only. The trade-off is slower growth against margin, and the risk is churn, so we test it on one region first and compare retention with the other regions.',
+    expected_ranges: [{ metric: 'xp_total', min: 0, max: 1000 }],
+    expected_criteria: [],
+    is_active: true
+};
+
+// Chainable stand-in for a mongoose Query
+const query = (value) => {
+    const chain = {
+        sort: () => chain,
+        select: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let runs;
+let reservations;
+
+const stored = (runId) => runs.get(runId);
+
+// Poll until the background run stored its report
+const finished = async (runId) => {
+    for (let i = 0; i < 200 && stored(runId)?.status === 'running'; i++) await wait(10);
+    return stored(runId);
+};
+
+const env = {};
+const setEnv = (values) => {
+    Object.entries(values).forEach(([key, value]) => {
+        if (!(key in env)) env[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+};
+
+beforeEach(() => {
+    runs = new Map();
+    reservations = [];
+    setEnv({ LLM_MOCK: 'true', LLM_MOCK_SEED: 'calibration-test', EVALUATION_JUDGES: undefined });
+
+    jest.spyOn(GoldenSolution, 'find').mockImplementation(() => query([golden]));
+    jest.spyOn(CalibrationRun, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(CalibrationRun.prototype, 'save').mockImplementation(async function () {
+        runs.set(this.run_id, this.toObject());
+        return this;
+    });
+    jest.spyOn(DifficultyBaseline, 'getBaselineForLevel').mockImplementation(async (level) => ({
+        level,
+        version: 1,
+        baseline_metrics: { min_response_quality: 0.3, min_decision_depth: 3, min_tradeoff_consideration: 1, xp_multiplier: 1.2 },
+        validation_criteria: { requires_tradeoff_analysis: false, requires_risk_assessment: false, requires_multi_perspective: false, min_word_count: 20 }
+    }));
+
+    setBudgetGuard({
+        reserve: async (request) => {
+            reservations.push(request);
+            return { reservation: null };
+        },
+        settle: async () => {}
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    setBudgetGuard(null);
+    Object.entries(env).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+        delete env[key];
+    });
+});
+
+describe('startCalibration', () => {
+    test('returns a running run and stores the report when it is done', async () => {
+        const run = await startCalibration({ mode: 'mock', triggered_by: 'admin-1' });
+
+        expect(run).toMatchObject({ mode: 'mock', status: 'running', triggered_by: 'admin-1' });
+        expect(stored(run.run_id).status).toBe('running');
+
+        const done = await finished(run.run_id);
+        expect(done.status).toBe('completed');
+        expect(done.results).toHaveLength(1);
+        expect(done.finished_at).toBeInstanceOf(Date);
+    });
+
+    test('LLM calls are charged to the calibration budget scope', async () => {
+        const run = await startCalibration({ mode: 'mock' });
+        await finished(run.run_id);
+
+        expect(reservations.length).toBeGreaterThan(0);
+        reservations.forEach(request => expect(request).toMatchObject({ budget_scope: 'calibration', flow: 'calibration:mock' }));
+    });
+
+    test('an exhausted calibration budget fails the run', async () => {
+        setBudgetGuard({
+            reserve: async () => ({ budget: { scope: 'calibration', subject: 'all', limit: 1000, used: 1000, resets_at: new Date() } }),
+            settle: async () => {}
+        });
+
+        const run = await startCalibration({ mode: 'mock' });
+        const done = await finished(run.run_id);
+
+        expect(done.status).toBe('failed');
+        expect(done.error).toMatch(/calibration budget exhausted/);
+    });
+
+    test('invalid options are refused before anything is stored', async () => {
+        await expect(startCalibration({ mode: 'nightly' })).rejects.toMatchObject({ code: 'CALIBRATION_INVALID' });
+        expect(runs.size).toBe(0);
+    });
+});
@@ -0,0 +1,22 @@
+import { describe, test, expect } from '@jest/globals';
+import { resolveFingerprint } from '../src/services/identityService.js';
+
+describe('resolveFingerprint', () => {
+    test('uses the client fingerprint when given', () => {
+        expect(resolveFingerprint({ fingerprint: 'fp_client', userAgent: 'Mozilla/5.0' })).toBe('fp_client');
+    });
+
+    test('derives a stable fingerprint from device data', () => {
+        const device = { userAgent: 'Mozilla/5.0', screenWidth: 1920, screenHeight: 1080, timezone: 'Asia/Jakarta' };
+
+        expect(resolveFingerprint(device)).toMatch(/^fp_[0-9a-z]+$/);
+        expect(resolveFingerprint({ ...device })).toBe(resolveFingerprint(device));
+        expect(resolveFingerprint({ ...device, screenWidth: 1280 })).not.toBe(resolveFingerprint(device));
+    });
+
+    test('no device data gives no fingerprint', () => {
+        expect(resolveFingerprint({})).toBeNull();
+        expect(resolveFingerprint()).toBeNull();
+        expect(resolveFingerprint({ userAgent: '', fingerprint: '' })).toBeNull();
+    });
+});
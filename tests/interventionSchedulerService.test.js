@@ -0,0 +1,114 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import SessionMemory from '../src/models/SessionMemory.js';
+import { INSTANCE_ID } from '../src/config/wsPubSub.js';
+
+/**
+ * Idle intervention scheduling across instances: only the lease holder pushes
+ */
+
+jest.unstable_mockModule('../src/services/orchestratorService.js', () => ({
+    requestNextAction: jest.fn(async () => ({ action: 'intervention', stage: 'warning', message: 'Still there?' }))
+}));
+
+const orchestrator = await import('../src/services/orchestratorService.js');
+const scheduler = await import('../src/services/interventionSchedulerService.js');
+
+const SESSION_ID = 'session-1';
+
+let memory;
+let pushed;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Chainable stand-in for a mongoose Query
+const query = (value) => {
+    const chain = {
+        select: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+beforeEach(() => {
+    memory = {
+        session_id: SESSION_ID,
+        is_active: true,
+        started_at: new Date(Date.now() - 120000),
+        adaptive_state: {
+            // The warning stage (60 s idle) is already due
+            last_keystroke_at: new Date(Date.now() - 61000),
+            current_time_limits: { response_warning: 60, comprehension_check: 120, force_change: 180 }
+        }
+    };
+    pushed = [];
+
+    // The orchestrator records what it sent; the next stage is then further away
+    scheduler.initInterventionScheduler(async (sessionId, stage, message) => {
+        pushed.push({ sessionId, stage, message });
+        memory.adaptive_state.last_intervention = { stage, at: new Date() };
+        return true;
+    });
+
+    jest.spyOn(SessionMemory, 'findOne').mockImplementation(() => query(memory));
+    jest.spyOn(SessionMemory, 'findOneAndUpdate').mockImplementation((filter, update) => {
+        const lease = memory.scheduler_lease;
+        const free = !lease?.expires_at || lease.expires_at <= new Date();
+        if (lease?.owner !== INSTANCE_ID && !free) return query(null);
+        memory.scheduler_lease = {
+            owner: update.$set['scheduler_lease.owner'],
+            expires_at: update.$set['scheduler_lease.expires_at']
+        };
+        return query(memory);
+    });
+    jest.spyOn(SessionMemory, 'updateOne').mockImplementation(async (filter) => {
+        if (memory.scheduler_lease?.owner === filter['scheduler_lease.owner']) delete memory.scheduler_lease;
+        return { modifiedCount: 1 };
+    });
+});
+
+afterEach(() => {
+    scheduler.unwatchSession(SESSION_ID);
+    orchestrator.requestNextAction.mockClear();
+    jest.restoreAllMocks();
+});
+
+describe('intervention scheduler lease', () => {
+    test('a free session is leased and its intervention pushed once', async () => {
+        await scheduler.watchSession(SESSION_ID);
+        await wait(400);
+
+        expect(pushed).toEqual([{ sessionId: SESSION_ID, stage: 'warning', message: 'Still there?' }]);
+        expect(memory.scheduler_lease.owner).toBe(INSTANCE_ID);
+    });
+
+    test('another instance holding the lease fires instead', async () => {
+        memory.scheduler_lease = { owner: 'other-instance', expires_at: new Date(Date.now() + 60000) };
+
+        await scheduler.watchSession(SESSION_ID);
+        await wait(400);
+
+        expect(pushed).toEqual([]);
+        expect(orchestrator.requestNextAction).not.toHaveBeenCalled();
+    });
+
+    test('an expired lease is taken over', async () => {
+        memory.scheduler_lease = { owner: 'crashed-instance', expires_at: new Date(Date.now() - 1000) };
+
+        await scheduler.watchSession(SESSION_ID);
+        await wait(400);
+
+        expect(pushed).toHaveLength(1);
+        expect(memory.scheduler_lease.owner).toBe(INSTANCE_ID);
+    });
+
+    test('the last socket leaving gives the lease up', async () => {
+        await scheduler.watchSession(SESSION_ID);
+        await wait(400);
+
+        scheduler.unwatchSession(SESSION_ID);
+        await wait(0);
+
+        expect(memory.scheduler_lease).toBeUndefined();
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import { median, trimmedMean, majority } from '../src/services/judgePanelService.js';
+
+describe('median', () => {
+    test('middle value of an odd count, in any order', () => {
+        expect(median([7, 1, 4])).toBe(4);
+    });
+
+    test('mean of the two middle values of an even count', () => {
+        expect(median([10, 2, 8, 4])).toBe(6);
+    });
+
+    test('does not reorder the input', () => {
+        const values = [3, 1, 2];
+        median(values);
+        expect(values).toEqual([3, 1, 2]);
+    });
+});
+
+describe('trimmedMean', () => {
+    test('drops the lowest and highest share', () => {
+        // 20% of 5 values: one from each end
+        expect(trimmedMean([100, 1, 2, 3, 0])).toBe(2);
+    });
+
+    test('keeps at least one value', () => {
+        expect(trimmedMean([4, 8], 0.5)).toBe(6);
+        expect(trimmedMean([1, 5, 9], 0.5)).toBe(5);
+    });
+
+    test('is the plain mean when nothing is trimmed', () => {
+        expect(trimmedMean([1, 2, 6], 0)).toBe(3);
+    });
+});
+
+describe('majority', () => {
+    test('counts yes and no votes', () => {
+        expect(majority([true, false, true])).toEqual({ value: true, yes: 2, no: 1, unanimous: false });
+    });
+
+    test('a tie is no', () => {
+        expect(majority([true, false]).value).toBe(false);
+    });
+
+    test('missing answers count as no', () => {
+        expect(majority([true, undefined, null])).toEqual({ value: false, yes: 1, no: 2, unanimous: false });
+    });
+
+    test('unanimous when every judge agrees', () => {
+        expect(majority([false, false]).unanimous).toBe(true);
+        expect(majority([true]).unanimous).toBe(true);
+    });
+});
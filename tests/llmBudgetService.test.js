@@ -0,0 +1,172 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import LLMBudgetCounter from '../src/models/LLMBudgetCounter.js';
+import { invokeLLM, runWithLLMContext, setBudgetGuard } from '../src/config/llmGateway.js';
+import { provider as mockProvider } from '../src/config/mockAI.js';
+import { reserveBudget, settleBudget } from '../src/services/llmBudgetService.js';
+
+/**
+ * Daily budget reservations against an in-memory LLMBudgetCounter collection
+ */
+
+let counters;
+
+// Enough of the aggregation operators for the reservation filter
+const evaluate = (doc, expr) => {
+    if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+    if (!expr || typeof expr !== 'object') return expr;
+    if (expr.$add) return expr.$add.reduce((sum, part) => sum + evaluate(doc, part), 0);
+    if (expr.$ifNull) return evaluate(doc, expr.$ifNull[0]) ?? evaluate(doc, expr.$ifNull[1]);
+    if (expr.$lte) return evaluate(doc, expr.$lte[0]) <= evaluate(doc, expr.$lte[1]);
+    throw new Error(`Unsupported expression ${JSON.stringify(expr)}`);
+};
+
+const apply = (filter, update, options = {}) => {
+    let counter = counters.get(filter.key);
+    if (counter && filter.$expr && !evaluate(counter, filter.$expr)) counter = null;
+    if (!counter) {
+        if (!options.upsert) return { modifiedCount: 0 };
+        if (counters.has(filter.key)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        counter = { key: filter.key, tokens: 0, reserved: 0, calls: 0, ...update.$setOnInsert };
+        counters.set(filter.key, counter);
+    }
+    Object.entries(update.$inc || {}).forEach(([field, value]) => { counter[field] = (counter[field] || 0) + value; });
+    return { modifiedCount: 1 };
+};
+
+const counter = (key) => counters.get(key) || null;
+
+const env = {};
+const setEnv = (values) => {
+    Object.entries(values).forEach(([key, value]) => {
+        if (!(key in env)) env[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Let the settle that invokeLLM does not await land
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+    counters = new Map();
+    setEnv({
+        LLM_MOCK: 'true',
+        LLM_BUDGET_USER_DAILY_TOKENS: undefined,
+        LLM_BUDGET_DAILY_TOKENS_MID: undefined,
+        LLM_BUDGET_CALIBRATION_DAILY_TOKENS: undefined,
+        LLM_BUDGET_RESERVE_TOKENS: '1000'
+    });
+
+    jest.spyOn(LLMBudgetCounter, 'updateOne').mockImplementation(async (filter, update, options) => apply(filter, update, options));
+    jest.spyOn(LLMBudgetCounter, 'bulkWrite').mockImplementation(async (operations) => {
+        operations.forEach(({ updateOne }) => apply(updateOne.filter, updateOne.update, updateOne));
+        return { ok: 1 };
+    });
+    jest.spyOn(LLMBudgetCounter, 'findOne').mockImplementation((filter) => ({ lean: async () => counter(filter.key) }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    setBudgetGuard(null);
+    Object.entries(env).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+        delete env[key];
+    });
+});
+
+describe('reserveBudget', () => {
+    test('holds the estimated tokens in every limited scope', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '5000', LLM_BUDGET_DAILY_TOKENS_MID: '50000' });
+
+        const { reservation, budget } = await reserveBudget({ tier: 'mid', user_id: 'user-1', prompt_tokens: 200 });
+
+        expect(budget).toBeUndefined();
+        expect(reservation.scopes).toEqual([
+            { scope: 'tier', subject: 'mid', held: 1200 },
+            { scope: 'user', subject: 'user-1', held: 1200 }
+        ]);
+        expect(counter(`user:user-1:${today()}`)).toMatchObject({ tokens: 0, reserved: 1200 });
+    });
+
+    test('concurrent calls cannot reserve past the limit', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '2500' });
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => reserveBudget({ tier: 'mid', user_id: 'user-1' })));
+
+        expect(results.filter(result => result.reservation)).toHaveLength(2);
+        expect(results.filter(result => result.budget)).toHaveLength(3);
+        expect(results.find(result => result.budget).budget).toMatchObject({ scope: 'user', subject: 'user-1', limit: 2500, used: 2000 });
+        expect(counter(`user:user-1:${today()}`).reserved).toBe(2000);
+    });
+
+    test('a refused user scope releases what the tier scope held', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '500', LLM_BUDGET_DAILY_TOKENS_MID: '50000' });
+
+        const { budget } = await reserveBudget({ tier: 'mid', user_id: 'user-1' });
+
+        expect(budget.scope).toBe('user');
+        expect(counter(`tier:mid:${today()}`).reserved).toBe(0);
+    });
+
+    test('calibration calls use their own budget, not the user and tier ones', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '5000', LLM_BUDGET_DAILY_TOKENS_MID: '5000', LLM_BUDGET_CALIBRATION_DAILY_TOKENS: '1500' });
+
+        const first = await reserveBudget({ tier: 'mid', user_id: 'admin-1', budget_scope: 'calibration' });
+        const second = await reserveBudget({ tier: 'mid', user_id: 'admin-1', budget_scope: 'calibration' });
+
+        expect(first.reservation.scopes).toEqual([{ scope: 'calibration', subject: 'all', held: 1000 }]);
+        expect(second.budget).toMatchObject({ scope: 'calibration', limit: 1500 });
+        expect(counter(`user:admin-1:${today()}`)).toBeNull();
+        expect(counter(`tier:mid:${today()}`)).toBeNull();
+    });
+
+    test('settling swaps the reservation for the tokens spent', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '2500' });
+        const { reservation } = await reserveBudget({ tier: 'mid', user_id: 'user-1' });
+
+        await settleBudget(reservation, { tokens: 300, calls: 1 });
+
+        expect(counter(`user:user-1:${today()}`)).toMatchObject({ tokens: 300, reserved: 0, calls: 1 });
+        // Unlimited scopes are counted too
+        expect(counter(`tier:mid:${today()}`)).toMatchObject({ tokens: 300, reserved: 0, calls: 1 });
+    });
+});
+
+describe('budget enforcement in invokeLLM', () => {
+    beforeEach(() => {
+        setBudgetGuard({ reserve: reserveBudget, settle: settleBudget });
+    });
+
+    test('an answered call counts its tokens and frees the reservation', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '5000' });
+
+        await runWithLLMContext({ user_id: 'user-1' }, () => invokeLLM({ prompt: 'Give me a hint', tier: 'mid' }));
+        await settle();
+
+        const used = counter(`user:user-1:${today()}`);
+        expect(used.tokens).toBeGreaterThan(0);
+        expect(used).toMatchObject({ reserved: 0, calls: 1 });
+    });
+
+    test('an exhausted budget refuses the call without a provider request', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '5000' });
+        counters.set(`user:user-1:${today()}`, { key: `user:user-1:${today()}`, tokens: 4500, reserved: 0, calls: 9 });
+        const complete = jest.spyOn(mockProvider, 'complete');
+
+        await expect(runWithLLMContext({ user_id: 'user-1' }, () => invokeLLM({ prompt: 'Give me a hint', tier: 'mid' })))
+            .rejects.toMatchObject({ code: 'LLM_BUDGET_EXCEEDED', budget: { scope: 'user', used: 4500 } });
+        expect(complete).not.toHaveBeenCalled();
+    });
+
+    test('a failing guard blocks the call', async () => {
+        setEnv({ LLM_BUDGET_USER_DAILY_TOKENS: '5000' });
+        LLMBudgetCounter.updateOne.mockRejectedValue(new Error('connection lost'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(runWithLLMContext({ user_id: 'user-1' }, () => invokeLLM({ prompt: 'Give me a hint', tier: 'mid' })))
+            .rejects.toMatchObject({ code: 'LLM_BUDGET_EXCEEDED', budget: { scope: 'guard' } });
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { getRoute, invokeLLM, measureLLMUsage, TIERS } from '../src/config/llmGateway.js';
+import { validateAgainstSchema } from '../src/config/llmSchema.js';
+import { invokePrompt } from '../src/services/promptRegistryService.js';
+import { DEFAULT_PROMPTS } from '../src/prompts/index.js';
+
+const schema = {
+    type: 'object',
+    properties: {
+        title: { type: 'string' },
+        xp_analyst: { type: 'integer', minimum: 0, maximum: 20 },
+        response_quality: { type: 'number', minimum: 0, maximum: 1 },
+        level_up_achieved: { type: 'boolean' },
+        criteria_met: { type: 'array', items: { type: 'string' } },
+        tier: { type: 'string', enum: ['low', 'mid', 'high'] }
+    },
+    required: ['title', 'xp_analyst', 'response_quality', 'level_up_achieved', 'criteria_met', 'tier']
+};
+
+const saved = {};
+
+beforeEach(() => {
+    ['LLM_MOCK', 'LLM_MOCK_SEED'].forEach(key => { saved[key] = process.env[key]; });
+    process.env.LLM_MOCK = 'true';
+    delete process.env.LLM_MOCK_SEED;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    Object.entries(saved).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+});
+
+describe('llmGateway with LLM_MOCK=true', () => {
+    test('every tier routes to the mock provider only', () => {
+        TIERS.forEach(tier => {
+            expect(getRoute(tier)).toEqual([{ provider: 'mock', model: expect.any(String) }]);
+            expect(getRoute(tier, 'groq,cloudflare')).toHaveLength(1);
+        });
+    });
+
+    test('structured answers match the schema', async () => {
+        const answer = await invokeLLM({ prompt: 'Evaluate this', response_json_schema: schema, tier: 'mid' });
+
+        expect(validateAgainstSchema(answer, schema)).toEqual([]);
+    });
+
+    test('the same prompt and seed give the same answer', async () => {
+        const first = await invokeLLM({ prompt: 'Evaluate this', response_json_schema: schema, tier: 'agent' });
+        const second = await invokeLLM({ prompt: 'Evaluate this', response_json_schema: schema, tier: 'agent' });
+
+        expect(second).toEqual(first);
+    });
+
+    test('text prompts get a text answer', async () => {
+        const answer = await invokeLLM({ prompt: 'Give me a hint', tier: 'low' });
+
+        expect(typeof answer).toBe('string');
+        expect(answer.length).toBeGreaterThan(0);
+    });
+
+    test('calls are metered like remote calls', async () => {
+        const { usage } = await measureLLMUsage(() => invokeLLM({ prompt: 'Give me a hint', tier: 'low' }));
+
+        expect(usage.calls).toBe(1);
+        expect(usage.total_tokens).toBeGreaterThan(0);
+    });
+});
+
+describe('built-in prompts with LLM_MOCK=true', () => {
+    const structured = DEFAULT_PROMPTS.filter(prompt => prompt.output_schema);
+
+    test.each(structured.map(prompt => [prompt.id, prompt]))('%s answers match its output schema', async (id, prompt) => {
+        const variables = Object.fromEntries(prompt.variables.map(name => [name, `test ${name}`]));
+
+        const answer = await invokePrompt(id, variables);
+
+        expect(validateAgainstSchema(answer, prompt.output_schema)).toEqual([]);
+    });
+});
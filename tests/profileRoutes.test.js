@@ -0,0 +1,113 @@
+import { describe, test, expect, jest, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import AuthSession from '../src/models/AuthSession.js';
+import UserProfile from '../src/models/UserProfile.js';
+import { signAccessToken } from '../src/services/authSessionService.js';
+import { authenticate, bindUserId } from '../src/middleware/auth.js';
+import profileRoutes from '../src/routes/profileRoutes.js';
+
+/**
+ * Profile routes behind authenticate and bindUserId, as mounted in server.js
+ */
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+const OTHER_ID = new mongoose.Types.ObjectId().toString();
+const SESSION_ID = new mongoose.Types.ObjectId().toString();
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/profiles', authenticate, bindUserId, profileRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/profiles`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+let profile;
+
+beforeEach(() => {
+    profile = { user_id: USER_ID, name: 'User', language: 'en' };
+
+    jest.spyOn(AuthSession, 'findById').mockImplementation(async () => ({
+        user_id: USER_ID,
+        isActive: () => true
+    }));
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+        select: async () => ({ _id: USER_ID, email: 'user@example.com', name: 'User', role: 'user' })
+    }));
+    jest.spyOn(UserProfile, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if (filter.user_id !== profile.user_id) return null;
+        Object.assign(profile, update.$set);
+        return profile;
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const put = (userId, body) => fetch(`${baseUrl}/${userId}`, {
+    method: 'PUT',
+    headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${signAccessToken({ _id: USER_ID, email: 'user@example.com' }, SESSION_ID)}`
+    },
+    body: JSON.stringify(body)
+});
+
+describe('PUT /api/profiles/:user_id', () => {
+    test('the owner can update editable fields', async () => {
+        const res = await put(USER_ID, { name: 'New Name', language: 'id' });
+
+        expect(res.status).toBe(200);
+        expect(await res.json()).toMatchObject({ name: 'New Name', language: 'id' });
+        expect(UserProfile.findOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { name: 'New Name', language: 'id' } });
+    });
+
+    test('the user_id bound from the token is not an update', async () => {
+        const res = await put(USER_ID, { user_id: USER_ID, name: 'New Name' });
+
+        expect(res.status).toBe(200);
+        expect(UserProfile.findOneAndUpdate.mock.calls[0][1].$set).not.toHaveProperty('user_id');
+    });
+
+    test('XP and other service-owned fields are refused', async () => {
+        const res = await put(USER_ID, { name: 'New Name', xp_analyst: 9999, role: 'admin' });
+
+        expect(res.status).toBe(400);
+        expect((await res.json()).fields).toEqual(['xp_analyst', 'role']);
+        expect(UserProfile.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('an update without editable fields is refused', async () => {
+        const res = await put(USER_ID, {});
+
+        expect(res.status).toBe(400);
+    });
+
+    test('another user\'s profile is forbidden', async () => {
+        const res = await put(OTHER_ID, { name: 'New Name' });
+
+        expect(res.status).toBe(403);
+        expect(UserProfile.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('a body user_id of another user is forbidden', async () => {
+        const res = await put(USER_ID, { user_id: OTHER_ID, name: 'New Name' });
+
+        expect(res.status).toBe(403);
+    });
+
+    test('a request without a token is unauthorized', async () => {
+        const res = await fetch(`${baseUrl}/${USER_ID}`, { method: 'PUT' });
+
+        expect(res.status).toBe(401);
+    });
+});
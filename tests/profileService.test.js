@@ -0,0 +1,86 @@
+import { describe, test, expect } from '@jest/globals';
+import { xpForLevel, calculateLevelProgression } from '../src/services/profileService.js';
+
+const newProfile = () => ({
+    xp_risk_taker: 0,
+    xp_analyst: 0,
+    xp_builder: 0,
+    xp_strategist: 0,
+    level_risk_taker: 1,
+    level_analyst: 1,
+    level_builder: 1,
+    level_strategist: 1
+});
+
+const award = (analyst) => ({ risk_taker: 0, analyst, builder: 0, strategist: 0 });
+
+// Apply an award the way the level_progression stage does
+const submit = (profile, breakdown) => {
+    const { levelChanges, newThresholds } = calculateLevelProgression(profile, breakdown);
+    profile.xp_analyst += breakdown.analyst;
+    if (levelChanges.analyst) profile.level_analyst = levelChanges.analyst.new_level;
+    return { levelChanges, newThresholds };
+};
+
+describe('xpForLevel', () => {
+    test('is cumulative: each level needs 20% more XP than the last', () => {
+        expect(xpForLevel(1)).toBe(0);
+        expect(xpForLevel(2)).toBe(100);
+        expect(xpForLevel(3)).toBe(220);
+        expect(xpForLevel(4)).toBe(364);
+        expect(xpForLevel(5)).toBe(537);
+    });
+});
+
+describe('calculateLevelProgression', () => {
+    test('a steady award does not level up on every submit', () => {
+        const profile = newProfile();
+        const levelUpAt = [];
+
+        for (let i = 1; i <= 30; i++) {
+            if (submit(profile, award(20)).levelChanges.analyst) levelUpAt.push(i);
+        }
+
+        // 600 XP: level 5 starts at 537, level 6 at 744
+        expect(profile.level_analyst).toBe(5);
+        expect(levelUpAt).toEqual([5, 11, 19, 27]);
+    });
+
+    test('one award can pass several levels', () => {
+        const { levelChanges, newThresholds } = calculateLevelProgression(newProfile(), award(400));
+
+        expect(levelChanges.analyst).toEqual({ old_level: 1, new_level: 4, overflow_xp: 400 - 364 });
+        expect(newThresholds.analyst).toBe(xpForLevel(5));
+    });
+
+    test('overflow XP counts toward the next level', () => {
+        const profile = { ...newProfile(), xp_analyst: 90 };
+
+        expect(submit(profile, award(20)).levelChanges.analyst).toEqual({ old_level: 1, new_level: 2, overflow_xp: 10 });
+        expect(submit(profile, award(100)).levelChanges.analyst).toBeUndefined();
+        expect(submit(profile, award(10)).levelChanges.analyst).toMatchObject({ new_level: 3, overflow_xp: 0 });
+    });
+
+    test('a level above the XP it is worth is kept until the XP catches up', () => {
+        const profile = { ...newProfile(), xp_analyst: 300, level_analyst: 8 };
+
+        const { levelChanges, newThresholds } = submit(profile, award(20));
+
+        expect(levelChanges.analyst).toBeUndefined();
+        expect(profile.level_analyst).toBe(8);
+        expect(newThresholds.analyst).toBe(xpForLevel(9));
+    });
+
+    test('archetypes without XP keep their level and get their threshold', () => {
+        const { levelChanges, newThresholds } = calculateLevelProgression(newProfile(), award(20));
+
+        expect(levelChanges).toEqual({});
+        expect(newThresholds).toEqual({ risk_taker: 100, analyst: 100, builder: 100, strategist: 100 });
+    });
+
+    test('levels stop at 100', () => {
+        const profile = { ...newProfile(), xp_analyst: xpForLevel(100) + 10 ** 9 };
+
+        expect(calculateLevelProgression(profile, award(0)).levelChanges.analyst.new_level).toBe(100);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import PromptTemplate from '../src/models/PromptTemplate.js';
+import { activatePromptVersion } from '../src/services/promptRegistryService.js';
+
+/**
+ * Prompt version activation against in-memory versions that enforce the
+ * one-active-version index and roll back like a MongoDB transaction
+ */
+
+const PROMPT_ID = 'rubric.judgement';
+
+let versions;
+let sessions;
+
+const active = () => versions.filter(v => v.is_active).map(v => v.version);
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => (
+    condition && typeof condition === 'object' && '$ne' in condition ? doc[field] !== condition.$ne : doc[field] === condition
+));
+
+// Partial unique index { prompt_id } where is_active: true
+const checkIndex = () => {
+    if (active().length > 1) {
+        throw Object.assign(new Error('E11000 duplicate key error index: prompt_id_active_unique'), { code: 11000 });
+    }
+};
+
+beforeEach(() => {
+    versions = [
+        { prompt_id: PROMPT_ID, version: 2, is_active: true },
+        { prompt_id: PROMPT_ID, version: 3, is_active: false }
+    ];
+    sessions = [];
+
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => {
+        const snapshot = versions.map(v => ({ ...v }));
+        try {
+            return await fn({ name: 'session' });
+        } catch (error) {
+            versions = snapshot;
+            throw error;
+        }
+    });
+    jest.spyOn(PromptTemplate, 'exists').mockImplementation(async (filter) => versions.some(v => matches(v, filter)));
+    jest.spyOn(PromptTemplate, 'updateMany').mockImplementation(async (filter, update, options = {}) => {
+        sessions.push(options.session);
+        versions.filter(v => matches(v, filter)).forEach(v => Object.assign(v, update.$set));
+        return { modifiedCount: 1 };
+    });
+    jest.spyOn(PromptTemplate, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+        sessions.push(options.session);
+        versions.filter(v => matches(v, filter)).forEach(v => Object.assign(v, update.$set));
+        checkIndex();
+        return { modifiedCount: 1 };
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('activatePromptVersion', () => {
+    test('switches the active version in one transaction', async () => {
+        const result = await activatePromptVersion(PROMPT_ID, 3);
+
+        expect(result).toEqual({ prompt_id: PROMPT_ID, active_version: 3 });
+        expect(active()).toEqual([3]);
+        expect(sessions).toEqual([{ name: 'session' }, { name: 'session' }]);
+    });
+
+    test('the built-in version deactivates every stored one', async () => {
+        await activatePromptVersion(PROMPT_ID, 1);
+
+        expect(active()).toEqual([]);
+    });
+
+    test('a concurrent activation that hits the index is a conflict and changes nothing', async () => {
+        // Another request activated version 2 again between our two updates
+        PromptTemplate.updateMany.mockImplementation(async (filter, update) => {
+            versions.filter(v => matches(v, filter)).forEach(v => Object.assign(v, update.$set));
+            versions[0].is_active = true;
+            return { modifiedCount: 1 };
+        });
+
+        await expect(activatePromptVersion(PROMPT_ID, 3)).rejects.toMatchObject({ code: 'PROMPT_CONFLICT' });
+        expect(active()).toEqual([2]);
+    });
+
+    test('an unknown version is refused', async () => {
+        await expect(activatePromptVersion(PROMPT_ID, 9)).rejects.toMatchObject({ code: 'PROMPT_VERSION_NOT_FOUND' });
+    });
+
+    test('the model declares at most one active version per prompt', () => {
+        const index = PromptTemplate.schema.indexes().find(([, options]) => options.name === 'prompt_id_active_unique');
+
+        expect(index).toEqual([{ prompt_id: 1 }, expect.objectContaining({ unique: true, partialFilterExpression: { is_active: true } })]);
+    });
+});
@@ -0,0 +1,295 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ArenaSession from '../src/models/ArenaSession.js';
+import UserProfile from '../src/models/UserProfile.js';
+import XPAuditLog from '../src/models/XPAuditLog.js';
+import ReviewItem from '../src/models/ReviewItem.js';
+import {
+    appealSession,
+    resolveReviewItem,
+    approveCorrection,
+    rejectCorrection
+} from '../src/services/reviewQueueService.js';
+
+/**
+ * Appeal -> proposal -> approval -> compensating audit entry, against an in-memory store
+ * whose transactions roll back on error like MongoDB's
+ */
+
+const MODERATOR = { id: 'mod-1', role: 'moderator' };
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const SECOND_ADMIN = { id: 'admin-2', role: 'admin' };
+
+// Value at a dotted path; arrays along the way are flattened
+const valuesAt = (doc, path) => path.split('.').reduce((values, key) => values.flatMap(value => {
+    const next = value?.[key];
+    return Array.isArray(next) && key !== path.split('.').pop() ? next : [next];
+}), [doc]).flat();
+
+const same = (a, b) => (a instanceof Date || b instanceof Date
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : a === b);
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    const values = valuesAt(doc, path);
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        if ('$exists' in condition) return values.some(v => v !== undefined) === condition.$exists;
+        if ('$ne' in condition) return !values.some(v => same(v, condition.$ne));
+        if ('$gt' in condition) return values.some(v => v > condition.$gt);
+    }
+    return values.some(v => same(v, condition));
+});
+
+// Chainable stand-in for a mongoose Query
+const query = (value) => {
+    let lean = false;
+    const chain = {
+        sort: () => chain,
+        select: () => chain,
+        session: () => chain,
+        lean: () => { lean = true; return chain; },
+        then: (resolve, reject) => Promise.resolve(lean && value?.toObject ? value.toObject() : value).then(resolve, reject)
+    };
+    return chain;
+};
+
+let db;
+
+const setup = ({ breakdown = { risk_taker: 10, analyst: 20, builder: 10, strategist: 10 } } = {}) => {
+    const session = new ArenaSession({
+        user_id: 'user-1',
+        problem_id: 'PROB-1',
+        status: 'evaluated',
+        submitted_at: new Date(),
+        difficulty_at_start: 2,
+        xp_earned: 50,
+        xp_breakdown: breakdown
+    });
+    const profile = new UserProfile({
+        user_id: 'user-1',
+        email: 'user@example.com',
+        name: 'User',
+        xp_risk_taker: 10,
+        xp_analyst: 90,
+        xp_builder: 10,
+        xp_strategist: 10
+    });
+    const award = new XPAuditLog({
+        user_id: 'user-1',
+        action: 'award',
+        source: 'arena_submit',
+        session_id: session._id.toString(),
+        xp_before: { risk_taker: 0, analyst: 70, builder: 0, strategist: 0, total: 70 },
+        xp_after: { risk_taker: 10, analyst: 90, builder: 10, strategist: 10, total: 120 },
+        xp_change: { ...breakdown, total: 50 },
+        sequence: 1,
+        prev_hash: XPAuditLog.GENESIS_HASH
+    });
+    award.entry_hash = XPAuditLog.computeHash(award.toObject());
+
+    db = { session, profile, items: [], audit: [award.toObject()] };
+
+    // Roll the store back when the transaction callback throws
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => {
+        const snapshot = {
+            items: db.items.map(item => item.toObject()),
+            profile: db.profile.toObject(),
+            audit: [...db.audit]
+        };
+        try {
+            return await fn({});
+        } catch (error) {
+            db.items = snapshot.items.map(item => ReviewItem.hydrate(item));
+            db.profile = UserProfile.hydrate(snapshot.profile);
+            db.audit = snapshot.audit;
+            throw error;
+        }
+    });
+
+    jest.spyOn(ArenaSession, 'findById').mockImplementation(() => query(db.session));
+
+    jest.spyOn(ReviewItem, 'findOne').mockImplementation((filter) => query(db.items.find(item => matches(item.toObject(), filter)) || null));
+    jest.spyOn(ReviewItem, 'exists').mockImplementation((filter) => query(db.items.some(item => matches(item.toObject(), filter))));
+    jest.spyOn(ReviewItem.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(ReviewItem, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => {
+        let item = db.items.find(candidate => matches(candidate.toObject(), filter));
+        if (!item && !options.upsert) return query(null);
+        if (!item) {
+            item = new ReviewItem({ session_id: filter.session_id, status: filter.status, ...update.$setOnInsert });
+            db.items.push(item);
+        }
+        Object.entries(update.$set || {}).forEach(([path, value]) => item.set(path, value));
+        Object.entries(update.$addToSet || {}).forEach(([path, { $each }]) => {
+            item.set(path, [...new Set([...(item.get(path) || []), ...$each])]);
+        });
+        Object.entries(update.$push || {}).forEach(([path, value]) => item.set(path, [...(item.get(path) || []), value]));
+        Object.keys(update.$unset || {}).forEach(path => item.set(path, undefined));
+        return query(item);
+    });
+
+    jest.spyOn(UserProfile, 'findOne').mockImplementation(() => query(db.profile));
+    jest.spyOn(UserProfile, 'updateOne').mockImplementation(async (filter, update) => {
+        db.profile.set(update.$set);
+        return { modifiedCount: 1 };
+    });
+    jest.spyOn(UserProfile.prototype, 'save').mockImplementation(async function () { return this; });
+
+    jest.spyOn(XPAuditLog, 'findOne').mockImplementation((filter) => query(filter.session_id
+        ? db.audit.find(entry => matches(entry, filter)) || null
+        : db.audit[db.audit.length - 1] || null));
+    jest.spyOn(XPAuditLog.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        db.audit.push(this.toObject());
+        return this;
+    });
+};
+
+const env = {};
+const setEnv = (values) => {
+    Object.entries(values).forEach(([key, value]) => {
+        if (!(key in env)) env[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+};
+
+beforeEach(() => {
+    setEnv({ REVIEW_CORRECTION_APPROVALS: undefined });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    Object.entries(env).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+        delete env[key];
+    });
+});
+
+const appealAndPropose = async (xpBreakdown) => {
+    const item = await appealSession(db.session._id.toString(), 'user-1', 'The analysis section was not graded');
+    await resolveReviewItem(item.review_id, { outcome: 'corrected', note: 'Analysis was undervalued', xp_breakdown: xpBreakdown }, MODERATOR);
+    return item.review_id;
+};
+
+describe('appeal and XP correction', () => {
+    test('an appeal opens an item with the standing award', async () => {
+        setup();
+
+        const item = await appealSession(db.session._id.toString(), 'user-1', 'Please look again');
+
+        expect(item).toMatchObject({ status: 'open', source: 'appeal', reasons: ['user_appeal'] });
+        expect(item.original.xp_breakdown.analyst).toBe(20);
+    });
+
+    test('an XP correction waits for an admin approval', async () => {
+        setup();
+
+        const reviewId = await appealAndPropose({ analyst: 60 });
+
+        const [item] = db.items;
+        expect(item.status).toBe('open');
+        expect(item.proposal).toMatchObject({ proposed_by: MODERATOR.id, xp_breakdown: { analyst: 60 } });
+        expect(db.audit).toHaveLength(1);
+        await expect(approveCorrection(reviewId, MODERATOR)).rejects.toMatchObject({ code: 'REVIEW_FORBIDDEN' });
+    });
+
+    test('the approval writes a compensating entry linked to the award', async () => {
+        setup();
+        const reviewId = await appealAndPropose({ analyst: 60 });
+
+        const resolved = await approveCorrection(reviewId, ADMIN, 'Agreed');
+
+        expect(resolved.status).toBe('resolved');
+        expect(resolved.resolution).toMatchObject({ outcome: 'corrected', xp_change: { analyst: 40 }, proposed_by: MODERATOR.id });
+        expect(db.audit).toHaveLength(2);
+        const [award, correction] = db.audit;
+        expect(correction).toMatchObject({
+            action: 'correction',
+            source: 'review_correction',
+            sequence: 2,
+            prev_hash: award.entry_hash,
+            xp_change: { analyst: 40, total: 40 },
+            correction: {
+                reason: 'Analysis was undervalued',
+                corrects_entry_id: award._id.toString(),
+                corrects_sequence: 1,
+                proposed_by: MODERATOR.id,
+                approved_by: [ADMIN.id]
+            }
+        });
+        expect(db.profile.xp_analyst).toBe(130);
+    });
+
+    test('raised XP goes through the level progression', async () => {
+        setup();
+        const reviewId = await appealAndPropose({ analyst: 60 });
+
+        const resolved = await approveCorrection(reviewId, ADMIN);
+
+        // 130 analyst XP passes the level 2 threshold (100)
+        expect(db.profile.level_analyst).toBe(2);
+        expect(db.profile.xp_to_next_level.analyst).toBe(220);
+        expect(resolved.resolution.level_changes).toEqual({ analyst: { old_level: 1, new_level: 2, overflow_xp: 30 } });
+        expect(db.audit[1].metadata.level_changes).toEqual(resolved.resolution.level_changes);
+    });
+
+    test('lowered XP keeps the level', async () => {
+        setup();
+        db.profile.level_analyst = 2;
+        db.profile.xp_analyst = 110;
+        const reviewId = await appealAndPropose({ analyst: 0 });
+
+        await approveCorrection(reviewId, ADMIN);
+
+        expect(db.profile.xp_analyst).toBe(90);
+        expect(db.profile.level_analyst).toBe(2);
+        expect(db.profile.xp_to_next_level.analyst).toBe(220);
+    });
+
+    test('a correction that fails to apply keeps neither the approval nor the XP', async () => {
+        setup();
+        const reviewId = await appealAndPropose({ analyst: 0 });
+        // Profile XP changed since the submit: lowering by 20 would go below zero
+        db.profile.xp_analyst = 5;
+
+        await expect(approveCorrection(reviewId, ADMIN)).rejects.toMatchObject({ code: 'REVIEW_INVALID' });
+
+        expect(db.items[0].status).toBe('open');
+        expect(db.items[0].proposal.approvals).toEqual([]);
+        expect(db.audit).toHaveLength(1);
+
+        // Once fixed, the same admin can approve again
+        db.profile.xp_analyst = 40;
+        const resolved = await approveCorrection(reviewId, ADMIN);
+        expect(resolved.status).toBe('resolved');
+        expect(db.profile.xp_analyst).toBe(20);
+    });
+
+    test('with two approvals required the second one applies the correction', async () => {
+        setup();
+        setEnv({ REVIEW_CORRECTION_APPROVALS: '2' });
+        const reviewId = await appealAndPropose({ analyst: 60 });
+
+        const first = await approveCorrection(reviewId, ADMIN);
+        expect(first).toMatchObject({ status: 'open', approvals_required: 2 });
+        await expect(approveCorrection(reviewId, ADMIN)).rejects.toMatchObject({ code: 'REVIEW_PENDING_APPROVAL' });
+
+        const second = await approveCorrection(reviewId, SECOND_ADMIN);
+
+        expect(second.status).toBe('resolved');
+        expect(db.audit[1].correction.approved_by).toEqual([ADMIN.id, SECOND_ADMIN.id]);
+    });
+
+    test('a rejected proposal frees the item for another decision', async () => {
+        setup();
+        const reviewId = await appealAndPropose({ analyst: 60 });
+
+        await rejectCorrection(reviewId, ADMIN, 'Not convinced');
+        const upheld = await resolveReviewItem(reviewId, { outcome: 'upheld', note: 'Original grade stands' }, MODERATOR);
+
+        expect(upheld.resolution.outcome).toBe('upheld');
+        expect(db.items[0].rejected_proposals).toHaveLength(1);
+        expect(db.audit).toHaveLength(1);
+    });
+});
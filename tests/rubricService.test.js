@@ -0,0 +1,91 @@
+import { describe, test, expect } from '@jest/globals';
+import { applyRubric, measureSolution } from '../src/services/rubricService.js';
+
+const baseline = {
+    level: 3,
+    version: 2,
+    baseline_metrics: {
+        min_response_quality: 0.6,
+        min_decision_depth: 2,
+        min_tradeoff_consideration: 1
+    },
+    validation_criteria: {
+        min_word_count: 10,
+        requires_tradeoff_analysis: true,
+        requires_risk_assessment: true,
+        requires_multi_perspective: true
+    }
+};
+
+const solution = 'We launch to existing customers first, but at the cost of slower growth. '
+    + 'The risk is churn if it fails, so the team keeps a fallback plan for investors.';
+
+const judgement = {
+    response_quality: 0.8,
+    quality_reason: 'Clear plan',
+    decision_depth: 3,
+    tradeoff_count: 2,
+    tradeoff_analysis: { passed: true, reason: 'Growth vs focus' },
+    risk_assessment: { passed: true, reason: 'Churn named' },
+    multi_perspective: { passed: true, reason: 'Customers, team, investors' }
+};
+
+const byId = (result) => Object.fromEntries(result.criteria.map(c => [c.id, c]));
+
+describe('applyRubric', () => {
+    test('a solution meeting every criterion levels up', () => {
+        const result = applyRubric(baseline, measureSolution(solution), judgement);
+
+        expect(result.level_up_achieved).toBe(true);
+        expect(result.judged).toBe(true);
+        expect(result.criteria_met).toEqual([
+            'min_word_count', 'response_quality', 'decision_depth', 'tradeoff_consideration',
+            'tradeoff_analysis', 'risk_assessment', 'multi_perspective'
+        ]);
+        expect(result.level).toBe(3);
+        expect(result.baseline_version).toBe(2);
+    });
+
+    test('is pure: the same inputs give the same result', () => {
+        const measurements = measureSolution(solution);
+        expect(applyRubric(baseline, measurements, judgement)).toEqual(applyRubric(baseline, measurements, judgement));
+    });
+
+    test('one failed criterion blocks the level-up but keeps the others', () => {
+        const result = applyRubric(baseline, measureSolution(solution), { ...judgement, decision_depth: 1 });
+
+        expect(result.level_up_achieved).toBe(false);
+        expect(byId(result).decision_depth.passed).toBe(false);
+        expect(result.criteria_met).toContain('response_quality');
+    });
+
+    test('without a judge only deterministic criteria can pass', () => {
+        const result = applyRubric(baseline, measureSolution(solution), null);
+
+        expect(result.judged).toBe(false);
+        expect(result.level_up_achieved).toBe(false);
+        expect(result.criteria_met).toEqual(['min_word_count']);
+        expect(byId(result).risk_assessment.reason).toBe('LLM judgement unavailable');
+    });
+
+    test('judge verdicts need a textual signal', () => {
+        const flat = 'We simply launch the product next month and hope the plan works out well for everyone.';
+        const result = applyRubric(baseline, measureSolution(flat), judgement);
+        const criteria = byId(result);
+
+        expect(criteria.tradeoff_consideration).toMatchObject({ passed: false, value: 0, source: 'deterministic' });
+        expect(criteria.tradeoff_analysis).toMatchObject({ passed: false, source: 'deterministic' });
+        expect(criteria.risk_assessment).toMatchObject({ passed: false, source: 'deterministic' });
+        expect(result.level_up_achieved).toBe(false);
+    });
+
+    test('criteria the baseline does not require are left out', () => {
+        const lenient = { ...baseline, validation_criteria: { min_word_count: 5 } };
+        const result = applyRubric(lenient, measureSolution(solution), judgement);
+
+        expect(result.criteria.map(c => c.id)).toEqual([
+            'min_word_count', 'response_quality', 'decision_depth', 'tradeoff_consideration'
+        ]);
+        expect(result.level_up_achieved).toBe(true);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, test, expect, jest, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { WebSocket } from 'ws';
+import User from '../src/models/User.js';
+import AuthSession from '../src/models/AuthSession.js';
+import { JWT_SECRET, signAccessToken } from '../src/services/authSessionService.js';
+import { CLOSE_CODES } from '../src/services/wsProtocolService.js';
+
+/**
+ * /ws/arena auth after the upgrade: expired tokens and revoked sessions are closed on the heartbeat
+ */
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+const SESSION_ID = new mongoose.Types.ObjectId().toString();
+
+let server;
+let wss;
+let url;
+
+beforeAll(async () => {
+    // Read when the service module loads
+    process.env.WS_HEARTBEAT_INTERVAL_MS = '50';
+    const { initWebSocketServer } = await import('../src/services/websocketService.js');
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = http.createServer();
+    wss = initWebSocketServer(server);
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws/arena`;
+});
+
+afterAll(async () => {
+    delete process.env.WS_HEARTBEAT_INTERVAL_MS;
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+});
+
+let revoked;
+
+beforeEach(() => {
+    revoked = false;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(AuthSession, 'findById').mockImplementation(async () => ({
+        user_id: USER_ID,
+        isActive: () => !revoked
+    }));
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+        select: async () => ({ _id: USER_ID, email: 'user@example.com', name: 'User', role: 'user' })
+    }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const connect = async (token) => {
+    const ws = new WebSocket(url, { headers: { Authorization: `Bearer ${token}` } });
+    const closed = new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    return { ws, closed };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('socket auth after the upgrade', () => {
+    test('a socket stays open while its session is active', async () => {
+        const { ws } = await connect(signAccessToken({ _id: USER_ID, email: 'user@example.com' }, SESSION_ID));
+
+        await wait(200);
+
+        expect(ws.readyState).toBe(WebSocket.OPEN);
+        ws.close();
+    });
+
+    test('revoking the session closes the socket', async () => {
+        const { closed } = await connect(signAccessToken({ _id: USER_ID, email: 'user@example.com' }, SESSION_ID));
+
+        revoked = true;
+
+        expect(await closed).toEqual({ code: CLOSE_CODES.UNAUTHORIZED, reason: 'Session revoked' });
+    });
+
+    test('an expired access token closes the socket', async () => {
+        const token = jwt.sign({ userId: USER_ID, email: 'user@example.com', sid: SESSION_ID }, JWT_SECRET, { expiresIn: 1 });
+        const { closed } = await connect(token);
+
+        expect(await closed).toEqual({ code: CLOSE_CODES.UNAUTHORIZED, reason: 'Token expired' });
+    });
+});
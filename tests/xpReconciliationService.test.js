@@ -0,0 +1,228 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import UserProfile from '../src/models/UserProfile.js';
+import XPAuditLog from '../src/models/XPAuditLog.js';
+import {
+    reconcileUser,
+    reconcileAll,
+    recordOpeningBalances
+} from '../src/services/xpReconciliationService.js';
+
+/**
+ * Ledger replay against in-memory profiles and audit entries
+ */
+
+const SNAPSHOT_SESSION = { name: 'snapshot' };
+
+// Ascending sort on the given keys (ObjectIds compare by their hex string)
+const sortBy = (items, spec) => [...items].sort((a, b) => {
+    for (const key of Object.keys(spec)) {
+        const [x, y] = [a[key], b[key]].map(v => (v instanceof mongoose.Types.ObjectId ? v.toString() : v));
+        if (x < y) return -spec[key];
+        if (x > y) return spec[key];
+    }
+    return 0;
+});
+
+// Chainable stand-in for a mongoose Query; applies sort() and records the session it was read in
+const query = (value) => {
+    let spec = null;
+    const result = () => (spec && Array.isArray(value) ? sortBy(value, spec) : value);
+    const chain = {
+        sessions: [],
+        sort: (sort) => { spec = sort; return chain; },
+        limit: () => chain,
+        select: () => chain,
+        lean: () => chain,
+        session: (session) => { chain.sessions.push(session); return chain; },
+        cursor: async function* () { yield* result(); },
+        then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+    return chain;
+};
+
+const xp = (analyst, builder = 0) => ({ risk_taker: 0, analyst, builder, strategist: 0, total: analyst + builder });
+
+const entry = (sequence, before, after, createdAt = new Date(2026, 0, sequence)) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: 'user-1',
+    sequence,
+    action: 'award',
+    source: 'arena_submit',
+    xp_before: before,
+    xp_after: after,
+    xp_change: {
+        risk_taker: 0,
+        analyst: after.analyst - before.analyst,
+        builder: after.builder - before.builder,
+        strategist: 0,
+        total: after.total - before.total
+    },
+    created_at: createdAt
+});
+
+let db;
+let reads;
+
+const setup = ({ analyst = 0, builder = 0, entries = [] } = {}) => {
+    db = {
+        profiles: [{ user_id: 'user-1', xp_risk_taker: 0, xp_analyst: analyst, xp_builder: builder, xp_strategist: 0 }],
+        entries
+    };
+    reads = [];
+    const profileOf = (userId) => db.profiles.find(p => p.user_id === userId) || null;
+    const read = (chain) => { reads.push(chain); return chain; };
+
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn(SNAPSHOT_SESSION));
+
+    jest.spyOn(UserProfile, 'find').mockImplementation(() => query(db.profiles.map(p => ({ user_id: p.user_id }))));
+    jest.spyOn(UserProfile, 'findOne').mockImplementation((filter) => read(query(profileOf(filter.user_id))));
+    jest.spyOn(UserProfile, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const profile = profileOf(filter.user_id);
+        profile.xp_quarantine = { active: update.$set['xp_quarantine.active'], reason: update.$set['xp_quarantine.reason'] };
+        return profile;
+    });
+    jest.spyOn(UserProfile, 'updateOne').mockImplementation(async () => ({ modifiedCount: 1 }));
+
+    jest.spyOn(XPAuditLog, 'find').mockImplementation((filter) => read(query(db.entries
+        .filter(e => e.user_id === filter.user_id))));
+    jest.spyOn(XPAuditLog, 'exists').mockImplementation((filter) => query(db.entries.some(e => e.user_id === filter.user_id)));
+    jest.spyOn(XPAuditLog, 'findOne').mockImplementation(() => query(db.entries[db.entries.length - 1] || null));
+    jest.spyOn(XPAuditLog.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        db.entries.push(this.toObject());
+        return this;
+    });
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('reconcileUser', () => {
+    test('a profile matching its ledger is ok', async () => {
+        setup({ analyst: 30, entries: [entry(1, xp(0), xp(10)), entry(2, xp(10), xp(30))] });
+
+        const report = await reconcileUser('user-1');
+
+        expect(report).toMatchObject({ ok: true, entries_checked: 2, pre_ledger_xp: null, needs_opening_balance: false });
+        expect(report.ledger_xp.analyst).toBe(30);
+    });
+
+    test('reads the profile and the ledger from one snapshot', async () => {
+        setup({ analyst: 10, entries: [entry(1, xp(0), xp(10))] });
+
+        await reconcileUser('user-1');
+
+        expect(mongoose.connection.transaction).toHaveBeenCalledWith(expect.any(Function), { readConcern: { level: 'snapshot' } });
+        expect(reads).toHaveLength(2);
+        reads.forEach(chain => expect(chain.sessions).toEqual([SNAPSHOT_SESSION]));
+    });
+
+    test('replays in sequence order, not by timestamp', async () => {
+        // The second entry's clock ran behind the first one's
+        setup({
+            analyst: 30,
+            entries: [entry(2, xp(10), xp(30), new Date(2026, 0, 1)), entry(1, xp(0), xp(10), new Date(2026, 0, 2))]
+        });
+
+        const report = await reconcileUser('user-1');
+
+        expect(report.ok).toBe(true);
+    });
+
+    test('XP without any ledger entry is pre-ledger XP, not drift', async () => {
+        setup({ analyst: 120, builder: 40 });
+
+        const report = await reconcileUser('user-1');
+
+        expect(report.ok).toBe(true);
+        expect(report.issues).toEqual([]);
+        expect(report.pre_ledger_xp).toEqual({ analyst: 120, builder: 40 });
+        expect(report.needs_opening_balance).toBe(true);
+    });
+
+    test('XP held before the first entry is the starting balance', async () => {
+        setup({ analyst: 130, entries: [entry(1, xp(100), xp(130))] });
+
+        const report = await reconcileUser('user-1');
+
+        expect(report.ok).toBe(true);
+        expect(report.pre_ledger_xp).toEqual({ analyst: 100 });
+        expect(report.needs_opening_balance).toBe(false);
+    });
+
+    test('XP the ledger does not explain is drift', async () => {
+        setup({ analyst: 500, entries: [entry(1, xp(0), xp(10))] });
+
+        const report = await reconcileUser('user-1');
+
+        expect(report.ok).toBe(false);
+        expect(report.issues).toEqual([{ type: 'profile_drift', difference: { analyst: 490 } }]);
+    });
+
+    test('a broken link between entries is a gap', async () => {
+        setup({ analyst: 60, entries: [entry(1, xp(0), xp(10)), entry(2, xp(40), xp(60))] });
+
+        const report = await reconcileUser('user-1');
+
+        expect(report.issues.map(issue => issue.type)).toEqual(['gap', 'profile_drift']);
+        expect(report.issues[0]).toMatchObject({ sequence: 2, difference: { analyst: 30 } });
+    });
+});
+
+describe('reconcileAll', () => {
+    test('quarantines drift but not pre-ledger XP', async () => {
+        setup({ analyst: 500, entries: [entry(1, xp(0), xp(10))] });
+        db.profiles.push({ user_id: 'legacy', xp_risk_taker: 0, xp_analyst: 80, xp_builder: 0, xp_strategist: 0 });
+
+        const summary = await reconcileAll({ quarantine: true });
+
+        expect(summary).toMatchObject({ checked: 2, mismatched: 1, quarantined: 1, needs_opening_balance: 1 });
+        expect(summary.reports.map(report => report.user_id)).toEqual(['user-1']);
+        expect(db.profiles[0].xp_quarantine.active).toBe(true);
+        expect(db.profiles[1].xp_quarantine).toBeUndefined();
+    });
+});
+
+describe('recordOpeningBalances', () => {
+    test('anchors pre-ledger XP as the first entry of the chain', async () => {
+        setup({ analyst: 120, builder: 40 });
+
+        const summary = await recordOpeningBalances();
+
+        expect(summary).toEqual({ checked: 1, opened: 1, user_ids: ['user-1'] });
+        expect(db.entries).toHaveLength(1);
+        expect(db.entries[0]).toMatchObject({
+            action: 'opening_balance',
+            source: 'ledger_migration',
+            sequence: 1,
+            prev_hash: XPAuditLog.GENESIS_HASH,
+            xp_before: xp(0),
+            xp_after: xp(120, 40)
+        });
+
+        const report = await reconcileUser('user-1');
+        expect(report).toMatchObject({ ok: true, pre_ledger_xp: null, needs_opening_balance: false });
+    });
+
+    test('skips profiles that already have a ledger or no XP', async () => {
+        setup({ analyst: 10, entries: [entry(1, xp(0), xp(10))] });
+        db.profiles.push({ user_id: 'new', xp_risk_taker: 0, xp_analyst: 0, xp_builder: 0, xp_strategist: 0 });
+
+        const summary = await recordOpeningBalances();
+
+        expect(summary).toEqual({ checked: 2, opened: 0, user_ids: [] });
+        expect(db.entries).toHaveLength(1);
+    });
+
+    test('an opening balance cannot be appended to an existing chain', async () => {
+        const late = new XPAuditLog({
+            ...entry(2, xp(0), xp(50)),
+            action: 'opening_balance',
+            source: 'ledger_migration'
+        });
+
+        await expect(late.validate()).rejects.toThrow(/first entry/);
+    });
+});